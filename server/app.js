@@ -0,0 +1,93 @@
+const express = require('express');
+const requestId = require('./middleware/requestId');
+const authenticate = require('./middleware/authenticate');
+const { createRateLimiter } = require('./middleware/rateLimit');
+const { notFound, errorHandler } = require('./middleware/errorHandler');
+const createAuthRouter = require('./routes/auth');
+const createOAuthRouter = require('./routes/oauth');
+const createMoodRouter = require('./routes/mood');
+const createMusicRouter = require('./routes/music');
+const createSmartHomeRouter = require('./routes/smarthome');
+const createWebhooksRouter = require('./routes/webhooks');
+const { MemoryStore } = require('./services/RateLimitStore');
+const { OpenApiRegistry } = require('./utils/openapi');
+
+/**
+ * Build the MoodSync API application around the given services
+ */
+function createApp(services) {
+  const app = express();
+
+  app.disable('x-powered-by');
+
+  // Behind a load balancer, rate limit on the client address it forwards
+  const trustProxy = process.env.TRUST_PROXY;
+  if (trustProxy && trustProxy !== 'false') {
+    app.set('trust proxy', trustProxy === 'true' ? true : Number(trustProxy) || trustProxy);
+  }
+
+  app.use(requestId);
+  app.use(express.json({ limit: '1mb' }));
+
+  app.get('/health', (req, res) => {
+    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+  });
+
+  // Mood, music and smart home routes act on behalf of the authenticated user
+  const requireAuth = authenticate(services.authService);
+
+  const rateLimit = createRateLimiter(services.rateLimitStore || new MemoryStore(), services.rateLimits);
+
+  // Routers register their routes here as they are built; the document is served as-is
+  const openapi = new OpenApiRegistry({
+    basePath: '/v1',
+    info: {
+      title: 'MoodSync API',
+      version: '1.0.0',
+      description: 'Mood detection, music intelligence and smart home control'
+    }
+  });
+
+  // Signed-out routes are counted per client IP; the rest per user, by the user's plan,
+  // so a household or office sharing an address doesn't cap an Enterprise allowance
+  const api = express.Router();
+  api.get('/openapi.json', rateLimit('ip'), (req, res) => {
+    res.json(openapi.document());
+  });
+  api.use('/auth/oauth', rateLimit('ip'), createOAuthRouter({
+    ...services,
+    requireAuth,
+    openapi: openapi.scope('/auth/oauth', { tag: 'Authentication' })
+  }));
+  api.use('/auth', rateLimit('ip'), rateLimit('auth'), createAuthRouter({
+    ...services,
+    requireAuth,
+    openapi: openapi.scope('/auth', { tag: 'Authentication' })
+  }));
+  api.use('/mood', requireAuth, rateLimit('user'), createMoodRouter({
+    ...services,
+    rateLimit,
+    openapi: openapi.scope('/mood', { tag: 'Mood Detection', secured: true })
+  }));
+  api.use('/music', requireAuth, rateLimit('user'), createMusicRouter({
+    ...services,
+    openapi: openapi.scope('/music', { tag: 'Music Intelligence', secured: true })
+  }));
+  api.use('/smarthome', requireAuth, rateLimit('user'), createSmartHomeRouter({
+    ...services,
+    openapi: openapi.scope('/smarthome', { tag: 'Smart Home', secured: true })
+  }));
+  api.use('/webhooks', requireAuth, rateLimit('user'), createWebhooksRouter({
+    ...services,
+    openapi: openapi.scope('/webhooks', { tag: 'Webhooks', secured: true })
+  }));
+
+  app.use('/v1', api);
+
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = createApp;
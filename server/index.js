@@ -0,0 +1,81 @@
+require('dotenv').config();
+
+const mongoose = require('mongoose');
+const { createClient } = require('redis');
+const createApp = require('./app');
+const AuthService = require('./services/AuthService');
+const MoodDetectionService = require('./services/MoodDetectionService');
+const MusicServiceRegistry = require('./services/MusicServiceRegistry');
+const { MemoryStore, RedisStore } = require('./services/RateLimitStore');
+const SmartHomeService = require('./services/SmartHomeService');
+const SpotifyAuthService = require('./services/SpotifyAuthService');
+const WebhookService = require('./services/WebhookService');
+
+/**
+ * Connect to MongoDB and start the API server
+ */
+async function start() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, { dbName: process.env.DB_NAME });
+    console.log('Connected to MongoDB');
+
+    const redis = process.env.REDIS_URL ? createClient({ url: process.env.REDIS_URL }) : null;
+    if (redis) {
+      // Keep serving with in-memory rate limits while Redis is down; the client reconnects by itself
+      redis.on('error', error => console.error('Redis error:', error.message));
+      redis.connect().catch(error => console.error('Failed to connect to Redis:', error.message));
+    }
+    const rateLimitStore = redis ? new RedisStore(redis) : new MemoryStore();
+
+    const spotifyAuthService = new SpotifyAuthService();
+    const musicServiceRegistry = new MusicServiceRegistry({ spotifyAuthService });
+    const moodDetectionService = new MoodDetectionService();
+    const smartHomeService = new SmartHomeService();
+    smartHomeService.connect({ moodDetectionService });
+
+    // Smart home platforms are optional; the API still serves mood and music without them
+    smartHomeService.initialize().catch(error => {
+      console.error('Smart home initialization failed:', error);
+    });
+
+    const webhookService = new WebhookService();
+    webhookService.connect({ moodDetectionService, smartHomeService, musicServiceRegistry });
+    webhookService.start();
+
+    const app = createApp({
+      authService: new AuthService(),
+      moodDetectionService,
+      spotifyAuthService,
+      musicServiceRegistry,
+      smartHomeService,
+      webhookService,
+      rateLimitStore
+    });
+
+    const port = parseInt(process.env.PORT) || 3000;
+    const server = app.listen(port, () => {
+      console.log(`MoodSync API listening on port ${port}`);
+    });
+
+    const shutdown = async (signal) => {
+      console.log(`Received ${signal}, shutting down...`);
+      server.close();
+      musicServiceRegistry.dispose();
+      webhookService.stop();
+      smartHomeService.dispose();
+      rateLimitStore.dispose();
+      if (redis) await redis.quit().catch(() => {});
+      await mongoose.disconnect();
+      process.exit(0);
+    };
+
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+
+  } catch (error) {
+    console.error('Failed to start MoodSync API:', error);
+    process.exit(1);
+  }
+}
+
+start();
@@ -0,0 +1,123 @@
+const { createRateLimiter } = require('../rateLimit');
+const { MemoryStore } = require('../../services/RateLimitStore');
+
+function request(overrides = {}) {
+  return { ip: '203.0.113.7', user: null, ...overrides };
+}
+
+function response() {
+  return {
+    headers: {},
+    set(name, value) {
+      if (typeof name === 'object') Object.assign(this.headers, name);
+      else this.headers[name] = value;
+    }
+  };
+}
+
+// Run a middleware and resolve with whatever it passed to next()
+function run(middleware, req, res = response()) {
+  return new Promise(resolve => middleware(req, res, error => resolve({ error, res })));
+}
+
+describe('rateLimit', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+  });
+
+  afterEach(() => store.dispose());
+
+  it('counts requests and reports what is left', async () => {
+    const rateLimit = createRateLimiter(store, { ip: { max: 3 } });
+
+    const { error, res } = await run(rateLimit('ip'), request());
+
+    expect(error).toBeUndefined();
+    expect(res.headers['X-RateLimit-Limit']).toBe('3');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('2');
+    expect(Number(res.headers['X-RateLimit-Reset'])).toBeGreaterThan(Date.now() / 1000);
+  });
+
+  it('rejects requests over the limit with 429 and Retry-After', async () => {
+    const rateLimit = createRateLimiter(store, { auth: { max: 2, windowMs: 60000 } });
+    const middleware = rateLimit('auth');
+
+    await run(middleware, request());
+    await run(middleware, request());
+    const { error, res } = await run(middleware, request());
+
+    expect(error).toMatchObject({ status: 429, code: 'RATE_LIMIT_EXCEEDED', details: { limit: 2, windowMs: 60000 } });
+    expect(res.headers['X-RateLimit-Remaining']).toBe('0');
+    expect(Number(res.headers['Retry-After'])).toBeGreaterThanOrEqual(1);
+    expect(Number(res.headers['Retry-After'])).toBeLessThanOrEqual(60);
+  });
+
+  it('counts per user where the policy asks for it, and per IP otherwise', async () => {
+    const rateLimit = createRateLimiter(store, { moodDetect: { max: 1 } });
+    const middleware = rateLimit('moodDetect');
+
+    await run(middleware, request({ user: { id: 'u1' } }));
+    const otherUser = await run(middleware, request({ user: { id: 'u2' } }));
+    const sameUserNewIp = await run(middleware, request({ user: { id: 'u1' }, ip: '198.51.100.1' }));
+
+    expect(otherUser.error).toBeUndefined();
+    expect(sameUserNewIp.error).toMatchObject({ status: 429 });
+  });
+
+  it('keeps separate counters per policy and reports the most restrictive one', async () => {
+    const rateLimit = createRateLimiter(store, { ip: { max: 100 }, moodDetect: { max: 5 } });
+    const req = request({ user: { id: 'u1' } });
+    const res = response();
+
+    await run(rateLimit('ip'), req, res);
+    await run(rateLimit('moodDetect'), req, res);
+    await run(rateLimit('ip'), request(), response());
+
+    expect(res.headers['X-RateLimit-Limit']).toBe('5');
+    expect(res.headers['X-RateLimit-Remaining']).toBe('4');
+  });
+
+  it('starts a new window once the old one has passed', async () => {
+    const rateLimit = createRateLimiter(store, { auth: { max: 1, windowMs: 1000 } });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+
+    await run(rateLimit('auth'), request());
+    now.mockReturnValue(1700000001000);
+    const { error } = await run(rateLimit('auth'), request());
+
+    expect(error).toBeUndefined();
+    now.mockRestore();
+  });
+
+  it('gives each signed-in user the hourly allowance of their plan', async () => {
+    const middleware = createRateLimiter(store)('user');
+
+    const free = await run(middleware, request({ user: { id: 'u1', plan: 'free' } }));
+    const premium = await run(middleware, request({ user: { id: 'u2', plan: 'premium' } }));
+    const enterprise = await run(middleware, request({ user: { id: 'u3', plan: 'enterprise' } }));
+    const unknown = await run(middleware, request({ user: { id: 'u4', plan: 'legacy' } }));
+
+    expect(free.res.headers['X-RateLimit-Limit']).toBe('100');
+    expect(premium.res.headers['X-RateLimit-Limit']).toBe('1000');
+    expect(enterprise.res.headers['X-RateLimit-Limit']).toBe('10000');
+    expect(unknown.res.headers['X-RateLimit-Limit']).toBe('100');
+  });
+
+  it('rejects a user once their plan\'s allowance is used up', async () => {
+    const middleware = createRateLimiter(store, { user: { plans: { free: 1, premium: 2 } } })('user');
+
+    await run(middleware, request({ user: { id: 'u1', plan: 'free' } }));
+    await run(middleware, request({ user: { id: 'u2', plan: 'premium' } }));
+    const free = await run(middleware, request({ user: { id: 'u1', plan: 'free' } }));
+    const premium = await run(middleware, request({ user: { id: 'u2', plan: 'premium' } }));
+
+    expect(free.error).toMatchObject({ status: 429, details: { limit: 1 } });
+    expect(premium.error).toBeUndefined();
+  });
+
+  it('refuses unknown policies up front', () => {
+    expect(() => createRateLimiter(store)('nope')).toThrow('Unknown rate limit policy: nope');
+  });
+});
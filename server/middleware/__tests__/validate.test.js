@@ -0,0 +1,108 @@
+const { validateRequest, validateResponse } = require('../validate');
+
+function run(middleware, req) {
+  let passed;
+  middleware(req, {}, error => { passed = error; });
+  return passed;
+}
+
+describe('validateRequest', () => {
+  const route = {
+    params: { type: 'object', properties: { id: { type: 'string' } } },
+    query: {
+      type: 'object',
+      properties: {
+        limit: { type: 'integer', minimum: 1, default: 50 },
+        emotions: { type: 'array', items: { type: 'string' } }
+      }
+    },
+    body: {
+      schema: {
+        type: 'object',
+        required: ['mood'],
+        additionalProperties: false,
+        properties: {
+          mood: { type: 'string', enum: ['happy', 'sad'] },
+          intensity: { type: 'number' },
+          target: {
+            description: 'a room id or a list of device ids',
+            anyOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }]
+          }
+        }
+      }
+    }
+  };
+  const middleware = validateRequest(route);
+
+  it('coerces and defaults query parameters', () => {
+    const req = { params: { id: 'abc' }, query: { emotions: 'happy' }, body: { mood: 'happy' } };
+
+    expect(run(middleware, req)).toBeUndefined();
+    expect(req.query).toEqual({ limit: 50, emotions: ['happy'] });
+  });
+
+  it('does not coerce body values', () => {
+    const error = run(middleware, { params: {}, query: {}, body: { mood: 'happy', intensity: '0.5' } });
+
+    expect(error).toMatchObject({
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      details: { field: 'intensity', location: 'body', reason: 'must be number' }
+    });
+  });
+
+  it('names missing and unexpected properties', () => {
+    expect(run(middleware, { params: {}, query: {}, body: {} }).details)
+      .toMatchObject({ field: 'mood', reason: "must have required property 'mood'" });
+    expect(run(middleware, { params: {}, query: {}, body: { mood: 'sad', colour: 'red' } }).details)
+      .toMatchObject({ field: 'colour' });
+  });
+
+  it('lists allowed values and uses the description for alternatives', () => {
+    expect(run(middleware, { params: {}, query: {}, body: { mood: 'bored' } }).details)
+      .toMatchObject({ field: 'mood', reason: 'Expected one of: happy, sad' });
+    expect(run(middleware, { params: {}, query: {}, body: { mood: 'sad', target: 3 } }).details)
+      .toMatchObject({ field: 'target', reason: 'Expected a room id or a list of device ids' });
+  });
+
+  it('reports the location when the value itself is wrong', () => {
+    expect(run(middleware, { params: {}, query: { limit: '0' }, body: { mood: 'sad' } }).details)
+      .toMatchObject({ field: 'limit', location: 'query' });
+    expect(run(middleware, { params: {}, query: {}, body: [] }).details)
+      .toMatchObject({ field: 'body', location: 'body' });
+  });
+});
+
+describe('validateResponse', () => {
+  const schema = {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: { success: { type: 'boolean' }, data: { type: 'object', required: ['id'] } }
+  };
+
+  function respond(body, statusCode = 200) {
+    const json = jest.fn();
+    const res = { statusCode, json };
+    validateResponse({ method: 'get', path: '/things' }, { 200: schema })({}, res, () => {});
+    res.json(body);
+    return json;
+  }
+
+  beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  it('sends mismatching responses unchanged and logs them', () => {
+    const body = { success: true, data: {} };
+    const json = respond(body);
+
+    expect(json).toHaveBeenCalledWith(body);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringContaining("GET /things does not match its schema: /data must have required property 'id'"));
+  });
+
+  it('stays quiet for matching or undocumented responses', () => {
+    respond({ success: true, data: { id: '1' } });
+    respond({ success: false }, 500);
+
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+});
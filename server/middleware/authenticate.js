@@ -0,0 +1,19 @@
+const asyncHandler = require('../utils/asyncHandler');
+
+/**
+ * Require a valid Bearer access token and attach the caller to req.user
+ */
+function authenticate(authService) {
+  return asyncHandler(async (req, res, next) => {
+    const header = req.get('Authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    const payload = await authService.verifyToken(scheme === 'Bearer' ? token : undefined, 'access');
+
+    req.auth = payload;
+    req.user = { id: payload.sub, email: payload.email, plan: payload.plan || 'free' };
+    next();
+  });
+}
+
+module.exports = authenticate;
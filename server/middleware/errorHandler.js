@@ -0,0 +1,44 @@
+const { ApiError, toApiError } = require('../utils/errors');
+
+/**
+ * Respond with RESOURCE_NOT_FOUND for unmatched routes
+ */
+function notFound(req, res, next) {
+  next(new ApiError(404, 'RESOURCE_NOT_FOUND', `Route not found: ${req.method} ${req.path}`));
+}
+
+/**
+ * Map errors to the documented error envelope
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  let error = toApiError(err);
+
+  // Upload errors (file too large, unexpected field) are client errors
+  if (err.name === 'MulterError') {
+    error = new ApiError(400, 'VALIDATION_ERROR', err.message, { field: err.field, reason: err.code });
+  } else if (err.type === 'entity.parse.failed') {
+    error = new ApiError(400, 'VALIDATION_ERROR', 'Request body is not valid JSON');
+  } else if (!error) {
+    console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+    error = new ApiError(500, 'INTERNAL_ERROR', 'Internal server error');
+  } else if (error.status >= 500) {
+    console.error(`${error.code} on ${req.method} ${req.originalUrl}:`, err.cause || err);
+  }
+
+  res.status(error.status).json({
+    success: false,
+    error: {
+      code: error.code,
+      message: error.message,
+      details: error.details,
+      timestamp: new Date().toISOString(),
+      requestId: req.id
+    }
+  });
+}
+
+module.exports = { notFound, errorHandler };
@@ -0,0 +1,93 @@
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Default policies, keyed by name
+ * keyBy 'user' counts per authenticated user (falling back to the client IP),
+ * keyBy 'ip' counts per client IP; plans gives signed-in users the limit of their plan,
+ * with max for anyone else
+ */
+const DEFAULT_RATE_LIMITS = {
+  ip: { windowMs: 15 * 60 * 1000, max: 300, keyBy: 'ip' },
+  auth: { windowMs: 15 * 60 * 1000, max: 20, keyBy: 'ip' },
+  // The documented Free, Premium and Enterprise tiers
+  user: { windowMs: 60 * 60 * 1000, max: 100, plans: { free: 100, premium: 1000, enterprise: 10000 }, keyBy: 'user' },
+  // Every detection runs the facial, voice, text and fusion models
+  moodDetect: { windowMs: 60 * 1000, max: 10, keyBy: 'user' }
+};
+
+/**
+ * Identify the caller a policy counts against
+ */
+function getClientKey(req, keyBy) {
+  if (keyBy === 'user' && req.user) {
+    return `user:${req.user.id}`;
+  }
+  return `ip:${req.ip}`;
+}
+
+/**
+ * The limit a policy sets for this caller
+ */
+function limitFor(policy, req) {
+  const planLimit = policy.plans && req.user ? policy.plans[req.user.plan] : undefined;
+  return planLimit ?? policy.max;
+}
+
+/**
+ * Expose the most restrictive limit that applied to this request
+ */
+function setRateLimitHeaders(req, res, state) {
+  if (req.rateLimit && req.rateLimit.remaining <= state.remaining) return;
+
+  req.rateLimit = state;
+  res.set({
+    'X-RateLimit-Limit': String(state.limit),
+    'X-RateLimit-Remaining': String(state.remaining),
+    'X-RateLimit-Reset': String(Math.ceil(state.resetAt / 1000))
+  });
+}
+
+/**
+ * Build a rateLimit(name) middleware factory backed by the given store
+ */
+function createRateLimiter(store, limits = {}) {
+  const policies = { ...DEFAULT_RATE_LIMITS };
+  Object.entries(limits).forEach(([name, policy]) => {
+    policies[name] = { ...policies[name], ...policy };
+  });
+
+  return function rateLimit(name) {
+    const policy = policies[name];
+    if (!policy) {
+      throw new Error(`Unknown rate limit policy: ${name}`);
+    }
+
+    return asyncHandler(async (req, res, next) => {
+      const { count, resetAt } = await store.increment(`${name}:${getClientKey(req, policy.keyBy)}`, policy.windowMs);
+      const max = limitFor(policy, req);
+
+      const state = {
+        limit: max,
+        remaining: Math.max(max - count, 0),
+        resetAt: resetAt
+      };
+      setRateLimitHeaders(req, res, state);
+
+      if (count > max) {
+        const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+        res.set('Retry-After', String(retryAfter));
+
+        throw new ApiError(429, 'RATE_LIMIT_EXCEEDED', 'Rate limit exceeded', {
+          limit: max,
+          windowMs: policy.windowMs,
+          retryAfter: retryAfter
+        });
+      }
+
+      next();
+    });
+  };
+}
+
+module.exports = { DEFAULT_RATE_LIMITS, createRateLimiter };
@@ -0,0 +1,12 @@
+const crypto = require('crypto');
+
+/**
+ * Attach a request ID to every request and echo it back to the client
+ */
+function requestId(req, res, next) {
+  req.id = req.get('X-Request-Id') || `req_${crypto.randomBytes(8).toString('hex')}`;
+  res.set('X-Request-Id', req.id);
+  next();
+}
+
+module.exports = requestId;
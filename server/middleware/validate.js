@@ -0,0 +1,110 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Build an Ajv instance that understands the OpenAPI annotations we use in schemas
+ */
+function createAjv(options) {
+  const ajv = new Ajv({ allErrors: false, verbose: true, useDefaults: true, ...options });
+  addFormats(ajv);
+  ajv.addFormat('binary', true);
+  ajv.addVocabulary(['example']);
+  return ajv;
+}
+
+// Query strings and path params are always strings, so coerce them to the schema types
+const paramsAjv = createAjv({ coerceTypes: 'array' });
+const bodyAjv = createAjv({ coerceTypes: false });
+
+/**
+ * Turn the first Ajv error into the documented { field, reason } details
+ */
+function toValidationError(location, errors) {
+  const error = errors.find(e => e.keyword === 'anyOf' || e.keyword === 'oneOf') || errors[0];
+
+  const path = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') {
+    path.push(error.params.missingProperty);
+  }
+  if (error.keyword === 'additionalProperties') {
+    path.push(error.params.additionalProperty);
+  }
+
+  const field = path.join('.') || location;
+  const description = error.parentSchema && error.parentSchema.description;
+  let reason = error.message;
+  if (error.keyword === 'enum') {
+    reason = `Expected one of: ${error.params.allowedValues.join(', ')}`;
+  } else if ((error.keyword === 'anyOf' || error.keyword === 'oneOf') && description) {
+    reason = `Expected ${description}`;
+  }
+
+  return new ApiError(400, 'VALIDATION_ERROR', `Invalid ${field}`, { field, location, reason });
+}
+
+/**
+ * Validate req.params, req.query and req.body against a route definition
+ * Validated (and defaulted/coerced) values replace the originals
+ */
+function validateRequest(route) {
+  const validators = [];
+
+  if (route.params) {
+    validators.push(['params', paramsAjv.compile(route.params)]);
+  }
+  if (route.query) {
+    validators.push(['query', paramsAjv.compile(route.query)]);
+  }
+  if (route.body) {
+    validators.push(['body', bodyAjv.compile(route.body.schema)]);
+  }
+
+  return (req, res, next) => {
+    for (const [location, validator] of validators) {
+      const value = location === 'body'
+        ? (req.body === undefined ? {} : req.body)
+        : { ...req[location] };
+
+      if (!validator(value)) {
+        return next(toValidationError(location, validator.errors));
+      }
+
+      req[location] = value;
+    }
+
+    next();
+  };
+}
+
+/**
+ * Check JSON responses against the documented success schemas
+ * Mismatches are logged rather than failing the request
+ */
+function validateResponse(route, responseSchemas) {
+  const validators = {};
+  Object.entries(responseSchemas).forEach(([status, schema]) => {
+    validators[status] = bodyAjv.compile(schema);
+  });
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+      const validator = validators[res.statusCode];
+      // Defaults are only filled in on the copy, never on what we send
+      if (validator && !validator(JSON.parse(JSON.stringify(body)))) {
+        const error = validator.errors[0];
+        console.warn(
+          `Response ${res.statusCode} for ${route.method.toUpperCase()} ${route.path} does not match its schema: ` +
+          `${error.instancePath || '(root)'} ${error.message}`
+        );
+      }
+      return json(body);
+    };
+
+    next();
+  };
+}
+
+module.exports = { validateRequest, validateResponse };
@@ -365,12 +365,19 @@ const environmentChangeSchema = new mongoose.Schema({
   changeType: {
     type: String,
     required: true,
-    enum: ['lighting', 'climate', 'audio', 'scene', 'automation']
+    enum: ['environment', 'lighting', 'climate', 'audio', 'scene', 'automation', 'revert']
+  },
+  // Set once the change has been undone; a revert is itself recorded with revertOf
+  revertedAt: Date,
+  revertOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EnvironmentChange'
   },
   devices: [{
     id: String,
     platform: String,
-    type: String,
+    // Spelled out so mongoose doesn't read this as the array's element type
+    type: { type: String },
     name: String,
     previousState: mongoose.Schema.Types.Mixed,
     newState: mongoose.Schema.Types.Mixed,
@@ -780,7 +787,10 @@ userSessionSchema.statics.getActiveUsers = function(timeframe = '24h') {
   });
 };
 
-moodDetectionSchema.statics.getMoodTrends = function(userId, days = 30) {
+moodDetectionSchema.statics.getMoodTrends = function(userId, days = 30, options = {}) {
+  const { period = 'daily', timezone = 'UTC' } = options;
+  const formats = { daily: '%Y-%m-%d', weekly: '%G-W%V', monthly: '%Y-%m' };
+  
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
   
@@ -796,8 +806,9 @@ moodDetectionSchema.statics.getMoodTrends = function(userId, days = 30) {
         _id: {
           date: {
             $dateToString: {
-              format: '%Y-%m-%d',
-              date: '$timestamp'
+              format: formats[period] || formats.daily,
+              date: '$timestamp',
+              timezone: timezone
             }
           },
           mood: '$primaryMood.emotion'
@@ -813,6 +824,58 @@ moodDetectionSchema.statics.getMoodTrends = function(userId, days = 30) {
   ]);
 };
 
+moodDetectionSchema.statics.getDailyMoodPattern = function(userId, days = 30, timezone = 'UTC') {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  
+  return this.aggregate([
+    {
+      $match: {
+        userId: userId,
+        timestamp: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          hour: { $hour: { date: '$timestamp', timezone: timezone } },
+          mood: '$primaryMood.emotion'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { '_id.hour': 1 }
+    }
+  ]);
+};
+
+moodDetectionSchema.statics.getWeeklyMoodPattern = function(userId, days = 30, timezone = 'UTC') {
+  const startDate = new Date();
+  startDate.setDate(startDate.getDate() - days);
+  
+  return this.aggregate([
+    {
+      $match: {
+        userId: userId,
+        timestamp: { $gte: startDate }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          dayOfWeek: { $dayOfWeek: { date: '$timestamp', timezone: timezone } }, // 1 = Sunday
+          mood: '$primaryMood.emotion'
+        },
+        count: { $sum: 1 }
+      }
+    },
+    {
+      $sort: { '_id.dayOfWeek': 1 }
+    }
+  ]);
+};
+
 musicInteractionSchema.statics.getListeningPatterns = function(userId, days = 30) {
   const startDate = new Date();
   startDate.setDate(startDate.getDate() - days);
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const AUTOMATION_TRIGGERS = ['mood_detected', 'mood_duration', 'time', 'device_state_changed', 'sensor_reading'];
+const CONDITION_TYPES = ['confidence', 'time', 'sun', 'mood', 'day_of_week', 'device_state', 'all', 'any', 'not'];
+const ACTION_TYPES = ['apply_mood_environment', 'set_all_lights', 'send_notification'];
+
+// Executions kept on each rule; older entries are dropped as new ones arrive
+const HISTORY_LIMIT = 20;
+
+const actionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ACTION_TYPES
+  },
+  mood: String,
+  roomId: String,
+  intensity: Number,
+  brightness: Number,
+  color: String,
+  temperature: Number,
+  message: String
+}, { _id: false });
+
+// Automation Rule Schema
+const automationSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  trigger: {
+    type: String,
+    required: true,
+    enum: AUTOMATION_TRIGGERS
+  },
+  // Trigger filters, e.g. { deviceId, attribute } or { mood, minutes }
+  triggerOptions: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  // Condition trees nest through all/any/not groups, so they're stored as-is
+  conditions: [mongoose.Schema.Types.Mixed],
+  actions: {
+    type: [actionSchema],
+    validate: actions => actions.length > 0
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+  lastTriggered: Date,
+  executionCount: {
+    type: Number,
+    default: 0
+  },
+  history: [{
+    timestamp: Date,
+    trigger: String,
+    success: Boolean,
+    actions: [{
+      _id: false,
+      type: { type: String },
+      success: Boolean,
+      error: String
+    }]
+  }]
+}, {
+  timestamps: true
+});
+
+automationSchema.index({ enabled: 1, trigger: 1 });
+
+// Instance methods
+automationSchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    trigger: this.trigger,
+    triggerOptions: this.triggerOptions || {},
+    conditions: this.conditions,
+    actions: this.actions.map(action => action.toObject()),
+    enabled: this.enabled,
+    lastTriggered: this.lastTriggered || null,
+    executionCount: this.executionCount,
+    history: this.history.map(entry => ({
+      timestamp: entry.timestamp,
+      trigger: entry.trigger,
+      success: entry.success,
+      actions: entry.actions.map(action => ({
+        type: action.type,
+        success: action.success,
+        error: action.error
+      }))
+    })).reverse(),
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = {
+  AUTOMATION_TRIGGERS,
+  CONDITION_TYPES,
+  ACTION_TYPES,
+  HISTORY_LIMIT,
+  Automation: mongoose.model('Automation', automationSchema)
+};
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+/**
+ * Per-user music platform connection and OAuth credentials
+ */
+const musicAccountSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  platform: {
+    type: String,
+    required: true,
+    enum: ['spotify', 'appleMusic', 'youtubeMusic', 'soundcloud']
+  },
+  platformUserId: String,
+  displayName: String,
+  accessToken: {
+    type: String,
+    required: true
+  },
+  refreshToken: {
+    type: String,
+    required: true
+  },
+  scope: [String],
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['connected', 'reauth_required'],
+    default: 'connected'
+  },
+  lastRefreshedAt: Date,
+  lastSync: Date
+}, {
+  timestamps: true
+});
+
+musicAccountSchema.index({ userId: 1, platform: 1 }, { unique: true });
+
+// Instance methods
+musicAccountSchema.methods.expiresWithin = function(milliseconds) {
+  return this.expiresAt.getTime() - Date.now() <= milliseconds;
+};
+
+musicAccountSchema.methods.toStatus = function() {
+  return {
+    platform: this.platform,
+    connected: this.status === 'connected',
+    status: this.status,
+    platformUserId: this.platformUserId,
+    displayName: this.displayName,
+    scope: this.scope,
+    lastSync: this.lastSync || null
+  };
+};
+
+module.exports = mongoose.model('MusicAccount', musicAccountSchema);
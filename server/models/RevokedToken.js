@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Revocation list for issued JWTs, keyed by token ID (jti)
+ * Entries expire together with the token they revoke
+ */
+const revokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  tokenType: {
+    type: String,
+    enum: ['access', 'refresh'],
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['logout', 'rotated', 'revoked'],
+    default: 'revoked'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Let MongoDB drop entries once the token would have expired anyway
+revokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+revokedTokenSchema.statics.isRevoked = async function(jti) {
+  return (await this.exists({ jti: jti })) !== null;
+};
+
+revokedTokenSchema.statics.revoke = function(payload, reason = 'revoked') {
+  return this.updateOne(
+    { jti: payload.jti },
+    {
+      $setOnInsert: {
+        jti: payload.jti,
+        userId: payload.sub,
+        tokenType: payload.type,
+        reason: reason,
+        expiresAt: new Date(payload.exp * 1000)
+      }
+    },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('RevokedToken', revokedTokenSchema);
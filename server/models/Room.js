@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+const ROOM_KINDS = ['room', 'zone'];
+
+/**
+ * User-defined room or zone grouping smart home devices
+ * Rooms imported from Hue groups, SmartThings rooms and the like live in SmartHomeService, not here
+ */
+const roomSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  kind: {
+    type: String,
+    enum: ROOM_KINDS,
+    default: 'room'
+  },
+  deviceIds: [String]
+}, {
+  timestamps: true
+});
+
+// Instance methods
+roomSchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    kind: this.kind,
+    source: 'manual',
+    editable: true,
+    deviceIds: this.deviceIds
+  };
+};
+
+module.exports = {
+  ROOM_KINDS,
+  Room: mongoose.model('Room', roomSchema)
+};
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * Saved smart home scene: per-device settings captured from the home, either on request
+ * or after an environment apply, replayed through SmartHomeService.controlDevice on activation
+ */
+const sceneSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // Room or zone the scene was captured in, if it was room-targeted
+  roomId: String,
+  // Mood and environment of the apply that saved the scene; unset for snapshots
+  mood: String,
+  intensity: {
+    type: Number,
+    min: 0,
+    max: 1
+  },
+  environment: mongoose.Schema.Types.Mixed,
+  devices: [{
+    deviceId: { type: String, required: true },
+    name: String,
+    platform: String,
+    type: { type: String },
+    settings: mongoose.Schema.Types.Mixed
+  }],
+  lastUsed: Date,
+  useCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+sceneSchema.index({ userId: 1, lastUsed: -1, createdAt: -1 });
+
+// Instance methods
+sceneSchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    name: this.name,
+    roomId: this.roomId || null,
+    mood: this.mood,
+    intensity: this.intensity,
+    deviceCount: this.devices.length,
+    created: this.createdAt,
+    lastUsed: this.lastUsed || null
+  };
+};
+
+module.exports = mongoose.model('Scene', sceneSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const SCRYPT_KEY_LENGTH = 64;
+
+// Subscription plans; each has its own hourly API allowance (see middleware/rateLimit)
+const PLANS = ['free', 'premium', 'enterprise'];
+
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  plan: {
+    type: String,
+    enum: PLANS,
+    default: 'free'
+  },
+  preferences: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  lastActive: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  minimize: false
+});
+
+// Static methods
+userSchema.statics.hashPassword = function(password) {
+  return new Promise((resolve, reject) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(`${salt}:${derivedKey.toString('hex')}`);
+    });
+  });
+};
+
+// Instance methods
+userSchema.methods.verifyPassword = function(password) {
+  return new Promise((resolve, reject) => {
+    const [salt, hash] = this.passwordHash.split(':');
+    crypto.scrypt(password, salt, SCRYPT_KEY_LENGTH, (error, derivedKey) => {
+      if (error) return reject(error);
+      resolve(crypto.timingSafeEqual(Buffer.from(hash, 'hex'), derivedKey));
+    });
+  });
+};
+
+userSchema.methods.toProfile = function() {
+  return {
+    id: this.id,
+    email: this.email,
+    name: this.name,
+    plan: this.plan,
+    preferences: this.preferences || {}
+  };
+};
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = ['mood_detected', 'environment_changed', 'music_played'];
+
+// Webhook Subscription Schema
+const webhookSubscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: events => events.length > 0
+  },
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  lastDeliveryAt: Date
+}, {
+  timestamps: true
+});
+
+// Webhook Delivery Schema
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true,
+    enum: WEBHOOK_EVENTS
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [{
+    attempt: Number,
+    timestamp: Date,
+    success: Boolean,
+    responseStatus: Number,
+    error: String,
+    duration: Number
+  }],
+  nextAttemptAt: Date,
+  lockedUntil: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+webhookSubscriptionSchema.index({ userId: 1, active: 1, events: 1 });
+
+webhookDeliverySchema.index({ userId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// Instance methods
+webhookSubscriptionSchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    url: this.url,
+    events: this.events,
+    active: this.active,
+    consecutiveFailures: this.consecutiveFailures,
+    lastDeliveryAt: this.lastDeliveryAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+webhookDeliverySchema.methods.toSummary = function() {
+  return {
+    id: this.id,
+    subscriptionId: this.subscriptionId.toString(),
+    event: this.event,
+    status: this.status,
+    attempts: this.attempts.map(attempt => ({
+      attempt: attempt.attempt,
+      timestamp: attempt.timestamp,
+      success: attempt.success,
+      responseStatus: attempt.responseStatus,
+      error: attempt.error,
+      duration: attempt.duration
+    })),
+    nextAttemptAt: this.nextAttemptAt || null,
+    deliveredAt: this.deliveredAt || null,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WebhookSubscription: mongoose.model('WebhookSubscription', webhookSubscriptionSchema),
+  WebhookDelivery: mongoose.model('WebhookDelivery', webhookDeliverySchema)
+};
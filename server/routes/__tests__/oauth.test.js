@@ -0,0 +1,63 @@
+const express = require('express');
+const axios = require('axios');
+const createOAuthRouter = require('../oauth');
+const MusicAccount = require('../../models/MusicAccount');
+const { OpenApiRegistry } = require('../../utils/openapi');
+
+describe('OAuth routes', () => {
+  let server;
+  let baseUrl;
+  let spotifyAuthService;
+
+  beforeEach(async () => {
+    spotifyAuthService = {
+      connect: jest.fn(async (userId) => new MusicAccount({
+        userId: userId,
+        platform: 'spotify',
+        platformUserId: 'spotify-ada',
+        displayName: 'Ada',
+        accessToken: 'access',
+        refreshToken: 'refresh',
+        scope: ['user-read-private', 'user-modify-playback-state'],
+        expiresAt: new Date(Date.now() + 3600 * 1000)
+      }).toStatus())
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/auth/oauth', createOAuthRouter({
+      authService: {},
+      spotifyAuthService: spotifyAuthService,
+      musicServiceRegistry: {},
+      requireAuth: (req, res, next) => {
+        req.user = { id: 'user-1' };
+        next();
+      },
+      openapi: new OpenApiRegistry({ validateResponses: true }).scope('/auth/oauth')
+    }));
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    jest.restoreAllMocks();
+  });
+
+  it('returns the linked account with its scopes as a list that matches the documented schema', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await axios.post(`${baseUrl}/auth/oauth/spotify`, { code: 'code-1' });
+
+    expect(spotifyAuthService.connect).toHaveBeenCalledWith('user-1', 'code-1', undefined);
+    expect(response.data.data.account).toMatchObject({
+      platform: 'spotify',
+      connected: true,
+      scope: ['user-read-private', 'user-modify-playback-state']
+    });
+    expect(warn).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,111 @@
+const express = require('express');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const createSmartHomeRouter = require('../smarthome');
+const SmartHomeService = require('../../services/SmartHomeService');
+const { Automation } = require('../../models/Automation');
+const { OpenApiRegistry } = require('../../utils/openapi');
+const { errorHandler } = require('../../middleware/errorHandler');
+
+const morningRule = {
+  name: 'Morning',
+  trigger: 'time',
+  conditions: [{ type: 'time', operator: 'between', value: ['07:00', '08:00'] }],
+  actions: [{ type: 'send_notification', message: 'Good morning' }]
+};
+
+describe('Smart home automation routes', () => {
+  let server;
+  let client;
+  let smartHomeService;
+
+  beforeEach(async () => {
+    smartHomeService = new SmartHomeService();
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = { id: 'user-1' };
+      next();
+    });
+    app.use('/smarthome', createSmartHomeRouter({
+      smartHomeService: smartHomeService,
+      openapi: new OpenApiRegistry({ validateResponses: true }).scope('/smarthome')
+    }));
+    app.use(errorHandler);
+
+    await new Promise(resolve => {
+      server = app.listen(0, '127.0.0.1', resolve);
+    });
+    client = axios.create({
+      baseURL: `http://127.0.0.1:${server.address().port}/smarthome`,
+      validateStatus: () => true
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    await new Promise(resolve => server.close(resolve));
+    clearInterval(smartHomeService.automationTimer);
+    jest.restoreAllMocks();
+  });
+
+  it('creates a rule for the signed-in user and starts watching it', async () => {
+    jest.spyOn(Automation, 'create').mockImplementation(async (doc) => new Automation(doc));
+
+    const response = await client.post('/automations', morningRule);
+
+    expect(response.status).toBe(201);
+    expect(Automation.create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', name: 'Morning' }));
+    expect(response.data.data).toMatchObject({
+      name: 'Morning',
+      trigger: 'time',
+      enabled: true,
+      lastTriggered: null,
+      history: []
+    });
+    expect(smartHomeService.automations.has(response.data.data.id)).toBe(true);
+    expect(console.warn).not.toHaveBeenCalled();
+  });
+
+  it('rejects a time rule without a time condition', async () => {
+    const create = jest.spyOn(Automation, 'create');
+
+    const response = await client.post('/automations', { ...morningRule, conditions: [] });
+
+    expect(response.status).toBe(400);
+    expect(response.data.error).toMatchObject({ code: 'VALIDATION_ERROR', details: { field: 'conditions' } });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('replaces a rule and stops watching it once disabled', async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    smartHomeService.automations.set(id, new Automation({ _id: id, userId: 'user-1', ...morningRule }));
+    const update = jest.spyOn(Automation, 'findOneAndUpdate').mockImplementation(async (filter, { $set }) =>
+      new Automation({ _id: id, userId: 'user-1', ...$set }));
+
+    const response = await client.put(`/automations/${id}`, { ...morningRule, name: 'Later', enabled: false });
+
+    expect(response.status).toBe(200);
+    expect(update.mock.calls[0][0]).toEqual({ _id: id, userId: 'user-1' });
+    expect(response.data.data).toMatchObject({ id: id, name: 'Later', enabled: false });
+    expect(smartHomeService.automations.has(id)).toBe(false);
+  });
+
+  it('deletes a rule and reports rules the user does not own as not found', async () => {
+    const id = new mongoose.Types.ObjectId().toString();
+    smartHomeService.automations.set(id, new Automation({ _id: id, userId: 'user-1', ...morningRule }));
+    jest.spyOn(Automation, 'findOneAndDelete')
+      .mockResolvedValueOnce(new Automation({ _id: id, userId: 'user-1', ...morningRule }))
+      .mockResolvedValueOnce(null);
+
+    const deleted = await client.delete(`/automations/${id}`);
+    const missing = await client.delete(`/automations/${id}`);
+
+    expect(deleted.status).toBe(200);
+    expect(deleted.data.data).toEqual({ deleted: true });
+    expect(smartHomeService.automations.has(id)).toBe(false);
+    expect(missing.status).toBe(404);
+    expect(missing.data.error.code).toBe('AUTOMATION_NOT_FOUND');
+  });
+});
@@ -0,0 +1,86 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { sessionSchema } = require('../schemas/common');
+
+const credentials = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: {
+    email: { type: 'string', format: 'email' },
+    password: { type: 'string', minLength: 1 }
+  }
+};
+
+const refreshBody = {
+  type: 'object',
+  required: ['refreshToken'],
+  properties: {
+    refreshToken: { type: 'string', minLength: 1 }
+  }
+};
+
+/**
+ * Authentication routes
+ */
+function createAuthRouter({ authService, requireAuth, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  route.post('/register', {
+    summary: 'Create an account and sign in',
+    body: {
+      schema: {
+        ...credentials,
+        properties: {
+          ...credentials.properties,
+          password: { type: 'string', minLength: 8 },
+          name: { type: 'string' }
+        }
+      }
+    },
+    responses: { 201: { description: 'Account created', data: sessionSchema } }
+  }, asyncHandler(async (req, res) => {
+    const session = await authService.register(req.body);
+    res.status(201).json({ success: true, data: session });
+  }));
+
+  route.post('/login', {
+    summary: 'Sign in with email and password',
+    body: { schema: credentials },
+    responses: { 200: { description: 'Signed in', data: sessionSchema } }
+  }, asyncHandler(async (req, res) => {
+    const session = await authService.login(req.body);
+    res.json({ success: true, data: session });
+  }));
+
+  route.post('/refresh', {
+    summary: 'Exchange a refresh token for a new token pair',
+    body: { schema: refreshBody },
+    responses: { 200: { description: 'Token pair rotated', data: sessionSchema } }
+  }, asyncHandler(async (req, res) => {
+    const session = await authService.refresh(req.body.refreshToken);
+    res.json({ success: true, data: session });
+  }));
+
+  route.post('/logout', {
+    summary: 'Revoke the current access token and optionally its refresh token',
+    secured: true,
+    body: {
+      required: false,
+      schema: { type: 'object', properties: refreshBody.properties }
+    },
+    responses: {
+      200: {
+        description: 'Tokens revoked',
+        data: { type: 'object', required: ['revoked'], properties: { revoked: { type: 'boolean' } } }
+      }
+    }
+  }, requireAuth, asyncHandler(async (req, res) => {
+    await authService.logout(req.auth, req.body.refreshToken);
+    res.json({ success: true, data: { revoked: true } });
+  }));
+
+  return router;
+}
+
+module.exports = createAuthRouter;
@@ -0,0 +1,256 @@
+const express = require('express');
+const multer = require('multer');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/errors');
+const { EMOTIONS, isoDate, paginationQuery, paginationSchema } = require('../schemas/common');
+
+// Uploads stay in memory and are handed to EmotionEngine as buffers
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 2 }
+});
+
+const detectUploads = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'audio', maxCount: 1 }
+]);
+
+const TREND_PERIODS = ['daily', 'weekly', 'monthly'];
+
+const scoredMoodSchema = {
+  type: 'object',
+  required: ['emotion', 'confidence'],
+  properties: {
+    emotion: { type: 'string', enum: EMOTIONS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    intensity: { type: 'number', minimum: 0, maximum: 1 }
+  }
+};
+
+const detectionSchema = {
+  type: 'object',
+  required: ['detectionId', 'primaryMood', 'secondaryMoods', 'timestamp'],
+  properties: {
+    detectionId: { type: 'string' },
+    primaryMood: scoredMoodSchema,
+    secondaryMoods: { type: 'array', items: scoredMoodSchema },
+    modalityContributions: { type: 'object' },
+    processingTime: { type: 'number' },
+    timestamp: { type: 'string', format: 'date-time' },
+    insights: {
+      type: 'object',
+      properties: {
+        authenticity: { type: 'number' },
+        stability: { type: 'number' },
+        triggers: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  }
+};
+
+const historySchema = {
+  type: 'object',
+  required: ['moods', 'pagination', 'analytics'],
+  properties: {
+    moods: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'primaryMood', 'timestamp'],
+        properties: {
+          id: { type: 'string' },
+          primaryMood: scoredMoodSchema,
+          timestamp: { type: 'string', format: 'date-time' },
+          context: { type: 'object' }
+        }
+      }
+    },
+    pagination: paginationSchema,
+    analytics: {
+      type: 'object',
+      properties: {
+        averageMood: { type: 'string', nullable: true },
+        moodStability: { type: 'number', nullable: true },
+        dominantEmotions: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const trendsSchema = {
+  type: 'object',
+  required: ['period', 'days', 'trends', 'insights'],
+  properties: {
+    period: { type: 'string', enum: TREND_PERIODS },
+    days: { type: 'integer' },
+    trends: {
+      type: 'object',
+      properties: {
+        dailyPattern: { type: 'array', items: { type: 'object' } },
+        weeklyPattern: { type: 'array', items: { type: 'object' } },
+        timeline: { type: 'array', items: { type: 'object' } }
+      }
+    },
+    insights: { type: 'array', items: { type: 'object' } }
+  }
+};
+
+/**
+ * The part of an uploaded file EmotionEngine decodes
+ */
+function toMedia(file) {
+  return { buffer: file.buffer, mimetype: file.mimetype };
+}
+
+/**
+ * Parse the optional JSON-encoded context form field
+ */
+function parseContext(rawContext) {
+  if (!rawContext) return {};
+
+  try {
+    const context = typeof rawContext === 'string' ? JSON.parse(rawContext) : rawContext;
+    if (typeof context !== 'object' || Array.isArray(context) || context === null) {
+      throw new Error('Context must be a JSON object');
+    }
+    return context;
+  } catch (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid context', {
+      field: 'context',
+      reason: error.message
+    });
+  }
+}
+
+/**
+ * Accept emotions as repeated params, emotions[] or a comma-separated list
+ */
+function parseEmotions(values) {
+  if (values === undefined) return undefined;
+
+  return values
+    .flatMap(value => value.split(','))
+    .map(emotion => emotion.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+/**
+ * Validate an IANA timezone name such as "Europe/Berlin"
+ */
+function parseTimezone(value) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return value;
+  } catch (error) {
+    throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid timezone', {
+      field: 'timezone',
+      reason: 'Expected an IANA timezone name'
+    });
+  }
+}
+
+/**
+ * Mood detection routes
+ */
+function createMoodRouter({ moodDetectionService, rateLimit, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  route.post('/detect', {
+    summary: 'Detect mood from an image, audio clip and/or text',
+    body: {
+      contentType: 'multipart/form-data',
+      schema: {
+        type: 'object',
+        properties: {
+          image: { type: 'string', format: 'binary', description: 'Face image, JPEG or PNG (max 10MB)' },
+          audio: { type: 'string', format: 'binary', description: 'Voice recording, WAV (max 10MB)' },
+          text: { type: 'string', maxLength: 5000 },
+          context: { type: 'string', description: 'JSON-encoded detection context' }
+        }
+      }
+    },
+    responses: { 201: { description: 'Mood detected', data: detectionSchema } }
+  }, rateLimit('moodDetect'), detectUploads, asyncHandler(async (req, res) => {
+    const files = req.files || {};
+    const inputs = {};
+
+    if (files.image) {
+      inputs.image = toMedia(files.image[0]);
+    }
+    if (files.audio) {
+      inputs.audio = toMedia(files.audio[0]);
+    }
+    if (typeof req.body.text === 'string' && req.body.text.trim()) {
+      inputs.text = req.body.text.trim();
+    }
+
+    if (Object.keys(inputs).length === 0) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'At least one of image, audio or text is required');
+    }
+
+    const context = parseContext(req.body.context);
+    const sessionId = req.get('X-Session-Id') || context.sessionId;
+
+    const detection = await moodDetectionService.detect(req.user.id, inputs, context, sessionId);
+
+    res.status(201).json({ success: true, data: detection });
+  }));
+
+  route.get('/history', {
+    summary: 'Get mood history with filters and summary analytics',
+    query: {
+      type: 'object',
+      properties: {
+        startDate: isoDate('an ISO 8601 date'),
+        endDate: isoDate('an ISO 8601 date'),
+        ...paginationQuery,
+        emotions: {
+          type: 'array',
+          items: { type: 'string' },
+          description: 'Only these emotions; repeated or comma-separated'
+        },
+        minConfidence: { type: 'number', minimum: 0, maximum: 1, description: 'Minimum confidence threshold' }
+      }
+    },
+    responses: { 200: { description: 'Mood history page', data: historySchema } }
+  }, asyncHandler(async (req, res) => {
+    const { startDate, endDate, limit, offset, emotions, minConfidence } = req.query;
+
+    const history = await moodDetectionService.getHistory(req.user.id, {
+      startDate: startDate && new Date(startDate),
+      endDate: endDate && new Date(endDate),
+      limit: limit,
+      offset: offset,
+      emotions: parseEmotions(emotions),
+      minConfidence: minConfidence
+    });
+
+    res.json({ success: true, data: history });
+  }));
+
+  route.get('/trends', {
+    summary: 'Get mood trends, daily and weekly patterns and insights',
+    query: {
+      type: 'object',
+      properties: {
+        period: { type: 'string', enum: TREND_PERIODS, default: 'daily', description: 'Timeline granularity' },
+        days: { type: 'integer', minimum: 1, maximum: 365, default: 30, description: 'Number of days to analyze' },
+        timezone: { type: 'string', default: 'UTC', description: 'IANA timezone for hour and weekday buckets' }
+      }
+    },
+    responses: { 200: { description: 'Mood trends', data: trendsSchema } }
+  }, asyncHandler(async (req, res) => {
+    const trends = await moodDetectionService.getTrends(req.user.id, {
+      period: req.query.period,
+      days: req.query.days,
+      timezone: parseTimezone(req.query.timezone)
+    });
+
+    res.json({ success: true, data: trends });
+  }));
+
+  return router;
+}
+
+module.exports = createMoodRouter;
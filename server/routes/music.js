@@ -0,0 +1,278 @@
+const crypto = require('crypto');
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { moodDataSchema } = require('../schemas/common');
+
+const PLATFORM_FEATURES = {
+  spotify: ['recommendations', 'playback', 'playlists'],
+  appleMusic: ['recommendations'],
+  youtubeMusic: ['recommendations'],
+  soundcloud: ['recommendations']
+};
+
+const PLATFORMS = Object.keys(PLATFORM_FEATURES);
+
+const trackSchema = {
+  type: 'object',
+  required: ['id', 'platform'],
+  properties: {
+    id: { type: 'string' },
+    platform: { type: 'string' },
+    title: { type: 'string' },
+    artist: { type: 'string' },
+    uri: { type: 'string' }
+  }
+};
+
+const contextSchema = {
+  type: 'object',
+  properties: {
+    activity: { type: 'string' },
+    timeOfDay: { type: 'string' },
+    weather: { type: 'string' },
+    location: { type: 'string' }
+  }
+};
+
+/**
+ * Music intelligence routes, served by the caller's own music service instance
+ */
+function createMusicRouter({ musicServiceRegistry, spotifyAuthService, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  route.post('/recommendations', {
+    summary: 'Get mood-based track recommendations',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['moodData'],
+        properties: {
+          moodData: moodDataSchema,
+          context: contextSchema,
+          options: {
+            type: 'object',
+            properties: {
+              limit: { type: 'integer', minimum: 1, maximum: 100 },
+              platforms: { type: 'array', items: { type: 'string', enum: PLATFORMS }, minItems: 1 },
+              strategy: { type: 'string' },
+              diversityFactor: { type: 'number', minimum: 0, maximum: 1 }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Recommendations',
+        data: {
+          type: 'object',
+          required: ['recommendationId', 'mood', 'recommendations'],
+          properties: {
+            recommendationId: { type: 'string' },
+            mood: { type: 'string' },
+            strategy: { type: 'string' },
+            totalTracks: { type: 'integer' },
+            recommendations: { type: 'array', items: trackSchema },
+            audioFeatures: { type: 'object' },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { moodData, context = {}, options = {} } = req.body;
+
+    const musicService = await musicServiceRegistry.get(req.user.id);
+    const result = await musicService.getMoodBasedRecommendations(moodData, context, options);
+
+    res.json({
+      success: true,
+      data: {
+        recommendationId: `rec_${crypto.randomBytes(8).toString('hex')}`,
+        mood: result.mood,
+        strategy: result.strategy,
+        totalTracks: result.totalTracks,
+        recommendations: result.recommendations,
+        audioFeatures: result.audioFeatures,
+        timestamp: result.timestamp
+      }
+    });
+  }));
+
+  route.post('/playlist/create', {
+    summary: 'Create a playlist for a mood',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['moodData'],
+        properties: {
+          moodData: moodDataSchema,
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          description: { type: 'string', maxLength: 300 },
+          platform: { type: 'string', enum: PLATFORMS, default: 'spotify' },
+          isPublic: { type: 'boolean', default: false },
+          trackIds: { type: 'array', items: { type: 'string' }, maxItems: 100 }
+        }
+      }
+    },
+    responses: {
+      201: {
+        description: 'Playlist created',
+        data: {
+          type: 'object',
+          required: ['playlist'],
+          properties: {
+            playlist: {
+              type: 'object',
+              required: ['id', 'platform'],
+              properties: {
+                id: { type: 'string' },
+                name: { type: 'string' },
+                url: { type: 'string' },
+                trackCount: { type: 'integer' },
+                platform: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { moodData, name, description, platform, isPublic, trackIds } = req.body;
+
+    const musicService = await musicServiceRegistry.get(req.user.id);
+
+    let tracks;
+    if (Array.isArray(trackIds) && trackIds.length > 0) {
+      tracks = trackIds.map(id => ({ id, platform, uri: `spotify:track:${id}` }));
+    } else {
+      const result = await musicService.getMoodBasedRecommendations(moodData, {}, { platforms: [platform], limit: 25 });
+      tracks = result.recommendations;
+    }
+
+    const playlist = await musicService.createMoodPlaylist(moodData, tracks, {
+      name,
+      description,
+      platform,
+      isPublic
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        playlist: { ...playlist, createdAt: new Date().toISOString() }
+      }
+    });
+  }));
+
+  route.post('/play', {
+    summary: 'Start mood music on a playback device',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['moodData'],
+        properties: {
+          moodData: moodDataSchema,
+          platform: { type: 'string', enum: PLATFORMS, default: 'spotify' },
+          deviceId: { type: 'string', nullable: true, default: null },
+          context: contextSchema,
+          options: {
+            type: 'object',
+            properties: {
+              shuffle: { type: 'boolean' },
+              volume: { type: 'integer', minimum: 0, maximum: 100 }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Playback started',
+        data: {
+          type: 'object',
+          required: ['success', 'platform'],
+          properties: {
+            success: { type: 'boolean' },
+            tracksCount: { type: 'integer' },
+            currentTrack: trackSchema,
+            platform: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { moodData, platform, deviceId, options = {}, context = {} } = req.body;
+
+    const musicService = await musicServiceRegistry.get(req.user.id);
+    const playback = await musicService.playMoodMusic(moodData, context, {
+      platform,
+      deviceId,
+      shuffle: options.shuffle,
+      volume: options.volume ?? null
+    });
+
+    res.json({ success: true, data: playback });
+  }));
+
+  route.get('/platforms', {
+    summary: 'List music platforms and connection status',
+    responses: {
+      200: {
+        description: 'Platforms',
+        data: {
+          type: 'object',
+          required: ['platforms'],
+          properties: {
+            platforms: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['name', 'connected', 'features'],
+                properties: {
+                  name: { type: 'string' },
+                  connected: { type: 'boolean' },
+                  features: { type: 'array', items: { type: 'string' } },
+                  lastSync: { type: 'string', format: 'date-time', nullable: true }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const [spotify, musicService] = await Promise.all([
+      spotifyAuthService.getStatus(req.user.id),
+      musicServiceRegistry.get(req.user.id)
+    ]);
+
+    const available = musicService.getServiceStats().platforms;
+
+    const platforms = Object.entries(PLATFORM_FEATURES).map(([name, features]) => {
+      if (name === 'spotify') {
+        return {
+          name: name,
+          connected: Boolean(spotify?.connected),
+          features: features,
+          lastSync: spotify?.lastSync || null
+        };
+      }
+
+      return {
+        name: name,
+        connected: available.includes(name),
+        features: features,
+        lastSync: null
+      };
+    });
+
+    res.json({ success: true, data: { platforms } });
+  }));
+
+  return router;
+}
+
+module.exports = createMusicRouter;
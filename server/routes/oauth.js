@@ -0,0 +1,146 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { ApiError } = require('../utils/errors');
+
+const musicAccount = {
+  type: 'object',
+  required: ['platform', 'connected', 'status'],
+  properties: {
+    platform: { type: 'string' },
+    connected: { type: 'boolean' },
+    status: { type: 'string', enum: ['connected', 'reauth_required'] },
+    platformUserId: { type: 'string' },
+    displayName: { type: 'string', nullable: true },
+    scope: { type: 'array', items: { type: 'string' } },
+    lastSync: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const connectedResponse = {
+  200: {
+    description: 'Spotify account linked',
+    data: { type: 'object', required: ['account'], properties: { account: musicAccount } }
+  }
+};
+
+/**
+ * Third-party OAuth routes for linking music platforms to a MoodSync account
+ */
+function createOAuthRouter({ authService, spotifyAuthService, musicServiceRegistry, requireAuth, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  // Start the flow: the client opens authorizeUrl and Spotify redirects back with code and state
+  route.get('/spotify', {
+    summary: 'Start linking a Spotify account',
+    secured: true,
+    query: {
+      type: 'object',
+      properties: {
+        redirectUri: { type: 'string', format: 'uri', description: 'Override the configured redirect URI' }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Authorization URL to open',
+        data: {
+          type: 'object',
+          required: ['authorizeUrl', 'state'],
+          properties: {
+            authorizeUrl: { type: 'string', format: 'uri' },
+            state: { type: 'string' }
+          }
+        }
+      }
+    }
+  }, requireAuth, asyncHandler(async (req, res) => {
+    const state = authService.createOAuthState(req.user.id, 'spotify');
+    const redirectUri = req.query.redirectUri;
+
+    res.json({
+      success: true,
+      data: {
+        authorizeUrl: spotifyAuthService.getAuthorizeUrl(state, redirectUri),
+        state: state
+      }
+    });
+  }));
+
+  // Clients that handle the redirect themselves post the code here
+  route.post('/spotify', {
+    summary: 'Complete linking with an authorization code',
+    secured: true,
+    body: {
+      schema: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+          code: { type: 'string', minLength: 1 },
+          redirectUri: { type: 'string', format: 'uri' },
+          state: { type: 'string' }
+        }
+      }
+    },
+    responses: connectedResponse
+  }, requireAuth, asyncHandler(async (req, res) => {
+    const { code, redirectUri, state } = req.body;
+
+    if (state !== undefined && authService.verifyOAuthState(state, 'spotify') !== req.user.id) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'OAuth state was issued for another user', { field: 'state' });
+    }
+
+    const account = await spotifyAuthService.connect(req.user.id, code, redirectUri);
+
+    res.json({ success: true, data: { account } });
+  }));
+
+  // Browser redirect target registered as SPOTIFY_REDIRECT_URI; the state identifies the user
+  route.get('/spotify/callback', {
+    summary: 'Spotify OAuth redirect target',
+    query: {
+      type: 'object',
+      properties: {
+        code: { type: 'string' },
+        state: { type: 'string' },
+        error: { type: 'string', description: 'Set by Spotify when the user denies access' }
+      }
+    },
+    responses: connectedResponse
+  }, asyncHandler(async (req, res) => {
+    const { code, state, error } = req.query;
+
+    if (error) {
+      throw new ApiError(400, 'OAUTH_DENIED', 'Spotify authorization was denied', { reason: error });
+    }
+    if (!code || !state) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'code and state are required');
+    }
+
+    const userId = authService.verifyOAuthState(state, 'spotify');
+    const account = await spotifyAuthService.connect(userId, code);
+
+    res.json({ success: true, data: { account } });
+  }));
+
+  route.delete('/spotify', {
+    summary: 'Unlink the Spotify account',
+    secured: true,
+    responses: {
+      200: {
+        description: 'Spotify account unlinked',
+        data: { type: 'object', required: ['disconnected'], properties: { disconnected: { type: 'boolean' } } }
+      }
+    }
+  }, requireAuth, asyncHandler(async (req, res) => {
+    const disconnected = await spotifyAuthService.disconnect(req.user.id);
+
+    // Drop the user's music services so no client keeps the old Spotify session
+    musicServiceRegistry.evictUser(req.user.id);
+
+    res.json({ success: true, data: { disconnected } });
+  }));
+
+  return router;
+}
+
+module.exports = createOAuthRouter;
@@ -0,0 +1,879 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { AUTOMATION_TRIGGERS } = require('../models/Automation');
+const { ROOM_KINDS } = require('../models/Room');
+const { EMOTIONS, ENVIRONMENT_MOODS, objectIdSchema, paginationQuery, paginationSchema } = require('../schemas/common');
+
+const DEVICE_TYPES = ['lighting', 'climate', 'security', 'entertainment', 'appliances', 'sensors', 'unknown'];
+// Built-in platforms; drivers loaded from SMART_HOME_DRIVERS add their own names
+const DEVICE_PLATFORMS = ['philipsHue', 'lifx', 'nest', 'smartThings', 'mqtt', 'sonos', 'virtual'];
+const platformDescription = `${DEVICE_PLATFORMS.join(', ')} or a third-party driver's name`;
+const DEVICE_STATUSES = ['online', 'offline'];
+
+const hexColor = { type: 'string', pattern: '^#[0-9a-fA-F]{6}$' };
+
+const roomIdSchema = {
+  type: 'string',
+  minLength: 1,
+  maxLength: 100,
+  description: 'Room or zone ID from GET /smarthome/rooms; only its devices change'
+};
+
+const customSettingsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    lighting: {
+      type: 'object',
+      properties: {
+        brightness: { type: 'number', minimum: 0, maximum: 100 },
+        color: hexColor,
+        temperature: { type: 'integer', minimum: 1500, maximum: 9000, description: 'Colour temperature in Kelvin' }
+      }
+    },
+    climate: {
+      type: 'object',
+      properties: {
+        temperature: { type: 'number', minimum: 10, maximum: 32, description: 'Setpoint in °C, kept within your comfort range' },
+        fan: { type: 'string', enum: ['off', 'low', 'medium', 'high'] }
+      }
+    },
+    music: {
+      type: 'object',
+      properties: {
+        volume: { type: 'number', minimum: 0, maximum: 100 },
+        genre: { type: 'string' },
+        playlist: { type: 'string', minLength: 1, maxLength: 200, description: 'Title of a saved Sonos playlist' },
+        stream: { type: 'string', minLength: 1, maxLength: 2000, description: 'Stream URL or other URI for Sonos speakers to play; takes precedence over playlist' }
+      }
+    }
+  }
+};
+
+const deviceResultSchema = {
+  type: 'object',
+  required: ['success'],
+  properties: {
+    deviceId: { type: 'string' },
+    deviceName: { type: 'string' },
+    platform: { type: 'string' },
+    success: { type: 'boolean' },
+    config: { type: 'object' },
+    previousConfig: { type: 'object', nullable: true, description: 'Settings captured just before the change' },
+    unsupported: {
+      type: 'array',
+      items: { type: 'string', enum: ['brightness', 'color', 'temperature', 'fan'] },
+      description: 'Requested attributes the device lacks, or a thermostat temperature while its mode has no setpoint; they were dropped or sent as the nearest supported setting'
+    },
+    code: { type: 'string' },
+    error: { type: 'string' }
+  }
+};
+
+const deviceSchema = {
+  type: 'object',
+  required: ['id', 'platform', 'name', 'type', 'status'],
+  properties: {
+    id: { type: 'string' },
+    platform: { type: 'string' },
+    name: { type: 'string' },
+    type: { type: 'string' },
+    subtype: { type: 'string' },
+    capabilities: { type: 'object' },
+    state: { type: 'object' },
+    status: { type: 'string', enum: DEVICE_STATUSES },
+    lastUpdated: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const climatePreferencesSchema = {
+  type: 'object',
+  required: ['unit', 'min', 'max'],
+  additionalProperties: false,
+  properties: {
+    unit: { type: 'string', enum: ['C', 'F'] },
+    min: { type: 'number', description: 'Lowest setpoint moods and scenes may set, in unit' },
+    max: { type: 'number', description: 'Highest setpoint moods and scenes may set, in unit' }
+  }
+};
+
+const speakerSelectionSchema = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  maxProperties: 1,
+  description: 'Either a roomId or deviceIds',
+  properties: {
+    roomId: roomIdSchema,
+    deviceIds: {
+      type: 'array',
+      items: { type: 'string' },
+      minItems: 1,
+      maxItems: 32,
+      uniqueItems: true,
+      description: 'Speakers in order; when grouping, the first coordinates the group'
+    }
+  }
+};
+
+const sceneSchema = {
+  type: 'object',
+  required: ['id', 'name', 'deviceCount', 'created', 'lastUsed'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    roomId: { type: 'string', nullable: true },
+    mood: { type: 'string' },
+    intensity: { type: 'number' },
+    deviceCount: { type: 'integer' },
+    created: { type: 'string', format: 'date-time' },
+    lastUsed: { type: 'string', format: 'date-time', nullable: true }
+  }
+};
+
+const timeOfDay = { type: 'string', pattern: '^([01]\\d|2[0-3]):[0-5]\\d$', description: '24-hour HH:MM' };
+
+const scalarValue = {
+  description: 'a string, number or boolean',
+  anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }]
+};
+
+const WEEKDAYS = ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'];
+const COMPARISON_OPERATORS = ['>', '<', '>=', '<=', '=', '!='];
+const SENSORS = ['motion', 'temperature', 'humidity', 'air_quality'];
+
+// Nesting limit for all/any/not groups; the schema is unrolled so the OpenAPI document needs no $refs
+const MAX_CONDITION_DEPTH = 3;
+
+const leafCondition = (type, operator, value, extra = {}, optional = {}) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['type', 'operator', 'value', ...Object.keys(extra)],
+  properties: {
+    type: { type: 'string', enum: [type] },
+    ...extra,
+    operator: { type: 'string', enum: operator },
+    value: value,
+    ...optional
+  }
+});
+
+const leafConditions = [
+  leafCondition('confidence', COMPARISON_OPERATORS, { type: 'number', minimum: 0, maximum: 1 }),
+  leafCondition('mood', ['=', '!='], { type: 'string', enum: EMOTIONS }),
+  leafCondition('time', ['=', 'before', 'after'], timeOfDay),
+  leafCondition('time', ['between'], { type: 'array', items: timeOfDay, minItems: 2, maxItems: 2 }),
+  leafCondition('sun', ['before', 'after'], { type: 'string', enum: ['sunrise', 'sunset'] }, {
+    latitude: { type: 'number', minimum: -90, maximum: 90 },
+    longitude: { type: 'number', minimum: -180, maximum: 180, description: 'Degrees east; west is negative' }
+  }, {
+    offset: { type: 'integer', minimum: -240, maximum: 240, description: 'Minutes to shift sunrise or sunset by' }
+  }),
+  leafCondition('day_of_week', ['in', 'not_in'], {
+    type: 'array',
+    items: { type: 'string', enum: WEEKDAYS },
+    minItems: 1,
+    uniqueItems: true
+  }),
+  leafCondition('device_state', COMPARISON_OPERATORS, scalarValue, {
+    deviceId: { type: 'string' },
+    attribute: { type: 'string', description: 'State attribute, e.g. on, brightness or motion' }
+  })
+];
+
+function conditionSchema(depth = MAX_CONDITION_DEPTH) {
+  const groups = depth > 0 ? [
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'conditions'],
+      properties: {
+        type: { type: 'string', enum: ['all', 'any'] },
+        conditions: { type: 'array', items: conditionSchema(depth - 1), minItems: 1, maxItems: 20 }
+      }
+    },
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'condition'],
+      properties: {
+        type: { type: 'string', enum: ['not'] },
+        condition: conditionSchema(depth - 1)
+      }
+    }
+  ] : [];
+
+  return {
+    description: 'a confidence, mood, time, sun, day_of_week or device_state condition, or an all/any/not group',
+    anyOf: [...leafConditions, ...groups]
+  };
+}
+
+const triggerOptionsSchema = {
+  type: 'object',
+  additionalProperties: false,
+  description: 'device_state_changed: deviceId, attribute. sensor_reading: sensor, deviceId, operator, value. mood_duration: mood, minutes.',
+  properties: {
+    deviceId: { type: 'string' },
+    attribute: { type: 'string' },
+    sensor: { type: 'string', enum: SENSORS },
+    operator: { type: 'string', enum: COMPARISON_OPERATORS },
+    value: scalarValue,
+    mood: { type: 'string', enum: EMOTIONS },
+    minutes: { type: 'integer', minimum: 1, maximum: 1440 }
+  }
+};
+
+const actionSchema = {
+  description: 'an apply_mood_environment, set_all_lights or send_notification action',
+  anyOf: [
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type'],
+      properties: {
+        type: { type: 'string', enum: ['apply_mood_environment'] },
+        mood: { type: 'string', enum: ENVIRONMENT_MOODS, description: 'Defaults to the detected mood' },
+        intensity: { type: 'number', minimum: 0, maximum: 1 },
+        roomId: roomIdSchema
+      }
+    },
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type'],
+      minProperties: 2,
+      properties: {
+        type: { type: 'string', enum: ['set_all_lights'] },
+        brightness: { type: 'number', minimum: 0, maximum: 100 },
+        color: hexColor,
+        temperature: { type: 'integer', minimum: 1500, maximum: 9000 },
+        roomId: roomIdSchema
+      }
+    },
+    {
+      type: 'object',
+      additionalProperties: false,
+      required: ['type', 'message'],
+      properties: {
+        type: { type: 'string', enum: ['send_notification'] },
+        message: { type: 'string', minLength: 1, maxLength: 500 }
+      }
+    }
+  ]
+};
+
+const automationBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'trigger', 'actions'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    trigger: { type: 'string', enum: AUTOMATION_TRIGGERS },
+    triggerOptions: { ...triggerOptionsSchema, default: {} },
+    conditions: { type: 'array', items: conditionSchema(), maxItems: 20, default: [] },
+    actions: { type: 'array', items: actionSchema, minItems: 1, maxItems: 20 },
+    enabled: { type: 'boolean', default: true }
+  }
+};
+
+const automationSchema = {
+  type: 'object',
+  required: ['id', 'name', 'trigger', 'conditions', 'actions', 'enabled', 'lastTriggered', 'history'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    trigger: { type: 'string', enum: AUTOMATION_TRIGGERS },
+    triggerOptions: { type: 'object' },
+    conditions: { type: 'array', items: { type: 'object' } },
+    actions: { type: 'array', items: { type: 'object' } },
+    enabled: { type: 'boolean' },
+    lastTriggered: { type: 'string', format: 'date-time', nullable: true },
+    executionCount: { type: 'integer' },
+    history: {
+      type: 'array',
+      description: 'Most recent executions first',
+      items: {
+        type: 'object',
+        properties: {
+          timestamp: { type: 'string', format: 'date-time' },
+          trigger: { type: 'string' },
+          success: { type: 'boolean' },
+          actions: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                type: { type: 'string' },
+                success: { type: 'boolean' },
+                error: { type: 'string' }
+              }
+            }
+          }
+        }
+      }
+    },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+const transitionSchema = {
+  type: 'number',
+  minimum: 0,
+  maximum: 3600,
+  description: 'Seconds to fade from the current state; omit to use the platform default'
+};
+
+const roomSchema = {
+  type: 'object',
+  required: ['id', 'name', 'kind', 'source', 'editable', 'deviceIds'],
+  properties: {
+    id: { type: 'string' },
+    name: { type: 'string' },
+    kind: { type: 'string', enum: ROOM_KINDS },
+    source: { type: 'string', description: `manual, or the platform it was imported from: ${platformDescription}` },
+    editable: { type: 'boolean', description: 'Only manual rooms can be changed here' },
+    deviceIds: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const roomBodySchema = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['name', 'deviceIds'],
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    kind: { type: 'string', enum: ROOM_KINDS, default: 'room', description: 'Zones may overlap rooms' },
+    deviceIds: { type: 'array', items: { type: 'string' }, maxItems: 200, uniqueItems: true }
+  }
+};
+
+const automationIdParams = {
+  type: 'object',
+  required: ['id'],
+  properties: { id: objectIdSchema }
+};
+
+/**
+ * Smart home device, environment, scene and automation routes
+ */
+function createSmartHomeRouter({ smartHomeService, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  route.get('/devices', {
+    summary: 'List connected smart home devices',
+    query: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: DEVICE_TYPES, description: 'Filter by device type' },
+        platform: { type: 'string', description: `Filter by platform: ${platformDescription}` },
+        status: { type: 'string', enum: DEVICE_STATUSES, description: 'Filter by status' }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Devices',
+        data: {
+          type: 'object',
+          required: ['devices', 'stats'],
+          properties: {
+            devices: { type: 'array', items: deviceSchema },
+            stats: {
+              type: 'object',
+              required: ['total', 'online', 'byType'],
+              properties: {
+                total: { type: 'integer' },
+                online: { type: 'integer' },
+                byType: { type: 'object', additionalProperties: { type: 'integer' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { type, platform, status } = req.query;
+
+    res.json({ success: true, data: smartHomeService.getDevices({ type, platform, status }) });
+  }));
+
+  route.get('/rooms', {
+    summary: 'List rooms and zones',
+    description: 'Rooms imported from Hue groups, SmartThings rooms, LIFX groups and Nest rooms, plus your manual rooms and zones.',
+    responses: {
+      200: {
+        description: 'Rooms and zones',
+        data: {
+          type: 'object',
+          required: ['rooms'],
+          properties: { rooms: { type: 'array', items: roomSchema } }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const rooms = await smartHomeService.listRooms(req.user.id);
+
+    res.json({ success: true, data: { rooms } });
+  }));
+
+  route.post('/rooms', {
+    summary: 'Create a manual room or zone',
+    body: { schema: roomBodySchema },
+    responses: {
+      201: { description: 'Room created', data: roomSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const room = await smartHomeService.createRoom(req.user.id, req.body);
+
+    res.status(201).json({ success: true, data: room });
+  }));
+
+  route.put('/rooms/:id', {
+    summary: 'Replace a manual room or zone',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: objectIdSchema }
+    },
+    body: { schema: roomBodySchema },
+    responses: {
+      200: { description: 'Room updated', data: roomSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { name, kind, deviceIds } = req.body;
+
+    const room = await smartHomeService.updateRoom(req.user.id, req.params.id, { name, kind, deviceIds });
+
+    res.json({ success: true, data: room });
+  }));
+
+  route.delete('/rooms/:id', {
+    summary: 'Delete a manual room or zone',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: objectIdSchema }
+    },
+    responses: {
+      200: {
+        description: 'Room deleted',
+        data: { type: 'object', required: ['deleted'], properties: { deleted: { type: 'boolean' } } }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    await smartHomeService.deleteRoom(req.user.id, req.params.id);
+
+    res.json({ success: true, data: { deleted: true } });
+  }));
+
+  route.post('/speakers/group', {
+    summary: 'Group speakers so they play together',
+    description: 'Speakers must be on one platform that supports grouping (Sonos). Speakers in the coordinator\'s group that weren\'t named are taken out of it.',
+    body: { schema: speakerSelectionSchema },
+    responses: {
+      200: {
+        description: 'Speakers grouped',
+        data: {
+          type: 'object',
+          required: ['coordinatorId', 'deviceIds'],
+          properties: {
+            coordinatorId: { type: 'string' },
+            deviceIds: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const group = await smartHomeService.groupSpeakers(req.user.id, req.body);
+
+    res.json({ success: true, data: group });
+  }));
+
+  route.post('/speakers/ungroup', {
+    summary: 'Split speakers back into standalone players',
+    body: { schema: speakerSelectionSchema },
+    responses: {
+      200: {
+        description: 'Speakers ungrouped',
+        data: {
+          type: 'object',
+          required: ['deviceIds'],
+          properties: {
+            deviceIds: { type: 'array', items: { type: 'string' } }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const result = await smartHomeService.ungroupSpeakers(req.user.id, req.body);
+
+    res.json({ success: true, data: result });
+  }));
+
+  route.get('/climate/preferences', {
+    summary: 'Get your comfort range for thermostats',
+    description: 'Defaults to 16-28°C until set.',
+    responses: {
+      200: { description: 'Comfort range', data: climatePreferencesSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const preferences = await smartHomeService.getClimatePreferences(req.user.id);
+
+    res.json({ success: true, data: preferences });
+  }));
+
+  route.put('/climate/preferences', {
+    summary: 'Set your comfort range for thermostats',
+    description: 'Setpoints applied by moods, automations and scenes are clamped to this range; reverts restore the earlier setpoint as it was. The range must lie within 5-35°C.',
+    body: { schema: climatePreferencesSchema },
+    responses: {
+      200: { description: 'Comfort range updated', data: climatePreferencesSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const preferences = await smartHomeService.updateClimatePreferences(req.user.id, req.body);
+
+    res.json({ success: true, data: preferences });
+  }));
+
+  route.post('/environment/apply', {
+    summary: 'Apply a mood environment to lighting, climate and entertainment devices',
+    description: 'customSettings are deep-merged over the mood preset before intensity scaling.',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['mood'],
+        properties: {
+          mood: { type: 'string', enum: ENVIRONMENT_MOODS },
+          intensity: { type: 'number', minimum: 0, maximum: 1, default: 1 },
+          options: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              lighting: { type: 'boolean' },
+              climate: { type: 'boolean' },
+              entertainment: { type: 'boolean' }
+            }
+          },
+          customSettings: customSettingsSchema,
+          transition: transitionSchema,
+          roomId: roomIdSchema,
+          saveScene: { type: 'boolean', default: false, description: 'Save the changed devices, as they are after the apply, as a scene' },
+          sceneName: { type: 'string', minLength: 1, maxLength: 100, description: 'Save the changed devices as a scene with this name; defaults to "<Mood> Mood"' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Environment applied',
+        data: {
+          type: 'object',
+          required: ['mood', 'intensity', 'results', 'sceneId', 'timestamp'],
+          properties: {
+            environmentId: { type: 'string', nullable: true },
+            mood: { type: 'string', enum: ENVIRONMENT_MOODS },
+            intensity: { type: 'number' },
+            roomId: { type: 'string', nullable: true },
+            results: {
+              type: 'object',
+              properties: {
+                lighting: { type: 'array', items: deviceResultSchema },
+                climate: { type: 'array', items: deviceResultSchema },
+                entertainment: { type: 'array', items: deviceResultSchema }
+              }
+            },
+            sceneId: { type: 'string', nullable: true },
+            timestamp: { type: 'string', format: 'date-time' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { mood, intensity, options = {}, customSettings, transition, roomId, saveScene, sceneName } = req.body;
+
+    const results = await smartHomeService.applyMoodEnvironment(mood, intensity, {
+      ...options,
+      customSettings: customSettings,
+      transition: transition,
+      roomId: roomId,
+      saveScene: saveScene,
+      sceneName: sceneName,
+      userId: req.user.id,
+      sessionId: req.get('X-Session-Id')
+    });
+
+    res.json({
+      success: true,
+      data: {
+        environmentId: results.environmentId,
+        mood: mood,
+        intensity: intensity,
+        roomId: roomId || null,
+        results: {
+          lighting: results.lighting,
+          climate: results.climate,
+          entertainment: results.entertainment
+        },
+        sceneId: results.sceneId,
+        timestamp: new Date().toISOString()
+      }
+    });
+  }));
+
+  route.post('/environment/revert', {
+    summary: 'Undo the most recent environment apply or scene activation',
+    description: 'Restores every changed device to the state captured just before the change. Only the latest change can be reverted, once.',
+    body: {
+      required: false,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          environmentId: { ...objectIdSchema, description: 'Fail unless this is still the most recent change' },
+          transition: transitionSchema
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Environment reverted',
+        data: {
+          type: 'object',
+          required: ['revertedEnvironmentId', 'restoredDevices', 'failedDevices', 'skippedDevices', 'results'],
+          properties: {
+            environmentId: { type: 'string', nullable: true },
+            revertedEnvironmentId: { type: 'string' },
+            restoredDevices: { type: 'integer' },
+            failedDevices: { type: 'integer' },
+            skippedDevices: { type: 'integer' },
+            results: { type: 'array', items: deviceResultSchema }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { environmentId, transition } = req.body;
+
+    const revert = await smartHomeService.revertLastEnvironment(req.user.id, {
+      environmentId: environmentId,
+      transition: transition,
+      sessionId: req.get('X-Session-Id')
+    });
+
+    res.json({ success: true, data: revert });
+  }));
+
+  route.get('/scenes', {
+    summary: 'List saved scenes',
+    description: 'Scenes saved with POST /scenes or on environment apply; most recently used first.',
+    query: {
+      type: 'object',
+      properties: { ...paginationQuery }
+    },
+    responses: {
+      200: {
+        description: 'Saved scenes',
+        data: {
+          type: 'object',
+          required: ['scenes', 'pagination'],
+          properties: {
+            scenes: { type: 'array', items: sceneSchema },
+            pagination: paginationSchema
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { limit, offset } = req.query;
+
+    res.json({ success: true, data: await smartHomeService.getScenes(req.user.id, { limit, offset }) });
+  }));
+
+  route.post('/scenes', {
+    summary: 'Save the current state of the home as a scene',
+    description: 'Captures every selected device as it is now, manual changes included: lights, thermostats, and speaker volume, playback and group. roomId and deviceIds each narrow the selection; without either every device is saved. Devices whose state is unknown are skipped.',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['name'],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1, maxLength: 100 },
+          roomId: { ...roomIdSchema, description: 'Only save the devices in this room or zone' },
+          deviceIds: { type: 'array', items: { type: 'string' }, minItems: 1, uniqueItems: true, description: 'Only save these devices' }
+        }
+      }
+    },
+    responses: {
+      201: {
+        description: 'Scene saved',
+        data: {
+          type: 'object',
+          required: ['scene', 'skippedDevices'],
+          properties: {
+            scene: sceneSchema,
+            skippedDevices: { type: 'array', items: { type: 'string' }, description: 'Selected devices whose state could not be captured' }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { name, roomId, deviceIds } = req.body;
+
+    const saved = await smartHomeService.saveScene(req.user.id, { name, roomId, deviceIds });
+
+    res.status(201).json({ success: true, data: saved });
+  }));
+
+  route.delete('/scenes/:id', {
+    summary: 'Delete a saved scene',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: objectIdSchema }
+    },
+    responses: {
+      200: {
+        description: 'Scene deleted',
+        data: { type: 'object', required: ['deleted'], properties: { deleted: { type: 'boolean' } } }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    await smartHomeService.deleteScene(req.user.id, req.params.id);
+
+    res.json({ success: true, data: { deleted: true } });
+  }));
+
+  route.post('/scenes/:id/activate', {
+    summary: 'Re-apply a saved scene',
+    description: 'Replays each device\'s saved settings; speakers rejoin their saved groups after the coordinators are set up.',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: objectIdSchema }
+    },
+    body: {
+      required: false,
+      schema: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          transition: transitionSchema,
+          roomId: { ...roomIdSchema, description: 'Only restore the scene devices in this room or zone' }
+        }
+      }
+    },
+    responses: {
+      200: {
+        description: 'Scene activated',
+        data: {
+          type: 'object',
+          required: ['sceneId', 'activatedDevices', 'failedDevices', 'activationTime', 'results'],
+          properties: {
+            sceneId: { type: 'string' },
+            environmentId: { type: 'string', nullable: true },
+            activatedDevices: { type: 'integer' },
+            failedDevices: { type: 'integer' },
+            activationTime: { type: 'integer', description: 'Milliseconds taken to restore every device' },
+            results: { type: 'array', items: deviceResultSchema }
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const activation = await smartHomeService.activateScene(req.user.id, req.params.id, {
+      sessionId: req.get('X-Session-Id'),
+      transition: req.body.transition,
+      roomId: req.body.roomId
+    });
+
+    res.json({ success: true, data: activation });
+  }));
+
+  route.get('/automations', {
+    summary: 'List automation rules',
+    responses: {
+      200: {
+        description: 'Automation rules',
+        data: {
+          type: 'object',
+          required: ['automations'],
+          properties: { automations: { type: 'array', items: automationSchema } }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const automations = await smartHomeService.listAutomations(req.user.id);
+
+    res.json({ success: true, data: { automations } });
+  }));
+
+  route.post('/automations', {
+    summary: 'Create an automation rule',
+    body: { schema: automationBodySchema },
+    responses: {
+      201: { description: 'Automation created', data: automationSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const automation = await smartHomeService.createAutomation(req.user.id, req.body);
+
+    res.status(201).json({ success: true, data: automation });
+  }));
+
+  route.put('/automations/:id', {
+    summary: 'Replace an automation rule',
+    description: 'Execution history and lastTriggered are kept.',
+    params: automationIdParams,
+    body: { schema: automationBodySchema },
+    responses: {
+      200: { description: 'Automation updated', data: automationSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const automation = await smartHomeService.updateAutomation(req.user.id, req.params.id, req.body);
+
+    res.json({ success: true, data: automation });
+  }));
+
+  route.post('/automations/:id/enable', {
+    summary: 'Enable an automation rule',
+    params: automationIdParams,
+    responses: {
+      200: { description: 'Automation enabled', data: automationSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const automation = await smartHomeService.setAutomationEnabled(req.user.id, req.params.id, true);
+
+    res.json({ success: true, data: automation });
+  }));
+
+  route.post('/automations/:id/disable', {
+    summary: 'Disable an automation rule',
+    params: automationIdParams,
+    responses: {
+      200: { description: 'Automation disabled', data: automationSchema }
+    }
+  }, asyncHandler(async (req, res) => {
+    const automation = await smartHomeService.setAutomationEnabled(req.user.id, req.params.id, false);
+
+    res.json({ success: true, data: automation });
+  }));
+
+  route.delete('/automations/:id', {
+    summary: 'Delete an automation rule',
+    params: automationIdParams,
+    responses: {
+      200: {
+        description: 'Automation deleted',
+        data: { type: 'object', required: ['deleted'], properties: { deleted: { type: 'boolean' } } }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    await smartHomeService.deleteAutomation(req.user.id, req.params.id);
+
+    res.json({ success: true, data: { deleted: true } });
+  }));
+
+  return router;
+}
+
+module.exports = createSmartHomeRouter;
@@ -0,0 +1,152 @@
+const express = require('express');
+const asyncHandler = require('../utils/asyncHandler');
+const { WEBHOOK_EVENTS } = require('../models/Webhook');
+const { objectIdSchema, paginationQuery, paginationSchema } = require('../schemas/common');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const subscriptionSchema = {
+  type: 'object',
+  required: ['id', 'url', 'events', 'active'],
+  properties: {
+    id: { type: 'string' },
+    url: { type: 'string', format: 'uri' },
+    events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    active: { type: 'boolean' },
+    consecutiveFailures: { type: 'integer' },
+    lastDeliveryAt: { type: 'string', format: 'date-time', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' },
+    secret: { type: 'string', description: 'Only returned when the secret was generated' }
+  }
+};
+
+const deliverySchema = {
+  type: 'object',
+  required: ['id', 'subscriptionId', 'event', 'status', 'attempts'],
+  properties: {
+    id: { type: 'string' },
+    subscriptionId: { type: 'string' },
+    event: { type: 'string', enum: WEBHOOK_EVENTS },
+    status: { type: 'string', enum: DELIVERY_STATUSES },
+    attempts: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          attempt: { type: 'integer' },
+          timestamp: { type: 'string', format: 'date-time' },
+          success: { type: 'boolean' },
+          responseStatus: { type: 'integer' },
+          error: { type: 'string' },
+          duration: { type: 'integer' }
+        }
+      }
+    },
+    nextAttemptAt: { type: 'string', format: 'date-time', nullable: true },
+    deliveredAt: { type: 'string', format: 'date-time', nullable: true },
+    createdAt: { type: 'string', format: 'date-time' }
+  }
+};
+
+/**
+ * Webhook subscription and delivery log routes
+ */
+function createWebhooksRouter({ webhookService, openapi }) {
+  const router = express.Router();
+  const route = openapi.routes(router);
+
+  route.post('/register', {
+    summary: 'Register a webhook endpoint',
+    body: {
+      schema: {
+        type: 'object',
+        required: ['url', 'events'],
+        properties: {
+          url: { type: 'string', format: 'uri' },
+          events: { type: 'array', items: { type: 'string', enum: WEBHOOK_EVENTS }, minItems: 1 },
+          secret: { type: 'string', minLength: 16 }
+        }
+      }
+    },
+    responses: { 201: { description: 'Webhook registered', data: subscriptionSchema } }
+  }, asyncHandler(async (req, res) => {
+    const { url, events, secret } = req.body;
+
+    const subscription = await webhookService.register(req.user.id, { url, events, secret });
+
+    res.status(201).json({ success: true, data: subscription });
+  }));
+
+  route.get('/', {
+    summary: 'List registered webhooks',
+    responses: {
+      200: {
+        description: 'Webhooks',
+        data: {
+          type: 'object',
+          required: ['webhooks'],
+          properties: { webhooks: { type: 'array', items: subscriptionSchema } }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const webhooks = await webhookService.list(req.user.id);
+
+    res.json({ success: true, data: { webhooks } });
+  }));
+
+  route.get('/deliveries', {
+    summary: 'Query the webhook delivery log',
+    query: {
+      type: 'object',
+      properties: {
+        subscriptionId: { ...objectIdSchema, description: 'Only deliveries for this webhook' },
+        event: { type: 'string', enum: WEBHOOK_EVENTS },
+        status: { type: 'string', enum: DELIVERY_STATUSES },
+        ...paginationQuery
+      }
+    },
+    responses: {
+      200: {
+        description: 'Delivery log page',
+        data: {
+          type: 'object',
+          required: ['deliveries', 'pagination'],
+          properties: {
+            deliveries: { type: 'array', items: deliverySchema },
+            pagination: paginationSchema
+          }
+        }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    const { subscriptionId, event, status, limit, offset } = req.query;
+
+    const result = await webhookService.getDeliveries(req.user.id, { subscriptionId, event, status, limit, offset });
+
+    res.json({ success: true, data: result });
+  }));
+
+  route.delete('/:id', {
+    summary: 'Remove a webhook',
+    params: {
+      type: 'object',
+      required: ['id'],
+      properties: { id: objectIdSchema }
+    },
+    responses: {
+      200: {
+        description: 'Webhook removed',
+        data: { type: 'object', required: ['deleted'], properties: { deleted: { type: 'boolean' } } }
+      }
+    }
+  }, asyncHandler(async (req, res) => {
+    await webhookService.remove(req.user.id, req.params.id);
+
+    res.json({ success: true, data: { deleted: true } });
+  }));
+
+  return router;
+}
+
+module.exports = createWebhooksRouter;
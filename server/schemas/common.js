@@ -0,0 +1,80 @@
+const { EMOTION_VALENCE } = require('../utils/moodMetrics');
+
+/**
+ * JSON schemas shared between route definitions
+ */
+
+// Moods with a preset in SmartHomeService.moodEnvironments and AdvancedMusicService.moodMusicMatrix
+const ENVIRONMENT_MOODS = ['happy', 'sad', 'angry', 'calm', 'energetic', 'romantic', 'focused'];
+
+// Every emotion a detection can be stored with
+const EMOTIONS = Object.keys(EMOTION_VALENCE);
+
+const isoDate = (description) => ({
+  description: description,
+  anyOf: [
+    { type: 'string', format: 'date-time' },
+    { type: 'string', format: 'date' }
+  ]
+});
+
+const objectIdSchema = { type: 'string', pattern: '^[0-9a-fA-F]{24}$' };
+
+const paginationQuery = {
+  limit: { type: 'integer', minimum: 1, maximum: 200, default: 50, description: 'Maximum number of records' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Pagination offset' }
+};
+
+const paginationSchema = {
+  type: 'object',
+  required: ['total', 'limit', 'offset', 'hasMore'],
+  properties: {
+    total: { type: 'integer' },
+    limit: { type: 'integer' },
+    offset: { type: 'integer' },
+    hasMore: { type: 'boolean' }
+  }
+};
+
+const moodDataSchema = {
+  type: 'object',
+  required: ['mood'],
+  properties: {
+    mood: { type: 'string', enum: ENVIRONMENT_MOODS },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    intensity: { type: 'number', minimum: 0, maximum: 1 },
+    secondaryEmotions: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+const sessionSchema = {
+  type: 'object',
+  required: ['token', 'refreshToken', 'user', 'expiresIn'],
+  properties: {
+    token: { type: 'string' },
+    refreshToken: { type: 'string' },
+    expiresIn: { type: 'integer' },
+    user: {
+      type: 'object',
+      required: ['id', 'email'],
+      properties: {
+        id: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        name: { type: 'string' },
+        plan: { type: 'string', enum: ['free', 'premium', 'enterprise'] },
+        preferences: { type: 'object' }
+      }
+    }
+  }
+};
+
+module.exports = {
+  ENVIRONMENT_MOODS,
+  EMOTIONS,
+  isoDate,
+  objectIdSchema,
+  paginationQuery,
+  paginationSchema,
+  moodDataSchema,
+  sessionSchema
+};
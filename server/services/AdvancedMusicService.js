@@ -1,14 +1,48 @@
-import SpotifyWebApi from 'spotify-web-api-node';
-import axios from 'axios';
-import { Audio } from 'expo-av';
-import * as tf from '@tensorflow/tfjs';
+const SpotifyWebApi = require('spotify-web-api-node');
+const axios = require('axios');
+const tf = require('@tensorflow/tfjs');
+const {
+  NoActiveDeviceError,
+  NoRecommendationsError,
+  PlatformRequestError,
+  PremiumRequiredError,
+  UnknownMoodError,
+  UnsupportedPlatformError
+} = require('../utils/errors');
+
+const MODEL_URLS = {
+  audioAnalyzer: 'https://cdn.moodsync.ai/models/audio-analyzer-v2.json',
+  recommendationEngine: 'https://cdn.moodsync.ai/models/music-recommender-v3.json'
+};
+
+// Every user's instance ranks and analyses with the same models, loaded once per process
+const sharedModels = {};
+
+/**
+ * Load a model on first use and share it; a failed load is retried by the next instance
+ */
+function loadSharedModel(name) {
+  if (!sharedModels[name]) {
+    sharedModels[name] = tf.loadLayersModel(MODEL_URLS[name]).catch(error => {
+      delete sharedModels[name];
+      throw error;
+    });
+  }
+
+  return sharedModels[name];
+}
 
 /**
  * Advanced Music Intelligence Service
  * Combines multiple music platforms with AI-driven recommendations
  */
 class AdvancedMusicService {
-  constructor() {
+  constructor(options = {}) {
+    // Owner of this instance; each user gets their own credentials, history and preferences
+    this.userId = options.userId || null;
+    this.tokenProvider = options.tokenProvider || null;
+    this.onPlayback = options.onPlayback || null;
+    
     this.platforms = {
       spotify: null,
       appleMusic: null,
@@ -184,6 +218,18 @@ class AdvancedMusicService {
     }
   }
 
+  /**
+   * Make sure the Spotify client holds a current access token for this user
+   */
+  async ensureAccessToken() {
+    if (!this.tokenProvider || !this.platforms.spotify) return;
+    
+    const token = await this.tokenProvider();
+    if (token !== this.platforms.spotify.getAccessToken()) {
+      this.platforms.spotify.setAccessToken(token);
+    }
+  }
+
   /**
    * Initialize Apple Music integration
    */
@@ -309,9 +355,8 @@ class AdvancedMusicService {
    */
   async initializeAudioAnalyzer() {
     try {
-      // Load pre-trained audio feature extraction model
-      const modelUrl = 'https://cdn.moodsync.ai/models/audio-analyzer-v2.json';
-      this.audioAnalyzer = await tf.loadLayersModel(modelUrl);
+      // Pre-trained audio feature extraction model
+      this.audioAnalyzer = await loadSharedModel('audioAnalyzer');
       
       console.log('Audio analyzer initialized');
     } catch (error) {
@@ -324,9 +369,8 @@ class AdvancedMusicService {
    */
   async initializeRecommendationEngine() {
     try {
-      // Load collaborative filtering + content-based recommendation model
-      const modelUrl = 'https://cdn.moodsync.ai/models/music-recommender-v3.json';
-      this.recommendationEngine = await tf.loadLayersModel(modelUrl);
+      // Collaborative filtering + content-based recommendation model
+      this.recommendationEngine = await loadSharedModel('recommendationEngine');
       
       console.log('Recommendation engine initialized');
     } catch (error) {
@@ -377,10 +421,14 @@ class AdvancedMusicService {
       
       console.log(`Generating ${strategy} recommendations for ${mood} mood`);
       
+      if (platforms.includes('spotify')) {
+        await this.ensureAccessToken();
+      }
+      
       // Get base mood configuration
       const moodConfig = this.moodMusicMatrix[mood];
       if (!moodConfig) {
-        throw new Error(`Unknown mood: ${mood}`);
+        throw new UnknownMoodError(mood);
       }
       
       // Apply contextual adjustments
@@ -950,7 +998,7 @@ class AdvancedMusicService {
         case 'appleMusic':
           return await this.createAppleMusicPlaylist(name, description, recommendations);
         default:
-          throw new Error(`Unsupported platform: ${platform}`);
+          throw new UnsupportedPlatformError(platform, 'Playlist creation');
       }
       
     } catch (error) {
@@ -964,6 +1012,8 @@ class AdvancedMusicService {
    */
   async createSpotifyPlaylist(name, description, recommendations, isPublic) {
     try {
+      await this.ensureAccessToken();
+      
       // Get current user
       const user = await this.platforms.spotify.getMe();
       
@@ -996,7 +1046,7 @@ class AdvancedMusicService {
       
     } catch (error) {
       console.error('Failed to create Spotify playlist:', error);
-      throw error;
+      throw this.toSpotifyError(error, 'createPlaylist');
     }
   }
 
@@ -1020,7 +1070,7 @@ class AdvancedMusicService {
       );
       
       if (recommendations.recommendations.length === 0) {
-        throw new Error('No recommendations found');
+        throw new NoRecommendationsError([platform], moodData.mood);
       }
       
       // Play music based on platform
@@ -1032,7 +1082,7 @@ class AdvancedMusicService {
             volume
           });
         default:
-          throw new Error(`Playback not supported for platform: ${platform}`);
+          throw new UnsupportedPlatformError(platform, 'Playback');
       }
       
     } catch (error) {
@@ -1053,9 +1103,11 @@ class AdvancedMusicService {
         .map(track => track.uri);
       
       if (trackUris.length === 0) {
-        throw new Error('No Spotify tracks available');
+        throw new NoRecommendationsError(['spotify']);
       }
       
+      await this.ensureAccessToken();
+      
       const playOptions = {
         uris: trackUris
       };
@@ -1089,8 +1141,26 @@ class AdvancedMusicService {
       
     } catch (error) {
       console.error('Failed to play Spotify music:', error);
-      throw error;
+      throw this.toSpotifyError(error, 'play', options.deviceId);
+    }
+  }
+
+  /**
+   * Translate Spotify Web API failures into typed errors; anything else passes through
+   */
+  toSpotifyError(error, operation, deviceId = null) {
+    if (error.statusCode === undefined) return error;
+
+    const reason = error.body?.error?.reason;
+
+    if (reason === 'NO_ACTIVE_DEVICE' || (operation === 'play' && error.statusCode === 404)) {
+      return new NoActiveDeviceError('spotify', deviceId);
     }
+    if (reason === 'PREMIUM_REQUIRED') {
+      return new PremiumRequiredError('spotify');
+    }
+
+    return new PlatformRequestError('spotify', operation, error);
   }
 
   /**
@@ -1154,6 +1224,10 @@ class AdvancedMusicService {
     if (this.playbackHistory.length > 1000) {
       this.playbackHistory = this.playbackHistory.slice(-1000);
     }
+
+    if (this.onPlayback) {
+      this.onPlayback(playbackRecord);
+    }
   }
 
   /**
@@ -1260,14 +1334,9 @@ class AdvancedMusicService {
    * Cleanup resources
    */
   dispose() {
-    if (this.audioAnalyzer) {
-      this.audioAnalyzer.dispose();
-    }
-    
-    if (this.recommendationEngine) {
-      this.recommendationEngine.dispose();
-    }
-    
+    // The models are shared with other users' instances, so they stay loaded
+    this.audioAnalyzer = null;
+    this.recommendationEngine = null;
     this.platforms = {};
     this.playbackHistory = [];
     this.userPreferences = {};
@@ -1276,4 +1345,4 @@ class AdvancedMusicService {
   }
 }
 
-export default AdvancedMusicService;
\ No newline at end of file
+module.exports = AdvancedMusicService;
@@ -0,0 +1,200 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RevokedToken = require('../models/RevokedToken');
+const { ApiError } = require('../utils/errors');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * User accounts and JWT access/refresh token management
+ */
+class AuthService {
+  constructor(options = {}) {
+    this.secret = options.secret || process.env.JWT_SECRET;
+    this.accessTokenTTL = options.accessTokenTTL || process.env.JWT_EXPIRES_IN || '1h';
+    this.refreshTokenTTL = options.refreshTokenTTL || process.env.JWT_REFRESH_EXPIRES_IN || '30d';
+
+    if (!this.secret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+  }
+
+  /**
+   * Create a new account and sign the user in
+   */
+  async register({ email, password, name }) {
+    this.validateCredentials(email, password);
+
+    const normalizedEmail = email.trim().toLowerCase();
+    if (await User.exists({ email: normalizedEmail })) {
+      throw new ApiError(409, 'EMAIL_ALREADY_REGISTERED', 'An account with this email already exists');
+    }
+
+    const user = await User.create({
+      email: normalizedEmail,
+      passwordHash: await User.hashPassword(password),
+      name: name,
+      lastActive: new Date()
+    });
+
+    return this.createSession(user);
+  }
+
+  /**
+   * Authenticate with email and password
+   */
+  async login({ email, password }) {
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Email and password are required');
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user || !(await user.verifyPassword(password))) {
+      throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+    }
+
+    user.lastActive = new Date();
+    await user.save();
+
+    return this.createSession(user);
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, revoking the old refresh token
+   */
+  async refresh(refreshToken) {
+    const payload = await this.verifyToken(refreshToken, 'refresh');
+
+    const user = await User.findById(payload.sub);
+    if (!user) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+    }
+
+    // Refresh tokens are single use; losing this race means another request already rotated it
+    const rotation = await RevokedToken.revoke(payload, 'rotated');
+    if (rotation.upsertedCount === 0) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Token has been revoked');
+    }
+
+    return this.createSession(user);
+  }
+
+  /**
+   * Revoke the given access token and, if provided, its refresh token
+   */
+  async logout(accessPayload, refreshToken) {
+    await RevokedToken.revoke(accessPayload, 'logout');
+
+    if (refreshToken) {
+      const refreshPayload = await this.verifyToken(refreshToken, 'refresh');
+      if (refreshPayload.sub !== accessPayload.sub) {
+        throw new ApiError(403, 'INSUFFICIENT_PERMISSIONS', 'Refresh token belongs to another user');
+      }
+      await RevokedToken.revoke(refreshPayload, 'logout');
+    }
+  }
+
+  /**
+   * Verify a token's signature, expiry, type and revocation status
+   */
+  async verifyToken(token, expectedType = 'access') {
+    if (typeof token !== 'string' || !token) {
+      throw new ApiError(401, 'AUTHENTICATION_REQUIRED', 'Authentication token required');
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, this.secret, { algorithms: ['HS256'] });
+    } catch (error) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+    }
+
+    if (payload.type !== expectedType || !payload.jti) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token');
+    }
+
+    if (await RevokedToken.isRevoked(payload.jti)) {
+      throw new ApiError(401, 'INVALID_TOKEN', 'Token has been revoked');
+    }
+
+    return payload;
+  }
+
+  /**
+   * Sign a short-lived OAuth state that ties a provider callback to the user
+   */
+  createOAuthState(userId, provider) {
+    return jwt.sign(
+      { type: 'oauth_state', provider: provider },
+      this.secret,
+      { algorithm: 'HS256', subject: userId, expiresIn: '10m' }
+    );
+  }
+
+  /**
+   * Verify an OAuth state and return the user ID it was issued for
+   */
+  verifyOAuthState(state, provider) {
+    try {
+      const payload = jwt.verify(state, this.secret, { algorithms: ['HS256'] });
+      if (payload.type !== 'oauth_state' || payload.provider !== provider) {
+        throw new Error('Unexpected state payload');
+      }
+      return payload.sub;
+    } catch (error) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid or expired OAuth state', { field: 'state' });
+    }
+  }
+
+  /**
+   * Issue an access/refresh token pair for the user
+   */
+  createSession(user) {
+    const token = this.signToken(user, 'access', this.accessTokenTTL);
+    const refreshToken = this.signToken(user, 'refresh', this.refreshTokenTTL);
+    const { iat, exp } = jwt.decode(token);
+
+    return {
+      token: token,
+      refreshToken: refreshToken,
+      user: user.toProfile(),
+      expiresIn: exp - iat
+    };
+  }
+
+  /**
+   * Access tokens carry the user's plan for rate limiting; a plan change applies from the next refresh
+   */
+  signToken(user, type, expiresIn) {
+    return jwt.sign(
+      { email: user.email, plan: user.plan || 'free', type: type },
+      this.secret,
+      {
+        algorithm: 'HS256',
+        subject: user.id,
+        jwtid: crypto.randomUUID(),
+        expiresIn: expiresIn
+      }
+    );
+  }
+
+  validateCredentials(email, password) {
+    if (typeof email !== 'string' || !EMAIL_PATTERN.test(email.trim())) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid email', {
+        field: 'email',
+        reason: 'Email format is invalid'
+      });
+    }
+
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid password', {
+        field: 'password',
+        reason: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+      });
+    }
+  }
+}
+
+module.exports = AuthService;
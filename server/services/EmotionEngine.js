@@ -0,0 +1,355 @@
+const tf = require('@tensorflow/tfjs');
+const { ModelLoadError, ModelNotLoadedError } = require('../utils/errors');
+const { decodeImage, decodeAudio } = require('../utils/media');
+
+const EMOTIONS = ['happy', 'sad', 'angry', 'fearful', 'surprised', 'disgusted', 'neutral'];
+const ACTIVITIES = ['working', 'relaxing', 'exercising', 'commuting', 'socializing', 'sleeping'];
+
+// Fusion input slots, in order; a modality that wasn't sent contributes zeros
+const MODALITIES = ['facial', 'voice', 'text'];
+const CONTEXT_FEATURES = 20;
+
+// Big Five traits (openness, conscientiousness, extraversion, agreeableness, neuroticism);
+// the server is shared between users, so it fuses with a neutral profile
+const NEUTRAL_PERSONALITY = [0.5, 0.5, 0.5, 0.5, 0.5];
+
+// Voice features are the log magnitudes of 128 bands of a 512-point STFT
+const FRAME_LENGTH = 512;
+const FRAME_STEP = 256;
+const AUDIO_BANDS = 128;
+
+const TEXT_LENGTH = 128;
+const VOCABULARY = {
+  'happy': 1, 'sad': 2, 'angry': 3, 'love': 4, 'hate': 5,
+  'good': 6, 'bad': 7, 'great': 8, 'terrible': 9, 'amazing': 10
+};
+
+function defaultModelUrls() {
+  return {
+    facial: process.env.EMOTION_MODEL_URL || 'https://cdn.moodsync.ai/models/facial-emotion-v3.json',
+    voice: process.env.VOICE_MODEL_URL || 'https://cdn.moodsync.ai/models/voice-emotion-v2.json',
+    text: process.env.TEXT_MODEL_URL || 'https://cdn.moodsync.ai/models/text-sentiment-bert.json',
+    fusion: process.env.FUSION_MODEL_URL || 'https://cdn.moodsync.ai/models/emotion-fusion-v4.json'
+  };
+}
+
+/**
+ * Multi-modal emotion detection for the API
+ * Runs the app's facial, voice, text and fusion models on uploaded buffers with the
+ * pure-JS TensorFlow backend. Unlike the on-device engine it keeps no per-user calibration
+ * or personality state, so one instance serves every request
+ */
+class EmotionEngine {
+  constructor(options = {}) {
+    this.modelUrls = { ...defaultModelUrls(), ...options.modelUrls };
+    this.models = { facial: null, voice: null, text: null, fusion: null, ...options.models };
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load every model that wasn't handed in
+   */
+  async initialize() {
+    try {
+      console.log('Initializing EmotionEngine...');
+
+      await tf.ready();
+      await Promise.all(Object.keys(this.models)
+        .filter(name => !this.models[name])
+        .map(async (name) => {
+          this.models[name] = await this.loadModel(name);
+        }));
+
+      // Warm up the facial model so the first detection doesn't pay for it
+      tf.tidy(() => this.models.facial.predict(tf.zeros([1, ...this.inputShape('facial')])));
+
+      this.isInitialized = true;
+      console.log('EmotionEngine initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize EmotionEngine:', error);
+      throw error;
+    }
+  }
+
+  async loadModel(name) {
+    try {
+      const model = await tf.loadLayersModel(this.modelUrls[name]);
+      console.log(`${name.charAt(0).toUpperCase() + name.slice(1)} emotion model loaded`);
+      return model;
+    } catch (error) {
+      console.error(`Failed to load ${name} model:`, error);
+      throw new ModelLoadError(name, error);
+    }
+  }
+
+  /**
+   * A model's input shape without the batch dimension
+   */
+  inputShape(name) {
+    return this.models[name].inputs[0].shape.slice(1);
+  }
+
+  /**
+   * Run inference on a single example and return the output as a plain array
+   */
+  async predict(name, input) {
+    if (!this.models[name]) {
+      throw new ModelNotLoadedError(name);
+    }
+
+    const prediction = tf.tidy(() => this.models[name].predict(input()));
+    try {
+      return Array.from(await prediction.data());
+    } finally {
+      prediction.dispose();
+    }
+  }
+
+  /**
+   * Main emotion detection pipeline
+   * Images and recordings come as { buffer, mimetype }, text as a string
+   */
+  async detectEmotion(inputs, context = {}) {
+    if (!this.isInitialized) {
+      await this.initialize();
+    }
+
+    const startTime = Date.now();
+    const modalityResults = [];
+
+    if (inputs.image) {
+      modalityResults.push(await this.processFacialEmotion(inputs.image));
+    }
+    if (inputs.audio) {
+      modalityResults.push(await this.processVoiceEmotion(inputs.audio));
+    }
+    if (inputs.text) {
+      modalityResults.push(await this.processTextSentiment(inputs.text));
+    }
+
+    return this.fuseEmotions(modalityResults, context, startTime);
+  }
+
+  async processFacialEmotion(image) {
+    const { width, height, data } = decodeImage(image);
+    const [inputHeight, inputWidth] = this.inputShape('facial');
+
+    const probabilities = await this.predict('facial', () => tf.tensor3d(data, [height, width, 4], 'int32')
+      .slice([0, 0, 0], [height, width, 3])
+      .resizeBilinear([inputHeight, inputWidth])
+      .toFloat()
+      .div(255)
+      .expandDims());
+
+    return { modality: 'facial', probabilities, confidence: Math.max(...probabilities) };
+  }
+
+  async processVoiceEmotion(audio) {
+    const { samples } = decodeAudio(audio);
+    const features = this.extractAudioFeatures(samples);
+    const probabilities = await this.predict('voice', () => tf.tensor2d([features]));
+
+    return { modality: 'voice', probabilities, confidence: Math.max(...probabilities) };
+  }
+
+  async processTextSentiment(text) {
+    const sentiment = await this.predict('text', () => tf.tensor2d([this.encodeText(text)]));
+    const probabilities = this.mapSentimentToEmotion(sentiment);
+
+    return { modality: 'text', probabilities, sentiment, confidence: Math.max(...probabilities) };
+  }
+
+  /**
+   * Average spectrum of a recording, folded into log-magnitude bands
+   */
+  extractAudioFeatures(samples) {
+    const padded = samples.length >= FRAME_LENGTH ? samples : Float32Array.from({ length: FRAME_LENGTH }, (_, i) => samples[i] || 0);
+
+    return tf.tidy(() => {
+      const spectrum = tf.signal.stft(tf.tensor1d(padded), FRAME_LENGTH, FRAME_STEP).abs().mean(0);
+      return Array.from(spectrum
+        .slice(0, FRAME_LENGTH / 2)
+        .reshape([AUDIO_BANDS, FRAME_LENGTH / 2 / AUDIO_BANDS])
+        .mean(1)
+        .log1p()
+        .dataSync());
+    });
+  }
+
+  /**
+   * Simplified tokenization against the sentiment model's keyword vocabulary
+   */
+  encodeText(text) {
+    const encoded = text.toLowerCase().split(/\s+/).slice(0, TEXT_LENGTH).map(token => VOCABULARY[token] || 0);
+    while (encoded.length < TEXT_LENGTH) {
+      encoded.push(0);
+    }
+    return encoded;
+  }
+
+  /**
+   * Map [negative, neutral, positive] sentiment onto the primary emotions
+   */
+  mapSentimentToEmotion([negative, neutral, positive]) {
+    return [
+      positive * 0.8,  // happy
+      negative * 0.6,  // sad
+      negative * 0.4,  // angry
+      negative * 0.2,  // fearful
+      positive * 0.3,  // surprised
+      negative * 0.3,  // disgusted
+      neutral * 0.9    // neutral
+    ];
+  }
+
+  /**
+   * Fuse the modality results into the final emotion prediction
+   */
+  async fuseEmotions(modalityResults, context, startTime) {
+    const fusionInput = this.prepareFusionInput(modalityResults, context);
+    const probabilities = this.applyPersonalityAdjustment(
+      await this.predict('fusion', () => tf.tensor2d([fusionInput]))
+    );
+    const hierarchy = this.analyzeEmotionHierarchy(probabilities);
+
+    return {
+      primaryEmotion: hierarchy.primary,
+      secondaryEmotions: hierarchy.secondary,
+      probabilities: probabilities,
+      confidence: this.calculateFusionConfidence(modalityResults, probabilities),
+      modalityContributions: this.calculateModalityContributions(modalityResults),
+      contextualFactors: context,
+      timestamp: new Date().toISOString(),
+      processingTime: Date.now() - startTime
+    };
+  }
+
+  prepareFusionInput(modalityResults, context) {
+    const input = [];
+
+    MODALITIES.forEach(modality => {
+      const result = modalityResults.find(r => r.modality === modality);
+      input.push(...(result ? result.probabilities : Array(EMOTIONS.length).fill(0)));
+    });
+
+    input.push(...this.encodeContext(context));
+    input.push(...NEUTRAL_PERSONALITY);
+
+    return input;
+  }
+
+  encodeContext(context) {
+    const encoded = Array(CONTEXT_FEATURES).fill(0);
+    const now = new Date();
+
+    encoded[0] = now.getHours() / 24;
+    encoded[1] = now.getDay() / 7;
+
+    if (context.location) {
+      encoded[2] = context.location === 'home' ? 1 : 0;
+      encoded[3] = context.location === 'work' ? 1 : 0;
+    }
+
+    const activityIndex = ACTIVITIES.indexOf(context.activity);
+    if (activityIndex !== -1) {
+      encoded[4 + activityIndex] = 1;
+    }
+
+    return encoded;
+  }
+
+  /**
+   * Weight expressive and negative emotions by the (neutral) personality, then normalize
+   */
+  applyPersonalityAdjustment(probabilities) {
+    const [, , extraversion, , neuroticism] = NEUTRAL_PERSONALITY;
+    const adjusted = [...probabilities];
+
+    adjusted[0] *= 1 + extraversion * 0.2; // happiness
+    adjusted[1] *= 1 + neuroticism * 0.3;  // sadness
+    adjusted[2] *= 1 + neuroticism * 0.2;  // anger
+    adjusted[3] *= 1 + neuroticism * 0.4;  // fear
+
+    const sum = adjusted.reduce((a, b) => a + b, 0);
+    return sum > 0 ? adjusted.map(p => p / sum) : adjusted;
+  }
+
+  calculateFusionConfidence(modalityResults, finalProbs) {
+    const modality = modalityResults.reduce((sum, r) => sum + r.confidence, 0) / modalityResults.length;
+    const fusion = Math.max(...finalProbs);
+    const agreement = this.calculateModalityAgreement(modalityResults);
+
+    return {
+      overall: (modality + fusion + agreement) / 3,
+      modality: modality,
+      fusion: fusion,
+      agreement: agreement
+    };
+  }
+
+  /**
+   * Share of modality pairs whose top emotion agrees
+   */
+  calculateModalityAgreement(modalityResults) {
+    if (modalityResults.length < 2) return 1.0;
+
+    const predictions = modalityResults.map(r => r.probabilities.indexOf(Math.max(...r.probabilities)));
+    let agreements = 0;
+    let comparisons = 0;
+
+    for (let i = 0; i < predictions.length; i++) {
+      for (let j = i + 1; j < predictions.length; j++) {
+        if (predictions[i] === predictions[j]) agreements++;
+        comparisons++;
+      }
+    }
+
+    return agreements / comparisons;
+  }
+
+  analyzeEmotionHierarchy(probabilities) {
+    const indexed = probabilities
+      .map((probability, index) => ({ emotion: EMOTIONS[index], probability }))
+      .sort((a, b) => b.probability - a.probability);
+
+    return {
+      primary: indexed[0],
+      secondary: indexed.slice(1, 3),
+      all: indexed
+    };
+  }
+
+  calculateModalityContributions(modalityResults) {
+    const total = modalityResults.reduce((sum, r) => sum + r.confidence, 0);
+    const contributions = {};
+
+    modalityResults.forEach(result => {
+      contributions[result.modality] = total > 0 ? result.confidence / total : 1 / modalityResults.length;
+    });
+
+    return contributions;
+  }
+
+  analyzeCurrentEmotion(result) {
+    return {
+      dominantEmotion: result.primaryEmotion,
+      intensity: result.confidence.overall,
+      stability: result.confidence.agreement,
+      complexity: result.secondaryEmotions.length,
+      // High agreement and confidence suggest the emotion isn't suppressed or exaggerated
+      authenticity: (result.confidence.agreement + result.confidence.overall) / 2
+    };
+  }
+
+  dispose() {
+    Object.values(this.models).forEach(model => {
+      if (model) model.dispose();
+    });
+
+    this.models = { facial: null, voice: null, text: null, fusion: null };
+    this.isInitialized = false;
+  }
+}
+
+module.exports = EmotionEngine;
@@ -0,0 +1,234 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { MoodDetection } = require('../models/AdvancedAnalytics');
+const { summarizeEmotionCounts } = require('../utils/moodMetrics');
+const {
+  buildDailyPattern,
+  buildWeeklyPattern,
+  buildTimeline,
+  generateInsights
+} = require('../utils/moodTrends');
+const EmotionEngine = require('./EmotionEngine');
+
+/**
+ * Server-side mood detection pipeline
+ * Runs uploads through EmotionEngine and persists the result as a MoodDetection
+ */
+class MoodDetectionService extends EventEmitter {
+  constructor(engine = new EmotionEngine()) {
+    super();
+    this.engine = engine;
+    this.ready = null;
+  }
+
+  /**
+   * Initialize the engine once, sharing the promise between concurrent callers
+   */
+  async ensureReady() {
+    if (!this.ready) {
+      this.ready = this.engine.initialize().catch(error => {
+        this.ready = null;
+        throw error;
+      });
+    }
+
+    return this.ready;
+  }
+
+  /**
+   * Detect mood from the given inputs and store the detection
+   */
+  async detect(userId, inputs, context = {}, sessionId = crypto.randomUUID()) {
+    try {
+      await this.ensureReady();
+
+      const result = await this.engine.detectEmotion(inputs, context);
+      const current = this.engine.analyzeCurrentEmotion(result);
+
+      const detection = await MoodDetection.create({
+        userId: userId,
+        sessionId: sessionId,
+        timestamp: result.timestamp,
+        primaryMood: {
+          emotion: result.primaryEmotion.emotion,
+          confidence: result.confidence.overall,
+          intensity: result.primaryEmotion.probability
+        },
+        secondaryMoods: result.secondaryEmotions.map(secondary => ({
+          emotion: secondary.emotion,
+          confidence: secondary.probability,
+          intensity: secondary.probability
+        })),
+        detectionMethods: {
+          facial: { used: Boolean(inputs.image) },
+          voice: { used: Boolean(inputs.audio) },
+          text: { used: Boolean(inputs.text) }
+        },
+        fusionMetrics: {
+          overallConfidence: result.confidence.overall,
+          modalityAgreement: result.confidence.agreement,
+          processingTime: result.processingTime
+        },
+        contextualFactors: {
+          location: context.location,
+          activity: context.activity,
+          socialContext: context.socialContext
+        }
+      });
+
+      const formatted = this.formatDetection(detection, result, current);
+      this.emit('moodDetected', { userId, detection: formatted });
+
+      return formatted;
+
+    } catch (error) {
+      console.error('Mood detection failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a filtered, paginated page of a user's mood history with summary analytics
+   */
+  async getHistory(userId, filters = {}) {
+    try {
+      const { limit = 50, offset = 0 } = filters;
+      const query = this.buildHistoryQuery(userId, filters);
+
+      const [detections, total, emotionCounts] = await Promise.all([
+        MoodDetection.find(query)
+          .sort({ timestamp: -1 })
+          .skip(offset)
+          .limit(limit)
+          .lean(),
+        MoodDetection.countDocuments(query),
+        MoodDetection.aggregate([
+          { $match: query },
+          { $group: { _id: '$primaryMood.emotion', count: { $sum: 1 } } }
+        ])
+      ]);
+
+      const counts = {};
+      emotionCounts.forEach(bucket => {
+        counts[bucket._id] = bucket.count;
+      });
+      const summary = summarizeEmotionCounts(counts);
+
+      return {
+        moods: detections.map(detection => ({
+          id: detection._id.toString(),
+          primaryMood: {
+            emotion: detection.primaryMood.emotion,
+            confidence: detection.primaryMood.confidence,
+            intensity: detection.primaryMood.intensity
+          },
+          timestamp: detection.timestamp,
+          context: {
+            location: detection.contextualFactors?.location,
+            activity: detection.contextualFactors?.activity
+          }
+        })),
+        pagination: {
+          total: total,
+          limit: limit,
+          offset: offset,
+          hasMore: offset + detections.length < total
+        },
+        analytics: {
+          averageMood: summary.averageMood,
+          moodStability: summary.moodStability,
+          dominantEmotions: summary.dominantEmotions.slice(0, 3)
+        }
+      };
+
+    } catch (error) {
+      console.error('Failed to get mood history:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get daily and weekly mood patterns with generated insights
+   */
+  async getTrends(userId, options = {}) {
+    try {
+      const { period = 'daily', days = 30, timezone = 'UTC' } = options;
+
+      const [trendBuckets, hourlyBuckets, weeklyBuckets] = await Promise.all([
+        MoodDetection.getMoodTrends(userId, days, { period, timezone }),
+        MoodDetection.getDailyMoodPattern(userId, days, timezone),
+        MoodDetection.getWeeklyMoodPattern(userId, days, timezone)
+      ]);
+
+      const timeline = buildTimeline(trendBuckets);
+
+      return {
+        period: period,
+        days: days,
+        trends: {
+          dailyPattern: buildDailyPattern(hourlyBuckets),
+          weeklyPattern: buildWeeklyPattern(weeklyBuckets),
+          timeline: timeline
+        },
+        insights: generateInsights({ hourlyBuckets, weeklyBuckets, timeline })
+      };
+
+    } catch (error) {
+      console.error('Failed to get mood trends:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate history filters into a MoodDetection query
+   */
+  buildHistoryQuery(userId, filters) {
+    const { startDate, endDate, emotions, minConfidence } = filters;
+    const query = { userId: userId };
+
+    if (startDate || endDate) {
+      query.timestamp = {};
+      if (startDate) query.timestamp.$gte = startDate;
+      if (endDate) query.timestamp.$lte = endDate;
+    }
+
+    if (emotions && emotions.length > 0) {
+      query['primaryMood.emotion'] = { $in: emotions };
+    }
+
+    if (minConfidence !== undefined) {
+      query['primaryMood.confidence'] = { $gte: minConfidence };
+    }
+
+    return query;
+  }
+
+  /**
+   * Build the documented detection response
+   */
+  formatDetection(detection, result, current) {
+    return {
+      detectionId: detection.id,
+      primaryMood: {
+        emotion: detection.primaryMood.emotion,
+        confidence: detection.primaryMood.confidence,
+        intensity: detection.primaryMood.intensity
+      },
+      secondaryMoods: detection.secondaryMoods.map(secondary => ({
+        emotion: secondary.emotion,
+        confidence: secondary.confidence,
+        intensity: secondary.intensity
+      })),
+      modalityContributions: result.modalityContributions,
+      processingTime: result.processingTime,
+      timestamp: detection.timestamp.toISOString(),
+      insights: {
+        authenticity: current.authenticity,
+        stability: current.stability,
+        triggers: detection.triggers
+      }
+    };
+  }
+}
+
+module.exports = MoodDetectionService;
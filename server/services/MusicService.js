@@ -1,13 +1,23 @@
-import SpotifyWebApi from 'spotify-web-api-node';
+const SpotifyWebApi = require('spotify-web-api-node');
 
+/**
+ * Basic Spotify music service: mood recommendations, playback and volume
+ * One instance per user, created by MusicServiceRegistry
+ */
 class MusicService {
-  constructor() {
+  constructor(options = {}) {
+    this.userId = options.userId || null;
+    this.onPlayback = options.onPlayback || null;
+
     this.spotify = new SpotifyWebApi({
       clientId: process.env.SPOTIFY_CLIENT_ID,
       clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
       redirectUri: process.env.SPOTIFY_REDIRECT_URI
     });
     
+    // Async function returning a current access token; refreshes happen behind it
+    this.tokenProvider = options.tokenProvider || null;
+    
     this.moodPlaylists = {
       happy: ['upbeat', 'pop', 'dance', 'feel-good'],
       sad: ['melancholy', 'acoustic', 'indie', 'emotional'],
@@ -40,8 +50,23 @@ class MusicService {
     this.spotify.setAccessToken(token);
   }
 
+  setTokenProvider(tokenProvider) {
+    this.tokenProvider = tokenProvider;
+  }
+
+  async ensureAccessToken() {
+    if (!this.tokenProvider) return;
+    
+    const token = await this.tokenProvider();
+    if (token !== this.spotify.getAccessToken()) {
+      this.spotify.setAccessToken(token);
+    }
+  }
+
   async getMoodBasedRecommendations(mood, limit = 20) {
     try {
+      await this.ensureAccessToken();
+      
       const genres = this.moodPlaylists[mood] || this.moodPlaylists.neutral;
       const seedGenres = genres.slice(0, 5); // Spotify allows max 5 seed genres
       
@@ -74,7 +99,11 @@ class MusicService {
       }
       
       await this.spotify.play(playOptions);
-      
+
+      if (this.onPlayback && tracks.length > 0) {
+        this.onPlayback({ track: tracks[0], platform: 'spotify', timestamp: new Date().toISOString() });
+      }
+
       return {
         success: true,
         tracksCount: tracks.length,
@@ -88,6 +117,8 @@ class MusicService {
 
   async getCurrentPlayback() {
     try {
+      await this.ensureAccessToken();
+      
       const playback = await this.spotify.getMyCurrentPlaybackState();
       return playback.body;
     } catch (error) {
@@ -98,6 +129,8 @@ class MusicService {
 
   async adjustVolumeForMood(mood) {
     try {
+      await this.ensureAccessToken();
+      
       const volumeMap = {
         happy: 75,
         energetic: 80,
@@ -158,4 +191,4 @@ class MusicService {
   }
 }
 
-export default new MusicService();
\ No newline at end of file
+module.exports = MusicService;
@@ -0,0 +1,135 @@
+const EventEmitter = require('events');
+const MusicService = require('./MusicService');
+const AdvancedMusicService = require('./AdvancedMusicService');
+
+const SERVICE_TYPES = {
+  basic: MusicService,
+  advanced: AdvancedMusicService
+};
+
+/**
+ * Per-user music service instances
+ * Every user gets their own Spotify client, credentials, playback history and
+ * preferences; instances that sit idle are disposed and evicted
+ */
+class MusicServiceRegistry extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.spotifyAuthService = options.spotifyAuthService;
+    this.idleTimeout = options.idleTimeout || 15 * 60 * 1000;
+    this.maxInstances = options.maxInstances || 500;
+
+    // key -> { service, ready, lastUsed }
+    this.instances = new Map();
+
+    this.sweepTimer = setInterval(() => this.evictIdle(), options.sweepInterval || 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  /**
+   * Get (or create) the music service of the given type for a user
+   */
+  async get(userId, type = 'advanced') {
+    const ServiceClass = SERVICE_TYPES[type];
+    if (!ServiceClass) {
+      throw new Error(`Unknown music service type: ${type}`);
+    }
+
+    const key = `${type}:${userId}`;
+    let entry = this.instances.get(key);
+
+    if (!entry) {
+      const service = new ServiceClass({
+        userId: userId,
+        tokenProvider: this.spotifyAuthService.tokenProviderFor(userId),
+        onPlayback: ({ track, platform, timestamp }) => {
+          this.emit('musicPlayed', { userId, track, platform, timestamp });
+        }
+      });
+
+      entry = {
+        service: service,
+        ready: typeof service.initialize === 'function' ? service.initialize() : Promise.resolve(),
+        lastUsed: Date.now()
+      };
+
+      this.instances.set(key, entry);
+      this.enforceCapacity();
+    }
+
+    entry.lastUsed = Date.now();
+
+    try {
+      await entry.ready;
+    } catch (error) {
+      // Don't cache an instance that failed to start
+      this.evict(key);
+      throw error;
+    }
+
+    return entry.service;
+  }
+
+  /**
+   * Dispose and forget a single instance
+   */
+  evict(key) {
+    const entry = this.instances.get(key);
+    if (!entry) return;
+
+    this.instances.delete(key);
+
+    if (typeof entry.service.dispose === 'function') {
+      try {
+        entry.service.dispose();
+      } catch (error) {
+        console.error(`Failed to dispose music service ${key}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Drop every instance belonging to a user, e.g. after they unlink Spotify
+   */
+  evictUser(userId) {
+    Object.keys(SERVICE_TYPES).forEach(type => this.evict(`${type}:${userId}`));
+  }
+
+  /**
+   * Evict instances that have not been used within the idle timeout
+   */
+  evictIdle() {
+    const cutoff = Date.now() - this.idleTimeout;
+
+    Array.from(this.instances.entries())
+      .filter(([, entry]) => entry.lastUsed < cutoff)
+      .forEach(([key]) => this.evict(key));
+  }
+
+  /**
+   * Evict least recently used instances beyond the capacity limit
+   */
+  enforceCapacity() {
+    if (this.instances.size <= this.maxInstances) return;
+
+    Array.from(this.instances.entries())
+      .sort((a, b) => a[1].lastUsed - b[1].lastUsed)
+      .slice(0, this.instances.size - this.maxInstances)
+      .forEach(([key]) => this.evict(key));
+  }
+
+  getStats() {
+    return {
+      instances: this.instances.size,
+      maxInstances: this.maxInstances,
+      idleTimeout: this.idleTimeout
+    };
+  }
+
+  dispose() {
+    clearInterval(this.sweepTimer);
+    Array.from(this.instances.keys()).forEach(key => this.evict(key));
+  }
+}
+
+module.exports = MusicServiceRegistry;
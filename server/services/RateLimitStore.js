@@ -0,0 +1,109 @@
+/**
+ * Fixed-window request counters for the rate limiter
+ * Both stores resolve increment(key, windowMs) to { count, resetAt }
+ */
+
+/**
+ * In-process counters, used when Redis isn't configured or is unreachable
+ */
+class MemoryStore {
+  constructor(options = {}) {
+    // key -> { count, resetAt }
+    this.windows = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), options.sweepInterval || 60 * 1000);
+    this.sweepTimer.unref();
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let window = this.windows.get(key);
+
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+
+    window.count += 1;
+
+    return { count: window.count, resetAt: window.resetAt };
+  }
+
+  /**
+   * Drop windows that have already expired
+   */
+  sweep() {
+    const now = Date.now();
+    for (const [key, window] of this.windows) {
+      if (window.resetAt <= now) {
+        this.windows.delete(key);
+      }
+    }
+  }
+
+  dispose() {
+    clearInterval(this.sweepTimer);
+    this.windows.clear();
+  }
+}
+
+// INCR and PEXPIRE must happen together, otherwise a crash between them leaves a key that never expires
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+/**
+ * Counters shared between API instances through Redis
+ * Falls back to in-process counters while Redis is unavailable
+ */
+class RedisStore {
+  constructor(client, options = {}) {
+    this.client = client;
+    this.prefix = options.prefix || 'ratelimit:';
+    this.fallback = options.fallback || new MemoryStore();
+    this.usingFallback = false;
+  }
+
+  async increment(key, windowMs) {
+    if (!this.client.isReady) {
+      return this.incrementFallback(key, windowMs, 'Redis is not connected');
+    }
+
+    try {
+      const [count, ttl] = await this.client.eval(INCREMENT_SCRIPT, {
+        keys: [this.prefix + key],
+        arguments: [String(windowMs)]
+      });
+
+      if (this.usingFallback) {
+        this.usingFallback = false;
+        console.log('Rate limiter reconnected to Redis');
+      }
+
+      return { count: count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+
+    } catch (error) {
+      return this.incrementFallback(key, windowMs, error.message);
+    }
+  }
+
+  incrementFallback(key, windowMs, reason) {
+    // Log once per outage rather than once per request
+    if (!this.usingFallback) {
+      this.usingFallback = true;
+      console.error(`Rate limiter falling back to in-memory counters: ${reason}`);
+    }
+
+    return this.fallback.increment(key, windowMs);
+  }
+
+  dispose() {
+    this.fallback.dispose();
+  }
+}
+
+module.exports = { MemoryStore, RedisStore };
@@ -1,30 +1,119 @@
-const axios = require('axios');
 const WebSocket = require('ws');
 const EventEmitter = require('events');
 const crypto = require('crypto');
+const mongoose = require('mongoose');
+const {
+  ApiError,
+  MoodSyncError,
+  AutomationNotFoundError,
+  DeviceControlError,
+  DeviceNotFoundError,
+  NothingToRevertError,
+  PlatformRequestError,
+  RoomNotFoundError,
+  SceneNotFoundError,
+  ServiceNotInitializedError,
+  UnknownMoodError,
+  UnsupportedDeviceError
+} = require('../utils/errors');
+const { EnvironmentChange } = require('../models/AdvancedAnalytics');
+const Scene = require('../models/Scene');
+const { Automation, HISTORY_LIMIT } = require('../models/Automation');
+const { Room } = require('../models/Room');
+const User = require('../models/User');
+const { createDrivers } = require('./drivers');
+const { kelvinToHex, nearestColorTemperature } = require('../utils/color');
+const { SETPOINT_MODES, DEFAULT_COMFORT, toCelsius, fromCelsius } = require('../utils/climate');
+const { isSunCondition } = require('../utils/sun');
+
+// A user's latest mood stops counting as current once detections go quiet for this long
+const MOOD_STALE_AFTER = 30 * 60 * 1000;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Device changes an automation's own actions cause can arrive by push or poll after it finishes;
+// device and sensor triggers ignore the automation for this long so it can't re-trigger itself
+const AUTOMATION_SETTLE_TIME = 30 * 1000;
+
+// Keyframed fades send at most one command per device every few seconds
+const MIN_FADE_STEP_SECONDS = 5;
+const MAX_FADE_STEPS = 20;
+
+// White range assumed for tunable bulbs that don't report their own, in Kelvin
+const DEFAULT_TEMPERATURE_RANGE = { min: 2000, max: 6500 };
+
+// Widest comfort range a user can set, in °C
+const COMFORT_LIMITS = { min: 5, max: 35 };
+
+/**
+ * Server-local time of day as HH:MM
+ */
+function toTimeOfDay(date) {
+  return `${date.getHours().toString().padStart(2, '0')}:${date.getMinutes().toString().padStart(2, '0')}`;
+}
+
+/**
+ * Recursively merge plain-object overrides into a copy of base
+ */
+function deepMerge(base, overrides) {
+  const merged = { ...base };
+
+  Object.entries(overrides || {}).forEach(([key, value]) => {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    merged[key] = isObject && base && typeof base[key] === 'object'
+      ? deepMerge(base[key], value)
+      : value;
+  });
+
+  return merged;
+}
+
+/**
+ * Split a change into evenly spaced keyframes, interpolating the numeric settings
+ * The last keyframe is always the target itself
+ */
+function buildKeyframes(from, to, steps) {
+  return Array.from({ length: steps }, (_, index) => {
+    const progress = (index + 1) / steps;
+    const frame = { ...to };
+
+    Object.keys(to).forEach(key => {
+      if (typeof to[key] === 'number' && typeof from[key] === 'number') {
+        frame[key] = from[key] + (to[key] - from[key]) * progress;
+      }
+    });
+
+    return frame;
+  });
+}
 
 /**
  * Comprehensive Smart Home Integration Service
  * Supports multiple IoT platforms and protocols
  */
 class SmartHomeService extends EventEmitter {
-  constructor() {
+  constructor(options = {}) {
     super();
     
+    // Device platforms, keyed by the platform name devices carry
+    this.drivers = createDrivers(this, options);
+    
+    // Voice assistant and bridge integrations, which don't control devices themselves
     this.platforms = {
-      philipsHue: null,
-      lifx: null,
-      nest: null,
       alexa: null,
       googleHome: null,
-      smartThings: null,
-      homeKit: null,
-      ifttt: null
+      homeKit: null
     };
     
     this.devices = new Map();
-    this.scenes = new Map();
+    this.rooms = new Map();
     this.automations = new Map();
+    this.automationTimer = null;
+    this.userMoods = new Map();
+    this.moodDurationFired = new Map();
+    this.automationRuns = new Map();
+    this.lastTimeCheck = null;
+    this.fades = new Map();
     this.websockets = new Map();
     
     this.isInitialized = false;
@@ -45,43 +134,43 @@ class SmartHomeService extends EventEmitter {
       happy: {
         lighting: { brightness: 85, color: '#FFD700', temperature: 3000 },
         climate: { temperature: 22, fan: 'low' },
-        music: { volume: 75, genre: 'upbeat' },
+        music: { volume: 75, genre: 'upbeat', playlist: 'MoodSync Happy' },
         ambiance: 'energetic'
       },
       sad: {
         lighting: { brightness: 30, color: '#4169E1', temperature: 2700 },
         climate: { temperature: 24, fan: 'off' },
-        music: { volume: 40, genre: 'melancholic' },
+        music: { volume: 40, genre: 'melancholic', playlist: 'MoodSync Sad' },
         ambiance: 'cozy'
       },
       angry: {
         lighting: { brightness: 60, color: '#FF4500', temperature: 4000 },
         climate: { temperature: 20, fan: 'medium' },
-        music: { volume: 70, genre: 'rock' },
+        music: { volume: 70, genre: 'rock', playlist: 'MoodSync Angry' },
         ambiance: 'intense'
       },
       calm: {
         lighting: { brightness: 40, color: '#98FB98', temperature: 2200 },
         climate: { temperature: 23, fan: 'low' },
-        music: { volume: 30, genre: 'ambient' },
+        music: { volume: 30, genre: 'ambient', playlist: 'MoodSync Calm' },
         ambiance: 'peaceful'
       },
       energetic: {
         lighting: { brightness: 95, color: '#FF69B4', temperature: 5000 },
         climate: { temperature: 21, fan: 'high' },
-        music: { volume: 80, genre: 'electronic' },
+        music: { volume: 80, genre: 'electronic', playlist: 'MoodSync Energetic' },
         ambiance: 'dynamic'
       },
       romantic: {
         lighting: { brightness: 25, color: '#DC143C', temperature: 2000 },
         climate: { temperature: 25, fan: 'off' },
-        music: { volume: 50, genre: 'romantic' },
+        music: { volume: 50, genre: 'romantic', playlist: 'MoodSync Romantic' },
         ambiance: 'intimate'
       },
       focused: {
         lighting: { brightness: 70, color: '#FFFFFF', temperature: 4500 },
         climate: { temperature: 22, fan: 'low' },
-        music: { volume: 20, genre: 'instrumental' },
+        music: { volume: 20, genre: 'instrumental', playlist: 'MoodSync Focused' },
         ambiance: 'productive'
       }
     };
@@ -95,14 +184,10 @@ class SmartHomeService extends EventEmitter {
       console.log('Initializing SmartHomeService...');
       
       await Promise.all([
-        this.initializePhilipsHue(),
-        this.initializeLIFX(),
-        this.initializeNest(),
+        ...Array.from(this.drivers.values()).map(driver => this.initializeDriver(driver)),
         this.initializeAlexa(),
         this.initializeGoogleHome(),
-        this.initializeSmartThings(),
-        this.initializeHomeKit(),
-        this.initializeIFTTT()
+        this.initializeHomeKit()
       ]);
       
       // Discover and register devices
@@ -126,101 +211,33 @@ class SmartHomeService extends EventEmitter {
   }
 
   /**
-   * Initialize Philips Hue integration
+   * Initialize a device platform driver
+   * Drivers report their own configuration problems; one that throws is left disconnected
    */
-  async initializePhilipsHue() {
+  async initializeDriver(driver) {
     try {
-      const bridgeIP = process.env.PHILIPS_HUE_BRIDGE_IP;
-      const username = process.env.PHILIPS_HUE_USERNAME;
-      
-      if (!bridgeIP || !username) {
-        console.log('Philips Hue credentials not provided, skipping...');
-        return;
-      }
-      
-      this.platforms.philipsHue = {
-        baseURL: `http://${bridgeIP}/api/${username}`,
-        username: username,
-        bridgeIP: bridgeIP,
-        connected: false
-      };
-      
-      // Test connection
-      const response = await axios.get(`${this.platforms.philipsHue.baseURL}/lights`);
-      this.platforms.philipsHue.connected = true;
-      
-      console.log('Philips Hue initialized successfully');
-      
+      await driver.initialize();
     } catch (error) {
-      console.error('Failed to initialize Philips Hue:', error);
+      console.error(`Failed to initialize ${driver.name}:`, error);
     }
   }
 
   /**
-   * Initialize LIFX integration
+   * Connected device platform drivers
    */
-  async initializeLIFX() {
-    try {
-      const token = process.env.LIFX_TOKEN;
-      
-      if (!token) {
-        console.log('LIFX token not provided, skipping...');
-        return;
-      }
-      
-      this.platforms.lifx = {
-        baseURL: 'https://api.lifx.com/v1',
-        token: token,
-        headers: { 'Authorization': `Bearer ${token}` },
-        connected: false
-      };
-      
-      // Test connection
-      const response = await axios.get(`${this.platforms.lifx.baseURL}/lights`, {
-        headers: this.platforms.lifx.headers
-      });
-      
-      this.platforms.lifx.connected = true;
-      console.log('LIFX initialized successfully');
-      
-    } catch (error) {
-      console.error('Failed to initialize LIFX:', error);
-    }
+  connectedDrivers() {
+    return Array.from(this.drivers.values()).filter(driver => driver.connected);
   }
 
   /**
-   * Initialize Google Nest integration
+   * The driver for a device's platform
    */
-  async initializeNest() {
-    try {
-      const accessToken = process.env.NEST_ACCESS_TOKEN;
-      const projectId = process.env.NEST_PROJECT_ID;
-      
-      if (!accessToken || !projectId) {
-        console.log('Nest credentials not provided, skipping...');
-        return;
-      }
-      
-      this.platforms.nest = {
-        baseURL: 'https://smartdevicemanagement.googleapis.com/v1',
-        accessToken: accessToken,
-        projectId: projectId,
-        headers: { 'Authorization': `Bearer ${accessToken}` },
-        connected: false
-      };
-      
-      // Test connection
-      const response = await axios.get(
-        `${this.platforms.nest.baseURL}/enterprises/${projectId}/devices`,
-        { headers: this.platforms.nest.headers }
-      );
-      
-      this.platforms.nest.connected = true;
-      console.log('Google Nest initialized successfully');
-      
-    } catch (error) {
-      console.error('Failed to initialize Google Nest:', error);
+  driverFor(device) {
+    const driver = this.drivers.get(device.platform);
+    if (!driver || !driver.connected) {
+      throw new UnsupportedDeviceError(device);
     }
+    return driver;
   }
 
   /**
@@ -281,38 +298,6 @@ class SmartHomeService extends EventEmitter {
     }
   }
 
-  /**
-   * Initialize Samsung SmartThings integration
-   */
-  async initializeSmartThings() {
-    try {
-      const token = process.env.SMARTTHINGS_TOKEN;
-      
-      if (!token) {
-        console.log('SmartThings token not provided, skipping...');
-        return;
-      }
-      
-      this.platforms.smartThings = {
-        baseURL: 'https://api.smartthings.com/v1',
-        token: token,
-        headers: { 'Authorization': `Bearer ${token}` },
-        connected: false
-      };
-      
-      // Test connection
-      const response = await axios.get(`${this.platforms.smartThings.baseURL}/devices`, {
-        headers: this.platforms.smartThings.headers
-      });
-      
-      this.platforms.smartThings.connected = true;
-      console.log('Samsung SmartThings initialized successfully');
-      
-    } catch (error) {
-      console.error('Failed to initialize Samsung SmartThings:', error);
-    }
-  }
-
   /**
    * Initialize Apple HomeKit integration
    */
@@ -350,256 +335,158 @@ class SmartHomeService extends EventEmitter {
   }
 
   /**
-   * Initialize IFTTT integration
+   * Discover all available devices across platforms
    */
-  async initializeIFTTT() {
+  async discoverDevices() {
     try {
-      const webhookKey = process.env.IFTTT_WEBHOOK_KEY;
+      console.log('Discovering smart home devices...');
       
-      if (!webhookKey) {
-        console.log('IFTTT webhook key not provided, skipping...');
-        return;
-      }
+      await Promise.all(this.connectedDrivers().map(async (driver) => {
+        try {
+          const devices = await driver.discover();
+          devices.forEach(device => this.devices.set(device.id, device));
+        } catch (error) {
+          console.error(`Failed to discover ${driver.name} devices:`, error);
+        }
+      }));
       
-      this.platforms.ifttt = {
-        baseURL: 'https://maker.ifttt.com/trigger',
-        webhookKey: webhookKey,
-        connected: true
-      };
+      console.log(`Discovered ${this.devices.size} smart home devices`);
       
-      console.log('IFTTT initialized successfully');
+      await this.discoverRooms();
       
     } catch (error) {
-      console.error('Failed to initialize IFTTT:', error);
+      console.error('Device discovery failed:', error);
     }
   }
 
   /**
-   * Discover all available devices across platforms
+   * Import rooms and zones from the platforms that define them
    */
-  async discoverDevices() {
-    try {
-      console.log('Discovering smart home devices...');
-      
-      const discoveryPromises = [];
-      
-      if (this.platforms.philipsHue?.connected) {
-        discoveryPromises.push(this.discoverHueDevices());
-      }
-      
-      if (this.platforms.lifx?.connected) {
-        discoveryPromises.push(this.discoverLIFXDevices());
-      }
-      
-      if (this.platforms.nest?.connected) {
-        discoveryPromises.push(this.discoverNestDevices());
-      }
-      
-      if (this.platforms.smartThings?.connected) {
-        discoveryPromises.push(this.discoverSmartThingsDevices());
+  async discoverRooms() {
+    const rooms = new Map();
+
+    await Promise.all(this.connectedDrivers().map(async (driver) => {
+      try {
+        (await driver.discoverRooms()).forEach(room => rooms.set(room.id, room));
+      } catch (error) {
+        console.error(`Failed to discover ${driver.name} rooms:`, error);
       }
-      
-      await Promise.all(discoveryPromises);
-      
-      console.log(`Discovered ${this.devices.size} smart home devices`);
-      
-    } catch (error) {
-      console.error('Device discovery failed:', error);
-    }
+    }));
+
+    this.rooms = rooms;
+    console.log(`Imported ${rooms.size} rooms and zones`);
   }
 
   /**
-   * Discover Philips Hue devices
+   * List imported rooms and zones plus the user's own
    */
-  async discoverHueDevices() {
-    try {
-      const response = await axios.get(`${this.platforms.philipsHue.baseURL}/lights`);
-      const lights = response.data;
-      
-      Object.entries(lights).forEach(([id, light]) => {
-        const device = {
-          id: `hue_${id}`,
-          platform: 'philipsHue',
-          platformId: id,
-          name: light.name,
-          type: 'lighting',
-          subtype: 'bulb',
-          capabilities: {
-            brightness: true,
-            color: light.state.colormode !== undefined,
-            temperature: light.state.ct !== undefined,
-            power: true
-          },
-          state: {
-            on: light.state.on,
-            brightness: light.state.bri,
-            hue: light.state.hue,
-            saturation: light.state.sat,
-            temperature: light.state.ct
-          },
-          metadata: {
-            manufacturer: light.manufacturername,
-            model: light.modelid,
-            version: light.swversion,
-            uniqueId: light.uniqueid
-          }
-        };
-        
-        this.devices.set(device.id, device);
-      });
-      
-      console.log(`Discovered ${Object.keys(lights).length} Philips Hue devices`);
-      
-    } catch (error) {
-      console.error('Failed to discover Hue devices:', error);
+  async listRooms(userId) {
+    const manualRooms = await Room.find({ userId: userId }).sort({ name: 1 });
+
+    return [
+      ...Array.from(this.rooms.values()).map(room => ({ ...room, editable: false })),
+      ...manualRooms.map(room => room.toSummary())
+    ];
+  }
+
+  /**
+   * Create a manual room or zone
+   */
+  async createRoom(userId, { name, kind, deviceIds }) {
+    this.validateDeviceIds(deviceIds);
+
+    const room = await Room.create({ userId, name, kind, deviceIds });
+    return room.toSummary();
+  }
+
+  /**
+   * Rename a manual room or zone, or change its devices
+   */
+  async updateRoom(userId, roomId, changes) {
+    if (changes.deviceIds) {
+      this.validateDeviceIds(changes.deviceIds);
+    }
+
+    const room = await Room.findOneAndUpdate(
+      { _id: roomId, userId: userId },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    if (!room) {
+      throw new RoomNotFoundError(roomId);
     }
+
+    return room.toSummary();
   }
 
   /**
-   * Discover LIFX devices
+   * Delete a manual room or zone
    */
-  async discoverLIFXDevices() {
-    try {
-      const response = await axios.get(`${this.platforms.lifx.baseURL}/lights`, {
-        headers: this.platforms.lifx.headers
-      });
-      
-      const lights = response.data;
-      
-      lights.forEach(light => {
-        const device = {
-          id: `lifx_${light.id}`,
-          platform: 'lifx',
-          platformId: light.id,
-          name: light.label,
-          type: 'lighting',
-          subtype: 'bulb',
-          capabilities: {
-            brightness: true,
-            color: light.product.capabilities.has_color,
-            temperature: light.product.capabilities.has_variable_color_temp,
-            power: true
-          },
-          state: {
-            on: light.power === 'on',
-            brightness: light.brightness,
-            hue: light.color.hue,
-            saturation: light.color.saturation,
-            temperature: light.color.kelvin
-          },
-          metadata: {
-            manufacturer: 'LIFX',
-            model: light.product.name,
-            version: light.product.capabilities.firmware_version,
-            location: light.location.name,
-            group: light.group.name
-          }
-        };
-        
-        this.devices.set(device.id, device);
-      });
-      
-      console.log(`Discovered ${lights.length} LIFX devices`);
-      
-    } catch (error) {
-      console.error('Failed to discover LIFX devices:', error);
+  async deleteRoom(userId, roomId) {
+    const room = await Room.findOneAndDelete({ _id: roomId, userId: userId });
+    if (!room) {
+      throw new RoomNotFoundError(roomId);
     }
   }
 
   /**
-   * Discover Google Nest devices
+   * Reject device IDs that discovery doesn't know about
    */
-  async discoverNestDevices() {
-    try {
-      const response = await axios.get(
-        `${this.platforms.nest.baseURL}/enterprises/${this.platforms.nest.projectId}/devices`,
-        { headers: this.platforms.nest.headers }
-      );
-      
-      const devices = response.data.devices || [];
-      
-      devices.forEach(nestDevice => {
-        const deviceType = nestDevice.type.split('.').pop();
-        
-        const device = {
-          id: `nest_${nestDevice.name.split('/').pop()}`,
-          platform: 'nest',
-          platformId: nestDevice.name,
-          name: nestDevice.traits['sdm.devices.traits.Info']?.customName || 'Nest Device',
-          type: this.mapNestDeviceType(deviceType),
-          subtype: deviceType,
-          capabilities: this.getNestCapabilities(nestDevice.traits),
-          state: this.getNestState(nestDevice.traits),
-          metadata: {
-            manufacturer: 'Google Nest',
-            model: deviceType,
-            room: nestDevice.parentRelations?.[0]?.displayName
-          }
-        };
-        
-        this.devices.set(device.id, device);
-      });
-      
-      console.log(`Discovered ${devices.length} Google Nest devices`);
-      
-    } catch (error) {
-      console.error('Failed to discover Nest devices:', error);
+  validateDeviceIds(deviceIds = []) {
+    if (!this.isInitialized) return;
+
+    const unknown = deviceIds.find(deviceId => !this.devices.has(deviceId));
+    if (unknown) {
+      throw new DeviceNotFoundError(unknown);
     }
   }
 
   /**
-   * Discover Samsung SmartThings devices
+   * Resolve a room or zone ID to the set of device IDs it contains
+   * Imported rooms are shared; manual rooms only resolve for their owner
    */
-  async discoverSmartThingsDevices() {
-    try {
-      const response = await axios.get(`${this.platforms.smartThings.baseURL}/devices`, {
-        headers: this.platforms.smartThings.headers
-      });
-      
-      const devices = response.data.items || [];
-      
-      devices.forEach(stDevice => {
-        const device = {
-          id: `st_${stDevice.deviceId}`,
-          platform: 'smartThings',
-          platformId: stDevice.deviceId,
-          name: stDevice.label || stDevice.name,
-          type: this.mapSmartThingsDeviceType(stDevice.deviceTypeName),
-          subtype: stDevice.deviceTypeName,
-          capabilities: this.getSmartThingsCapabilities(stDevice.components),
-          state: {},
-          metadata: {
-            manufacturer: stDevice.deviceManufacturerCode,
-            model: stDevice.deviceTypeName,
-            room: stDevice.roomId,
-            location: stDevice.locationId
-          }
-        };
-        
-        this.devices.set(device.id, device);
-      });
-      
-      console.log(`Discovered ${devices.length} SmartThings devices`);
-      
-    } catch (error) {
-      console.error('Failed to discover SmartThings devices:', error);
+  async resolveRoomDevices(userId, roomId) {
+    const imported = this.rooms.get(roomId);
+    if (imported) {
+      return new Set(imported.deviceIds);
+    }
+
+    const room = mongoose.isValidObjectId(roomId) && userId
+      ? await Room.findOne({ _id: roomId, userId: userId })
+      : null;
+    if (!room) {
+      throw new RoomNotFoundError(roomId);
     }
+
+    return new Set(room.deviceIds);
+  }
+
+  /**
+   * Devices of a type, limited to a room's devices when given
+   */
+  selectDevices(type, deviceIds) {
+    return Array.from(this.devices.values())
+      .filter(device => device.type === type && (!deviceIds || deviceIds.has(device.id)));
   }
 
   /**
    * Apply mood-based environment changes
+   * With options.roomId only that room or zone's devices change
    */
   async applyMoodEnvironment(mood, intensity = 1.0, options = {}) {
     try {
       if (!this.isInitialized) {
-        throw new Error('SmartHomeService not initialized');
+        throw new ServiceNotInitializedError('SmartHomeService');
       }
       
-      const environment = this.moodEnvironments[mood];
-      if (!environment) {
-        throw new Error(`Unknown mood: ${mood}`);
+      if (!this.moodEnvironments[mood]) {
+        throw new UnknownMoodError(mood);
       }
       
+      // Per-call overrides replace preset values before intensity scaling
+      const environment = deepMerge(this.moodEnvironments[mood], options.customSettings);
+      const deviceIds = options.roomId ? await this.resolveRoomDevices(options.userId, options.roomId) : null;
+      
       console.log(`Applying ${mood} environment with intensity ${intensity}`);
       
       const results = {
@@ -612,28 +499,62 @@ class SmartHomeService extends EventEmitter {
       
       // Apply lighting changes
       if (options.lighting !== false) {
-        const lightingResults = await this.applyLightingChanges(environment.lighting, intensity);
+        const lightingResults = await this.applyLightingChanges(environment.lighting, intensity, {
+          transition: options.transition,
+          deviceIds: deviceIds
+        });
         results.lighting = lightingResults;
       }
       
       // Apply climate changes
       if (options.climate !== false) {
-        const climateResults = await this.applyClimateChanges(environment.climate, intensity);
+        const climateResults = await this.applyClimateChanges(environment.climate, intensity, {
+          transition: options.transition,
+          deviceIds: deviceIds,
+          comfort: await this.getComfortBounds(options.userId)
+        });
         results.climate = climateResults;
       }
       
       // Apply entertainment changes
       if (options.entertainment !== false) {
-        const entertainmentResults = await this.applyEntertainmentChanges(environment.music, intensity);
+        const entertainmentResults = await this.applyEntertainmentChanges(environment.music, intensity, {
+          deviceIds: deviceIds
+        });
         results.entertainment = entertainmentResults;
       }
       
-      // Create and save scene
-      const sceneId = await this.createScene(mood, environment, intensity);
-      results.sceneId = sceneId;
+      if (options.userId) {
+        // Save the result as a scene only when asked, so repeated applies don't pile up scenes
+        const scene = options.saveScene || options.sceneName
+          ? await this.createScene(options.userId, {
+            name: options.sceneName,
+            roomId: options.roomId,
+            mood: mood,
+            environment: environment,
+            intensity: intensity,
+            deviceIds: [...results.lighting, ...results.climate, ...results.entertainment]
+              .filter(result => result.success)
+              .map(result => result.deviceId)
+          })
+          : null;
+        results.sceneId = scene ? scene.id : null;
+
+        const change = await this.recordEnvironmentChange(options.userId, {
+          sessionId: options.sessionId,
+          mood: mood,
+          intensity: intensity,
+          scene: scene,
+          results: [...results.lighting, ...results.climate, ...results.entertainment]
+        });
+        results.environmentId = change ? change.id : null;
+      }
       
       // Emit event
       this.emit('environmentApplied', {
+        userId: options.userId || null,
+        environmentId: results.environmentId || null,
+        roomId: options.roomId || null,
         mood: mood,
         intensity: intensity,
         results: results,
@@ -648,42 +569,186 @@ class SmartHomeService extends EventEmitter {
     }
   }
 
+  /**
+   * Store an applied environment as an EnvironmentChange document
+   * Resolves to null if the record can't be written
+   */
+  async recordEnvironmentChange(userId, { sessionId, changeType = 'environment', mood, intensity, scene, revertOf, results }) {
+    const deviceResults = results.filter(result => result.deviceId);
+
+    try {
+      return await EnvironmentChange.create({
+        userId: userId,
+        sessionId: sessionId || crypto.randomUUID(),
+        changeType: changeType,
+        revertOf: revertOf,
+        devices: deviceResults.map(result => {
+          const device = this.devices.get(result.deviceId) || {};
+          return {
+            id: result.deviceId,
+            platform: device.platform,
+            type: device.type,
+            name: result.deviceName,
+            previousState: result.previousConfig,
+            newState: result.config,
+            changeSuccess: result.success,
+            errorMessage: result.error
+          };
+        }),
+        scene: {
+          id: scene?.id,
+          name: scene?.name,
+          mood: mood,
+          intensity: intensity,
+          deviceCount: deviceResults.length
+        }
+      });
+    } catch (error) {
+      // The devices have already changed, so don't fail the apply over the audit record
+      console.error('Failed to record environment change:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Undo the user's most recent environment apply or scene activation
+   * Restores each device to the state captured just before it changed; a revert can't itself be reverted
+   */
+  async revertLastEnvironment(userId, options = {}) {
+    if (!this.isInitialized) {
+      throw new ServiceNotInitializedError('SmartHomeService');
+    }
+
+    const latest = await EnvironmentChange.findOne({
+      userId: userId,
+      changeType: { $in: ['environment', 'scene', 'revert'] }
+    }).sort({ timestamp: -1 });
+
+    if (!latest || latest.changeType === 'revert' || latest.revertedAt) {
+      throw new NothingToRevertError('No environment change to revert', options.environmentId);
+    }
+    if (options.environmentId && latest.id !== options.environmentId) {
+      throw new NothingToRevertError('Only the most recent environment change can be reverted', options.environmentId);
+    }
+
+    // Claim the change so two concurrent reverts can't both replay it
+    const claimed = await EnvironmentChange.findOneAndUpdate(
+      { _id: latest._id, revertedAt: null },
+      { $set: { revertedAt: new Date() } }
+    );
+    if (!claimed) {
+      throw new NothingToRevertError('No environment change to revert', latest.id);
+    }
+
+    const restorable = latest.devices.filter(entry => entry.changeSuccess && entry.previousState);
+    const restore = async (entry) => {
+      const device = this.devices.get(entry.id);
+      const previousConfig = device ? this.captureDeviceSettings(device) : null;
+
+      try {
+        const { settings, unsupported } = await this.controlDevice(entry.id, entry.previousState, { transition: options.transition });
+        return { deviceId: entry.id, deviceName: entry.name, success: true, config: settings, previousConfig, unsupported };
+      } catch (error) {
+        console.error(`Failed to revert ${entry.name || entry.id}:`, error);
+        return { deviceId: entry.id, deviceName: entry.name, success: false, code: error.code, error: error.message };
+      }
+    };
+
+    // Speakers rejoin their old groups only once those groups' coordinators are back on their own
+    const joinsGroup = entry => entry.previousState.group && entry.previousState.group !== entry.id;
+    const results = [
+      ...await Promise.all(restorable.filter(entry => !joinsGroup(entry)).map(restore)),
+      ...await Promise.all(restorable.filter(joinsGroup).map(restore))
+    ];
+
+    const change = await this.recordEnvironmentChange(userId, {
+      sessionId: options.sessionId || latest.sessionId,
+      changeType: 'revert',
+      mood: latest.scene?.mood,
+      intensity: latest.scene?.intensity,
+      revertOf: latest._id,
+      results: results
+    });
+
+    return {
+      environmentId: change ? change.id : null,
+      revertedEnvironmentId: latest.id,
+      restoredDevices: results.filter(result => result.success).length,
+      failedDevices: results.filter(result => !result.success).length,
+      // Changed devices whose earlier state wasn't known, so there was nothing to restore
+      skippedDevices: latest.devices.filter(entry => entry.changeSuccess && !entry.previousState).length,
+      results: results
+    };
+  }
+
+  /**
+   * List devices, optionally filtered by type, platform and status
+   */
+  getDevices({ type, platform, status } = {}) {
+    const allDevices = Array.from(this.devices.values());
+    const devices = allDevices.filter(device =>
+      (!type || device.type === type) &&
+      (!platform || device.platform === platform) &&
+      (!status || (device.status || 'online') === status)
+    );
+
+    const byType = {};
+    allDevices.forEach(device => {
+      byType[device.type] = (byType[device.type] || 0) + 1;
+    });
+
+    return {
+      devices: devices.map(device => ({
+        id: device.id,
+        platform: device.platform,
+        name: device.name,
+        type: device.type,
+        subtype: device.subtype,
+        capabilities: device.capabilities,
+        state: device.state,
+        status: device.status || 'online',
+        lastUpdated: device.lastUpdated || null
+      })),
+      stats: {
+        total: allDevices.length,
+        online: allDevices.filter(device => (device.status || 'online') === 'online').length,
+        byType: byType
+      }
+    };
+  }
+
   /**
    * Apply lighting changes based on mood
    */
-  async applyLightingChanges(lightingConfig, intensity) {
+  async applyLightingChanges(lightingConfig, intensity, options = {}) {
     const results = [];
-    const lightingDevices = Array.from(this.devices.values()).filter(d => d.type === 'lighting');
+    const lightingDevices = this.selectDevices('lighting', options.deviceIds);
     
     for (const device of lightingDevices) {
       try {
         const adjustedConfig = this.adjustConfigForIntensity(lightingConfig, intensity);
+        const previousConfig = this.captureDeviceSettings(device);
         
-        switch (device.platform) {
-          case 'philipsHue':
-            await this.controlHueLight(device, adjustedConfig);
-            break;
-          case 'lifx':
-            await this.controlLIFXLight(device, adjustedConfig);
-            break;
-          default:
-            console.log(`Unsupported lighting platform: ${device.platform}`);
-        }
+        const { settings, unsupported } = await this.controlLight(device, adjustedConfig, options);
         
         results.push({
           deviceId: device.id,
           deviceName: device.name,
           success: true,
-          config: adjustedConfig
+          config: settings,
+          previousConfig: previousConfig,
+          unsupported: unsupported
         });
         
       } catch (error) {
+        const deviceError = this.toDeviceError(device, error);
         console.error(`Failed to control ${device.name}:`, error);
         results.push({
           deviceId: device.id,
           deviceName: device.name,
           success: false,
-          error: error.message
+          code: deviceError.code,
+          error: deviceError.message
         });
       }
     }
@@ -693,40 +758,36 @@ class SmartHomeService extends EventEmitter {
 
   /**
    * Apply climate changes based on mood
+   * Intensity scales how far each thermostat moves toward the mood's temperature, from its own setpoint
    */
-  async applyClimateChanges(climateConfig, intensity) {
+  async applyClimateChanges(climateConfig, intensity, options = {}) {
     const results = [];
-    const climateDevices = Array.from(this.devices.values()).filter(d => d.type === 'climate');
+    const climateDevices = this.selectDevices('climate', options.deviceIds);
     
     for (const device of climateDevices) {
       try {
-        const adjustedConfig = this.adjustConfigForIntensity(climateConfig, intensity);
+        const previousConfig = this.captureDeviceSettings(device);
         
-        switch (device.platform) {
-          case 'nest':
-            await this.controlNestThermostat(device, adjustedConfig);
-            break;
-          case 'smartThings':
-            await this.controlSmartThingsClimate(device, adjustedConfig);
-            break;
-          default:
-            console.log(`Unsupported climate platform: ${device.platform}`);
-        }
+        const { settings, unsupported } = await this.controlClimate(device, climateConfig, { ...options, intensity });
         
         results.push({
           deviceId: device.id,
           deviceName: device.name,
           success: true,
-          config: adjustedConfig
+          config: settings,
+          previousConfig: previousConfig,
+          unsupported: unsupported
         });
         
       } catch (error) {
+        const deviceError = this.toDeviceError(device, error);
         console.error(`Failed to control ${device.name}:`, error);
         results.push({
           deviceId: device.id,
           deviceName: device.name,
           success: false,
-          error: error.message
+          code: deviceError.code,
+          error: deviceError.message
         });
       }
     }
@@ -737,13 +798,14 @@ class SmartHomeService extends EventEmitter {
   /**
    * Apply entertainment changes based on mood
    */
-  async applyEntertainmentChanges(musicConfig, intensity) {
+  async applyEntertainmentChanges(musicConfig, intensity, options = {}) {
     const results = [];
     
     try {
-      // Trigger IFTTT webhook for music control
-      if (this.platforms.ifttt?.connected) {
-        await this.triggerIFTTTWebhook('mood_music_change', {
+      // Trigger IFTTT webhook for music control; it can't target a room, so room-scoped changes skip it
+      const ifttt = this.drivers.get('ifttt');
+      if (ifttt?.connected && !options.deviceIds) {
+        await ifttt.trigger('mood_music_change', {
           volume: Math.round(musicConfig.volume * intensity),
           genre: musicConfig.genre,
           intensity: intensity
@@ -757,256 +819,695 @@ class SmartHomeService extends EventEmitter {
         });
       }
       
-      // Control smart speakers directly if available
-      const speakers = Array.from(this.devices.values()).filter(d => d.type === 'entertainment');
+      // Play on smart speakers directly, one group per platform
+      const settings = { ...musicConfig, volume: Math.round(musicConfig.volume * intensity) };
+      const speakersByPlatform = new Map();
+      this.selectDevices('entertainment', options.deviceIds).forEach(speaker => {
+        speakersByPlatform.set(speaker.platform, [...(speakersByPlatform.get(speaker.platform) || []), speaker]);
+      });
       
-      for (const speaker of speakers) {
+      await Promise.all(Array.from(speakersByPlatform.values()).map(async (speakers) => {
+        // Playing can regroup the speakers, so capture all of them first
+        const previousConfigs = speakers.map(speaker => this.captureDeviceSettings(speaker));
+
         try {
-          await this.controlSpeaker(speaker, musicConfig, intensity);
-          results.push({
+          await this.driverFor(speakers[0]).playMusic(speakers, settings);
+          speakers.forEach((speaker, index) => results.push({
             deviceId: speaker.id,
             deviceName: speaker.name,
-            success: true
-          });
+            success: true,
+            config: settings,
+            previousConfig: previousConfigs[index]
+          }));
         } catch (error) {
-          results.push({
-            deviceId: speaker.id,
-            deviceName: speaker.name,
-            success: false,
-            error: error.message
+          console.error(`Failed to play music on ${speakers.map(speaker => speaker.name).join(', ')}:`, error);
+          speakers.forEach(speaker => {
+            const deviceError = this.toDeviceError(speaker, error);
+            results.push({
+              deviceId: speaker.id,
+              deviceName: speaker.name,
+              success: false,
+              code: deviceError.code,
+              error: deviceError.message
+            });
           });
         }
-      }
+      }));
       
     } catch (error) {
+      const platformError = new PlatformRequestError('ifttt', 'mood_music_change', error);
       console.error('Failed to apply entertainment changes:', error);
+      results.push({
+        platform: 'ifttt',
+        action: 'music_control',
+        success: false,
+        code: platformError.code,
+        error: platformError.message
+      });
     }
     
     return results;
   }
 
   /**
-   * Control Philips Hue light
+   * Send lighting settings to a light
+   * Lighting platforms fade natively, so a transition is passed straight through to the driver
    */
-  async controlHueLight(device, config) {
-    const state = {
-      on: true,
-      bri: Math.round((config.brightness / 100) * 254),
-      ct: Math.round(1000000 / config.temperature)
-    };
-    
-    // Convert hex color to hue/sat if color is specified
-    if (config.color && config.color.startsWith('#')) {
-      const { hue, sat } = this.hexToHueSat(config.color);
-      state.hue = hue;
-      state.sat = sat;
-      delete state.ct; // Remove color temperature when using color
+  async controlLight(device, config, options = {}) {
+    const driver = this.driverFor(device);
+    this.cancelFade(device.id);
+
+    const { settings, unsupported } = this.fitLightSettings(device, config);
+    await driver.control(device, settings, options);
+
+    if (!driver.reportsState) {
+      device.state = { ...device.state, ...this.lightStateFromSettings(settings) };
+      device.lastUpdated = new Date().toISOString();
     }
-    
-    await axios.put(
-      `${this.platforms.philipsHue.baseURL}/lights/${device.platformId}/state`,
-      state
-    );
-    
-    // Update device state
-    device.state = { ...device.state, ...state };
+
+    return { settings, unsupported };
   }
 
   /**
-   * Control LIFX light
+   * Fit lighting settings to what a light can actually do
+   * Colours fall back to the nearest white on tunable-white bulbs and temperatures to their
+   * colour on colour-only bulbs; anything else the light lacks is dropped. Every attribute
+   * that couldn't be sent as asked is listed in unsupported
    */
-  async controlLIFXLight(device, config) {
-    const params = {
-      power: 'on',
-      brightness: config.brightness / 100,
-      kelvin: config.temperature
-    };
-    
-    if (config.color && config.color.startsWith('#')) {
-      params.color = config.color;
-      delete params.kelvin;
+  fitLightSettings(device, config) {
+    const capabilities = device.capabilities;
+    const settings = { ...config };
+    const unsupported = [];
+
+    // Without discovered capabilities there's nothing to check against
+    if (!capabilities || settings.on === false) {
+      return { settings, unsupported };
     }
-    
-    await axios.put(
-      `${this.platforms.lifx.baseURL}/lights/${device.platformId}/state`,
-      params,
-      { headers: this.platforms.lifx.headers }
-    );
-    
-    // Update device state
-    device.state.on = true;
-    device.state.brightness = config.brightness;
-  }
+
+    if (settings.brightness !== undefined && !capabilities.brightness) {
+      delete settings.brightness;
+      unsupported.push('brightness');
+    }
+
+    if (settings.color && !capabilities.color) {
+      // A temperature sent alongside the colour is already the white it should fall back to
+      if (capabilities.temperature && settings.temperature === undefined) {
+        settings.temperature = nearestColorTemperature(settings.color, capabilities.temperatureRange || DEFAULT_TEMPERATURE_RANGE);
+      }
+      delete settings.color;
+      unsupported.push('color');
+    }
+
+    if (!settings.color && settings.temperature !== undefined) {
+      if (!capabilities.temperature) {
+        if (capabilities.color) {
+          settings.color = kelvinToHex(settings.temperature);
+        }
+        delete settings.temperature;
+        unsupported.push('temperature');
+      } else {
+        const range = capabilities.temperatureRange || DEFAULT_TEMPERATURE_RANGE;
+        settings.temperature = Math.min(range.max, Math.max(range.min, settings.temperature));
+      }
+    }
+
+    return { settings, unsupported };
+  }
 
   /**
-   * Control Google Nest thermostat
+   * Send a setpoint and fan speed to a thermostat
+   * The thermostat's state is read first, since its mode decides which setpoint a temperature sets.
+   * With options.intensity the setpoint moves that share of the way from where it is; with
+   * options.comfort it's kept within those °C bounds. Thermostats can't fade natively, so timed
+   * changes are keyframed from the current setpoint
    */
-  async controlNestThermostat(device, config) {
-    const command = {
-      command: 'sdm.devices.commands.ThermostatTemperatureSetpoint.SetHeat',
-      params: {
-        heatCelsius: config.temperature
+  async controlClimate(device, config, options = {}) {
+    const driver = this.driverFor(device);
+    await this.refreshDeviceState(device, driver);
+
+    const from = device.state?.setpoint;
+    const scaled = options.intensity !== undefined ? this.scaleClimateForIntensity(device, config, options.intensity) : config;
+    const { settings, unsupported } = this.fitClimateSettings(device, scaled, options.comfort);
+
+    const send = async (frame) => {
+      await driver.control(device, frame);
+      if (!driver.reportsState) {
+        device.state = {
+          ...device.state,
+          ...(frame.temperature !== undefined && { setpoint: frame.temperature }),
+          ...(frame.fan !== undefined && { fan: frame.fan })
+        };
+        device.lastUpdated = new Date().toISOString();
       }
     };
-    
-    await axios.post(
-      `${this.platforms.nest.baseURL}/${device.platformId}:executeCommand`,
-      command,
-      { headers: this.platforms.nest.headers }
-    );
+
+    if (!options.transition || typeof from !== 'number' || typeof settings.temperature !== 'number') {
+      this.cancelFade(device.id);
+      if (Object.keys(settings).length > 0) {
+        await send(settings);
+      }
+      return { settings, unsupported };
+    }
+
+    // The fan changes once, up front; only the setpoint fades, in the half-degree steps thermostats take
+    if (settings.fan !== undefined) {
+      await send({ fan: settings.fan });
+    }
+    await this.fadeDevice(device, { temperature: from }, { temperature: settings.temperature }, options.transition, frame => send({
+      temperature: Math.round(frame.temperature * 2) / 2
+    }));
+    return { settings, unsupported };
   }
 
   /**
-   * Control SmartThings climate device
+   * Re-read a device's state from its platform, keeping the last known state if that fails
    */
-  async controlSmartThingsClimate(device, config) {
-    const commands = [{
-      component: 'main',
-      capability: 'thermostatCoolingSetpoint',
-      command: 'setCoolingSetpoint',
-      arguments: [config.temperature]
-    }];
-    
-    await axios.post(
-      `${this.platforms.smartThings.baseURL}/devices/${device.platformId}/commands`,
-      { commands },
-      { headers: this.platforms.smartThings.headers }
-    );
+  async refreshDeviceState(device, driver) {
+    try {
+      this.updateDeviceState(device.id, await driver.getState(device));
+    } catch (error) {
+      console.warn(`Could not refresh ${device.name}, using its last known state:`, error.message);
+    }
+  }
+
+  /**
+   * Move a thermostat part of the way from its setpoint to the mood's temperature, in half degrees
+   * A thermostat without a known setpoint goes straight to the mood's temperature
+   */
+  scaleClimateForIntensity(device, config, intensity) {
+    const from = device.state?.setpoint;
+    if (typeof config.temperature !== 'number' || typeof from !== 'number') {
+      return config;
+    }
+
+    return {
+      ...config,
+      temperature: Math.round((from + (config.temperature - from) * intensity) * 2) / 2
+    };
+  }
+
+  /**
+   * Fit climate settings to what a thermostat can take right now
+   * A temperature is dropped when the thermostat is in a mode without a setpoint (off, eco, fan only)
+   * and a fan speed when it has no fan control; both are listed in unsupported. Comfort bounds clamp
+   * the temperature rather than reject it
+   */
+  fitClimateSettings(device, config, comfort) {
+    const settings = { ...config };
+    const unsupported = [];
+    const mode = device.state?.mode;
+
+    if (settings.temperature !== undefined) {
+      if (mode && !SETPOINT_MODES.includes(mode)) {
+        delete settings.temperature;
+        unsupported.push('temperature');
+      } else if (comfort) {
+        settings.temperature = Math.min(comfort.max, Math.max(comfort.min, settings.temperature));
+      }
+    }
+
+    if (settings.fan !== undefined && device.capabilities && !device.capabilities.fan) {
+      delete settings.fan;
+      unsupported.push('fan');
+    }
+
+    return { settings, unsupported };
+  }
+
+  /**
+   * Fade a device that has no native transitions through keyframes over the given seconds
+   * The first keyframe is sent before resolving so its errors reach the caller; the rest follow in the background
+   */
+  async fadeDevice(device, from, to, transition, send) {
+    this.cancelFade(device.id);
+
+    const steps = Math.max(1, Math.min(MAX_FADE_STEPS, Math.ceil(transition / MIN_FADE_STEP_SECONDS)));
+    const keyframes = buildKeyframes(from, to, steps);
+    const interval = steps > 1 ? (transition * 1000) / (steps - 1) : 0;
+
+    await send(keyframes[0]);
+    if (keyframes.length === 1) return;
+
+    const fade = { timer: null };
+    const scheduleFrame = (index) => {
+      fade.timer = setTimeout(async () => {
+        try {
+          await send(keyframes[index]);
+        } catch (error) {
+          console.error(`Fade stopped for ${device.name}:`, error);
+          this.fades.delete(device.id);
+          return;
+        }
+
+        // A newer command may have cancelled this fade while the keyframe was in flight
+        if (this.fades.get(device.id) !== fade) return;
+
+        if (index + 1 < keyframes.length) {
+          scheduleFrame(index + 1);
+        } else {
+          this.fades.delete(device.id);
+        }
+      }, interval);
+    };
+
+    this.fades.set(device.id, fade);
+    scheduleFrame(1);
   }
 
   /**
-   * Control smart speaker
+   * Stop an in-progress fade so a newer command wins
    */
-  async controlSpeaker(device, config, intensity) {
-    // Implementation depends on specific speaker platform
-    console.log(`Controlling speaker ${device.name} with config:`, config);
+  cancelFade(deviceId) {
+    const fade = this.fades.get(deviceId);
+    if (fade) {
+      clearTimeout(fade.timer);
+      this.fades.delete(deviceId);
+    }
   }
 
   /**
-   * Trigger IFTTT webhook
+   * Light state in the same shape as controlDevice settings, whatever the platform:
+   * on, brightness 0-100, and either a hex color or a Kelvin temperature
    */
-  async triggerIFTTTWebhook(eventName, data) {
-    const url = `${this.platforms.ifttt.baseURL}/${eventName}/with/key/${this.platforms.ifttt.webhookKey}`;
+  lightStateFromSettings(config) {
+    if (config.on === false) {
+      return { on: false };
+    }
     
-    await axios.post(url, {
-      value1: data.volume || '',
-      value2: data.genre || '',
-      value3: data.intensity || ''
-    });
+    const state = { on: true };
+    if (config.brightness !== undefined) {
+      state.brightness = config.brightness;
+    }
+    if (config.color) {
+      state.color = config.color;
+    } else if (config.temperature !== undefined) {
+      state.color = null;
+      state.temperature = config.temperature;
+    }
+    
+    return state;
   }
 
   /**
-   * Create and save scene
+   * Read a device's current state back as controlDevice settings
+   * Returns null when the state isn't known well enough to restore
    */
-  async createScene(mood, environment, intensity) {
-    const sceneId = `mood_${mood}_${Date.now()}`;
+  captureDeviceSettings(device) {
+    const state = device.state || {};
     
-    const scene = {
-      id: sceneId,
-      name: `${mood.charAt(0).toUpperCase() + mood.slice(1)} Mood`,
-      mood: mood,
-      environment: environment,
-      intensity: intensity,
-      devices: Array.from(this.devices.values()).map(d => ({
-        id: d.id,
-        state: { ...d.state }
-      })),
-      created: new Date().toISOString()
-    };
+    if (device.type === 'entertainment') {
+      if (typeof state.volume !== 'number') {
+        return null;
+      }
+      const settings = { volume: state.volume };
+      // A group member plays whatever its coordinator plays, so only standalone players and coordinators keep playback
+      const member = Boolean(state.group) && state.group !== device.id;
+      if (typeof state.playing === 'boolean' && !member) {
+        settings.playing = state.playing;
+      }
+      if (device.capabilities?.grouping && state.group) {
+        settings.group = state.group;
+      }
+      return settings;
+    }
+    if (device.type === 'climate') {
+      if (typeof state.setpoint !== 'number') {
+        return null;
+      }
+      return typeof state.fan === 'string' ? { temperature: state.setpoint, fan: state.fan } : { temperature: state.setpoint };
+    }
+    if (device.type !== 'lighting' || state.on === undefined) {
+      return null;
+    }
+    if (state.on === false) {
+      return { on: false };
+    }
     
-    this.scenes.set(sceneId, scene);
+    const settings = { on: true };
+    if (typeof state.brightness === 'number') {
+      settings.brightness = state.brightness;
+    }
+    if (state.color) {
+      settings.color = state.color;
+    } else if (typeof state.temperature === 'number') {
+      settings.temperature = state.temperature;
+    }
     
-    return sceneId;
+    return settings;
   }
 
   /**
-   * Setup real-time device monitoring
+   * A user's comfort range for mood and scene setpoints, in the unit they chose
    */
-  async setupRealtimeMonitoring() {
+  async getClimatePreferences(userId) {
+    const user = await User.findById(userId);
+    return { ...DEFAULT_COMFORT, ...user?.preferences?.climate };
+  }
+
+  /**
+   * Set a user's comfort range; min and max are in unit, °C or °F
+   */
+  async updateClimatePreferences(userId, { unit, min, max }) {
+    const invalid = (field, reason) => new ApiError(400, 'VALIDATION_ERROR', `Invalid ${field}`, {
+      field: field,
+      location: 'body',
+      reason: reason
+    });
+    const limit = celsius => `${fromCelsius(celsius, unit)}°${unit}`;
+
+    if (toCelsius(min, unit) < COMFORT_LIMITS.min) {
+      throw invalid('min', `Must be at least ${limit(COMFORT_LIMITS.min)}`);
+    }
+    if (toCelsius(max, unit) > COMFORT_LIMITS.max) {
+      throw invalid('max', `Must be at most ${limit(COMFORT_LIMITS.max)}`);
+    }
+    if (min >= max) {
+      throw invalid('max', 'Must be above min');
+    }
+
+    const climate = { unit, min, max };
+    await User.updateOne({ _id: userId }, { $set: { 'preferences.climate': climate } });
+    return climate;
+  }
+
+  /**
+   * A user's comfort range in °C, or the default safety bounds without a user
+   * Fahrenheit bounds are narrowed to the nearest half degrees inside them, the steps thermostats take
+   */
+  async getComfortBounds(userId) {
+    const { unit, min, max } = userId ? await this.getClimatePreferences(userId) : DEFAULT_COMFORT;
+    return {
+      min: Math.ceil(toCelsius(min, unit) * 2) / 2,
+      max: Math.floor(toCelsius(max, unit) * 2) / 2
+    };
+  }
+
+  /**
+   * Group a room's speakers, or the given ones, so they play together
+   * The first speaker coordinates the group; all of them must be on one platform that can group
+   */
+  async groupSpeakers(userId, { roomId, deviceIds }) {
+    const speakers = await this.resolveSpeakers(userId, { roomId, deviceIds });
+    const coordinator = await this.controlSpeakerGroup(speakers, driver => driver.group(speakers));
+
+    return { coordinatorId: coordinator.id, deviceIds: speakers.map(speaker => speaker.id) };
+  }
+
+  /**
+   * Split a room's speakers, or the given ones, back into standalone players
+   */
+  async ungroupSpeakers(userId, { roomId, deviceIds }) {
+    const speakers = await this.resolveSpeakers(userId, { roomId, deviceIds });
+    await this.controlSpeakerGroup(speakers, driver => driver.ungroup(speakers));
+
+    return { deviceIds: speakers.map(speaker => speaker.id) };
+  }
+
+  /**
+   * The speakers in a room, or among the given devices, in the order given
+   */
+  async resolveSpeakers(userId, { roomId, deviceIds }) {
+    if (!this.isInitialized) {
+      throw new ServiceNotInitializedError('SmartHomeService');
+    }
+
+    if (deviceIds) {
+      this.validateDeviceIds(deviceIds);
+    }
+    const ids = roomId ? await this.resolveRoomDevices(userId, roomId) : new Set(deviceIds);
+    const speakers = (deviceIds || Array.from(ids))
+      .map(deviceId => this.devices.get(deviceId))
+      .filter(device => device?.type === 'entertainment');
+
+    if (speakers.length === 0) {
+      throw new ApiError(400, 'VALIDATION_ERROR', `Invalid ${roomId ? 'roomId' : 'deviceIds'}`, {
+        field: roomId ? 'roomId' : 'deviceIds',
+        location: 'body',
+        reason: 'No speakers among these devices'
+      });
+    }
+
+    return speakers;
+  }
+
+  /**
+   * Run a grouping action on the speakers' driver, wrapping platform failures like other device commands
+   */
+  async controlSpeakerGroup(speakers, action) {
+    const driver = this.driverFor(speakers[0]);
+    const other = speakers.find(speaker => speaker.platform !== speakers[0].platform);
+    if (other) {
+      throw new UnsupportedDeviceError(other);
+    }
+
     try {
-      // Setup WebSocket connections for real-time updates
-      if (this.platforms.philipsHue?.connected) {
-        await this.setupHueEventStream();
-      }
-      
-      if (this.platforms.smartThings?.connected) {
-        await this.setupSmartThingsEventStream();
+      return await action(driver);
+    } catch (error) {
+      throw this.toDeviceError(speakers[0], error);
+    }
+  }
+
+  /**
+   * Read devices' current settings back for a scene
+   * Devices whose state isn't known well enough to restore are left out and listed as skipped
+   */
+  snapshotDevices(devices) {
+    const stored = [];
+    const skipped = [];
+
+    devices.forEach(device => {
+      const settings = this.captureDeviceSettings(device);
+      if (!settings) {
+        skipped.push(device.id);
+        return;
       }
-      
-      console.log('Real-time monitoring setup complete');
-      
+      stored.push({
+        deviceId: device.id,
+        name: device.name,
+        platform: device.platform,
+        type: device.type,
+        settings: settings
+      });
+    });
+
+    return { devices: stored, skipped: skipped };
+  }
+
+  /**
+   * Save the devices an environment changed, as they are after the apply, as a scene
+   * Resolves to null if the scene can't be written
+   */
+  async createScene(userId, { name, roomId, mood, environment, intensity, deviceIds }) {
+    const changed = deviceIds.map(deviceId => this.devices.get(deviceId)).filter(Boolean);
+
+    try {
+      return await Scene.create({
+        userId: userId,
+        name: name || `${mood.charAt(0).toUpperCase() + mood.slice(1)} Mood`,
+        roomId: roomId,
+        mood: mood,
+        intensity: intensity,
+        environment: environment,
+        devices: this.snapshotDevices(changed).devices
+      });
     } catch (error) {
-      console.error('Failed to setup real-time monitoring:', error);
+      console.error('Failed to save scene:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Save the current state of the home as a scene, manual changes and speakers included
+   * roomId and deviceIds each narrow the snapshot; without either every device is saved
+   */
+  async saveScene(userId, { name, roomId, deviceIds }) {
+    if (!this.isInitialized) {
+      throw new ServiceNotInitializedError('SmartHomeService');
+    }
+
+    this.validateDeviceIds(deviceIds);
+    const roomDeviceIds = roomId ? await this.resolveRoomDevices(userId, roomId) : null;
+    const devices = Array.from(this.devices.values()).filter(device =>
+      (!roomDeviceIds || roomDeviceIds.has(device.id)) && (!deviceIds || deviceIds.includes(device.id)));
+    const snapshot = this.snapshotDevices(devices);
+
+    const scene = await Scene.create({
+      userId: userId,
+      name: name,
+      roomId: roomId,
+      devices: snapshot.devices
+    });
+
+    return { scene: scene.toSummary(), skippedDevices: snapshot.skipped };
+  }
+
+  /**
+   * List a user's saved scenes, most recently used first
+   */
+  async getScenes(userId, { limit = 50, offset = 0 } = {}) {
+    const [scenes, total] = await Promise.all([
+      Scene.find({ userId: userId })
+        .sort({ lastUsed: -1, createdAt: -1 })
+        .skip(offset)
+        .limit(limit),
+      Scene.countDocuments({ userId: userId })
+    ]);
+
+    return {
+      scenes: scenes.map(scene => scene.toSummary()),
+      pagination: {
+        total: total,
+        limit: limit,
+        offset: offset,
+        hasMore: offset + scenes.length < total
+      }
+    };
+  }
+
+  /**
+   * Delete a saved scene
+   */
+  async deleteScene(userId, sceneId) {
+    const scene = await Scene.findOneAndDelete({ _id: sceneId, userId: userId });
+    if (!scene) {
+      throw new SceneNotFoundError(sceneId);
+    }
+  }
+
+  /**
+   * Re-apply a saved scene by replaying each stored device's settings
+   */
+  async activateScene(userId, sceneId, options = {}) {
+    if (!this.isInitialized) {
+      throw new ServiceNotInitializedError('SmartHomeService');
+    }
+
+    const scene = await Scene.findOne({ _id: sceneId, userId: userId });
+    if (!scene) {
+      throw new SceneNotFoundError(sceneId);
     }
+
+    // A room target replays only the part of the scene inside that room or zone
+    const deviceIds = options.roomId ? await this.resolveRoomDevices(userId, options.roomId) : null;
+    const targets = scene.devices.filter(stored => !deviceIds || deviceIds.has(stored.deviceId));
+    // Comfort bounds may have narrowed since the scene was saved
+    const comfort = await this.getComfortBounds(userId);
+
+    const startTime = Date.now();
+    const restore = async (stored) => {
+      const device = this.devices.get(stored.deviceId);
+      const previousConfig = device ? this.captureDeviceSettings(device) : null;
+
+      try {
+        const { settings, unsupported } = await this.controlDevice(stored.deviceId, stored.settings, {
+          transition: options.transition,
+          comfort: comfort
+        });
+        return { deviceId: stored.deviceId, deviceName: stored.name, success: true, config: settings, previousConfig, unsupported };
+      } catch (error) {
+        console.error(`Failed to restore ${stored.name || stored.deviceId}:`, error);
+        return { deviceId: stored.deviceId, deviceName: stored.name, success: false, code: error.code, error: error.message };
+      }
+    };
+
+    // As on revert, speakers join their saved groups once the coordinators are set up
+    const joinsGroup = stored => stored.settings?.group && stored.settings.group !== stored.deviceId;
+    const results = [
+      ...await Promise.all(targets.filter(stored => !joinsGroup(stored)).map(restore)),
+      ...await Promise.all(targets.filter(joinsGroup).map(restore))
+    ];
+    const activationTime = Date.now() - startTime;
+
+    scene.lastUsed = new Date();
+    scene.useCount += 1;
+    await scene.save();
+
+    const change = await this.recordEnvironmentChange(userId, {
+      sessionId: options.sessionId,
+      changeType: 'scene',
+      mood: scene.mood,
+      intensity: scene.intensity,
+      scene: scene,
+      results: results
+    });
+
+    return {
+      sceneId: scene.id,
+      environmentId: change ? change.id : null,
+      activatedDevices: results.filter(result => result.success).length,
+      failedDevices: results.filter(result => !result.success).length,
+      activationTime: activationTime,
+      results: results
+    };
   }
 
   /**
-   * Setup Philips Hue event stream
+   * Setup real-time device monitoring
    */
-  async setupHueEventStream() {
+  async setupRealtimeMonitoring() {
     try {
-      // Philips Hue uses Server-Sent Events for real-time updates
-      const EventSource = require('eventsource');
-      const eventSource = new EventSource(`http://${this.platforms.philipsHue.bridgeIP}/eventstream/clip/v2`);
-      
-      eventSource.onmessage = (event) => {
+      await Promise.all(this.connectedDrivers().map(async (driver) => {
         try {
-          const data = JSON.parse(event.data);
-          this.handleHueEvent(data);
+          await driver.subscribe();
         } catch (error) {
-          console.error('Failed to parse Hue event:', error);
+          console.error(`Failed to subscribe to ${driver.name} events:`, error);
         }
-      };
+      }));
       
-      eventSource.onerror = (error) => {
-        console.error('Hue event stream error:', error);
-      };
+      console.log('Real-time monitoring setup complete');
       
     } catch (error) {
-      console.error('Failed to setup Hue event stream:', error);
+      console.error('Failed to setup real-time monitoring:', error);
     }
   }
 
   /**
-   * Setup SmartThings event stream
+   * Add or replace a device a driver found outside discovery
    */
-  async setupSmartThingsEventStream() {
-    try {
-      // SmartThings uses webhooks for real-time events
-      // This would typically be configured in the SmartThings app
-      console.log('SmartThings event stream configured via webhooks');
-      
-    } catch (error) {
-      console.error('Failed to setup SmartThings event stream:', error);
-    }
+  registerDevice(device) {
+    this.devices.set(device.id, device);
   }
 
   /**
-   * Handle Philips Hue events
+   * Forget a device its platform no longer reports
    */
-  handleHueEvent(eventData) {
-    eventData.forEach(event => {
-      if (event.type === 'update' && event.data) {
-        const deviceId = `hue_${event.data.id}`;
-        const device = this.devices.get(deviceId);
-        
-        if (device) {
-          // Update device state
-          if (event.data.on !== undefined) {
-            device.state.on = event.data.on.on;
-          }
-          if (event.data.dimming !== undefined) {
-            device.state.brightness = Math.round((event.data.dimming.brightness / 100) * 254);
-          }
-          
-          this.emit('deviceStateChanged', {
-            deviceId: deviceId,
-            device: device,
-            changes: event.data
-          });
-        }
+  removeDevice(deviceId) {
+    this.cancelFade(deviceId);
+    this.devices.delete(deviceId);
+  }
+
+  /**
+   * Merge reported state into a device and announce what changed
+   * Changes on sensor devices are also announced as one sensorReading per attribute
+   */
+  updateDeviceState(deviceId, changes) {
+    const device = this.devices.get(deviceId);
+    if (!device) return;
+
+    const previousState = { ...device.state };
+    const changed = {};
+    Object.entries(changes).forEach(([attribute, value]) => {
+      if (previousState[attribute] !== value) {
+        changed[attribute] = value;
       }
     });
+    if (Object.keys(changed).length === 0) return;
+
+    device.state = { ...device.state, ...changed };
+    device.lastUpdated = new Date().toISOString();
+
+    this.emit('deviceStateChanged', {
+      deviceId: deviceId,
+      device: device,
+      changes: changed,
+      previousState: previousState
+    });
+
+    if (device.type === 'sensors') {
+      Object.entries(changed).forEach(([sensor, value]) => {
+        this.emit('sensorReading', { deviceId: deviceId, sensor: sensor, value: value });
+      });
+    }
   }
 
   /**
@@ -1028,40 +1529,13 @@ class SmartHomeService extends EventEmitter {
   }
 
   /**
-   * Load saved automations
+   * Load every enabled automation into the trigger cache
    */
   async loadAutomations() {
-    // In a real implementation, this would load from database
-    const defaultAutomations = [
-      {
-        id: 'mood_sync_auto',
-        name: 'Automatic Mood Sync',
-        trigger: 'mood_detected',
-        conditions: [
-          { type: 'confidence', operator: '>', value: 0.7 },
-          { type: 'time', operator: 'between', value: ['08:00', '22:00'] }
-        ],
-        actions: [
-          { type: 'apply_mood_environment', intensity: 0.8 }
-        ],
-        enabled: true
-      },
-      {
-        id: 'sleep_mode',
-        name: 'Sleep Mode',
-        trigger: 'time',
-        conditions: [
-          { type: 'time', operator: '=', value: '22:30' }
-        ],
-        actions: [
-          { type: 'apply_mood_environment', mood: 'calm', intensity: 0.3 },
-          { type: 'set_all_lights', brightness: 10 }
-        ],
-        enabled: true
-      }
-    ];
-    
-    defaultAutomations.forEach(automation => {
+    const automations = await Automation.find({ enabled: true });
+
+    this.automations.clear();
+    automations.forEach(automation => {
       this.automations.set(automation.id, automation);
     });
   }
@@ -1072,32 +1546,148 @@ class SmartHomeService extends EventEmitter {
   setupAutomationTriggers() {
     // Listen for mood detection events
     this.on('moodDetected', (moodData) => {
+      this.trackMood(moodData);
       this.processAutomationTriggers('mood_detected', moodData);
     });
+
+    this.on('deviceStateChanged', ({ deviceId, changes, device }) => {
+      this.processAutomationTriggers('device_state_changed', { deviceId, changes, state: device.state });
+    });
+
+    this.on('sensorReading', (reading) => {
+      this.processAutomationTriggers('sensor_reading', reading);
+    });
+
+    this.on('automationExecuted', (execution) => {
+      this.recordAutomationExecution(execution);
+    });
     
     // Setup time-based triggers
-    setInterval(() => {
+    this.automationTimer = setInterval(() => {
       const now = new Date();
-      const timeString = `${now.getHours().toString().padStart(2, '0')}:${now.getMinutes().toString().padStart(2, '0')}`;
-      this.processAutomationTriggers('time', { time: timeString });
+      const previous = this.lastTimeCheck || new Date(now.getTime() - 60000);
+      this.lastTimeCheck = now;
+
+      this.processAutomationTriggers('time', {
+        time: toTimeOfDay(now),
+        now: now,
+        previous: { time: toTimeOfDay(previous), now: previous }
+      });
+      this.processMoodDurationTriggers();
     }, 60000); // Check every minute
   }
 
+  /**
+   * Remember each user's current mood and when its streak of detections began
+   */
+  trackMood({ userId, mood, confidence }) {
+    if (!userId) return;
+
+    const now = Date.now();
+    const current = this.userMoods.get(userId);
+    const continues = current && current.mood === mood && now - current.lastDetected <= MOOD_STALE_AFTER;
+
+    this.userMoods.set(userId, {
+      mood: mood,
+      confidence: confidence,
+      since: continues ? current.since : now,
+      lastDetected: now
+    });
+  }
+
+  /**
+   * The user's current mood for conditions on triggers that don't carry one
+   */
+  getMoodContext(userId) {
+    const current = this.userMoods.get(userId);
+    if (!current || Date.now() - current.lastDetected > MOOD_STALE_AFTER) {
+      return {};
+    }
+
+    return { mood: current.mood, confidence: current.confidence };
+  }
+
+  /**
+   * Fire mood_duration automations for users whose mood has held long enough
+   */
+  processMoodDurationTriggers() {
+    const now = Date.now();
+
+    this.userMoods.forEach((current, userId) => {
+      if (now - current.lastDetected > MOOD_STALE_AFTER) {
+        this.userMoods.delete(userId);
+        return;
+      }
+
+      this.processAutomationTriggers('mood_duration', {
+        userId: userId,
+        mood: current.mood,
+        confidence: current.confidence,
+        since: current.since,
+        durationMinutes: Math.floor((now - current.since) / 60000)
+      });
+    });
+  }
+
+  /**
+   * Feed detections from the mood pipeline into mood_detected automations
+   */
+  connect({ moodDetectionService }) {
+    if (moodDetectionService) {
+      moodDetectionService.on('moodDetected', ({ userId, detection }) => {
+        this.emit('moodDetected', {
+          userId: userId,
+          detectionId: detection.detectionId,
+          mood: detection.primaryMood.emotion,
+          confidence: { overall: detection.primaryMood.confidence }
+        });
+      });
+    }
+  }
+
   /**
    * Process automation triggers
+   * Events that carry a userId only run that user's automations
    */
   async processAutomationTriggers(triggerType, data) {
     const relevantAutomations = Array.from(this.automations.values())
-      .filter(automation => automation.enabled && automation.trigger === triggerType);
+      .filter(automation => automation.enabled && automation.trigger === triggerType)
+      .filter(automation => !data.userId || automation.userId === data.userId)
+      .filter(automation => !this.isAutomationBusy(automation))
+      .filter(automation => this.matchesTrigger(automation, data));
     
     for (const automation of relevantAutomations) {
       try {
-        if (this.evaluateConditions(automation.conditions, data)) {
-          await this.executeAutomationActions(automation.actions, data);
+        const context = { ...this.getMoodContext(automation.userId), ...data, userId: automation.userId };
+
+        // Time rules fire as their conditions start to hold, not on every minute they keep holding
+        const entered = triggerType !== 'time' ||
+          !this.evaluateConditions(automation.conditions, { ...context, ...data.previous });
+
+        if (entered && this.evaluateConditions(automation.conditions, context)) {
+          if (triggerType === 'mood_duration') {
+            // Once per streak, not on every minute the mood keeps holding
+            this.moodDurationFired.set(automation.id, data.since);
+          }
+
+          if (!await this.claimAutomationRun(automation, triggerType, data)) {
+            continue;
+          }
+
+          this.automationRuns.set(automation.id, Infinity);
+          let actionResults;
+          try {
+            actionResults = await this.executeAutomationActions(automation.actions, context);
+          } finally {
+            this.automationRuns.set(automation.id, Date.now() + AUTOMATION_SETTLE_TIME);
+          }
           
           this.emit('automationExecuted', {
+            userId: automation.userId,
             automationId: automation.id,
             trigger: triggerType,
+            success: actionResults.every(result => result.success),
+            actions: actionResults,
             data: data,
             timestamp: new Date().toISOString()
           });
@@ -1108,22 +1698,264 @@ class SmartHomeService extends EventEmitter {
     }
   }
 
+  /**
+   * Whether an automation is still running, or settling after a run for a device or sensor trigger
+   * Keeps a rule from re-triggering itself through the state changes its own actions cause
+   */
+  isAutomationBusy(automation) {
+    const settledAt = this.automationRuns.get(automation.id);
+    if (settledAt === undefined) return false;
+    if (settledAt === Infinity) return true;
+
+    const deviceTriggered = automation.trigger === 'device_state_changed' || automation.trigger === 'sensor_reading';
+    if (deviceTriggered && Date.now() < settledAt) return true;
+
+    this.automationRuns.delete(automation.id);
+    return false;
+  }
+
+  /**
+   * Atomically take this run of an automation by moving its lastTriggered forward
+   * Every API replica keeps its own copy of the rules and sees the same events, so only the
+   * replica whose update matches runs it; the rest find lastTriggered already inside the run's window
+   */
+  async claimAutomationRun(automation, triggerType, data) {
+    const now = Date.now();
+    const claimed = await Automation.findOneAndUpdate(
+      {
+        _id: automation.id,
+        enabled: true,
+        $or: [{ lastTriggered: null }, { lastTriggered: { $lt: this.runWindowStart(triggerType, data, now) } }]
+      },
+      { $set: { lastTriggered: new Date(now) } },
+      { projection: { _id: 1 } }
+    );
+
+    return Boolean(claimed);
+  }
+
+  /**
+   * Earliest lastTriggered that still belongs to the same run of a trigger
+   */
+  runWindowStart(triggerType, data, now) {
+    switch (triggerType) {
+      case 'time':
+        // Each replica's tick enters a time window within the same wall-clock minute
+        return new Date(Math.floor((data.now ? data.now.getTime() : now) / 60000) * 60000);
+      case 'mood_duration':
+        return new Date(data.since);
+      case 'device_state_changed':
+      case 'sensor_reading':
+        // Replicas poll the same devices, so they see a change within a poll interval of each other
+        return new Date(now - AUTOMATION_SETTLE_TIME);
+      default:
+        // Detections are emitted only by the replica that ran them
+        return new Date(now);
+    }
+  }
+
+  /**
+   * Check an event against the automation's trigger options
+   */
+  matchesTrigger(automation, data) {
+    const options = automation.triggerOptions || {};
+
+    switch (automation.trigger) {
+      case 'device_state_changed':
+        return (!options.deviceId || options.deviceId === data.deviceId) &&
+          (!options.attribute || options.attribute in data.changes);
+      case 'sensor_reading':
+        return (!options.deviceId || options.deviceId === data.deviceId) &&
+          (!options.sensor || options.sensor === data.sensor) &&
+          (!options.operator || this.evaluateNumericCondition(data.value, options.operator, options.value));
+      case 'mood_duration':
+        return options.mood === data.mood &&
+          data.durationMinutes >= options.minutes &&
+          this.moodDurationFired.get(automation.id) !== data.since;
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Count a run and append it to the rule's execution history; lastTriggered was set when the run was claimed
+   */
+  async recordAutomationExecution({ automationId, trigger, success, actions, timestamp }) {
+    try {
+      await Automation.updateOne({ _id: automationId }, {
+        $inc: { executionCount: 1 },
+        $push: {
+          history: {
+            $each: [{ timestamp: new Date(timestamp), trigger: trigger, success: success, actions: actions }],
+            $slice: -HISTORY_LIMIT
+          }
+        }
+      });
+    } catch (error) {
+      console.error(`Failed to record execution of automation ${automationId}:`, error);
+    }
+  }
+
+  /**
+   * List a user's automations, newest first
+   */
+  async listAutomations(userId) {
+    const automations = await Automation.find({ userId: userId }).sort({ createdAt: -1 });
+
+    return automations.map(automation => automation.toSummary());
+  }
+
+  /**
+   * Create an automation for a user
+   */
+  async createAutomation(userId, definition) {
+    this.validateAutomation(definition);
+
+    const automation = await Automation.create({ ...definition, userId: userId });
+    this.cacheAutomation(automation);
+
+    return automation.toSummary();
+  }
+
+  /**
+   * Replace an automation's name, trigger, conditions and actions
+   * Execution history is kept
+   */
+  async updateAutomation(userId, automationId, definition) {
+    this.validateAutomation(definition);
+
+    const automation = await Automation.findOneAndUpdate(
+      { _id: automationId, userId: userId },
+      {
+        $set: {
+          name: definition.name,
+          trigger: definition.trigger,
+          triggerOptions: definition.triggerOptions || {},
+          conditions: definition.conditions || [],
+          actions: definition.actions,
+          enabled: definition.enabled !== false
+        }
+      },
+      { new: true, runValidators: true }
+    );
+    if (!automation) {
+      throw new AutomationNotFoundError(automationId);
+    }
+
+    this.cacheAutomation(automation);
+    return automation.toSummary();
+  }
+
+  /**
+   * Enable or disable an automation
+   */
+  async setAutomationEnabled(userId, automationId, enabled) {
+    const automation = await Automation.findOneAndUpdate(
+      { _id: automationId, userId: userId },
+      { $set: { enabled: enabled } },
+      { new: true }
+    );
+    if (!automation) {
+      throw new AutomationNotFoundError(automationId);
+    }
+
+    this.cacheAutomation(automation);
+    return automation.toSummary();
+  }
+
+  /**
+   * Delete an automation
+   */
+  async deleteAutomation(userId, automationId) {
+    const automation = await Automation.findOneAndDelete({ _id: automationId, userId: userId });
+    if (!automation) {
+      throw new AutomationNotFoundError(automationId);
+    }
+
+    this.automations.delete(automation.id);
+    this.automationRuns.delete(automation.id);
+  }
+
+  /**
+   * Keep the trigger cache in step with a saved automation
+   */
+  cacheAutomation(automation) {
+    if (automation.enabled) {
+      this.automations.set(automation.id, automation);
+    } else {
+      this.automations.delete(automation.id);
+    }
+  }
+
+  /**
+   * Reject rules that are well-formed but could never run correctly
+   * Only mood triggers carry a mood, so other triggers must name the mood to apply
+   */
+  validateAutomation({ trigger, triggerOptions = {}, conditions = [], actions }) {
+    const invalid = (field, reason) => new ApiError(400, 'VALIDATION_ERROR', `Invalid ${field}`, {
+      field: field,
+      location: 'body',
+      reason: reason
+    });
+
+    if (trigger === 'time' && !conditions.some(condition => condition.type === 'time' || condition.type === 'sun')) {
+      throw invalid('conditions', 'Time-triggered automations need a top-level time or sun condition');
+    }
+    if (trigger === 'mood_duration' && !(triggerOptions.mood && triggerOptions.minutes)) {
+      throw invalid('triggerOptions', 'mood_duration triggers need a mood and minutes');
+    }
+    if (trigger === 'sensor_reading' && !triggerOptions.sensor) {
+      throw invalid('triggerOptions.sensor', 'sensor_reading triggers need a sensor');
+    }
+    if (triggerOptions.operator !== undefined && triggerOptions.value === undefined) {
+      throw invalid('triggerOptions.value', 'A trigger operator needs a value to compare against');
+    }
+
+    if (trigger !== 'mood_detected' && trigger !== 'mood_duration') {
+      const actionIndex = actions.findIndex(action => action.type === 'apply_mood_environment' && !action.mood);
+      if (actionIndex !== -1) {
+        throw invalid(`actions.${actionIndex}.mood`, 'Automations without a mood trigger must name the mood to apply');
+      }
+    }
+  }
+
   /**
    * Evaluate automation conditions
    */
   evaluateConditions(conditions, data) {
-    return conditions.every(condition => {
-      switch (condition.type) {
-        case 'confidence':
-          return this.evaluateNumericCondition(data.confidence?.overall || 0, condition.operator, condition.value);
-        case 'time':
-          return this.evaluateTimeCondition(data.time || new Date().toTimeString().slice(0, 5), condition.operator, condition.value);
-        case 'mood':
-          return condition.operator === '=' ? data.mood === condition.value : data.mood !== condition.value;
-        default:
-          return true;
+    return conditions.every(condition => this.evaluateCondition(condition, data));
+  }
+
+  /**
+   * Evaluate a single condition, recursing into all/any/not groups
+   */
+  evaluateCondition(condition, data) {
+    switch (condition.type) {
+      case 'all':
+        return condition.conditions.every(nested => this.evaluateCondition(nested, data));
+      case 'any':
+        return condition.conditions.some(nested => this.evaluateCondition(nested, data));
+      case 'not':
+        return !this.evaluateCondition(condition.condition, data);
+      case 'confidence':
+        return this.evaluateNumericCondition(data.confidence?.overall || 0, condition.operator, condition.value);
+      case 'time':
+        return this.evaluateTimeCondition(data.time || toTimeOfDay(new Date()), condition.operator, condition.value);
+      case 'sun':
+        return isSunCondition(data.now || new Date(), condition);
+      case 'mood':
+        return condition.operator === '=' ? data.mood === condition.value : data.mood !== condition.value;
+      case 'day_of_week': {
+        const today = WEEKDAYS[(data.now || new Date()).getDay()];
+        return condition.operator === 'in' ? condition.value.includes(today) : !condition.value.includes(today);
       }
-    });
+      case 'device_state': {
+        const device = this.devices.get(condition.deviceId);
+        return Boolean(device) && this.evaluateNumericCondition(device.state?.[condition.attribute], condition.operator, condition.value);
+      }
+      default:
+        return true;
+    }
   }
 
   /**
@@ -1148,8 +1980,15 @@ class SmartHomeService extends EventEmitter {
     switch (operator) {
       case '=':
         return currentTime === target;
+      case 'before':
+        return currentTime < target;
+      case 'after':
+        return currentTime >= target;
       case 'between':
-        return currentTime >= target[0] && currentTime <= target[1];
+        // A range like 22:00-06:00 wraps past midnight
+        return target[0] <= target[1]
+          ? currentTime >= target[0] && currentTime <= target[1]
+          : currentTime >= target[0] || currentTime <= target[1];
       default:
         return false;
     }
@@ -1157,19 +1996,25 @@ class SmartHomeService extends EventEmitter {
 
   /**
    * Execute automation actions
+   * Each action runs even if an earlier one failed; resolves to a result per action
    */
   async executeAutomationActions(actions, data) {
+    const results = [];
+
     for (const action of actions) {
       try {
         switch (action.type) {
           case 'apply_mood_environment':
             await this.applyMoodEnvironment(
               action.mood || data.mood,
-              action.intensity || 1.0
+              action.intensity || 1.0,
+              { userId: data.userId, roomId: action.roomId }
             );
             break;
           case 'set_all_lights':
-            await this.setAllLights(action);
+            await this.setAllLights(action, action.roomId
+              ? await this.resolveRoomDevices(data.userId, action.roomId)
+              : null);
             break;
           case 'send_notification':
             this.emit('notification', action.message);
@@ -1177,17 +2022,21 @@ class SmartHomeService extends EventEmitter {
           default:
             console.log(`Unknown automation action: ${action.type}`);
         }
+        results.push({ type: action.type, success: true });
       } catch (error) {
         console.error(`Failed to execute action ${action.type}:`, error);
+        results.push({ type: action.type, success: false, error: error.message });
       }
     }
+
+    return results;
   }
 
   /**
    * Set all lights to specific settings
    */
-  async setAllLights(settings) {
-    const lightingDevices = Array.from(this.devices.values()).filter(d => d.type === 'lighting');
+  async setAllLights(settings, deviceIds = null) {
+    const lightingDevices = this.selectDevices('lighting', deviceIds);
     
     const promises = lightingDevices.map(device => {
       return this.controlDevice(device.id, {
@@ -1202,31 +2051,37 @@ class SmartHomeService extends EventEmitter {
 
   /**
    * Control any device by ID
+   * Resolves with the settings actually sent and the attributes the device couldn't take
    */
-  async controlDevice(deviceId, settings) {
+  async controlDevice(deviceId, settings, options = {}) {
     const device = this.devices.get(deviceId);
     if (!device) {
-      throw new Error(`Device not found: ${deviceId}`);
+      throw new DeviceNotFoundError(deviceId);
     }
     
-    switch (device.type) {
-      case 'lighting':
-        if (device.platform === 'philipsHue') {
-          await this.controlHueLight(device, settings);
-        } else if (device.platform === 'lifx') {
-          await this.controlLIFXLight(device, settings);
-        }
-        break;
-      case 'climate':
-        if (device.platform === 'nest') {
-          await this.controlNestThermostat(device, settings);
-        }
-        break;
-      default:
-        console.log(`Unsupported device type: ${device.type}`);
+    try {
+      switch (device.type) {
+        case 'lighting':
+          return await this.controlLight(device, settings, options);
+        case 'climate':
+          return await this.controlClimate(device, settings, options);
+        default:
+          // Other device types are whatever their driver makes of the settings
+          await this.driverFor(device).control(device, settings, options);
+          return { settings, unsupported: [] };
+      }
+    } catch (error) {
+      throw this.toDeviceError(device, error);
     }
   }
 
+  /**
+   * Wrap platform failures (HTTP errors, timeouts) in a DeviceControlError
+   */
+  toDeviceError(device, error) {
+    return error instanceof MoodSyncError ? error : new DeviceControlError(device, error);
+  }
+
   /**
    * Utility functions
    */
@@ -1241,105 +2096,6 @@ class SmartHomeService extends EventEmitter {
     return adjusted;
   }
 
-  hexToHueSat(hex) {
-    // Convert hex color to HSV, then to Hue bridge format
-    const r = parseInt(hex.slice(1, 3), 16) / 255;
-    const g = parseInt(hex.slice(3, 5), 16) / 255;
-    const b = parseInt(hex.slice(5, 7), 16) / 255;
-    
-    const max = Math.max(r, g, b);
-    const min = Math.min(r, g, b);
-    const diff = max - min;
-    
-    let h = 0;
-    if (diff !== 0) {
-      if (max === r) h = ((g - b) / diff) % 6;
-      else if (max === g) h = (b - r) / diff + 2;
-      else h = (r - g) / diff + 4;
-    }
-    
-    const hue = Math.round((h * 60 + 360) % 360 * 182.04); // Convert to Hue format
-    const sat = Math.round((diff / max) * 254); // Convert to Hue format
-    
-    return { hue, sat };
-  }
-
-  mapNestDeviceType(deviceType) {
-    const typeMap = {
-      'THERMOSTAT': 'climate',
-      'CAMERA': 'security',
-      'DOORBELL': 'security',
-      'DISPLAY': 'entertainment'
-    };
-    
-    return typeMap[deviceType] || 'unknown';
-  }
-
-  mapSmartThingsDeviceType(deviceType) {
-    if (deviceType.includes('Light') || deviceType.includes('Bulb')) return 'lighting';
-    if (deviceType.includes('Thermostat')) return 'climate';
-    if (deviceType.includes('Camera') || deviceType.includes('Sensor')) return 'security';
-    if (deviceType.includes('Speaker') || deviceType.includes('TV')) return 'entertainment';
-    return 'unknown';
-  }
-
-  getNestCapabilities(traits) {
-    const capabilities = {};
-    
-    if (traits['sdm.devices.traits.ThermostatTemperatureSetpoint']) {
-      capabilities.temperature = true;
-    }
-    if (traits['sdm.devices.traits.ThermostatHvac']) {
-      capabilities.hvac = true;
-    }
-    if (traits['sdm.devices.traits.CameraLiveStream']) {
-      capabilities.liveStream = true;
-    }
-    
-    return capabilities;
-  }
-
-  getNestState(traits) {
-    const state = {};
-    
-    const tempTrait = traits['sdm.devices.traits.Temperature'];
-    if (tempTrait) {
-      state.temperature = tempTrait.ambientTemperatureCelsius;
-    }
-    
-    const hvacTrait = traits['sdm.devices.traits.ThermostatHvac'];
-    if (hvacTrait) {
-      state.hvacStatus = hvacTrait.status;
-    }
-    
-    return state;
-  }
-
-  getSmartThingsCapabilities(components) {
-    const capabilities = {};
-    
-    components.forEach(component => {
-      component.capabilities.forEach(capability => {
-        switch (capability.id) {
-          case 'switch':
-            capabilities.power = true;
-            break;
-          case 'switchLevel':
-            capabilities.brightness = true;
-            break;
-          case 'colorControl':
-            capabilities.color = true;
-            break;
-          case 'colorTemperature':
-            capabilities.temperature = true;
-            break;
-        }
-      });
-    });
-    
-    return capabilities;
-  }
-
   /**
    * Get device status and statistics
    */
@@ -1349,7 +2105,6 @@ class SmartHomeService extends EventEmitter {
       byType: {},
       byPlatform: {},
       connected: 0,
-      scenes: this.scenes.size,
       automations: this.automations.size
     };
     
@@ -1381,8 +2136,18 @@ class SmartHomeService extends EventEmitter {
     });
     
     // Clear intervals and timeouts
+    clearInterval(this.automationTimer);
+    Array.from(this.fades.keys()).forEach(deviceId => this.cancelFade(deviceId));
     this.removeAllListeners();
     
+    this.drivers.forEach(driver => {
+      try {
+        driver.dispose();
+      } catch (error) {
+        console.error(`Failed to dispose ${driver.name} driver:`, error);
+      }
+    });
+    
     console.log('SmartHomeService disposed');
   }
 }
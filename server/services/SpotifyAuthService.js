@@ -0,0 +1,177 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const MusicAccount = require('../models/MusicAccount');
+const { ApiError } = require('../utils/errors');
+
+const SPOTIFY_SCOPES = [
+  'user-read-private',
+  'user-read-playback-state',
+  'user-modify-playback-state',
+  'user-read-currently-playing',
+  'playlist-read-private',
+  'playlist-read-collaborative',
+  'playlist-modify-private',
+  'playlist-modify-public'
+];
+
+// Refresh access tokens this long before Spotify expires them
+const REFRESH_MARGIN_MS = 60 * 1000;
+
+/**
+ * Spotify OAuth code exchange and per-user token storage
+ */
+class SpotifyAuthService {
+  constructor(options = {}) {
+    this.clientId = options.clientId || process.env.SPOTIFY_CLIENT_ID;
+    this.clientSecret = options.clientSecret || process.env.SPOTIFY_CLIENT_SECRET;
+    this.redirectUri = options.redirectUri || process.env.SPOTIFY_REDIRECT_URI;
+
+    // In-flight refreshes, so concurrent requests for one user share a single refresh
+    this.pendingRefreshes = new Map();
+  }
+
+  createClient(redirectUri = this.redirectUri) {
+    return new SpotifyWebApi({
+      clientId: this.clientId,
+      clientSecret: this.clientSecret,
+      redirectUri: redirectUri
+    });
+  }
+
+  /**
+   * Build the Spotify authorize URL for the given OAuth state
+   */
+  getAuthorizeUrl(state, redirectUri) {
+    return this.createClient(redirectUri).createAuthorizeURL(SPOTIFY_SCOPES, state);
+  }
+
+  /**
+   * Exchange an authorization code and store the user's tokens
+   */
+  async connect(userId, code, redirectUri) {
+    try {
+      const client = this.createClient(redirectUri);
+
+      let grant;
+      try {
+        grant = await client.authorizationCodeGrant(code);
+      } catch (error) {
+        throw new ApiError(400, 'VALIDATION_ERROR', 'Spotify rejected the authorization code', {
+          field: 'code',
+          reason: error.body?.error_description || error.message
+        });
+      }
+
+      client.setAccessToken(grant.body.access_token);
+      const profile = await client.getMe();
+
+      const account = await MusicAccount.findOneAndUpdate(
+        { userId: userId, platform: 'spotify' },
+        {
+          platformUserId: profile.body.id,
+          displayName: profile.body.display_name,
+          accessToken: grant.body.access_token,
+          refreshToken: grant.body.refresh_token,
+          scope: (grant.body.scope || '').split(' ').filter(Boolean),
+          expiresAt: new Date(Date.now() + grant.body.expires_in * 1000),
+          status: 'connected',
+          lastRefreshedAt: new Date()
+        },
+        { upsert: true, new: true, setDefaultsOnInsert: true }
+      );
+
+      console.log(`Spotify connected for user ${userId}`);
+
+      return account.toStatus();
+
+    } catch (error) {
+      console.error('Failed to connect Spotify account:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove the user's stored Spotify tokens
+   */
+  async disconnect(userId) {
+    const result = await MusicAccount.deleteOne({ userId: userId, platform: 'spotify' });
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Get the user's Spotify connection status, or null if never connected
+   */
+  async getStatus(userId) {
+    const account = await MusicAccount.findOne({ userId: userId, platform: 'spotify' });
+    return account ? account.toStatus() : null;
+  }
+
+  /**
+   * Get a valid access token for the user, refreshing it first if it is about to expire
+   */
+  async getAccessToken(userId) {
+    const account = await MusicAccount.findOne({ userId: userId, platform: 'spotify' });
+
+    if (!account) {
+      throw new ApiError(409, 'SPOTIFY_NOT_CONNECTED', 'Spotify account is not connected');
+    }
+    if (account.status === 'reauth_required') {
+      throw new ApiError(409, 'SPOTIFY_REAUTH_REQUIRED', 'Spotify authorization has expired, please reconnect');
+    }
+
+    if (!account.expiresWithin(REFRESH_MARGIN_MS)) {
+      return account.accessToken;
+    }
+
+    if (!this.pendingRefreshes.has(userId)) {
+      const refresh = this.refreshAccount(account)
+        .finally(() => this.pendingRefreshes.delete(userId));
+      this.pendingRefreshes.set(userId, refresh);
+    }
+
+    return this.pendingRefreshes.get(userId);
+  }
+
+  /**
+   * Refresh and persist an account's access token
+   */
+  async refreshAccount(account) {
+    const client = this.createClient();
+    client.setRefreshToken(account.refreshToken);
+
+    let data;
+    try {
+      data = await client.refreshAccessToken();
+    } catch (error) {
+      // invalid_grant means the user revoked access or the refresh token is gone
+      if (error.statusCode === 400 || error.statusCode === 401) {
+        account.status = 'reauth_required';
+        await account.save();
+        throw new ApiError(409, 'SPOTIFY_REAUTH_REQUIRED', 'Spotify authorization has expired, please reconnect');
+      }
+      console.error(`Failed to refresh Spotify token for user ${account.userId}:`, error);
+      throw error;
+    }
+
+    account.accessToken = data.body.access_token;
+    account.expiresAt = new Date(Date.now() + data.body.expires_in * 1000);
+    account.lastRefreshedAt = new Date();
+
+    // Spotify may rotate the refresh token
+    if (data.body.refresh_token) {
+      account.refreshToken = data.body.refresh_token;
+    }
+
+    await account.save();
+
+    return account.accessToken;
+  }
+
+  /**
+   * Token provider bound to one user, for MusicService instances
+   */
+  tokenProviderFor(userId) {
+    return () => this.getAccessToken(userId);
+  }
+}
+
+module.exports = SpotifyAuthService;
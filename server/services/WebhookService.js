@@ -0,0 +1,382 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { WEBHOOK_EVENTS, WebhookSubscription, WebhookDelivery } = require('../models/Webhook');
+const { ApiError } = require('../utils/errors');
+const { assertPublicHost, publicLookup } = require('../utils/network');
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY = 10 * 1000;
+const MAX_RETRY_DELAY = 60 * 60 * 1000;
+const DELIVERY_TIMEOUT = 10 * 1000;
+const LOCK_DURATION = 60 * 1000;
+
+// Subscriptions are paused after this many deliveries in a row have exhausted their retries
+const MAX_CONSECUTIVE_FAILURES = 10;
+
+// Connections resolve hosts through publicLookup, so a host that passed validation
+// can't later be pointed at a private address
+const PUBLIC_AGENTS = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Outbound webhook subscriptions, signed deliveries and retry scheduling
+ */
+class WebhookService {
+  constructor(options = {}) {
+    this.pollInterval = options.pollInterval || 10 * 1000;
+    this.allowInsecureUrls = options.allowInsecureUrls ?? process.env.NODE_ENV !== 'production';
+    this.allowPrivateNetworks = options.allowPrivateNetworks ?? process.env.NODE_ENV !== 'production';
+    this.pollTimer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start retrying due deliveries in the background
+   */
+  start() {
+    if (this.pollTimer) return;
+
+    this.pollTimer = setInterval(() => this.processDueDeliveries(), this.pollInterval);
+    this.pollTimer.unref();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    this.pollTimer = null;
+  }
+
+  /**
+   * Register a webhook endpoint for the user
+   */
+  async register(userId, { url, events, secret }) {
+    await this.validateUrl(url);
+
+    if (!Array.isArray(events) || events.length === 0 || events.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid events', {
+        field: 'events',
+        reason: `Expected a non-empty list of: ${WEBHOOK_EVENTS.join(', ')}`
+      });
+    }
+
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid secret', {
+        field: 'secret',
+        reason: 'Secret must be at least 16 characters'
+      });
+    }
+
+    const signingSecret = secret || crypto.randomBytes(32).toString('hex');
+
+    const subscription = await WebhookSubscription.create({
+      userId: userId,
+      url: url,
+      events: Array.from(new Set(events)),
+      secret: signingSecret
+    });
+
+    // The secret is only ever returned when we generated it
+    return {
+      ...subscription.toSummary(),
+      ...(secret ? {} : { secret: signingSecret })
+    };
+  }
+
+  async list(userId) {
+    const subscriptions = await WebhookSubscription.find({ userId: userId }).sort({ createdAt: -1 });
+    return subscriptions.map(subscription => subscription.toSummary());
+  }
+
+  async remove(userId, subscriptionId) {
+    const result = await WebhookSubscription.deleteOne({ _id: subscriptionId, userId: userId });
+    if (result.deletedCount === 0) {
+      throw new ApiError(404, 'RESOURCE_NOT_FOUND', 'Webhook not found');
+    }
+  }
+
+  /**
+   * Query the delivery-attempt log
+   */
+  async getDeliveries(userId, filters = {}) {
+    const { subscriptionId, event, status, limit = 50, offset = 0 } = filters;
+    const query = { userId: userId };
+
+    if (subscriptionId) query.subscriptionId = subscriptionId;
+    if (event) query.event = event;
+    if (status) query.status = status;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query).sort({ createdAt: -1 }).skip(offset).limit(limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+
+    return {
+      deliveries: deliveries.map(delivery => delivery.toSummary()),
+      pagination: {
+        total: total,
+        limit: limit,
+        offset: offset,
+        hasMore: offset + deliveries.length < total
+      }
+    };
+  }
+
+  /**
+   * Queue an event for every active subscription of the user and attempt delivery right away
+   * Deliveries are inserted locked, so the retry loop can't claim them during the first attempt
+   */
+  async dispatch(userId, event, data) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ userId: userId, active: true, events: event });
+      if (subscriptions.length === 0) return [];
+
+      const payload = {
+        event: event,
+        timestamp: new Date().toISOString(),
+        userId: userId,
+        data: data
+      };
+
+      const now = new Date();
+      const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+        subscriptionId: subscription._id,
+        userId: userId,
+        event: event,
+        payload: payload,
+        nextAttemptAt: now,
+        lockedUntil: new Date(now.getTime() + LOCK_DURATION)
+      })));
+
+      await Promise.all(deliveries.map(delivery => this.attemptDelivery(delivery)));
+
+      return deliveries;
+
+    } catch (error) {
+      console.error(`Failed to dispatch ${event} webhooks:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Retry every pending delivery whose backoff has elapsed
+   */
+  async processDueDeliveries() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      let delivery;
+      while ((delivery = await this.claimDueDelivery())) {
+        await this.attemptDelivery(delivery);
+      }
+    } catch (error) {
+      console.error('Failed to process webhook retries:', error);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Atomically lock one due delivery so parallel workers don't send it twice
+   */
+  claimDueDelivery() {
+    const now = new Date();
+
+    return WebhookDelivery.findOneAndUpdate(
+      {
+        status: 'pending',
+        nextAttemptAt: { $lte: now },
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }]
+      },
+      { lockedUntil: new Date(now.getTime() + LOCK_DURATION) },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Send one delivery attempt and record the outcome
+   */
+  async attemptDelivery(delivery) {
+    const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+
+    if (!subscription || !subscription.active) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      delivery.lockedUntil = null;
+      delivery.attempts.push({
+        attempt: delivery.attempts.length + 1,
+        timestamp: new Date(),
+        success: false,
+        error: subscription ? 'Subscription is paused' : 'Subscription was deleted'
+      });
+      await delivery.save();
+      return delivery;
+    }
+
+    const attemptNumber = delivery.attempts.length + 1;
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    const attempt = { attempt: attemptNumber, timestamp: new Date() };
+
+    try {
+      if (!this.allowPrivateNetworks) {
+        await assertPublicHost(new URL(subscription.url).hostname);
+      }
+
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MoodSync-Webhooks/1.0',
+          'X-MoodSync-Event': delivery.event,
+          'X-MoodSync-Delivery': delivery.id,
+          'X-MoodSync-Timestamp': timestamp,
+          'X-MoodSync-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: DELIVERY_TIMEOUT,
+        maxRedirects: 0,
+        validateStatus: () => true,
+        ...(this.allowPrivateNetworks ? {} : PUBLIC_AGENTS)
+      });
+
+      attempt.responseStatus = response.status;
+      attempt.success = response.status >= 200 && response.status < 300;
+      if (!attempt.success) {
+        attempt.error = `Endpoint responded with HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.success = false;
+      attempt.error = error.code || error.message;
+    }
+
+    attempt.duration = Date.now() - startTime;
+    delivery.attempts.push(attempt);
+    delivery.lockedUntil = null;
+
+    if (attempt.success) {
+      delivery.status = 'succeeded';
+      delivery.deliveredAt = new Date();
+      delivery.nextAttemptAt = null;
+      subscription.consecutiveFailures = 0;
+    } else if (attemptNumber >= MAX_ATTEMPTS) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = null;
+      subscription.consecutiveFailures += 1;
+      if (subscription.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        subscription.active = false;
+        console.log(`Paused webhook ${subscription.id} after ${subscription.consecutiveFailures} failed deliveries`);
+      }
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attemptNumber));
+    }
+
+    subscription.lastDeliveryAt = new Date();
+
+    await Promise.all([delivery.save(), subscription.save()]);
+
+    return delivery;
+  }
+
+  /**
+   * HMAC-SHA256 over "<timestamp>.<body>" with the subscription secret
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * Exponential backoff with jitter: ~10s, 20s, 40s, 80s, ...
+   */
+  getRetryDelay(attemptNumber) {
+    const delay = Math.min(BASE_RETRY_DELAY * Math.pow(2, attemptNumber - 1), MAX_RETRY_DELAY);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  /**
+   * Webhook URLs must be HTTPS in production and, unless private networks are allowed,
+   * must not resolve to a loopback, private or link-local address
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid webhook URL', { field: 'url', reason: 'URL is malformed' });
+    }
+
+    const allowedProtocols = this.allowInsecureUrls ? ['https:', 'http:'] : ['https:'];
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid webhook URL', {
+        field: 'url',
+        reason: 'Webhook URLs must use HTTPS'
+      });
+    }
+
+    if (this.allowPrivateNetworks) return;
+
+    try {
+      await assertPublicHost(parsed.hostname);
+    } catch (error) {
+      throw new ApiError(400, 'VALIDATION_ERROR', 'Invalid webhook URL', {
+        field: 'url',
+        reason: error.code === 'EPRIVATEADDRESS'
+          ? 'Webhook URLs must not point to private or local addresses'
+          : `Host ${parsed.hostname} could not be resolved`
+      });
+    }
+  }
+
+  /**
+   * Feed events from the mood, smart home and music pipelines into webhooks
+   */
+  connect({ moodDetectionService, smartHomeService, musicServiceRegistry }) {
+    if (moodDetectionService) {
+      moodDetectionService.on('moodDetected', ({ userId, detection }) => {
+        this.dispatch(userId, 'mood_detected', {
+          detectionId: detection.detectionId,
+          primaryMood: detection.primaryMood,
+          secondaryMoods: detection.secondaryMoods
+        });
+      });
+    }
+
+    if (smartHomeService) {
+      smartHomeService.on('environmentApplied', (event) => {
+        if (!event.userId) return;
+
+        this.dispatch(event.userId, 'environment_changed', {
+          mood: event.mood,
+          intensity: event.intensity,
+          sceneId: event.results.sceneId,
+          devices: ['lighting', 'climate', 'entertainment'].reduce((summary, category) => {
+            summary[category] = (event.results[category] || []).map(result => ({
+              deviceId: result.deviceId,
+              success: result.success
+            }));
+            return summary;
+          }, {})
+        });
+      });
+    }
+
+    if (musicServiceRegistry) {
+      musicServiceRegistry.on('musicPlayed', ({ userId, track, platform }) => {
+        this.dispatch(userId, 'music_played', {
+          platform: platform,
+          track: track && {
+            id: track.id,
+            title: track.title,
+            artist: track.artist,
+            uri: track.uri
+          }
+        });
+      });
+    }
+  }
+}
+
+module.exports = WebhookService;
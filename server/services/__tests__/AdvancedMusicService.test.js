@@ -0,0 +1,60 @@
+jest.mock('@tensorflow/tfjs', () => ({ loadLayersModel: jest.fn() }));
+
+describe('AdvancedMusicService models', () => {
+  let tf;
+  let AdvancedMusicService;
+
+  beforeEach(() => {
+    jest.resetModules();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    tf = require('@tensorflow/tfjs');
+    AdvancedMusicService = require('../AdvancedMusicService');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('loads each model once and shares it between users', async () => {
+    tf.loadLayersModel.mockImplementation(async (url) => ({ url, dispose: jest.fn() }));
+
+    const services = ['u1', 'u2', 'u3'].map(userId => new AdvancedMusicService({ userId }));
+    await Promise.all(services.map(service => service.initialize()));
+
+    expect(tf.loadLayersModel).toHaveBeenCalledTimes(2);
+    expect(services[1].recommendationEngine).toBe(services[0].recommendationEngine);
+    expect(services[2].audioAnalyzer).toBe(services[0].audioAnalyzer);
+  });
+
+  it('keeps shared models loaded when one user\'s instance is disposed', async () => {
+    tf.loadLayersModel.mockImplementation(async (url) => ({ url, dispose: jest.fn() }));
+
+    const first = new AdvancedMusicService({ userId: 'u1' });
+    const second = new AdvancedMusicService({ userId: 'u2' });
+    await first.initialize();
+    await second.initialize();
+
+    const model = second.recommendationEngine;
+    first.dispose();
+
+    expect(model.dispose).not.toHaveBeenCalled();
+    expect(second.recommendationEngine).toBe(model);
+  });
+
+  it('retries a model that failed to load with the next instance', async () => {
+    tf.loadLayersModel.mockRejectedValueOnce(new Error('CDN unavailable'));
+    tf.loadLayersModel.mockImplementation(async (url) => ({ url, dispose: jest.fn() }));
+
+    const first = new AdvancedMusicService({ userId: 'u1' });
+    await first.initialize();
+    expect(first.audioAnalyzer).toBeNull();
+
+    const second = new AdvancedMusicService({ userId: 'u2' });
+    await second.initialize();
+
+    expect(second.audioAnalyzer).toEqual({ url: expect.stringContaining('audio-analyzer'), dispose: expect.any(Function) });
+    expect(tf.loadLayersModel).toHaveBeenCalledTimes(3);
+  });
+});
@@ -0,0 +1,113 @@
+const jwt = require('jsonwebtoken');
+const User = require('../../models/User');
+const RevokedToken = require('../../models/RevokedToken');
+const AuthService = require('../AuthService');
+
+const SECRET = 'test-secret-that-is-long-enough';
+
+const user = {
+  id: '64b000000000000000000001',
+  email: 'ada@example.com',
+  toProfile: () => ({ id: '64b000000000000000000001', email: 'ada@example.com' })
+};
+
+describe('AuthService token rotation', () => {
+  let auth;
+  let revoked;
+
+  beforeEach(() => {
+    auth = new AuthService({ secret: SECRET });
+    revoked = new Map();
+
+    jest.spyOn(User, 'findById').mockImplementation(async id => (id === user.id ? user : null));
+    jest.spyOn(RevokedToken, 'isRevoked').mockImplementation(async jti => revoked.has(jti));
+    jest.spyOn(RevokedToken, 'revoke').mockImplementation(async (payload, reason) => {
+      if (revoked.has(payload.jti)) return { upsertedCount: 0 };
+      revoked.set(payload.jti, reason);
+      return { upsertedCount: 1 };
+    });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('issues access and refresh tokens with distinct ids', () => {
+    const session = auth.createSession(user);
+    const access = jwt.verify(session.token, SECRET);
+    const refresh = jwt.verify(session.refreshToken, SECRET);
+
+    expect(access).toMatchObject({ sub: user.id, type: 'access' });
+    expect(refresh).toMatchObject({ sub: user.id, type: 'refresh' });
+    expect(access.jti).not.toBe(refresh.jti);
+    expect(session.expiresIn).toBe(3600);
+  });
+
+  it('rotates a refresh token into a new pair and revokes the old one', async () => {
+    const { refreshToken } = auth.createSession(user);
+    const { jti } = jwt.decode(refreshToken);
+
+    const session = await auth.refresh(refreshToken);
+
+    expect(session.refreshToken).not.toBe(refreshToken);
+    expect(revoked.get(jti)).toBe('rotated');
+    await expect(auth.verifyToken(session.refreshToken, 'refresh')).resolves.toMatchObject({ sub: user.id });
+  });
+
+  it('carries the user\'s plan in access tokens and picks up plan changes on refresh', async () => {
+    const { token, refreshToken } = auth.createSession(user);
+    user.plan = 'premium';
+
+    const session = await auth.refresh(refreshToken);
+
+    expect(jwt.decode(token).plan).toBe('free');
+    expect(jwt.decode(session.token).plan).toBe('premium');
+    delete user.plan;
+  });
+
+  it('refuses to reuse a rotated refresh token', async () => {
+    const { refreshToken } = auth.createSession(user);
+    await auth.refresh(refreshToken);
+
+    await expect(auth.refresh(refreshToken)).rejects.toMatchObject({ status: 401, message: 'Token has been revoked' });
+  });
+
+  it('lets only one of two concurrent refreshes win', async () => {
+    const { refreshToken } = auth.createSession(user);
+    // Both requests pass verification before either records the rotation
+    RevokedToken.isRevoked.mockResolvedValue(false);
+
+    const results = await Promise.allSettled([auth.refresh(refreshToken), auth.refresh(refreshToken)]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+  });
+
+  it('does not accept access tokens as refresh tokens or the other way round', async () => {
+    const { token, refreshToken } = auth.createSession(user);
+
+    await expect(auth.refresh(token)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+    await expect(auth.verifyToken(refreshToken, 'access')).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('rejects tokens signed with another secret', async () => {
+    const forged = new AuthService({ secret: 'another-secret-entirely' }).createSession(user);
+
+    await expect(auth.refresh(forged.refreshToken)).rejects.toMatchObject({ code: 'INVALID_TOKEN' });
+  });
+
+  it('revokes both tokens on logout', async () => {
+    const { token, refreshToken } = auth.createSession(user);
+    const access = await auth.verifyToken(token);
+
+    await auth.logout(access, refreshToken);
+
+    await expect(auth.verifyToken(token)).rejects.toMatchObject({ message: 'Token has been revoked' });
+    await expect(auth.refresh(refreshToken)).rejects.toMatchObject({ message: 'Token has been revoked' });
+  });
+
+  it('refuses to log out another user\'s refresh token', async () => {
+    const other = { ...user, id: '64b000000000000000000002' };
+    const access = await auth.verifyToken(auth.createSession(user).token);
+
+    await expect(auth.logout(access, auth.createSession(other).refreshToken))
+      .rejects.toMatchObject({ status: 403, code: 'INSUFFICIENT_PERMISSIONS' });
+  });
+});
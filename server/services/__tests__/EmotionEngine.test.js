@@ -0,0 +1,125 @@
+const tf = require('@tensorflow/tfjs');
+const { PNG } = require('pngjs');
+const EmotionEngine = require('../EmotionEngine');
+
+// Softmax layers whose bias makes one class win, whatever the input
+function modelFavouring(inputShape, units, winner) {
+  const model = tf.sequential();
+  if (inputShape.length > 1) {
+    model.add(tf.layers.flatten({ inputShape }));
+  }
+  const dense = tf.layers.dense({ units, activation: 'softmax', inputShape: [inputShape.reduce((a, b) => a * b)] });
+  model.add(dense);
+
+  const bias = Array(units).fill(0);
+  bias[winner] = 3;
+  dense.setWeights([tf.zeros([inputShape.reduce((a, b) => a * b), units]), tf.tensor1d(bias)]);
+  return model;
+}
+
+function png(width, height) {
+  const image = new PNG({ width, height });
+  image.data.fill(200);
+  return PNG.sync.write(image);
+}
+
+function wav(samples) {
+  const buffer = Buffer.alloc(44 + samples.length * 2);
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + samples.length * 2, 4);
+  buffer.write('WAVEfmt ', 8);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(1, 22);
+  buffer.writeUInt32LE(16000, 24);
+  buffer.writeUInt32LE(32000, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(samples.length * 2, 40);
+  samples.forEach((sample, i) => buffer.writeInt16LE(Math.round(sample * 32767), 44 + i * 2));
+  return buffer;
+}
+
+describe('EmotionEngine', () => {
+  let engine;
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    engine = new EmotionEngine({
+      models: {
+        facial: modelFavouring([16, 16, 3], 7, 0),
+        voice: modelFavouring([128], 7, 0),
+        text: modelFavouring([128], 3, 2),
+        fusion: modelFavouring([46], 7, 0)
+      }
+    });
+    await engine.initialize();
+  });
+
+  afterEach(() => {
+    engine.dispose();
+    jest.restoreAllMocks();
+  });
+
+  it('detects emotion from an uploaded image, recording and text', async () => {
+    const samples = Array.from({ length: 4000 }, (_, i) => Math.sin(i / 5) * 0.5);
+
+    const result = await engine.detectEmotion({
+      image: { buffer: png(40, 30), mimetype: 'image/png' },
+      audio: { buffer: wav(samples), mimetype: 'audio/wav' },
+      text: 'what a great day'
+    }, { activity: 'working' });
+
+    expect(result.primaryEmotion.emotion).toBe('happy');
+    expect(result.secondaryEmotions).toHaveLength(2);
+    expect(result.probabilities.reduce((a, b) => a + b, 0)).toBeCloseTo(1);
+    expect(result.confidence.agreement).toBe(1);
+    expect(Object.keys(result.modalityContributions)).toEqual(['facial', 'voice', 'text']);
+    expect(typeof result.processingTime).toBe('number');
+  });
+
+  it('keeps each modality in its own fusion slot', () => {
+    const text = { modality: 'text', probabilities: [1, 2, 3, 4, 5, 6, 7] };
+    const input = engine.prepareFusionInput([text], {});
+
+    expect(input).toHaveLength(46);
+    expect(input.slice(0, 14)).toEqual(Array(14).fill(0));
+    expect(input.slice(14, 21)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(input.slice(-5)).toEqual([0.5, 0.5, 0.5, 0.5, 0.5]);
+  });
+
+  it('folds a recording into 128 log-magnitude bands', () => {
+    const silence = engine.extractAudioFeatures(new Float32Array(100));
+    const tone = engine.extractAudioFeatures(Float32Array.from({ length: 2048 }, (_, i) => Math.sin(i / 2)));
+
+    expect(silence).toHaveLength(128);
+    expect(silence.every(value => value === 0)).toBe(true);
+    expect(Math.max(...tone)).toBeGreaterThan(0);
+  });
+
+  it('does not carry state between detections', async () => {
+    const first = await engine.detectEmotion({ text: 'sad' });
+    const second = await engine.detectEmotion({ text: 'sad' });
+
+    expect(second.probabilities).toEqual(first.probabilities);
+  });
+
+  it('rejects uploads it cannot decode', async () => {
+    await expect(engine.detectEmotion({ image: { buffer: Buffer.from('not an image'), mimetype: 'image/heic' } }))
+      .rejects.toMatchObject({ code: 'UNSUPPORTED_MEDIA' });
+  });
+
+  it('reports models that fail to load', async () => {
+    const unloaded = new EmotionEngine({
+      models: { ...engine.models, facial: null },
+      modelUrls: { facial: 'file:///nonexistent/model.json' }
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(unloaded.initialize()).rejects.toMatchObject({
+      code: 'MODEL_LOAD_FAILED',
+      details: expect.objectContaining({ model: 'facial' })
+    });
+  });
+});
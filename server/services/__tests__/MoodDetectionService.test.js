@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const { MoodDetection } = require('../../models/AdvancedAnalytics');
+const MoodDetectionService = require('../MoodDetectionService');
+
+// Stands in for the query chain MoodDetection.find returns
+function findReturning(documents) {
+  const chain = {
+    sort: jest.fn(() => chain),
+    skip: jest.fn(() => chain),
+    limit: jest.fn(() => chain),
+    lean: jest.fn(async () => documents)
+  };
+  return chain;
+}
+
+function detection(emotion, confidence, timestamp) {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    primaryMood: { emotion, confidence, intensity: 0.6 },
+    timestamp: new Date(timestamp),
+    contextualFactors: { location: 'home', activity: 'working' }
+  };
+}
+
+describe('MoodDetectionService history', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new MoodDetectionService({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('filters by date range, emotions and confidence', async () => {
+    const chain = findReturning([]);
+    const find = jest.spyOn(MoodDetection, 'find').mockReturnValue(chain);
+    const count = jest.spyOn(MoodDetection, 'countDocuments').mockResolvedValue(0);
+    const aggregate = jest.spyOn(MoodDetection, 'aggregate').mockResolvedValue([]);
+    const startDate = new Date('2026-10-01T00:00:00Z');
+    const endDate = new Date('2026-10-08T00:00:00Z');
+
+    await service.getHistory('user-1', {
+      startDate,
+      endDate,
+      emotions: ['happy', 'calm'],
+      minConfidence: 0.7,
+      limit: 10,
+      offset: 20
+    });
+
+    const expected = {
+      userId: 'user-1',
+      timestamp: { $gte: startDate, $lte: endDate },
+      'primaryMood.emotion': { $in: ['happy', 'calm'] },
+      'primaryMood.confidence': { $gte: 0.7 }
+    };
+    expect(find).toHaveBeenCalledWith(expected);
+    expect(count).toHaveBeenCalledWith(expected);
+    expect(aggregate.mock.calls[0][0][0]).toEqual({ $match: expected });
+    expect(chain.sort).toHaveBeenCalledWith({ timestamp: -1 });
+    expect(chain.skip).toHaveBeenCalledWith(20);
+    expect(chain.limit).toHaveBeenCalledWith(10);
+  });
+
+  it('leaves out filters that were not given', () => {
+    expect(service.buildHistoryQuery('user-1', { endDate: new Date(0) })).toEqual({
+      userId: 'user-1',
+      timestamp: { $lte: new Date(0) }
+    });
+    expect(service.buildHistoryQuery('user-1', { emotions: [] })).toEqual({ userId: 'user-1' });
+  });
+
+  it('pages through the history and summarizes every matching detection', async () => {
+    const page = [
+      detection('happy', 0.9, '2026-10-07T09:00:00Z'),
+      detection('happy', 0.8, '2026-10-06T09:00:00Z')
+    ];
+    jest.spyOn(MoodDetection, 'find').mockReturnValue(findReturning(page));
+    jest.spyOn(MoodDetection, 'countDocuments').mockResolvedValue(5);
+    jest.spyOn(MoodDetection, 'aggregate').mockResolvedValue([
+      { _id: 'happy', count: 3 },
+      { _id: 'sad', count: 1 },
+      { _id: 'calm', count: 1 }
+    ]);
+
+    const history = await service.getHistory('user-1', { limit: 2, offset: 0 });
+
+    expect(history.moods).toHaveLength(2);
+    expect(history.moods[0]).toEqual({
+      id: page[0]._id.toString(),
+      primaryMood: { emotion: 'happy', confidence: 0.9, intensity: 0.6 },
+      timestamp: page[0].timestamp,
+      context: { location: 'home', activity: 'working' }
+    });
+    expect(history.pagination).toEqual({ total: 5, limit: 2, offset: 0, hasMore: true });
+    // Analytics cover all five detections, not just the page
+    expect(history.analytics.dominantEmotions).toEqual(['happy', 'sad', 'calm']);
+    expect(history.analytics.averageMood).toBe('calm');
+    expect(history.analytics.moodStability).toBeGreaterThan(0);
+    expect(history.analytics.moodStability).toBeLessThan(1);
+  });
+
+  it('reports no more pages on the last one and empty analytics without detections', async () => {
+    jest.spyOn(MoodDetection, 'find').mockReturnValue(findReturning([]));
+    jest.spyOn(MoodDetection, 'countDocuments').mockResolvedValue(4);
+    jest.spyOn(MoodDetection, 'aggregate').mockResolvedValue([]);
+
+    const history = await service.getHistory('user-1', { limit: 2, offset: 4 });
+
+    expect(history.pagination.hasMore).toBe(false);
+    expect(history.analytics).toEqual({ averageMood: null, moodStability: null, dominantEmotions: [] });
+  });
+});
@@ -0,0 +1,73 @@
+jest.mock('@tensorflow/tfjs', () => ({ loadLayersModel: jest.fn() }));
+
+const MusicServiceRegistry = require('../MusicServiceRegistry');
+const MusicService = require('../MusicService');
+
+describe('MusicServiceRegistry basic services', () => {
+  let spotifyAuthService;
+  let registry;
+
+  beforeEach(() => {
+    spotifyAuthService = {
+      tokenProviderFor: jest.fn(userId => async () => `token-${userId}`)
+    };
+    registry = new MusicServiceRegistry({ spotifyAuthService });
+  });
+
+  afterEach(() => {
+    registry.dispose();
+    jest.restoreAllMocks();
+  });
+
+  it('creates one basic service per user and reuses it', async () => {
+    const first = await registry.get('u1', 'basic');
+    const again = await registry.get('u1', 'basic');
+    const other = await registry.get('u2', 'basic');
+
+    expect(first).toBeInstanceOf(MusicService);
+    expect(again).toBe(first);
+    expect(other).not.toBe(first);
+    expect(first.userId).toBe('u1');
+    expect(spotifyAuthService.tokenProviderFor).toHaveBeenCalledWith('u1');
+    expect(spotifyAuthService.tokenProviderFor).toHaveBeenCalledWith('u2');
+  });
+
+  it('authorises each user\'s Spotify calls with their own token', async () => {
+    const first = await registry.get('u1', 'basic');
+    const other = await registry.get('u2', 'basic');
+    jest.spyOn(first.spotify, 'getRecommendations').mockResolvedValue({ body: { tracks: [] } });
+    jest.spyOn(other.spotify, 'getRecommendations').mockResolvedValue({ body: { tracks: [] } });
+
+    await first.getMoodBasedRecommendations('calm');
+    await other.getMoodBasedRecommendations('calm');
+
+    expect(first.spotify.getAccessToken()).toBe('token-u1');
+    expect(other.spotify.getAccessToken()).toBe('token-u2');
+  });
+
+  it('reports playback as the user\'s musicPlayed event', async () => {
+    const service = await registry.get('u1', 'basic');
+    const track = { id: 't1', uri: 'spotify:track:t1' };
+    jest.spyOn(service.spotify, 'getRecommendations').mockResolvedValue({ body: { tracks: [track] } });
+    jest.spyOn(service.spotify, 'play').mockResolvedValue({});
+    const played = jest.fn();
+    registry.on('musicPlayed', played);
+
+    await service.playMoodPlaylist('happy', 'device-1');
+
+    expect(service.spotify.play).toHaveBeenCalledWith({ uris: ['spotify:track:t1'], device_id: 'device-1' });
+    expect(played).toHaveBeenCalledWith(expect.objectContaining({ userId: 'u1', track, platform: 'spotify' }));
+  });
+
+  it('drops a user\'s basic service when they are evicted', async () => {
+    const service = await registry.get('u1', 'basic');
+
+    registry.evictUser('u1');
+
+    expect(await registry.get('u1', 'basic')).not.toBe(service);
+  });
+
+  it('rejects unknown service types', async () => {
+    await expect(registry.get('u1', 'premium')).rejects.toThrow('Unknown music service type: premium');
+  });
+});
@@ -0,0 +1,74 @@
+const { MemoryStore, RedisStore } = require('../RateLimitStore');
+
+describe('MemoryStore', () => {
+  it('drops expired windows when swept', async () => {
+    const store = new MemoryStore();
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+
+    await store.increment('a', 500);
+    await store.increment('b', 5000);
+    now.mockReturnValue(2000);
+    store.sweep();
+
+    expect(Array.from(store.windows.keys())).toEqual(['b']);
+    now.mockRestore();
+    store.dispose();
+  });
+});
+
+describe('RedisStore', () => {
+  let fallback;
+
+  beforeEach(() => {
+    fallback = new MemoryStore();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    fallback.dispose();
+    jest.restoreAllMocks();
+  });
+
+  it('increments atomically in Redis and derives the reset time from the TTL', async () => {
+    const client = { isReady: true, eval: jest.fn().mockResolvedValue([3, 40000]) };
+    const store = new RedisStore(client, { fallback });
+
+    const before = Date.now();
+    const { count, resetAt } = await store.increment('ip:1.2.3.4', 60000);
+
+    expect(count).toBe(3);
+    expect(resetAt).toBeGreaterThanOrEqual(before + 40000);
+    expect(resetAt).toBeLessThan(before + 41000);
+    expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('PEXPIRE'), {
+      keys: ['ratelimit:ip:1.2.3.4'],
+      arguments: ['60000']
+    });
+  });
+
+  it('falls back to memory while Redis is down, logging once, and returns to Redis', async () => {
+    const client = { isReady: false, eval: jest.fn().mockResolvedValue([1, 60000]) };
+    const store = new RedisStore(client, { fallback });
+
+    await store.increment('k', 60000);
+    const { count } = await store.increment('k', 60000);
+
+    expect(count).toBe(2);
+    expect(client.eval).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledTimes(1);
+
+    client.isReady = true;
+    await store.increment('k', 60000);
+
+    expect(client.eval).toHaveBeenCalledTimes(1);
+    expect(store.usingFallback).toBe(false);
+  });
+
+  it('falls back when a Redis command fails', async () => {
+    const client = { isReady: true, eval: jest.fn().mockRejectedValue(new Error('READONLY')) };
+    const store = new RedisStore(client, { fallback });
+
+    await expect(store.increment('k', 60000)).resolves.toMatchObject({ count: 1 });
+    expect(console.error).toHaveBeenCalledWith(expect.stringContaining('READONLY'));
+  });
+});
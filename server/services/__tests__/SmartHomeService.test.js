@@ -0,0 +1,581 @@
+const SmartHomeService = require('../SmartHomeService');
+const { Automation } = require('../../models/Automation');
+const { EnvironmentChange } = require('../../models/AdvancedAnalytics');
+const Scene = require('../../models/Scene');
+const { Room } = require('../../models/Room');
+const { kelvinToHex, nearestColorTemperature } = require('../../utils/color');
+
+function automation(overrides) {
+  return {
+    id: 'automation-1',
+    userId: 'user-1',
+    enabled: true,
+    triggerOptions: {},
+    conditions: [],
+    actions: [{ type: 'send_notification', message: 'hi' }],
+    ...overrides
+  };
+}
+
+// Stands in for the automations collection, applying a run claim's lastTriggered condition
+function claimStore() {
+  const lastTriggered = new Map();
+
+  return jest.spyOn(Automation, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+    const last = lastTriggered.get(filter._id);
+    if (last && last >= filter.$or[1].lastTriggered.$lt) return null;
+
+    lastTriggered.set(filter._id, update.$set.lastTriggered);
+    return { _id: filter._id };
+  });
+}
+
+function timeTick(previous, time) {
+  return { time: time, now: new Date(), previous: { time: previous, now: new Date() } };
+}
+
+describe('SmartHomeService automations', () => {
+  let service;
+  let execute;
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    execute = jest.spyOn(service, 'executeAutomationActions').mockResolvedValue([{ success: true }]);
+    jest.spyOn(Automation, 'updateOne').mockResolvedValue({});
+    claimStore();
+  });
+
+  afterEach(() => {
+    clearInterval(service.automationTimer);
+    jest.restoreAllMocks();
+  });
+
+  describe('time triggers', () => {
+    it('fire once as a window opens, not on every minute inside it', async () => {
+      service.automations.set('automation-1', automation({
+        trigger: 'time',
+        conditions: [{ type: 'time', operator: 'after', value: '19:00' }]
+      }));
+
+      await service.processAutomationTriggers('time', timeTick('18:59', '19:00'));
+      await service.processAutomationTriggers('time', timeTick('19:00', '19:01'));
+      await service.processAutomationTriggers('time', timeTick('19:01', '19:02'));
+
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('fire for wrapping ranges and exact times', async () => {
+      service.automations.set('night', automation({
+        id: 'night',
+        trigger: 'time',
+        conditions: [{ type: 'time', operator: 'between', value: ['22:00', '06:00'] }]
+      }));
+      service.automations.set('alarm', automation({
+        id: 'alarm',
+        trigger: 'time',
+        conditions: [{ type: 'time', operator: '=', value: '06:30' }]
+      }));
+
+      await service.processAutomationTriggers('time', timeTick('21:59', '22:00'));
+      await service.processAutomationTriggers('time', timeTick('23:59', '00:00'));
+      await service.processAutomationTriggers('time', timeTick('06:29', '06:30'));
+      await service.processAutomationTriggers('time', timeTick('06:30', '06:31'));
+
+      expect(execute).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('replicas', () => {
+    let replica;
+
+    beforeEach(() => {
+      replica = new SmartHomeService();
+      jest.spyOn(replica, 'executeAutomationActions').mockImplementation(execute);
+    });
+
+    afterEach(() => clearInterval(replica.automationTimer));
+
+    it('run a time rule on only one of the replicas that see its window open', async () => {
+      const rule = automation({ trigger: 'time', conditions: [{ type: 'time', operator: 'after', value: '19:00' }] });
+      service.automations.set(rule.id, rule);
+      replica.automations.set(rule.id, { ...rule });
+
+      await Promise.all([
+        service.processAutomationTriggers('time', timeTick('18:59', '19:00')),
+        replica.processAutomationTriggers('time', timeTick('18:59', '19:00'))
+      ]);
+
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('run a device rule once for a change every replica polls, and again for a later one', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      const rule = automation({ trigger: 'device_state_changed', triggerOptions: { deviceId: 'light-1' } });
+      service.automations.set(rule.id, rule);
+      replica.automations.set(rule.id, { ...rule });
+      const change = { deviceId: 'light-1', changes: { on: true } };
+
+      await service.processAutomationTriggers('device_state_changed', change);
+      now.mockReturnValue(1700000015000);
+      await replica.processAutomationTriggers('device_state_changed', change);
+      now.mockReturnValue(1700000060000);
+      await replica.processAutomationTriggers('device_state_changed', { deviceId: 'light-1', changes: { on: false } });
+
+      expect(execute).toHaveBeenCalledTimes(2);
+    });
+
+    it('don\'t run a rule another replica has disabled', async () => {
+      Automation.findOneAndUpdate.mockImplementation(async filter => (filter.enabled ? null : { _id: filter._id }));
+      service.automations.set('automation-1', automation({ trigger: 'mood_detected' }));
+
+      await service.processAutomationTriggers('mood_detected', { userId: 'user-1', mood: 'happy' });
+
+      expect(Automation.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: 'automation-1', enabled: true }),
+        expect.anything(),
+        expect.anything()
+      );
+      expect(execute).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('re-entrancy', () => {
+    beforeEach(() => {
+      service.setupAutomationTriggers();
+      service.devices.set('light-1', { id: 'light-1', type: 'lighting', state: { on: false } });
+      service.automations.set('automation-1', automation({
+        trigger: 'device_state_changed',
+        triggerOptions: { deviceId: 'light-1' }
+      }));
+
+      // The rule's own action changes the device that triggers it
+      execute.mockImplementation(async () => {
+        service.updateDeviceState('light-1', { on: !service.devices.get('light-1').state.on });
+        return [{ success: true }];
+      });
+    });
+
+    it('keeps a device-triggered rule from re-triggering itself', async () => {
+      await service.processAutomationTriggers('device_state_changed', { deviceId: 'light-1', changes: { on: true } });
+      // Reported back by the platform a few seconds later
+      service.updateDeviceState('light-1', { on: false });
+      await new Promise(setImmediate);
+
+      expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('runs the rule again once it has settled', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+      await service.processAutomationTriggers('device_state_changed', { deviceId: 'light-1', changes: { on: true } });
+
+      now.mockReturnValue(1700000031000);
+      await service.processAutomationTriggers('device_state_changed', { deviceId: 'light-1', changes: { on: false } });
+
+      expect(execute).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('validateAutomation', () => {
+    const actions = [{ type: 'send_notification', message: 'hi' }];
+
+    it('accepts a sun condition as the time of a time trigger', () => {
+      expect(() => service.validateAutomation({
+        trigger: 'time',
+        conditions: [{ type: 'sun', operator: 'after', value: 'sunset', latitude: 51.5, longitude: -0.1 }],
+        actions
+      })).not.toThrow();
+      expect(() => service.validateAutomation({
+        trigger: 'time',
+        conditions: [{ type: 'mood', operator: '=', value: 'happy' }],
+        actions
+      })).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    });
+  });
+});
+
+describe('SmartHomeService speakers', () => {
+  let service;
+
+  function speaker(key, state) {
+    return {
+      id: `sonos_${key}`,
+      name: key,
+      platform: 'sonos',
+      type: 'entertainment',
+      capabilities: { volume: true, playback: true, grouping: true },
+      state: state
+    };
+  }
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('captures volume, group and, except on group members, playback', () => {
+    expect(service.captureDeviceSettings(speaker('a', { volume: 30, playing: true, group: 'sonos_a' })))
+      .toEqual({ volume: 30, playing: true, group: 'sonos_a' });
+    expect(service.captureDeviceSettings(speaker('b', { volume: 20, playing: true, group: 'sonos_a' })))
+      .toEqual({ volume: 20, group: 'sonos_a' });
+    expect(service.captureDeviceSettings(speaker('c', {}))).toBeNull();
+  });
+
+  it('captures every speaker before mood music regroups them', async () => {
+    const kitchen = speaker('kitchen', { volume: 15, playing: false, group: 'sonos_kitchen' });
+    const lounge = speaker('lounge', { volume: 40, playing: true, group: 'sonos_lounge' });
+    [kitchen, lounge].forEach(device => service.devices.set(device.id, device));
+    service.drivers.set('sonos', {
+      connected: true,
+      playMusic: jest.fn(async (speakers, settings) => speakers.forEach(device => {
+        device.state = { volume: settings.volume, playing: true, group: speakers[0].id };
+      }))
+    });
+
+    const results = await service.applyEntertainmentChanges({ volume: 50, playlist: 'Calm' }, 1);
+
+    expect(results.map(result => result.previousConfig)).toEqual([
+      { volume: 15, playing: false, group: 'sonos_kitchen' },
+      { volume: 40, playing: true, group: 'sonos_lounge' }
+    ]);
+  });
+
+  it('restores group coordinators before the speakers that rejoin them', async () => {
+    const order = [];
+    ['a', 'b', 'c'].forEach(key => service.devices.set(`sonos_${key}`, speaker(key, { volume: 50, playing: true, group: 'sonos_c' })));
+    jest.spyOn(service, 'controlDevice').mockImplementation(async (deviceId, settings) => {
+      await new Promise(setImmediate);
+      order.push(deviceId);
+      return { settings, unsupported: [] };
+    });
+    jest.spyOn(service, 'recordEnvironmentChange').mockResolvedValue(null);
+    jest.spyOn(EnvironmentChange, 'findOneAndUpdate').mockResolvedValue({});
+    jest.spyOn(EnvironmentChange, 'findOne').mockReturnValue({
+      sort: async () => ({
+        id: 'change-1',
+        changeType: 'environment',
+        devices: [
+          { id: 'sonos_b', changeSuccess: true, previousState: { volume: 10, group: 'sonos_a' } },
+          { id: 'sonos_c', changeSuccess: true, previousState: { volume: 20, playing: false, group: 'sonos_c' } },
+          { id: 'sonos_a', changeSuccess: true, previousState: { volume: 30, playing: true, group: 'sonos_a' } }
+        ]
+      })
+    });
+
+    const revert = await service.revertLastEnvironment('user-1');
+
+    expect(order.slice(0, 2).sort()).toEqual(['sonos_a', 'sonos_c']);
+    expect(order[2]).toBe('sonos_b');
+    expect(revert.restoredDevices).toBe(3);
+  });
+});
+
+describe('SmartHomeService scenes', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    [
+      { id: 'hue_1', name: 'Lamp', platform: 'philipsHue', type: 'lighting', state: { on: true, brightness: 35, color: '#FF8800' } },
+      { id: 'nest_1', name: 'Hall', platform: 'nest', type: 'climate', state: { setpoint: 20.5, fan: 'low' } },
+      { id: 'sonos_a', name: 'Lounge', platform: 'sonos', type: 'entertainment', capabilities: { grouping: true }, state: { volume: 30, playing: true, group: 'sonos_a' } },
+      { id: 'sonos_b', name: 'Kitchen', platform: 'sonos', type: 'entertainment', capabilities: { grouping: true }, state: { volume: 12, playing: true, group: 'sonos_a' } },
+      { id: 'plug_1', name: 'Plug', platform: 'smartThings', type: 'appliances', state: { on: true } }
+    ].forEach(device => service.devices.set(device.id, device));
+
+    jest.spyOn(Scene, 'create').mockImplementation(async (doc) => ({
+      ...doc,
+      id: 'scene-1',
+      toSummary: () => ({ id: 'scene-1', name: doc.name, deviceCount: doc.devices.length })
+    }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('saves every device as it is now, speakers included', async () => {
+    // A manual change made after the last apply
+    service.devices.get('hue_1').state.brightness = 60;
+
+    const saved = await service.saveScene('user-1', { name: 'Evening' });
+
+    expect(Scene.create).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      name: 'Evening',
+      devices: [
+        { deviceId: 'hue_1', name: 'Lamp', platform: 'philipsHue', type: 'lighting', settings: { on: true, brightness: 60, color: '#FF8800' } },
+        { deviceId: 'nest_1', name: 'Hall', platform: 'nest', type: 'climate', settings: { temperature: 20.5, fan: 'low' } },
+        { deviceId: 'sonos_a', name: 'Lounge', platform: 'sonos', type: 'entertainment', settings: { volume: 30, playing: true, group: 'sonos_a' } },
+        { deviceId: 'sonos_b', name: 'Kitchen', platform: 'sonos', type: 'entertainment', settings: { volume: 12, group: 'sonos_a' } }
+      ]
+    }));
+    expect(saved).toEqual({ scene: { id: 'scene-1', name: 'Evening', deviceCount: 4 }, skippedDevices: ['plug_1'] });
+  });
+
+  it('saves only the selected devices and rejects unknown ones', async () => {
+    await service.saveScene('user-1', { name: 'Music', deviceIds: ['sonos_b', 'sonos_a'] });
+
+    expect(Scene.create.mock.calls[0][0].devices.map(stored => stored.deviceId)).toEqual(['sonos_a', 'sonos_b']);
+    await expect(service.saveScene('user-1', { name: 'Music', deviceIds: ['sonos_z'] }))
+      .rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+  });
+
+  it('saves speakers an apply changed along with lights and thermostats', async () => {
+    await service.createScene('user-1', {
+      mood: 'calm',
+      intensity: 0.8,
+      environment: {},
+      deviceIds: ['hue_1', 'sonos_a', 'sonos_b']
+    });
+
+    expect(Scene.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'Calm Mood' }));
+    expect(Scene.create.mock.calls[0][0].devices.map(stored => stored.deviceId)).toEqual(['hue_1', 'sonos_a', 'sonos_b']);
+  });
+
+  it('replays saved states, setting up coordinators before their members', async () => {
+    const order = [];
+    const scene = {
+      id: 'scene-1',
+      useCount: 0,
+      save: jest.fn().mockResolvedValue(),
+      devices: [
+        { deviceId: 'sonos_b', name: 'Kitchen', settings: { volume: 12, group: 'sonos_a' } },
+        { deviceId: 'hue_1', name: 'Lamp', settings: { on: true, brightness: 60 } },
+        { deviceId: 'sonos_a', name: 'Lounge', settings: { volume: 30, playing: true, group: 'sonos_a' } }
+      ]
+    };
+    jest.spyOn(Scene, 'findOne').mockResolvedValue(scene);
+    jest.spyOn(service, 'getComfortBounds').mockResolvedValue(null);
+    jest.spyOn(service, 'recordEnvironmentChange').mockResolvedValue(null);
+    const control = jest.spyOn(service, 'controlDevice').mockImplementation(async (deviceId, settings) => {
+      await new Promise(setImmediate);
+      order.push(deviceId);
+      return { settings, unsupported: [] };
+    });
+
+    const activation = await service.activateScene('user-1', 'scene-1');
+
+    expect(control).toHaveBeenCalledWith('sonos_a', { volume: 30, playing: true, group: 'sonos_a' }, expect.any(Object));
+    expect(control).toHaveBeenCalledWith('sonos_b', { volume: 12, group: 'sonos_a' }, expect.any(Object));
+    expect(order[2]).toBe('sonos_b');
+    expect(activation.activatedDevices).toBe(3);
+    expect(scene.useCount).toBe(1);
+  });
+});
+
+describe('SmartHomeService custom settings', () => {
+  let service;
+  let lighting;
+  let climate;
+  let entertainment;
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    lighting = jest.spyOn(service, 'applyLightingChanges').mockResolvedValue([]);
+    climate = jest.spyOn(service, 'applyClimateChanges').mockResolvedValue([]);
+    entertainment = jest.spyOn(service, 'applyEntertainmentChanges').mockResolvedValue([]);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('merge over the mood preset, keeping the preset values they leave out', async () => {
+    await service.applyMoodEnvironment('calm', 0.5, {
+      customSettings: { lighting: { brightness: 80 }, music: { playlist: 'Rainy Day' } }
+    });
+
+    expect(lighting).toHaveBeenCalledWith({ brightness: 80, color: '#98FB98', temperature: 2200 }, 0.5, expect.anything());
+    expect(climate).toHaveBeenCalledWith({ temperature: 23, fan: 'low' }, 0.5, expect.anything());
+    expect(entertainment).toHaveBeenCalledWith({ volume: 30, genre: 'ambient', playlist: 'Rainy Day' }, 0.5, expect.anything());
+  });
+
+  it('leave the preset itself untouched for later applies', async () => {
+    await service.applyMoodEnvironment('calm', 1, { customSettings: { lighting: { color: '#0000FF' } } });
+    await service.applyMoodEnvironment('calm', 1);
+
+    expect(lighting.mock.calls[1][0]).toEqual({ brightness: 40, color: '#98FB98', temperature: 2200 });
+    expect(service.moodEnvironments.calm.lighting.color).toBe('#98FB98');
+  });
+});
+
+describe('SmartHomeService transitions', () => {
+  let service;
+  let driver;
+  let thermostat;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    thermostat = { id: 'nest_1', name: 'Hall', platform: 'nest', type: 'climate', state: { setpoint: 20, mode: 'heat' } };
+    service.devices.set(thermostat.id, thermostat);
+    driver = {
+      connected: true,
+      reportsState: false,
+      getState: jest.fn(async () => ({ ...thermostat.state })),
+      control: jest.fn().mockResolvedValue()
+    };
+    service.drivers.set('nest', driver);
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  const setpoints = () => driver.control.mock.calls
+    .map(([, settings]) => settings.temperature)
+    .filter(temperature => temperature !== undefined);
+
+  it('fade a thermostat in half-degree keyframes, at most one every five seconds', async () => {
+    await service.controlClimate(thermostat, { temperature: 22, fan: 'low' }, { transition: 20 });
+
+    // The fan changes up front and the first keyframe is sent before resolving
+    expect(driver.control.mock.calls[0][1]).toEqual({ fan: 'low' });
+    expect(setpoints()).toEqual([20.5]);
+
+    await jest.advanceTimersByTimeAsync(20000 / 3);
+    expect(setpoints()).toEqual([20.5, 21]);
+
+    await jest.advanceTimersByTimeAsync(20000);
+    expect(setpoints()).toEqual([20.5, 21, 21.5, 22]);
+    expect(thermostat.state.setpoint).toBe(22);
+    expect(service.fades.size).toBe(0);
+  });
+
+  it('cap long fades at twenty keyframes', async () => {
+    await service.controlClimate(thermostat, { temperature: 30 }, { transition: 3600 });
+    await jest.advanceTimersByTimeAsync(3600 * 1000);
+
+    expect(setpoints()).toHaveLength(20);
+    expect(setpoints()[19]).toBe(30);
+  });
+
+  it('stop a fade when a newer command reaches the device', async () => {
+    await service.controlClimate(thermostat, { temperature: 24 }, { transition: 60 });
+    await jest.advanceTimersByTimeAsync(10000);
+    await service.controlClimate(thermostat, { temperature: 19 });
+    await jest.advanceTimersByTimeAsync(60000);
+
+    expect(setpoints().slice(-1)).toEqual([19]);
+    expect(thermostat.state.setpoint).toBe(19);
+    expect(service.fades.size).toBe(0);
+  });
+});
+
+describe('SmartHomeService rooms', () => {
+  let service;
+  let driver;
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    driver = {
+      name: 'philipsHue',
+      connected: true,
+      reportsState: false,
+      discoverRooms: jest.fn(async () => [
+        { id: 'hue_group_1', name: 'Living room', kind: 'room', source: 'philipsHue', deviceIds: ['hue_1'] }
+      ]),
+      control: jest.fn().mockResolvedValue()
+    };
+    service.drivers = new Map([['philipsHue', driver]]);
+    ['hue_1', 'hue_2', 'hue_3'].forEach(id => service.devices.set(id, {
+      id: id,
+      name: id,
+      platform: 'philipsHue',
+      type: 'lighting',
+      state: { on: true, brightness: 50 }
+    }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const changedLights = () => driver.control.mock.calls.map(([device]) => device.id);
+
+  it('apply a mood to only the lights of an imported room', async () => {
+    await service.discoverRooms();
+
+    const results = await service.applyMoodEnvironment('calm', 1, { roomId: 'hue_group_1', climate: false, entertainment: false });
+
+    expect(changedLights()).toEqual(['hue_1']);
+    expect(results.lighting.map(result => result.deviceId)).toEqual(['hue_1']);
+  });
+
+  it('apply a mood to a manual zone for its owner only', async () => {
+    const zone = new Room({ userId: 'user-1', name: 'Reading corner', kind: 'zone', deviceIds: ['hue_2', 'hue_3'] });
+    const findOne = jest.spyOn(Room, 'findOne').mockImplementation(async (filter) =>
+      filter.userId === 'user-1' && filter._id === zone.id ? zone : null);
+    jest.spyOn(service, 'getComfortBounds').mockResolvedValue(null);
+    jest.spyOn(service, 'recordEnvironmentChange').mockResolvedValue(null);
+
+    await service.applyMoodEnvironment('calm', 1, { userId: 'user-1', roomId: zone.id, climate: false, entertainment: false });
+
+    expect(changedLights()).toEqual(['hue_2', 'hue_3']);
+    await expect(service.applyMoodEnvironment('calm', 1, { userId: 'user-2', roomId: zone.id }))
+      .rejects.toMatchObject({ code: 'ROOM_NOT_FOUND' });
+    expect(findOne).toHaveBeenLastCalledWith({ _id: zone.id, userId: 'user-2' });
+  });
+
+  it('refuse rooms with devices discovery has not found', async () => {
+    const create = jest.spyOn(Room, 'create');
+
+    await expect(service.createRoom('user-1', { name: 'Attic', deviceIds: ['hue_1', 'hue_9'] }))
+      .rejects.toMatchObject({ code: 'DEVICE_NOT_FOUND' });
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('SmartHomeService light capabilities', () => {
+  let service;
+  let driver;
+
+  function light(id, capabilities) {
+    return { id: id, name: id, platform: 'philipsHue', type: 'lighting', capabilities: capabilities, state: { on: true } };
+  }
+
+  beforeEach(() => {
+    service = new SmartHomeService();
+    service.isInitialized = true;
+    driver = { connected: true, reportsState: false, control: jest.fn().mockResolvedValue() };
+    service.drivers = new Map([['philipsHue', driver]]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('send the nearest white to tunable-white bulbs asked for a colour', async () => {
+    const bulb = light('hue_white', { brightness: true, temperature: true, temperatureRange: { min: 2200, max: 6500 } });
+
+    const { settings, unsupported } = await service.controlLight(bulb, { brightness: 40, color: '#FF8800' });
+
+    expect(settings).toEqual({ brightness: 40, temperature: nearestColorTemperature('#FF8800', { min: 2200, max: 6500 }) });
+    expect(settings.temperature).toBeLessThan(3000);
+    expect(unsupported).toEqual(['color']);
+    expect(driver.control).toHaveBeenCalledWith(bulb, settings, {});
+  });
+
+  it('send the colour of a white to colour-only bulbs and clamp whites to a bulb range', async () => {
+    const colourOnly = light('lifx_1', { brightness: true, color: true });
+    const tunable = light('hue_2', { brightness: true, temperature: true, temperatureRange: { min: 2700, max: 5000 } });
+
+    expect(await service.controlLight(colourOnly, { temperature: 2700 }))
+      .toEqual({ settings: { color: kelvinToHex(2700) }, unsupported: ['temperature'] });
+    expect(await service.controlLight(tunable, { temperature: 2000 }))
+      .toEqual({ settings: { temperature: 2700 }, unsupported: [] });
+  });
+
+  it('report what on/off lights could not do when a mood is applied', async () => {
+    service.devices.set('plug_lamp', light('plug_lamp', { brightness: false }));
+
+    const [result] = await service.applyLightingChanges({ brightness: 40, color: '#98FB98', temperature: 2200 }, 1);
+
+    expect(result.success).toBe(true);
+    expect(result.config).toEqual({});
+    expect(result.unsupported).toEqual(['brightness', 'color', 'temperature']);
+  });
+});
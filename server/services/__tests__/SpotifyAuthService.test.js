@@ -0,0 +1,75 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const MusicAccount = require('../../models/MusicAccount');
+const SpotifyAuthService = require('../SpotifyAuthService');
+
+function account(overrides = {}) {
+  const doc = new MusicAccount({
+    userId: 'user-1',
+    platform: 'spotify',
+    accessToken: 'old-access',
+    refreshToken: 'old-refresh',
+    expiresAt: new Date(Date.now() + 3600 * 1000),
+    ...overrides
+  });
+  jest.spyOn(doc, 'save').mockResolvedValue(doc);
+  return doc;
+}
+
+describe('SpotifyAuthService tokens', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new SpotifyAuthService({ clientId: 'client', clientSecret: 'secret', redirectUri: 'http://localhost/cb' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('returns the stored token while it is still valid', async () => {
+    jest.spyOn(MusicAccount, 'findOne').mockResolvedValue(account());
+    const refresh = jest.spyOn(SpotifyWebApi.prototype, 'refreshAccessToken');
+
+    await expect(service.getAccessToken('user-1')).resolves.toBe('old-access');
+    expect(refresh).not.toHaveBeenCalled();
+  });
+
+  it('refreshes a token about to expire and stores the rotated refresh token', async () => {
+    const stored = account({ expiresAt: new Date(Date.now() + 30 * 1000) });
+    jest.spyOn(MusicAccount, 'findOne').mockResolvedValue(stored);
+    const refresh = jest.spyOn(SpotifyWebApi.prototype, 'refreshAccessToken').mockResolvedValue({
+      body: { access_token: 'new-access', refresh_token: 'new-refresh', expires_in: 3600 }
+    });
+
+    // Concurrent callers share one refresh
+    const tokens = await Promise.all([service.getAccessToken('user-1'), service.getAccessToken('user-1')]);
+
+    expect(tokens).toEqual(['new-access', 'new-access']);
+    expect(refresh).toHaveBeenCalledTimes(1);
+    expect(stored.refreshToken).toBe('new-refresh');
+    expect(stored.expiresAt.getTime()).toBeGreaterThan(Date.now() + 3500 * 1000);
+    expect(stored.save).toHaveBeenCalledTimes(1);
+    expect(service.pendingRefreshes.size).toBe(0);
+  });
+
+  it('asks the user to reconnect when Spotify rejects the refresh token', async () => {
+    const stored = account({ expiresAt: new Date(Date.now() - 1000) });
+    jest.spyOn(MusicAccount, 'findOne').mockResolvedValue(stored);
+    jest.spyOn(SpotifyWebApi.prototype, 'refreshAccessToken').mockRejectedValue(
+      Object.assign(new Error('invalid_grant'), { statusCode: 400 })
+    );
+
+    await expect(service.getAccessToken('user-1')).rejects.toMatchObject({
+      status: 409,
+      code: 'SPOTIFY_REAUTH_REQUIRED'
+    });
+    expect(stored.status).toBe('reauth_required');
+    expect(stored.save).toHaveBeenCalled();
+  });
+
+  it('rejects users without a linked account', async () => {
+    jest.spyOn(MusicAccount, 'findOne').mockResolvedValue(null);
+
+    await expect(service.getAccessToken('user-1')).rejects.toMatchObject({ code: 'SPOTIFY_NOT_CONNECTED' });
+  });
+});
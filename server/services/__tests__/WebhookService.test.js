@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const { WebhookSubscription, WebhookDelivery } = require('../../models/Webhook');
+const { publicLookup } = require('../../utils/network');
+const WebhookService = require('../WebhookService');
+
+describe('WebhookService', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('sign', () => {
+    it('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+      const service = new WebhookService();
+      const body = JSON.stringify({ event: 'mood_detected' });
+      const expected = crypto.createHmac('sha256', 'a-very-secret-key').update(`1701426600.${body}`).digest('hex');
+
+      expect(service.sign('a-very-secret-key', '1701426600', body)).toBe(expected);
+      expect(service.sign('another-secret-key', '1701426600', body)).not.toBe(expected);
+      expect(service.sign('a-very-secret-key', '1701426601', body)).not.toBe(expected);
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('doubles from about 10 seconds with up to 20% jitter', () => {
+      const service = new WebhookService();
+
+      [1, 2, 3, 4, 5].forEach(attempt => {
+        const base = 10000 * Math.pow(2, attempt - 1);
+        const delay = service.getRetryDelay(attempt);
+        expect(delay).toBeGreaterThanOrEqual(base * 0.8);
+        expect(delay).toBeLessThanOrEqual(base * 1.2);
+      });
+    });
+
+    it('caps the delay at an hour', () => {
+      expect(new WebhookService().getRetryDelay(30)).toBeLessThanOrEqual(60 * 60 * 1000 * 1.2);
+    });
+  });
+
+  describe('validateUrl', () => {
+    const production = new WebhookService({ allowInsecureUrls: false, allowPrivateNetworks: false });
+
+    it('requires HTTPS unless insecure URLs are allowed', async () => {
+      await expect(production.validateUrl('http://93.184.216.34/hook')).rejects.toMatchObject({
+        status: 400,
+        details: { field: 'url', reason: 'Webhook URLs must use HTTPS' }
+      });
+      await expect(new WebhookService({ allowInsecureUrls: true }).validateUrl('http://93.184.216.34/hook'))
+        .resolves.toBeUndefined();
+    });
+
+    it.each([
+      'https://localhost/hook',
+      'https://127.0.0.1/hook',
+      'https://169.254.169.254/latest/meta-data',
+      'https://10.0.0.5/hook',
+      'https://192.168.1.20:8443/hook',
+      'https://[::1]/hook'
+    ])('rejects %s', async (url) => {
+      await expect(production.validateUrl(url)).rejects.toMatchObject({
+        details: { reason: 'Webhook URLs must not point to private or local addresses' }
+      });
+    });
+
+    it('accepts private addresses when private networks are allowed', async () => {
+      const development = new WebhookService({ allowPrivateNetworks: true });
+
+      await expect(development.validateUrl('http://localhost:4000/hook')).resolves.toBeUndefined();
+    });
+  });
+
+  describe('dispatch', () => {
+    it('inserts deliveries locked so the retry loop cannot claim them mid-attempt', async () => {
+      const service = new WebhookService();
+      jest.spyOn(WebhookSubscription, 'find').mockResolvedValue([{ _id: 'sub1' }, { _id: 'sub2' }]);
+      const insertMany = jest.spyOn(WebhookDelivery, 'insertMany').mockImplementation(async docs => docs);
+      jest.spyOn(service, 'attemptDelivery').mockImplementation(async delivery => delivery);
+
+      const before = Date.now();
+      await service.dispatch('user1', 'mood_detected', { primaryMood: { emotion: 'happy' } });
+
+      const docs = insertMany.mock.calls[0][0];
+      expect(docs).toHaveLength(2);
+      docs.forEach(doc => {
+        expect(doc.lockedUntil.getTime()).toBeGreaterThan(doc.nextAttemptAt.getTime());
+        expect(doc.lockedUntil.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+      });
+      expect(service.attemptDelivery).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('attemptDelivery', () => {
+    function stubDelivery(url) {
+      const subscription = {
+        id: 'sub1',
+        url: url,
+        active: true,
+        secret: 'a-very-secret-key',
+        consecutiveFailures: 0,
+        save: jest.fn().mockResolvedValue()
+      };
+      jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(subscription) });
+
+      return {
+        id: 'delivery1',
+        subscriptionId: 'sub1',
+        event: 'mood_detected',
+        payload: { event: 'mood_detected' },
+        attempts: [],
+        lockedUntil: new Date(),
+        save: jest.fn().mockResolvedValue()
+      };
+    }
+
+    it('sends signed requests and unlocks the delivery', async () => {
+      const service = new WebhookService({ allowPrivateNetworks: true });
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 204 });
+      const delivery = stubDelivery('https://hooks.example.com/moodsync');
+
+      await service.attemptDelivery(delivery);
+
+      const [url, body, config] = post.mock.calls[0];
+      const timestamp = config.headers['X-MoodSync-Timestamp'];
+      expect(url).toBe('https://hooks.example.com/moodsync');
+      expect(config.headers['X-MoodSync-Signature']).toBe(`sha256=${service.sign('a-very-secret-key', timestamp, body)}`);
+      expect(delivery.status).toBe('succeeded');
+      expect(delivery.lockedUntil).toBeNull();
+    });
+
+    it('refuses to deliver to private addresses and schedules a retry', async () => {
+      const service = new WebhookService({ allowPrivateNetworks: false });
+      const post = jest.spyOn(axios, 'post');
+      const delivery = stubDelivery('https://169.254.169.254/latest/meta-data');
+
+      await service.attemptDelivery(delivery);
+
+      expect(post).not.toHaveBeenCalled();
+      expect(delivery.attempts[0]).toMatchObject({ success: false, error: 'EPRIVATEADDRESS' });
+      expect(delivery.nextAttemptAt).toBeInstanceOf(Date);
+    });
+
+    it('connects through the private address guard', async () => {
+      const service = new WebhookService({ allowPrivateNetworks: false });
+      jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+      const post = jest.spyOn(axios, 'post').mockResolvedValue({ status: 200 });
+
+      await service.attemptDelivery(stubDelivery('https://hooks.example.com/moodsync'));
+
+      const config = post.mock.calls[0][2];
+      expect(config.httpsAgent.options.lookup).toBe(publicLookup);
+    });
+  });
+});
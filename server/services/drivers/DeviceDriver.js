@@ -0,0 +1,128 @@
+const { UnsupportedDeviceError } = require('../../utils/errors');
+
+/**
+ * Base class for smart home platform drivers
+ *
+ * A driver owns one platform's connection and translates between it and MoodSync's device model.
+ * Devices are { id, platform, platformId, name, type, subtype, capabilities, state, metadata, status },
+ * with light state as { on, brightness 0-100, color hex | null, temperature in Kelvin } and
+ * thermostat state as { mode, setpoint, heatSetpoint, coolSetpoint, temperature, fan, unit }, temperatures
+ * in °C whatever unit the thermostat displays. Settings passed to control() take the same shape as lights;
+ * thermostats take { temperature, fan } and set whichever setpoint their current mode uses.
+ *
+ * The host is the SmartHomeService. Drivers read their devices through it and report changes with
+ * host.updateDeviceState(deviceId, changes), host.registerDevice(device) and host.removeDevice(deviceId)
+ */
+class DeviceDriver {
+  constructor(name, host, options = {}) {
+    this.name = name;
+    this.host = host;
+    this.options = options;
+    this.connected = false;
+    // Drivers that report the outcome of their own commands set this, so the host doesn't assume it
+    this.reportsState = false;
+    this.pollTimer = null;
+  }
+
+  /**
+   * Connect using the driver's configuration; set connected when the platform is usable
+   */
+  async initialize() {}
+
+  /**
+   * Resolve to the platform's devices, with platform set to the driver's name
+   */
+  async discover() {
+    return [];
+  }
+
+  /**
+   * Resolve to rooms and zones the platform defines: [{ id, name, kind, source, deviceIds }]
+   */
+  async discoverRooms() {
+    return [];
+  }
+
+  /**
+   * Send controlDevice settings to a device
+   * Lights get settings already fitted to their capabilities; thermostats get one setpoint at a time
+   */
+  async control(device) {
+    throw new UnsupportedDeviceError(device);
+  }
+
+  /**
+   * Play mood music on speakers: settings are { volume 0-100, genre, playlist, stream }
+   * Platforms that can group speakers play to them as one; the rest control each in turn
+   */
+  async playMusic(devices, settings) {
+    for (const device of devices) {
+      await this.control(device, settings);
+    }
+  }
+
+  /**
+   * Group speakers so they play together, resolving to the group's coordinator
+   */
+  async group(devices) {
+    throw new UnsupportedDeviceError(devices[0]);
+  }
+
+  /**
+   * Split speakers back into standalone players
+   */
+  async ungroup(devices) {
+    throw new UnsupportedDeviceError(devices[0]);
+  }
+
+  /**
+   * Resolve to the device's current state, read from the platform
+   */
+  async getState(device) {
+    return device.state;
+  }
+
+  /**
+   * Start reporting state changes made outside MoodSync
+   */
+  async subscribe() {}
+
+  dispose() {
+    clearInterval(this.pollTimer);
+  }
+
+  /**
+   * This driver's devices as currently registered with the host
+   */
+  devices() {
+    return Array.from(this.host.devices.values()).filter(device => device.platform === this.name);
+  }
+
+  /**
+   * Subscribe by polling getState, for platforms that don't push changes
+   */
+  poll(interval, filter = () => true) {
+    let polling = false;
+
+    this.pollTimer = setInterval(async () => {
+      // A slow round shouldn't overlap the next one
+      if (polling) return;
+      polling = true;
+
+      await Promise.all(this.devices().filter(filter).map(async (device) => {
+        try {
+          const state = await this.getState(device);
+          device.status = 'online';
+          this.host.updateDeviceState(device.id, state);
+        } catch (error) {
+          device.status = 'offline';
+        }
+      }));
+
+      polling = false;
+    }, interval);
+    this.pollTimer.unref();
+  }
+}
+
+module.exports = DeviceDriver;
@@ -0,0 +1,199 @@
+const axios = require('axios');
+const DeviceDriver = require('./DeviceDriver');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { gamutForModel, hexToXy, xyToHex, hueSatToHex } = require('../../utils/color');
+
+/**
+ * Philips Hue bridge driver (local REST API plus the CLIP v2 event stream)
+ */
+class HueDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('philipsHue', host, options);
+    this.eventSource = null;
+  }
+
+  async initialize() {
+    try {
+      const bridgeIP = process.env.PHILIPS_HUE_BRIDGE_IP;
+      const username = process.env.PHILIPS_HUE_USERNAME;
+
+      if (!bridgeIP || !username) {
+        console.log('Philips Hue credentials not provided, skipping...');
+        return;
+      }
+
+      this.baseURL = `http://${bridgeIP}/api/${username}`;
+      this.bridgeIP = bridgeIP;
+
+      // Test connection
+      await axios.get(`${this.baseURL}/lights`);
+      this.connected = true;
+
+      console.log('Philips Hue initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize Philips Hue:', error);
+    }
+  }
+
+  async discover() {
+    const response = await axios.get(`${this.baseURL}/lights`);
+    const lights = response.data;
+
+    const devices = Object.entries(lights).map(([id, light]) => ({
+      id: `hue_${id}`,
+      platform: this.name,
+      platformId: id,
+      name: light.name,
+      type: 'lighting',
+      subtype: 'bulb',
+      capabilities: {
+        // White-ambiance bulbs report colormode 'ct', so colour support is read off the hue/xy fields
+        brightness: light.state.bri !== undefined,
+        color: light.state.hue !== undefined || light.state.xy !== undefined,
+        temperature: light.state.ct !== undefined,
+        temperatureRange: light.capabilities?.control?.ct
+          ? {
+            min: Math.round(1000000 / light.capabilities.control.ct.max),
+            max: Math.round(1000000 / light.capabilities.control.ct.min)
+          }
+          : undefined,
+        power: true
+      },
+      state: this.lightState(light.state),
+      metadata: {
+        manufacturer: light.manufacturername,
+        model: light.modelid,
+        version: light.swversion,
+        uniqueId: light.uniqueid
+      },
+      status: light.state.reachable === false ? 'offline' : 'online',
+      lastUpdated: new Date().toISOString()
+    }));
+
+    console.log(`Discovered ${devices.length} Philips Hue devices`);
+    return devices;
+  }
+
+  /**
+   * Import Hue rooms and zones from the bridge's groups
+   */
+  async discoverRooms() {
+    const response = await axios.get(`${this.baseURL}/groups`);
+
+    return Object.entries(response.data)
+      .filter(([, group]) => group.type === 'Room' || group.type === 'Zone')
+      .map(([id, group]) => ({
+        id: `hue_group_${id}`,
+        name: group.name,
+        kind: group.type === 'Zone' ? 'zone' : 'room',
+        source: this.name,
+        deviceIds: (group.lights || []).map(lightId => `hue_${lightId}`)
+      }));
+  }
+
+  /**
+   * Control Philips Hue light
+   * Colours go as xy clamped to the bulb's gamut; transitiontime is in tenths of a second
+   */
+  async control(device, config, options = {}) {
+    if (device.type !== 'lighting') {
+      throw new UnsupportedDeviceError(device);
+    }
+
+    const state = { on: config.on !== false };
+
+    if (state.on) {
+      if (config.brightness !== undefined) {
+        state.bri = Math.round((config.brightness / 100) * 254);
+      }
+
+      if (config.color && config.color.startsWith('#')) {
+        state.xy = hexToXy(config.color, gamutForModel(device.metadata?.model));
+      } else if (config.temperature) {
+        state.ct = Math.round(1000000 / config.temperature);
+      }
+    }
+
+    if (options.transition !== undefined) {
+      state.transitiontime = Math.min(65535, Math.round(options.transition * 10));
+    }
+
+    await axios.put(`${this.baseURL}/lights/${device.platformId}/state`, state);
+  }
+
+  async getState(device) {
+    const response = await axios.get(`${this.baseURL}/lights/${device.platformId}`);
+    return this.lightState(response.data.state);
+  }
+
+  /**
+   * Philips Hue uses Server-Sent Events for real-time updates
+   */
+  async subscribe() {
+    try {
+      const EventSource = require('eventsource');
+      this.eventSource = new EventSource(`http://${this.bridgeIP}/eventstream/clip/v2`);
+
+      this.eventSource.onmessage = (event) => {
+        try {
+          this.handleEvent(JSON.parse(event.data));
+        } catch (error) {
+          console.error('Failed to parse Hue event:', error);
+        }
+      };
+
+      this.eventSource.onerror = (error) => {
+        console.error('Hue event stream error:', error);
+      };
+
+    } catch (error) {
+      console.error('Failed to setup Hue event stream:', error);
+    }
+  }
+
+  handleEvent(eventData) {
+    eventData.forEach(event => {
+      if (event.type !== 'update' || !event.data) return;
+
+      const changes = {};
+      if (event.data.on !== undefined) {
+        changes.on = event.data.on.on;
+      }
+      if (event.data.dimming !== undefined) {
+        changes.brightness = Math.round(event.data.dimming.brightness);
+      }
+      if (event.data.motion !== undefined) {
+        changes.motion = event.data.motion.motion;
+      }
+      if (event.data.temperature !== undefined) {
+        changes.temperature = event.data.temperature.temperature;
+      }
+
+      this.host.updateDeviceState(`hue_${event.data.id}`, changes);
+    });
+  }
+
+  /**
+   * Bridge light state as normalized light state
+   */
+  lightState(state) {
+    return {
+      on: state.on,
+      brightness: state.bri !== undefined ? Math.round((state.bri / 254) * 100) : undefined,
+      color: state.colormode === 'xy'
+        ? xyToHex(state.xy)
+        : state.colormode === 'hs' ? hueSatToHex(state.hue, state.sat) : null,
+      temperature: state.ct ? Math.round(1000000 / state.ct) : undefined
+    };
+  }
+
+  dispose() {
+    super.dispose();
+    if (this.eventSource) {
+      this.eventSource.close();
+    }
+  }
+}
+
+module.exports = HueDriver;
@@ -0,0 +1,40 @@
+const axios = require('axios');
+const DeviceDriver = require('./DeviceDriver');
+
+/**
+ * IFTTT Webhooks driver
+ * IFTTT has no devices of its own; environments fire webhook events that IFTTT applets act on
+ */
+class IftttDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('ifttt', host, options);
+  }
+
+  async initialize() {
+    const webhookKey = process.env.IFTTT_WEBHOOK_KEY;
+
+    if (!webhookKey) {
+      console.log('IFTTT webhook key not provided, skipping...');
+      return;
+    }
+
+    this.baseURL = 'https://maker.ifttt.com/trigger';
+    this.webhookKey = webhookKey;
+    this.connected = true;
+
+    console.log('IFTTT initialized successfully');
+  }
+
+  /**
+   * Fire a webhook event with up to three values
+   */
+  async trigger(eventName, data) {
+    await axios.post(`${this.baseURL}/${eventName}/with/key/${this.webhookKey}`, {
+      value1: data.volume || '',
+      value2: data.genre || '',
+      value3: data.intensity || ''
+    });
+  }
+}
+
+module.exports = IftttDriver;
@@ -0,0 +1,316 @@
+const axios = require('axios');
+const DeviceDriver = require('./DeviceDriver');
+const { LifxLanClient } = require('./LifxLanClient');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { hexToHsv, hsvToHex } = require('../../utils/color');
+
+// LIFX bulbs don't push changes over the LAN, so their state is read back on this interval
+const LIFX_POLL_INTERVAL = 15 * 1000;
+
+/**
+ * LIFX driver
+ * Bulbs on the local network are driven over the LAN protocol; the cloud API,
+ * when a token is set, covers bulbs the LAN can't reach and LAN commands that fail
+ */
+class LifxDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('lifx', host, options);
+    this.lan = null;
+    this.cloud = null;
+  }
+
+  async initialize() {
+    if (process.env.LIFX_LAN !== 'false') {
+      try {
+        const lan = new LifxLanClient({ broadcastAddress: process.env.LIFX_BROADCAST_ADDRESS });
+        await lan.start();
+        this.lan = lan;
+        this.connected = true;
+        console.log('LIFX LAN initialized successfully');
+      } catch (error) {
+        console.error('Failed to initialize LIFX LAN:', error);
+      }
+    }
+
+    try {
+      const token = process.env.LIFX_TOKEN;
+
+      if (!token) {
+        console.log('LIFX token not provided, skipping cloud API...');
+        return;
+      }
+
+      const cloud = {
+        baseURL: 'https://api.lifx.com/v1',
+        headers: { 'Authorization': `Bearer ${token}` }
+      };
+
+      // Test connection
+      await axios.get(`${cloud.baseURL}/lights`, { headers: cloud.headers });
+
+      this.cloud = cloud;
+      this.connected = true;
+      console.log('LIFX initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize LIFX:', error);
+    }
+  }
+
+  /**
+   * Cloud discovery runs first so bulbs found on both keep the cloud's product capabilities
+   */
+  async discover() {
+    const devices = new Map();
+
+    if (this.cloud) {
+      try {
+        (await this.discoverCloudDevices()).forEach(device => devices.set(device.id, device));
+      } catch (error) {
+        console.error('Failed to discover LIFX devices:', error);
+      }
+    }
+    if (this.lan) {
+      try {
+        await this.discoverLanDevices(devices);
+      } catch (error) {
+        console.error('Failed to discover LIFX LAN devices:', error);
+      }
+    }
+
+    return Array.from(devices.values());
+  }
+
+  async discoverCloudDevices() {
+    const response = await axios.get(`${this.cloud.baseURL}/lights`, { headers: this.cloud.headers });
+    const lights = response.data;
+
+    console.log(`Discovered ${lights.length} LIFX devices`);
+
+    return lights.map(light => ({
+      id: `lifx_${light.id}`,
+      platform: this.name,
+      platformId: light.id,
+      name: light.label,
+      type: 'lighting',
+      subtype: 'bulb',
+      capabilities: {
+        brightness: true,
+        color: light.product.capabilities.has_color,
+        temperature: light.product.capabilities.has_variable_color_temp,
+        temperatureRange: light.product.capabilities.min_kelvin
+          ? { min: light.product.capabilities.min_kelvin, max: light.product.capabilities.max_kelvin }
+          : undefined,
+        power: true
+      },
+      state: this.cloudState(light),
+      metadata: {
+        manufacturer: 'LIFX',
+        model: light.product.name,
+        version: light.product.capabilities.firmware_version,
+        location: light.location.name,
+        group: light.group.name,
+        groupId: light.group.id
+      },
+      status: light.connected ? 'online' : 'offline',
+      lastUpdated: new Date().toISOString()
+    }));
+  }
+
+  /**
+   * The LAN protocol doesn't describe a bulb's features, so bulbs the cloud doesn't know are assumed to do colour and white
+   */
+  async discoverLanDevices(devices) {
+    const lights = await this.lan.discover();
+
+    lights.forEach(light => {
+      const id = `lifx_${light.serial}`;
+      const device = devices.get(id) || {
+        id: id,
+        platform: this.name,
+        platformId: light.serial,
+        name: light.label,
+        type: 'lighting',
+        subtype: 'bulb',
+        capabilities: {
+          brightness: true,
+          color: true,
+          temperature: true,
+          power: true
+        },
+        metadata: {
+          manufacturer: 'LIFX',
+          group: light.group.label,
+          groupId: light.group.id
+        }
+      };
+
+      device.state = this.lanState(light);
+      device.metadata = { ...device.metadata, address: light.address, port: light.port };
+      device.status = 'online';
+      device.lastUpdated = new Date().toISOString();
+
+      devices.set(id, device);
+    });
+
+    console.log(`Discovered ${lights.length} LIFX devices on the local network`);
+  }
+
+  /**
+   * LIFX groups come with the device listings
+   */
+  async discoverRooms() {
+    const rooms = new Map();
+
+    this.devices().filter(device => device.metadata?.groupId).forEach(device => {
+      const id = `lifx_group_${device.metadata.groupId}`;
+      if (!rooms.has(id)) {
+        rooms.set(id, { id, name: device.metadata.group, kind: 'room', source: this.name, deviceIds: [] });
+      }
+      rooms.get(id).deviceIds.push(device.id);
+    });
+
+    return Array.from(rooms.values());
+  }
+
+  /**
+   * Control LIFX light, over the LAN when the bulb was found there and the cloud otherwise
+   */
+  async control(device, config, options = {}) {
+    if (device.type !== 'lighting') {
+      throw new UnsupportedDeviceError(device);
+    }
+
+    if (this.lan && device.metadata?.address) {
+      try {
+        await this.controlLan(device, config, options);
+        return;
+      } catch (error) {
+        if (!this.cloud) {
+          throw error;
+        }
+        console.warn(`LIFX LAN control failed for ${device.name}, falling back to the cloud:`, error.message);
+      }
+    }
+
+    await this.controlCloud(device, config, options);
+  }
+
+  /**
+   * SetColor takes a full HSBK, so whatever the settings leave out is kept from the current state
+   */
+  async controlLan(device, config, options = {}) {
+    const light = this.lanTarget(device);
+    const duration = options.transition !== undefined ? Math.round(options.transition * 1000) : 0;
+
+    if (config.on === false) {
+      await this.lan.setPower(light, false, duration);
+      return;
+    }
+
+    const state = device.state || {};
+    const brightness = config.brightness ?? state.brightness ?? 100;
+    const color = config.color || (config.temperature ? null : state.color);
+    const { hue, saturation } = color ? hexToHsv(color) : { hue: 0, saturation: 0 };
+    const kelvin = config.temperature || state.temperature || 3500;
+
+    await this.lan.setColor(light, {
+      hue: Math.round((hue / 360) * 65535),
+      saturation: Math.round(saturation * 65535),
+      brightness: Math.round((brightness / 100) * 65535),
+      kelvin: Math.round(kelvin)
+    }, duration);
+    await this.lan.setPower(light, true, duration);
+  }
+
+  async controlCloud(device, config, options = {}) {
+    const params = { power: config.on === false ? 'off' : 'on' };
+
+    if (config.on !== false) {
+      if (config.brightness !== undefined) {
+        params.brightness = config.brightness / 100;
+      }
+
+      if (config.color && config.color.startsWith('#')) {
+        params.color = config.color;
+      } else if (config.temperature) {
+        params.color = `kelvin:${config.temperature}`;
+      }
+    }
+
+    if (options.transition !== undefined) {
+      params.duration = options.transition;
+    }
+
+    await axios.put(
+      `${this.cloud.baseURL}/lights/${this.cloudSelector(device)}/state`,
+      params,
+      { headers: this.cloud.headers }
+    );
+  }
+
+  async getState(device) {
+    if (this.lan && device.metadata?.address) {
+      return this.lanState(await this.lan.getState(this.lanTarget(device)));
+    }
+
+    const response = await axios.get(`${this.cloud.baseURL}/lights/${this.cloudSelector(device)}`, {
+      headers: this.cloud.headers
+    });
+    return this.cloudState(response.data[0]);
+  }
+
+  /**
+   * Only LAN bulbs are polled; the cloud API is rate limited
+   */
+  async subscribe() {
+    if (this.lan) {
+      this.poll(LIFX_POLL_INTERVAL, device => device.metadata?.address);
+    }
+  }
+
+  /**
+   * Cloud API selector for one light; a bare id would be read as a label or group
+   */
+  cloudSelector(device) {
+    return `id:${device.platformId}`;
+  }
+
+  lanTarget(device) {
+    return { serial: device.platformId, address: device.metadata.address, port: device.metadata.port };
+  }
+
+  /**
+   * LIFX LAN power and HSBK as normalized light state
+   */
+  lanState({ power, color }) {
+    return {
+      on: power,
+      brightness: Math.round((color.brightness / 65535) * 100),
+      color: color.saturation > 0
+        ? hsvToHex((color.hue / 65535) * 360, color.saturation / 65535)
+        : null,
+      temperature: color.kelvin
+    };
+  }
+
+  cloudState(light) {
+    return {
+      on: light.power === 'on',
+      brightness: Math.round(light.brightness * 100),
+      color: light.color.saturation > 0
+        ? hsvToHex(light.color.hue, light.color.saturation)
+        : null,
+      temperature: light.color.kelvin
+    };
+  }
+
+  dispose() {
+    super.dispose();
+    if (this.lan) {
+      this.lan.close();
+    }
+  }
+}
+
+module.exports = LifxDriver;
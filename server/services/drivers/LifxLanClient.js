@@ -0,0 +1,266 @@
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+/**
+ * LIFX LAN protocol client
+ * Talks to bulbs directly over UDP on the local network, without the LIFX cloud.
+ * Every message is a 36-byte little-endian header followed by its payload;
+ * replies are matched to requests by our source id, the bulb's serial and a sequence number
+ */
+
+const LIFX_PORT = 56700;
+const HEADER_SIZE = 36;
+const PROTOCOL = 1024;
+
+const MESSAGE_TYPES = {
+  GetService: 2,
+  StateService: 3,
+  GetGroup: 51,
+  StateGroup: 53,
+  Acknowledgement: 45,
+  LightGet: 101,
+  LightSetColor: 102,
+  LightState: 107,
+  LightSetPower: 117
+};
+
+// StateService advertises the UDP service as 1
+const SERVICE_UDP = 1;
+
+class LifxLanClient {
+  constructor(options = {}) {
+    this.broadcastAddress = options.broadcastAddress || '255.255.255.255';
+    this.port = options.port || LIFX_PORT;
+    this.timeout = options.timeout || 1000;
+    this.retries = options.retries ?? 2;
+
+    // Identifies our replies among other LAN clients; zero would make bulbs broadcast them
+    this.source = crypto.randomBytes(4).readUInt32LE(0) || 1;
+    this.sequence = 0;
+
+    // pendingKey(serial, sequence) -> { responseType, onMessage }
+    this.pending = new Map();
+    this.socket = null;
+  }
+
+  /**
+   * Bind the UDP socket on an ephemeral port
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+
+      socket.once('error', reject);
+      socket.on('message', (message, remote) => this.handleMessage(message, remote));
+      socket.bind(0, () => {
+        socket.removeListener('error', reject);
+        socket.on('error', error => console.error('LIFX LAN socket error:', error));
+        socket.setBroadcast(true);
+        this.socket = socket;
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Broadcast GetService and read back every bulb that answers within the timeout
+   * Resolves to [{ serial, address, port, label, power, color, group }]
+   */
+  async discover(timeout = this.timeout) {
+    const found = new Map();
+    const sequence = this.nextSequence();
+    const key = pendingKey(null, sequence);
+
+    await new Promise((resolve) => {
+      this.pending.set(key, {
+        responseType: MESSAGE_TYPES.StateService,
+        onMessage: (packet, remote) => {
+          if (packet.payload.readUInt8(0) !== SERVICE_UDP || found.has(packet.serial)) return;
+          found.set(packet.serial, {
+            serial: packet.serial,
+            address: remote.address,
+            port: packet.payload.readUInt32LE(1)
+          });
+        }
+      });
+
+      this.send(this.broadcastAddress, this.port, null, MESSAGE_TYPES.GetService, null, { tagged: true, sequence });
+      setTimeout(resolve, timeout);
+    });
+    this.pending.delete(key);
+
+    const lights = await Promise.all(Array.from(found.values()).map(async (light) => {
+      try {
+        const [state, group] = await Promise.all([this.getState(light), this.getGroup(light)]);
+        return { ...light, ...state, group };
+      } catch (error) {
+        console.error(`LIFX bulb ${light.serial} stopped answering during discovery:`, error);
+        return null;
+      }
+    }));
+
+    return lights.filter(Boolean);
+  }
+
+  /**
+   * Read power, colour and label; colour is raw HSBK (hue, saturation and brightness 0-65535, kelvin)
+   */
+  async getState(light) {
+    const packet = await this.request(light, MESSAGE_TYPES.LightGet, null, MESSAGE_TYPES.LightState);
+    const payload = packet.payload;
+
+    return {
+      color: {
+        hue: payload.readUInt16LE(0),
+        saturation: payload.readUInt16LE(2),
+        brightness: payload.readUInt16LE(4),
+        kelvin: payload.readUInt16LE(6)
+      },
+      power: payload.readUInt16LE(10) > 0,
+      label: readString(payload, 12, 32)
+    };
+  }
+
+  async getGroup(light) {
+    const packet = await this.request(light, MESSAGE_TYPES.GetGroup, null, MESSAGE_TYPES.StateGroup);
+
+    return {
+      id: packet.payload.subarray(0, 16).toString('hex'),
+      label: readString(packet.payload, 16, 32)
+    };
+  }
+
+  /**
+   * Set HSBK over duration milliseconds
+   */
+  async setColor(light, color, duration = 0) {
+    const payload = Buffer.alloc(13);
+    payload.writeUInt16LE(color.hue, 1);
+    payload.writeUInt16LE(color.saturation, 3);
+    payload.writeUInt16LE(color.brightness, 5);
+    payload.writeUInt16LE(color.kelvin, 7);
+    payload.writeUInt32LE(duration, 9);
+
+    await this.request(light, MESSAGE_TYPES.LightSetColor, payload, MESSAGE_TYPES.Acknowledgement);
+  }
+
+  async setPower(light, on, duration = 0) {
+    const payload = Buffer.alloc(6);
+    payload.writeUInt16LE(on ? 65535 : 0, 0);
+    payload.writeUInt32LE(duration, 2);
+
+    await this.request(light, MESSAGE_TYPES.LightSetPower, payload, MESSAGE_TYPES.Acknowledgement);
+  }
+
+  /**
+   * Send a message to one bulb and wait for its reply, resending on timeout since UDP may drop either way
+   * Set messages ask for an Acknowledgement, reads for their State reply
+   */
+  async request(light, type, payload, responseType) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.requestOnce(light, type, payload, responseType);
+      } catch (error) {
+        if (attempt >= this.retries) throw error;
+      }
+    }
+  }
+
+  requestOnce(light, type, payload, responseType) {
+    const sequence = this.nextSequence();
+    const key = pendingKey(light.serial, sequence);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending.delete(key);
+        reject(new Error(`LIFX bulb ${light.serial} at ${light.address} did not respond`));
+      }, this.timeout);
+
+      this.pending.set(key, {
+        responseType: responseType,
+        onMessage: (packet) => {
+          clearTimeout(timer);
+          this.pending.delete(key);
+          resolve(packet);
+        }
+      });
+
+      const ack = responseType === MESSAGE_TYPES.Acknowledgement;
+      this.send(light.address, light.port || this.port, light.serial, type, payload, {
+        sequence,
+        ackRequired: ack,
+        resRequired: !ack
+      });
+    });
+  }
+
+  send(address, port, serial, type, payload, { tagged = false, sequence = 0, ackRequired = false, resRequired = false } = {}) {
+    const size = HEADER_SIZE + (payload ? payload.length : 0);
+    const message = Buffer.alloc(size);
+
+    // Frame: size, protocol with the addressable and tagged bits, source
+    message.writeUInt16LE(size, 0);
+    message.writeUInt16LE(PROTOCOL | (1 << 12) | (tagged ? 1 << 13 : 0), 2);
+    message.writeUInt32LE(this.source, 4);
+
+    // Frame address: 6-byte serial padded to 8, then response flags and sequence
+    if (serial) {
+      Buffer.from(serial, 'hex').copy(message, 8);
+    }
+    message.writeUInt8((resRequired ? 1 : 0) | (ackRequired ? 2 : 0), 22);
+    message.writeUInt8(sequence, 23);
+
+    // Protocol header: message type
+    message.writeUInt16LE(type, 32);
+
+    if (payload) {
+      payload.copy(message, HEADER_SIZE);
+    }
+
+    this.socket.send(message, port, address);
+  }
+
+  handleMessage(message, remote) {
+    if (message.length < HEADER_SIZE || message.readUInt32LE(4) !== this.source) return;
+
+    const packet = {
+      serial: message.subarray(8, 14).toString('hex'),
+      sequence: message.readUInt8(23),
+      type: message.readUInt16LE(32),
+      payload: message.subarray(HEADER_SIZE)
+    };
+
+    // Replies to a broadcast can come from any bulb
+    const pending = this.pending.get(pendingKey(packet.serial, packet.sequence)) ||
+      this.pending.get(pendingKey(null, packet.sequence));
+    if (pending && pending.responseType === packet.type) {
+      pending.onMessage(packet, remote);
+    }
+  }
+
+  nextSequence() {
+    this.sequence = (this.sequence + 1) % 256;
+    return this.sequence;
+  }
+
+  close() {
+    this.pending.clear();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+/**
+ * Sequence numbers wrap at 256, so requests to different bulbs are told apart by serial too
+ */
+function pendingKey(serial, sequence) {
+  return `${serial ? serial.toLowerCase() : '*'}:${sequence}`;
+}
+
+function readString(buffer, offset, length) {
+  return buffer.subarray(offset, offset + length).toString('utf8').replace(/\0.*$/s, '');
+}
+
+module.exports = { LifxLanClient, LIFX_PORT, MESSAGE_TYPES };
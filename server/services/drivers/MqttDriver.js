@@ -0,0 +1,527 @@
+const DeviceDriver = require('./DeviceDriver');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { parseDiscoveryTopic, expandDiscoveryConfig, renderValue } = require('../../utils/homeAssistant');
+const { hexToXy, hexToRgb, rgbToHex, hexToHsv, hsvToHex, xyToHex } = require('../../utils/color');
+const { toCelsius, fromCelsius, heatCoolRange, effectiveSetpoint } = require('../../utils/climate');
+
+// How long discovery waits for the broker to replay retained Home Assistant discovery configs
+const MQTT_DISCOVERY_SETTLE = 2000;
+
+// Home Assistant MQTT components we register, by device type
+const MQTT_COMPONENT_TYPES = {
+  light: 'lighting',
+  switch: 'appliances',
+  climate: 'climate',
+  sensor: 'sensors',
+  binary_sensor: 'sensors'
+};
+const MQTT_COLOR_MODES = ['xy', 'hs', 'rgb', 'rgbw', 'rgbww'];
+
+// Home Assistant HVAC modes; auto follows a schedule between the low and high setpoints
+const MQTT_HVAC_MODES = {
+  heat: 'heat',
+  cool: 'cool',
+  heat_cool: 'heatcool',
+  auto: 'heatcool',
+  dry: 'fan',
+  fan_only: 'fan',
+  off: 'off'
+};
+
+/**
+ * MQTT driver
+ * Covers Home Assistant, zigbee2mqtt and anything else that publishes Home Assistant discovery configs
+ */
+class MqttDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('mqtt', host, options);
+    this.client = null;
+    // discovery config topic -> device id
+    this.entities = new Map();
+    // state topic -> [{ deviceId, attribute }]
+    this.topics = new Map();
+  }
+
+  async initialize() {
+    let client = null;
+
+    try {
+      const url = process.env.MQTT_URL;
+
+      if (!url) {
+        console.log('MQTT broker URL not provided, skipping...');
+        return;
+      }
+
+      const mqtt = require('mqtt');
+      client = mqtt.connect(url, {
+        username: process.env.MQTT_USERNAME,
+        password: process.env.MQTT_PASSWORD,
+        connectTimeout: 10 * 1000
+      });
+
+      await new Promise((resolve, reject) => {
+        const fail = (error) => {
+          client.removeListener('connect', connected);
+          reject(error || new Error(`Could not connect to MQTT broker at ${url}`));
+        };
+        const connected = () => {
+          client.removeListener('error', fail);
+          client.removeListener('close', fail);
+          resolve();
+        };
+        client.once('connect', connected);
+        client.once('error', fail);
+        client.once('close', fail);
+      });
+
+      this.client = client;
+      this.discoveryPrefix = process.env.MQTT_DISCOVERY_PREFIX || 'homeassistant';
+      this.connected = true;
+
+      // The client reconnects and resubscribes on its own
+      client.on('connect', () => { this.connected = true; });
+      client.on('close', () => { this.connected = false; });
+      client.on('error', error => console.error('MQTT client error:', error));
+      client.on('message', (topic, payload) => this.handleMessage(topic, payload));
+
+      console.log('MQTT initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize MQTT:', error);
+      if (client) {
+        client.end(true);
+      }
+    }
+  }
+
+  /**
+   * Discovery configs are retained, so the broker replays them on subscribe;
+   * ones published later register with the host as they arrive
+   */
+  async discover() {
+    await this.client.subscribeAsync([`${this.discoveryPrefix}/+/+/config`, `${this.discoveryPrefix}/+/+/+/config`]);
+    await new Promise(resolve => setTimeout(resolve, MQTT_DISCOVERY_SETTLE));
+
+    const devices = Array.from(this.entities.values()).map(deviceId => this.host.devices.get(deviceId)).filter(Boolean);
+
+    console.log(`Discovered ${devices.length} MQTT devices`);
+    return devices;
+  }
+
+  /**
+   * Route a message to discovery or to the devices reading that state topic
+   */
+  handleMessage(topic, payload) {
+    const discovery = parseDiscoveryTopic(topic, this.discoveryPrefix);
+
+    if (discovery) {
+      this.registerEntity(topic, discovery, payload);
+      return;
+    }
+
+    (this.topics.get(topic) || []).forEach(({ deviceId, attribute }) => {
+      this.handleState(deviceId, attribute, payload);
+    });
+  }
+
+  /**
+   * Register, update or (on an empty payload) remove the device behind a discovery config
+   */
+  registerEntity(topic, discovery, payload) {
+    const previousId = this.entities.get(topic);
+
+    if (previousId) {
+      this.unsubscribeDevice(previousId);
+    }
+    if (payload.length === 0) {
+      this.entities.delete(topic);
+      this.host.removeDevice(previousId);
+      return;
+    }
+
+    const type = MQTT_COMPONENT_TYPES[discovery.component];
+    if (!type) return;
+
+    let config;
+    try {
+      config = expandDiscoveryConfig(JSON.parse(payload.toString()));
+    } catch (error) {
+      console.error(`Ignoring malformed MQTT discovery config on ${topic}:`, error.message);
+      return;
+    }
+
+    const objectId = discovery.nodeId ? `${discovery.nodeId}_${discovery.objectId}` : discovery.objectId;
+    const id = `mqtt_${String(config.unique_id || objectId).replace(/[^\w-]/g, '_')}`;
+    const previous = this.host.devices.get(id);
+
+    this.host.registerDevice({
+      id: id,
+      platform: this.name,
+      platformId: objectId,
+      name: config.name || config.device?.name || discovery.objectId,
+      type: type,
+      subtype: discovery.component,
+      capabilities: this.getCapabilities(discovery.component, config),
+      state: previous?.state || {},
+      metadata: {
+        manufacturer: config.device?.manufacturer,
+        model: config.device?.model,
+        version: config.device?.sw_version,
+        config: config
+      },
+      status: previous?.status || 'online',
+      lastUpdated: new Date().toISOString()
+    });
+    this.entities.set(topic, id);
+
+    const subscribe = (stateTopic, attribute) => {
+      if (!stateTopic) return;
+      const readers = this.topics.get(stateTopic) || [];
+      if (readers.length === 0) {
+        this.client.subscribe(stateTopic);
+      }
+      this.topics.set(stateTopic, [...readers, { deviceId: id, attribute }]);
+    };
+
+    subscribe(config.availability_topic, 'availability');
+    switch (discovery.component) {
+      case 'light':
+        if (config.schema === 'json') {
+          subscribe(config.state_topic, 'json');
+        } else {
+          subscribe(config.state_topic, 'on');
+          subscribe(config.brightness_state_topic, 'brightness');
+          subscribe(config.rgb_state_topic, 'rgb');
+          subscribe(config.color_temp_state_topic, 'color_temp');
+        }
+        break;
+      case 'switch':
+        subscribe(config.state_topic, 'on');
+        break;
+      case 'climate':
+        subscribe(config.temperature_state_topic, 'setpoint');
+        subscribe(config.temperature_low_state_topic, 'heatSetpoint');
+        subscribe(config.temperature_high_state_topic, 'coolSetpoint');
+        subscribe(config.current_temperature_topic, 'temperature');
+        subscribe(config.mode_state_topic, 'mode');
+        subscribe(config.fan_mode_state_topic, 'fan');
+        break;
+      default:
+        subscribe(config.state_topic, 'reading');
+    }
+  }
+
+  /**
+   * Stop reading a device's state topics, unsubscribing from ones no other device reads
+   */
+  unsubscribeDevice(deviceId) {
+    this.topics.forEach((readers, stateTopic) => {
+      const remaining = readers.filter(reader => reader.deviceId !== deviceId);
+      if (remaining.length === readers.length) return;
+
+      if (remaining.length === 0) {
+        this.topics.delete(stateTopic);
+        this.client.unsubscribe(stateTopic);
+      } else {
+        this.topics.set(stateTopic, remaining);
+      }
+    });
+  }
+
+  /**
+   * Feed a state topic message into the device's normalized state
+   */
+  handleState(deviceId, attribute, payload) {
+    const device = this.host.devices.get(deviceId);
+    if (!device) return;
+
+    const config = device.metadata.config;
+    if (attribute === 'availability') {
+      device.status = payload.toString() === (config.payload_available || 'online') ? 'online' : 'offline';
+      return;
+    }
+
+    let changes;
+    try {
+      changes = this.stateChanges(device, attribute, payload);
+    } catch (error) {
+      console.error(`Ignoring unreadable MQTT state for ${device.name}:`, error.message);
+      return;
+    }
+
+    if (changes) {
+      this.host.updateDeviceState(deviceId, changes);
+    }
+  }
+
+  /**
+   * State changes in the same shape as the other platforms report them:
+   * lights as on, brightness 0-100, hex color or Kelvin temperature; thermostats as mode, fan and °C setpoints
+   */
+  stateChanges(device, attribute, payload) {
+    const config = device.metadata.config;
+    const scale = config.brightness_scale || 255;
+    const payloadOn = config.payload_on ?? 'ON';
+    const unit = config.temperature_unit === 'F' ? 'F' : 'C';
+
+    switch (attribute) {
+      case 'json': {
+        const data = JSON.parse(payload.toString());
+        const changes = {};
+        if (data.state !== undefined) {
+          changes.on = data.state === payloadOn;
+        }
+        if (typeof data.brightness === 'number') {
+          changes.brightness = Math.round((data.brightness / scale) * 100);
+        }
+        if (data.color_mode === 'color_temp' || (!data.color_mode && data.color_temp && !data.color)) {
+          changes.color = null;
+          changes.temperature = Math.round(1000000 / data.color_temp);
+        } else if (data.color) {
+          changes.color = this.colorToHex(data.color);
+        }
+        return changes;
+      }
+      case 'on':
+        return { on: renderValue(payload, config.state_value_template || config.value_template) === payloadOn };
+      case 'brightness': {
+        const value = renderValue(payload, config.brightness_value_template);
+        return typeof value === 'number' ? { brightness: Math.round((value / scale) * 100) } : null;
+      }
+      case 'rgb': {
+        // "r,g,b", or a [r, g, b] list read out of JSON
+        const value = renderValue(payload, config.rgb_value_template);
+        const rgb = typeof value === 'string' ? value.split(',').map(Number) : Array.isArray(value) ? value.map(Number) : [];
+        return rgb.length === 3 && rgb.every(Number.isFinite) ? { color: rgbToHex(rgb) } : null;
+      }
+      case 'color_temp': {
+        const value = renderValue(payload, config.color_temp_value_template);
+        return typeof value === 'number' ? { color: null, temperature: Math.round(1000000 / value) } : null;
+      }
+      case 'setpoint': {
+        const value = renderValue(payload, config.temperature_state_template);
+        return typeof value === 'number' ? { setpoint: toCelsius(value, unit), unit } : null;
+      }
+      case 'heatSetpoint':
+      case 'coolSetpoint': {
+        const value = renderValue(payload, attribute === 'heatSetpoint'
+          ? config.temperature_low_state_template
+          : config.temperature_high_state_template);
+        if (typeof value !== 'number') return null;
+
+        // In heat_cool the setpoint is the middle of the low and high setpoints
+        const changes = { [attribute]: toCelsius(value, unit), unit };
+        const setpoint = effectiveSetpoint({ ...device.state, ...changes });
+        return device.state.mode === 'heatcool' && typeof setpoint === 'number' ? { ...changes, setpoint } : changes;
+      }
+      case 'temperature': {
+        const value = renderValue(payload, config.current_temperature_template);
+        return typeof value === 'number' ? { temperature: toCelsius(value, unit), unit } : null;
+      }
+      case 'mode': {
+        const value = renderValue(payload, config.mode_state_template);
+        return MQTT_HVAC_MODES[value] ? { mode: MQTT_HVAC_MODES[value] } : null;
+      }
+      case 'fan': {
+        // A fan on auto only runs with the heating or cooling
+        const value = renderValue(payload, config.fan_mode_state_template);
+        return typeof value === 'string' ? { fan: value === 'auto' ? 'off' : value } : null;
+      }
+      case 'reading': {
+        const value = renderValue(payload, config.value_template);
+        if (value === undefined) return null;
+        return {
+          [this.sensorAttribute(config)]: device.subtype === 'binary_sensor' ? value === payloadOn : value
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  colorToHex(color) {
+    if (color.x !== undefined) {
+      return xyToHex([color.x, color.y]);
+    }
+    if (color.h !== undefined) {
+      return hsvToHex(color.h, color.s / 100);
+    }
+    return rgbToHex([color.r, color.g, color.b]);
+  }
+
+  /**
+   * Sensors report under their device class, with occupancy and presence read as motion
+   */
+  sensorAttribute(config) {
+    if (['motion', 'occupancy', 'presence'].includes(config.device_class)) {
+      return 'motion';
+    }
+    return config.device_class || 'value';
+  }
+
+  getCapabilities(component, config) {
+    switch (component) {
+      case 'light': {
+        const modes = config.supported_color_modes || [];
+        const capabilities = config.schema === 'json'
+          ? {
+            brightness: Boolean(config.brightness) || modes.some(mode => mode !== 'onoff'),
+            color: modes.some(mode => MQTT_COLOR_MODES.includes(mode)) || Boolean(config.rgb || config.xy || config.hs),
+            temperature: modes.includes('color_temp') || Boolean(config.color_temp)
+          }
+          : {
+            brightness: Boolean(config.brightness_command_topic),
+            color: Boolean(config.rgb_command_topic),
+            temperature: Boolean(config.color_temp_command_topic)
+          };
+
+        if (capabilities.temperature) {
+          // Home Assistant's defaults are 153-500 mireds
+          capabilities.temperatureRange = config.min_kelvin
+            ? { min: config.min_kelvin, max: config.max_kelvin }
+            : { min: Math.round(1000000 / (config.max_mireds || 500)), max: Math.round(1000000 / (config.min_mireds || 153)) };
+        }
+
+        return { ...capabilities, power: true };
+      }
+      case 'switch':
+        return { power: true };
+      case 'climate':
+        return {
+          temperature: Boolean(config.current_temperature_topic),
+          hvac: Boolean(config.temperature_command_topic || config.temperature_low_command_topic),
+          fan: Boolean(config.fan_mode_command_topic)
+        };
+      default:
+        return { [this.sensorAttribute(config)]: true };
+    }
+  }
+
+  async control(device, config, options = {}) {
+    switch (device.type) {
+      case 'lighting':
+        return this.controlLight(device, config, options);
+      case 'climate':
+        return this.controlClimate(device, config);
+      default:
+        throw new UnsupportedDeviceError(device);
+    }
+  }
+
+  /**
+   * JSON-schema lights take one message; default-schema lights take one topic per attribute
+   */
+  async controlLight(device, config, options = {}) {
+    const discovery = device.metadata.config;
+    const scale = discovery.brightness_scale || 255;
+
+    if (discovery.schema === 'json') {
+      const command = { state: config.on === false ? 'OFF' : 'ON' };
+
+      if (config.on !== false) {
+        if (config.brightness !== undefined) {
+          command.brightness = Math.round((config.brightness / 100) * scale);
+        }
+        if (config.color) {
+          command.color = this.colorFromHex(discovery, config.color);
+        } else if (config.temperature) {
+          command.color_temp = Math.round(1000000 / config.temperature);
+        }
+      }
+      if (options.transition !== undefined) {
+        command.transition = options.transition;
+      }
+
+      await this.publish(discovery.command_topic, JSON.stringify(command));
+      return;
+    }
+
+    if (config.on === false) {
+      await this.publish(discovery.command_topic, discovery.payload_off ?? 'OFF');
+      return;
+    }
+
+    await this.publish(discovery.command_topic, discovery.payload_on ?? 'ON');
+    if (config.brightness !== undefined) {
+      await this.publish(discovery.brightness_command_topic, String(Math.round((config.brightness / 100) * scale)));
+    }
+    if (config.color) {
+      await this.publish(discovery.rgb_command_topic, hexToRgb(config.color).join(','));
+    } else if (config.temperature) {
+      await this.publish(discovery.color_temp_command_topic, String(Math.round(1000000 / config.temperature)));
+    }
+  }
+
+  /**
+   * A hex colour in the first colour mode the light lists, preferring xy
+   */
+  colorFromHex(discovery, hex) {
+    const modes = discovery.supported_color_modes || [];
+
+    if (modes.includes('xy') || discovery.xy) {
+      const [x, y] = hexToXy(hex);
+      return { x, y };
+    }
+    if (modes.includes('hs') || discovery.hs) {
+      const { hue, saturation } = hexToHsv(hex);
+      return { h: Math.round(hue), s: Math.round(saturation * 100) };
+    }
+
+    const [r, g, b] = hexToRgb(hex);
+    return { r, g, b };
+  }
+
+  /**
+   * In heat_cool the low and high setpoints are set around the temperature, where the thermostat takes them
+   */
+  async controlClimate(device, config) {
+    const discovery = device.metadata.config;
+    const unit = discovery.temperature_unit === 'F' ? 'F' : 'C';
+    const state = device.state || {};
+    const ranged = state.mode === 'heatcool' && discovery.temperature_low_command_topic && discovery.temperature_high_command_topic;
+
+    if (config.temperature !== undefined) {
+      if (ranged) {
+        const { heat, cool } = heatCoolRange(state, config.temperature);
+        await this.publish(discovery.temperature_low_command_topic, String(fromCelsius(heat, unit)));
+        await this.publish(discovery.temperature_high_command_topic, String(fromCelsius(cool, unit)));
+      } else if (discovery.temperature_command_topic) {
+        await this.publish(discovery.temperature_command_topic, String(fromCelsius(config.temperature, unit)));
+      } else {
+        throw new UnsupportedDeviceError(device);
+      }
+    }
+
+    if (config.fan !== undefined && discovery.fan_mode_command_topic) {
+      await this.publish(discovery.fan_mode_command_topic, this.fanMode(discovery, config.fan));
+    }
+  }
+
+  /**
+   * The thermostat's own fan mode closest to a fan setting; off falls back to auto
+   */
+  fanMode(discovery, fan) {
+    const modes = discovery.fan_modes || ['auto', 'low', 'medium', 'high'];
+    const candidates = fan === 'off' ? ['off', 'auto'] : [fan, 'on', 'high', 'auto'];
+
+    return candidates.find(mode => modes.includes(mode)) || modes[0];
+  }
+
+  async publish(topic, payload) {
+    if (!this.connected) {
+      throw new Error('MQTT broker is not connected');
+    }
+
+    await this.client.publishAsync(topic, payload);
+  }
+
+  dispose() {
+    super.dispose();
+    if (this.client) {
+      this.client.end();
+    }
+  }
+}
+
+module.exports = MqttDriver;
@@ -0,0 +1,225 @@
+const axios = require('axios');
+const DeviceDriver = require('./DeviceDriver');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { heatCoolRange, effectiveSetpoint } = require('../../utils/climate');
+
+const NEST_DEVICE_TYPES = {
+  THERMOSTAT: 'climate',
+  CAMERA: 'security',
+  DOORBELL: 'security',
+  DISPLAY: 'entertainment'
+};
+
+const NEST_MODES = {
+  HEAT: 'heat',
+  COOL: 'cool',
+  HEATCOOL: 'heatcool',
+  OFF: 'off'
+};
+
+// How long a fan speed keeps the Nest fan running; Nest fans only know on and off
+const FAN_TIMER = '3600s';
+
+/**
+ * Google Nest driver (Smart Device Management API)
+ */
+class NestDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('nest', host, options);
+  }
+
+  async initialize() {
+    try {
+      const accessToken = process.env.NEST_ACCESS_TOKEN;
+      const projectId = process.env.NEST_PROJECT_ID;
+
+      if (!accessToken || !projectId) {
+        console.log('Nest credentials not provided, skipping...');
+        return;
+      }
+
+      this.baseURL = 'https://smartdevicemanagement.googleapis.com/v1';
+      this.projectId = projectId;
+      this.headers = { 'Authorization': `Bearer ${accessToken}` };
+
+      // Test connection
+      await axios.get(`${this.baseURL}/enterprises/${projectId}/devices`, { headers: this.headers });
+
+      this.connected = true;
+      console.log('Google Nest initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize Google Nest:', error);
+    }
+  }
+
+  async discover() {
+    const response = await axios.get(
+      `${this.baseURL}/enterprises/${this.projectId}/devices`,
+      { headers: this.headers }
+    );
+
+    const devices = (response.data.devices || []).map(nestDevice => {
+      const deviceType = nestDevice.type.split('.').pop();
+
+      return {
+        id: `nest_${nestDevice.name.split('/').pop()}`,
+        platform: this.name,
+        platformId: nestDevice.name,
+        name: nestDevice.traits['sdm.devices.traits.Info']?.customName || 'Nest Device',
+        type: NEST_DEVICE_TYPES[deviceType] || 'unknown',
+        subtype: deviceType,
+        capabilities: this.getCapabilities(nestDevice.traits),
+        state: this.getTraitState(nestDevice.traits),
+        metadata: {
+          manufacturer: 'Google Nest',
+          model: deviceType,
+          room: nestDevice.parentRelations?.[0]?.displayName,
+          roomId: nestDevice.parentRelations?.[0]?.parent
+        },
+        status: nestDevice.traits['sdm.devices.traits.Connectivity']?.status === 'OFFLINE' ? 'offline' : 'online',
+        lastUpdated: new Date().toISOString()
+      };
+    });
+
+    console.log(`Discovered ${devices.length} Google Nest devices`);
+    return devices;
+  }
+
+  /**
+   * Nest rooms come with the device listings
+   */
+  async discoverRooms() {
+    const rooms = new Map();
+
+    this.devices().filter(device => device.metadata?.roomId).forEach(device => {
+      const id = `nest_room_${device.metadata.roomId.split('/').pop()}`;
+      if (!rooms.has(id)) {
+        rooms.set(id, { id, name: device.metadata.room, kind: 'room', source: this.name, deviceIds: [] });
+      }
+      rooms.get(id).deviceIds.push(device.id);
+    });
+
+    return Array.from(rooms.values());
+  }
+
+  /**
+   * Control a Google Nest thermostat
+   * The setpoint command follows the thermostat's mode: SetHeat, SetCool, or SetRange around the
+   * temperature in heatcool. Nest takes Celsius whatever scale the thermostat displays
+   */
+  async control(device, config) {
+    if (device.type !== 'climate') {
+      throw new UnsupportedDeviceError(device);
+    }
+
+    if (config.temperature !== undefined) {
+      await this.executeCommand(device, this.setpointCommand(device.state || {}, config.temperature));
+    }
+
+    if (config.fan !== undefined) {
+      await this.executeCommand(device, config.fan === 'off'
+        ? { command: 'sdm.devices.commands.Fan.SetTimer', params: { timerMode: 'OFF' } }
+        : { command: 'sdm.devices.commands.Fan.SetTimer', params: { timerMode: 'ON', duration: FAN_TIMER } });
+    }
+  }
+
+  setpointCommand(state, temperature) {
+    switch (state.mode) {
+      case 'cool':
+        return {
+          command: 'sdm.devices.commands.ThermostatTemperatureSetpoint.SetCool',
+          params: { coolCelsius: temperature }
+        };
+      case 'heatcool': {
+        const { heat, cool } = heatCoolRange(state, temperature);
+        return {
+          command: 'sdm.devices.commands.ThermostatTemperatureSetpoint.SetRange',
+          params: { heatCelsius: heat, coolCelsius: cool }
+        };
+      }
+      default:
+        return {
+          command: 'sdm.devices.commands.ThermostatTemperatureSetpoint.SetHeat',
+          params: { heatCelsius: temperature }
+        };
+    }
+  }
+
+  async executeCommand(device, command) {
+    await axios.post(
+      `${this.baseURL}/${device.platformId}:executeCommand`,
+      command,
+      { headers: this.headers }
+    );
+  }
+
+  async getState(device) {
+    const response = await axios.get(`${this.baseURL}/${device.platformId}`, { headers: this.headers });
+    return this.getTraitState(response.data.traits);
+  }
+
+  getCapabilities(traits) {
+    const capabilities = {};
+
+    if (traits['sdm.devices.traits.ThermostatTemperatureSetpoint']) {
+      capabilities.temperature = true;
+    }
+    if (traits['sdm.devices.traits.ThermostatHvac']) {
+      capabilities.hvac = true;
+    }
+    if (traits['sdm.devices.traits.Fan']) {
+      capabilities.fan = true;
+    }
+    if (traits['sdm.devices.traits.CameraLiveStream']) {
+      capabilities.liveStream = true;
+    }
+
+    return capabilities;
+  }
+
+  getTraitState(traits) {
+    const state = {};
+
+    const tempTrait = traits['sdm.devices.traits.Temperature'];
+    if (tempTrait) {
+      state.temperature = tempTrait.ambientTemperatureCelsius;
+    }
+
+    const hvacTrait = traits['sdm.devices.traits.ThermostatHvac'];
+    if (hvacTrait) {
+      state.hvacStatus = hvacTrait.status;
+    }
+
+    const modeTrait = traits['sdm.devices.traits.ThermostatMode'];
+    if (modeTrait) {
+      state.mode = NEST_MODES[modeTrait.mode] || 'off';
+    }
+
+    // Eco mode holds its own range and ignores setpoint commands until it's switched off
+    if (traits['sdm.devices.traits.ThermostatEco']?.mode === 'MANUAL_ECO') {
+      state.mode = 'eco';
+    }
+
+    const setpointTrait = traits['sdm.devices.traits.ThermostatTemperatureSetpoint'];
+    if (setpointTrait) {
+      state.heatSetpoint = setpointTrait.heatCelsius;
+      state.coolSetpoint = setpointTrait.coolCelsius;
+      state.setpoint = effectiveSetpoint(state);
+    }
+
+    const fanTrait = traits['sdm.devices.traits.Fan'];
+    if (fanTrait) {
+      state.fan = fanTrait.timerMode === 'ON' ? 'on' : 'off';
+    }
+
+    const settingsTrait = traits['sdm.devices.traits.Settings'];
+    if (settingsTrait) {
+      state.unit = settingsTrait.temperatureScale === 'FAHRENHEIT' ? 'F' : 'C';
+    }
+
+    return state;
+  }
+}
+
+module.exports = NestDriver;
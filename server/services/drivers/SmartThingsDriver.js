@@ -0,0 +1,254 @@
+const axios = require('axios');
+const DeviceDriver = require('./DeviceDriver');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { hexToHsv, hsvToHex } = require('../../utils/color');
+const { toCelsius, fromCelsius, heatCoolRange, effectiveSetpoint } = require('../../utils/climate');
+
+const THERMOSTAT_MODES = {
+  heat: 'heat',
+  'emergency heat': 'heat',
+  cool: 'cool',
+  auto: 'heatcool',
+  eco: 'eco',
+  off: 'off'
+};
+
+// SmartThings fans run with the HVAC (auto), always (on) or part of the time (circulate)
+const FAN_MODES = { off: 'auto', low: 'circulate', medium: 'on', high: 'on', on: 'on' };
+const FAN_STATES = { auto: 'off', circulate: 'low', on: 'on' };
+
+/**
+ * Samsung SmartThings driver (SmartThings REST API)
+ */
+class SmartThingsDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('smartThings', host, options);
+  }
+
+  async initialize() {
+    try {
+      const token = process.env.SMARTTHINGS_TOKEN;
+
+      if (!token) {
+        console.log('SmartThings token not provided, skipping...');
+        return;
+      }
+
+      this.baseURL = 'https://api.smartthings.com/v1';
+      this.headers = { 'Authorization': `Bearer ${token}` };
+
+      // Test connection
+      await axios.get(`${this.baseURL}/devices`, { headers: this.headers });
+
+      this.connected = true;
+      console.log('Samsung SmartThings initialized successfully');
+
+    } catch (error) {
+      console.error('Failed to initialize Samsung SmartThings:', error);
+    }
+  }
+
+  async discover() {
+    const response = await axios.get(`${this.baseURL}/devices`, { headers: this.headers });
+
+    const devices = (response.data.items || []).map(stDevice => ({
+      id: `st_${stDevice.deviceId}`,
+      platform: this.name,
+      platformId: stDevice.deviceId,
+      name: stDevice.label || stDevice.name,
+      type: this.mapDeviceType(stDevice.deviceTypeName),
+      subtype: stDevice.deviceTypeName,
+      capabilities: this.getCapabilities(stDevice.components),
+      state: {},
+      metadata: {
+        manufacturer: stDevice.deviceManufacturerCode,
+        model: stDevice.deviceTypeName,
+        room: stDevice.roomId,
+        location: stDevice.locationId
+      },
+      status: 'online',
+      lastUpdated: new Date().toISOString()
+    }));
+
+    console.log(`Discovered ${devices.length} SmartThings devices`);
+    return devices;
+  }
+
+  /**
+   * Import SmartThings rooms for every location with discovered devices
+   */
+  async discoverRooms() {
+    const stDevices = this.devices();
+    const locationIds = [...new Set(stDevices.map(device => device.metadata?.location).filter(Boolean))];
+
+    const rooms = await Promise.all(locationIds.map(async (locationId) => {
+      try {
+        const response = await axios.get(`${this.baseURL}/locations/${locationId}/rooms`, {
+          headers: this.headers
+        });
+
+        return (response.data.items || []).map(stRoom => ({
+          id: `st_room_${stRoom.roomId}`,
+          name: stRoom.name,
+          kind: 'room',
+          source: this.name,
+          deviceIds: stDevices.filter(device => device.metadata.room === stRoom.roomId).map(device => device.id)
+        }));
+      } catch (error) {
+        console.error(`Failed to discover SmartThings rooms for location ${locationId}:`, error);
+        return [];
+      }
+    }));
+
+    return rooms.flat();
+  }
+
+  async control(device, config) {
+    switch (device.type) {
+      case 'lighting':
+        return this.sendCommands(device, this.lightCommands(config));
+      case 'climate':
+        return this.sendCommands(device, this.climateCommands(device.state || {}, config));
+      default:
+        throw new UnsupportedDeviceError(device);
+    }
+  }
+
+  /**
+   * SmartThings colours are hue and saturation in percent
+   */
+  lightCommands(config) {
+    const command = (capability, name, args = []) => ({ component: 'main', capability, command: name, arguments: args });
+
+    if (config.on === false) {
+      return [command('switch', 'off')];
+    }
+
+    const commands = [command('switch', 'on')];
+    if (config.brightness !== undefined) {
+      commands.push(command('switchLevel', 'setLevel', [config.brightness]));
+    }
+    if (config.color) {
+      const { hue, saturation } = hexToHsv(config.color);
+      commands.push(command('colorControl', 'setColor', [{
+        hue: Math.round((hue / 360) * 100),
+        saturation: Math.round(saturation * 100)
+      }]));
+    } else if (config.temperature) {
+      commands.push(command('colorTemperature', 'setColorTemperature', [config.temperature]));
+    }
+
+    return commands;
+  }
+
+  /**
+   * The setpoint follows the thermostat's mode, both setpoints in auto, in the unit it reports
+   */
+  climateCommands(state, config) {
+    const command = (capability, name, args = []) => ({ component: 'main', capability, command: name, arguments: args });
+    const commands = [];
+
+    if (config.temperature !== undefined) {
+      const heating = temperature => command('thermostatHeatingSetpoint', 'setHeatingSetpoint', [fromCelsius(temperature, state.unit)]);
+      const cooling = temperature => command('thermostatCoolingSetpoint', 'setCoolingSetpoint', [fromCelsius(temperature, state.unit)]);
+
+      if (state.mode === 'heatcool') {
+        const { heat, cool } = heatCoolRange(state, config.temperature);
+        commands.push(heating(heat), cooling(cool));
+      } else if (state.mode === 'cool') {
+        commands.push(cooling(config.temperature));
+      } else {
+        commands.push(heating(config.temperature));
+      }
+    }
+
+    if (config.fan !== undefined) {
+      commands.push(command('thermostatFanMode', 'setThermostatFanMode', [FAN_MODES[config.fan]]));
+    }
+
+    return commands;
+  }
+
+  async sendCommands(device, commands) {
+    await axios.post(
+      `${this.baseURL}/devices/${device.platformId}/commands`,
+      { commands },
+      { headers: this.headers }
+    );
+  }
+
+  async getState(device) {
+    const response = await axios.get(`${this.baseURL}/devices/${device.platformId}/status`, {
+      headers: this.headers
+    });
+    const main = response.data.components?.main || {};
+    const value = (capability, attribute) => main[capability]?.[attribute]?.value;
+
+    if (device.type === 'climate') {
+      const unit = main.temperatureMeasurement?.temperature?.unit === 'F' ? 'F' : 'C';
+      const state = {
+        mode: THERMOSTAT_MODES[value('thermostatMode', 'thermostatMode')],
+        heatSetpoint: toCelsius(value('thermostatHeatingSetpoint', 'heatingSetpoint'), unit),
+        coolSetpoint: toCelsius(value('thermostatCoolingSetpoint', 'coolingSetpoint'), unit),
+        temperature: toCelsius(value('temperatureMeasurement', 'temperature'), unit),
+        fan: FAN_STATES[value('thermostatFanMode', 'thermostatFanMode')],
+        unit: unit
+      };
+      return { ...state, setpoint: effectiveSetpoint(state) };
+    }
+
+    const saturation = value('colorControl', 'saturation');
+    return {
+      on: value('switch', 'switch') === 'on',
+      brightness: value('switchLevel', 'level'),
+      color: saturation > 0 ? hsvToHex((value('colorControl', 'hue') / 100) * 360, saturation / 100) : null,
+      temperature: value('colorTemperature', 'colorTemperature')
+    };
+  }
+
+  /**
+   * SmartThings pushes events through webhooks, configured in the SmartThings app
+   */
+  async subscribe() {
+    console.log('SmartThings event stream configured via webhooks');
+  }
+
+  mapDeviceType(deviceType) {
+    if (deviceType.includes('Light') || deviceType.includes('Bulb')) return 'lighting';
+    if (deviceType.includes('Thermostat')) return 'climate';
+    if (/Motion|Temperature|Humidity|Air Quality/.test(deviceType) && deviceType.includes('Sensor')) return 'sensors';
+    if (deviceType.includes('Camera') || deviceType.includes('Sensor')) return 'security';
+    if (deviceType.includes('Speaker') || deviceType.includes('TV')) return 'entertainment';
+    return 'unknown';
+  }
+
+  getCapabilities(components) {
+    const capabilities = {};
+
+    components.forEach(component => {
+      component.capabilities.forEach(capability => {
+        switch (capability.id) {
+          case 'switch':
+            capabilities.power = true;
+            break;
+          case 'switchLevel':
+            capabilities.brightness = true;
+            break;
+          case 'colorControl':
+            capabilities.color = true;
+            break;
+          case 'colorTemperature':
+            capabilities.temperature = true;
+            break;
+          case 'thermostatFanMode':
+            capabilities.fan = true;
+            break;
+        }
+      });
+    });
+
+    return capabilities;
+  }
+}
+
+module.exports = SmartThingsDriver;
@@ -0,0 +1,282 @@
+const dgram = require('dgram');
+const axios = require('axios');
+
+/**
+ * Sonos local control client
+ * Players are found with an SSDP M-SEARCH and controlled through the UPnP SOAP services
+ * every player serves on port 1400; no Sonos account or cloud API is involved
+ */
+
+const SSDP_ADDRESS = '239.255.255.250';
+const SSDP_PORT = 1900;
+const ZONE_PLAYER = 'urn:schemas-upnp-org:device:ZonePlayer:1';
+
+const SERVICES = {
+  AVTransport: {
+    path: '/MediaRenderer/AVTransport/Control',
+    urn: 'urn:schemas-upnp-org:service:AVTransport:1'
+  },
+  RenderingControl: {
+    path: '/MediaRenderer/RenderingControl/Control',
+    urn: 'urn:schemas-upnp-org:service:RenderingControl:1'
+  },
+  ContentDirectory: {
+    path: '/MediaServer/ContentDirectory/Control',
+    urn: 'urn:schemas-upnp-org:service:ContentDirectory:1'
+  }
+};
+
+class SonosClient {
+  constructor(options = {}) {
+    this.ssdpAddress = options.ssdpAddress || SSDP_ADDRESS;
+    this.ssdpPort = options.ssdpPort || SSDP_PORT;
+    this.timeout = options.timeout || 3000;
+  }
+
+  /**
+   * Search for players and read each one's device description
+   * Resolves to [{ uuid, address, port, roomName, modelName, displayName }]
+   */
+  async discover(timeout = this.timeout) {
+    const locations = await this.search(timeout);
+
+    const players = await Promise.all(locations.map(async (location) => {
+      try {
+        return await this.describe(location);
+      } catch (error) {
+        console.error(`Sonos player at ${location} did not describe itself:`, error.message);
+        return null;
+      }
+    }));
+
+    // Answers without a USN can still name the same player twice
+    const unique = new Map();
+    players.filter(Boolean).forEach(player => {
+      if (!unique.has(player.uuid)) unique.set(player.uuid, player);
+    });
+    return Array.from(unique.values());
+  }
+
+  /**
+   * Send an M-SEARCH for zone players and collect the description URLs they answer with
+   * A player on several networks answers once per address, so answers are de-duplicated by its UDN
+   */
+  search(timeout) {
+    return new Promise((resolve, reject) => {
+      const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+      const locations = new Map();
+      const message = Buffer.from([
+        'M-SEARCH * HTTP/1.1',
+        `HOST: ${SSDP_ADDRESS}:${SSDP_PORT}`,
+        'MAN: "ssdp:discover"',
+        'MX: 1',
+        `ST: ${ZONE_PLAYER}`,
+        '',
+        ''
+      ].join('\r\n'));
+
+      socket.once('error', reject);
+      socket.on('message', (response) => {
+        const headers = parseHeaders(response.toString());
+        if (headers.st === ZONE_PLAYER && headers.location) {
+          // USN is "uuid:<UDN>::<search target>"
+          const udn = (headers.usn || '').split('::')[0];
+          const key = udn || headers.location;
+          if (!locations.has(key)) locations.set(key, headers.location);
+        }
+      });
+      socket.bind(0, () => {
+        socket.send(message, this.ssdpPort, this.ssdpAddress);
+        setTimeout(() => {
+          socket.close();
+          resolve(Array.from(locations.values()));
+        }, timeout);
+      });
+    });
+  }
+
+  async describe(location) {
+    const response = await axios.get(location, { timeout: this.timeout, responseType: 'text' });
+    const url = new URL(location);
+
+    return {
+      uuid: xmlValue(response.data, 'UDN').replace(/^uuid:/, ''),
+      address: url.hostname,
+      port: parseInt(url.port) || 1400,
+      roomName: xmlValue(response.data, 'roomName'),
+      modelName: xmlValue(response.data, 'modelName'),
+      displayName: xmlValue(response.data, 'displayName'),
+      softwareVersion: xmlValue(response.data, 'softwareVersion')
+    };
+  }
+
+  /**
+   * Call a UPnP action and resolve to its response body
+   * UPnP faults are thrown with the player's error code
+   */
+  async soap(player, serviceName, action, args = {}) {
+    const service = SERVICES[serviceName];
+    const body = Object.entries(args).map(([name, value]) => `<${name}>${escapeXml(value)}</${name}>`).join('');
+    const envelope = '<?xml version="1.0" encoding="utf-8"?>' +
+      '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/" s:encodingStyle="http://schemas.xmlsoap.org/soap/encoding/">' +
+      `<s:Body><u:${action} xmlns:u="${service.urn}">${body}</u:${action}></s:Body></s:Envelope>`;
+
+    try {
+      const response = await axios.post(`http://${player.address}:${player.port}${service.path}`, envelope, {
+        headers: {
+          'Content-Type': 'text/xml; charset="utf-8"',
+          'SOAPACTION': `"${service.urn}#${action}"`
+        },
+        timeout: this.timeout,
+        responseType: 'text'
+      });
+      return response.data;
+    } catch (error) {
+      const fault = typeof error.response?.data === 'string' ? xmlValue(error.response.data, 'errorCode') : null;
+      if (fault) {
+        throw new Error(`Sonos ${action} failed with UPnP error ${fault}`);
+      }
+      throw error;
+    }
+  }
+
+  async getVolume(player) {
+    const response = await this.soap(player, 'RenderingControl', 'GetVolume', { InstanceID: 0, Channel: 'Master' });
+    return parseInt(xmlValue(response, 'CurrentVolume'));
+  }
+
+  setVolume(player, volume) {
+    return this.soap(player, 'RenderingControl', 'SetVolume', { InstanceID: 0, Channel: 'Master', DesiredVolume: volume });
+  }
+
+  /**
+   * Whether the player is playing; group members report their coordinator's transport
+   */
+  async isPlaying(player) {
+    const response = await this.soap(player, 'AVTransport', 'GetTransportInfo', { InstanceID: 0 });
+    return xmlValue(response, 'CurrentTransportState') === 'PLAYING';
+  }
+
+  /**
+   * The UUID of the player's group coordinator; a member's transport URI points at it
+   */
+  async getCoordinator(player) {
+    const response = await this.soap(player, 'AVTransport', 'GetMediaInfo', { InstanceID: 0 });
+    const uri = xmlValue(response, 'CurrentURI');
+    return uri.startsWith('x-rincon:') ? uri.slice('x-rincon:'.length) : player.uuid;
+  }
+
+  setTransportURI(player, uri, metadata = '') {
+    return this.soap(player, 'AVTransport', 'SetAVTransportURI', { InstanceID: 0, CurrentURI: uri, CurrentURIMetaData: metadata });
+  }
+
+  play(player) {
+    return this.soap(player, 'AVTransport', 'Play', { InstanceID: 0, Speed: 1 });
+  }
+
+  pause(player) {
+    return this.soap(player, 'AVTransport', 'Pause', { InstanceID: 0 });
+  }
+
+  /**
+   * Make the player a member of the coordinator's group
+   */
+  joinGroup(player, coordinatorUuid) {
+    return this.setTransportURI(player, `x-rincon:${coordinatorUuid}`);
+  }
+
+  /**
+   * Take the player out of its group; a coordinator hands the group to another member
+   */
+  leaveGroup(player) {
+    return this.soap(player, 'AVTransport', 'BecomeCoordinatorOfStandaloneGroup', { InstanceID: 0 });
+  }
+
+  /**
+   * Saved Sonos playlists as [{ id, title, uri }]
+   */
+  async getPlaylists(player) {
+    const response = await this.soap(player, 'ContentDirectory', 'Browse', {
+      ObjectID: 'SQ:',
+      BrowseFlag: 'BrowseDirectChildren',
+      Filter: '*',
+      StartingIndex: 0,
+      RequestedCount: 100,
+      SortCriteria: ''
+    });
+    const didl = unescapeXml(xmlValue(response, 'Result'));
+
+    return Array.from(didl.matchAll(/<container\b[^>]*\bid="([^"]+)"[^>]*>([\s\S]*?)<\/container>/g)).map(([, id, body]) => ({
+      id: id,
+      title: unescapeXml(xmlValue(body, 'dc:title')),
+      uri: unescapeXml(xmlValue(body, 'res'))
+    }));
+  }
+
+  /**
+   * Replace the player's queue with a saved playlist and start it
+   */
+  async playPlaylist(player, playlist) {
+    await this.soap(player, 'AVTransport', 'RemoveAllTracksFromQueue', { InstanceID: 0 });
+    await this.soap(player, 'AVTransport', 'AddURIToQueue', {
+      InstanceID: 0,
+      EnqueuedURI: playlist.uri,
+      EnqueuedURIMetaData: '',
+      DesiredFirstTrackNumberEnqueued: 0,
+      EnqueueAsNext: 0
+    });
+    await this.setTransportURI(player, `x-rincon-queue:${player.uuid}#0`);
+    await this.play(player);
+  }
+
+  /**
+   * Play a stream or any other URI the player understands
+   */
+  async playURI(player, uri) {
+    await this.setTransportURI(player, uri);
+    await this.play(player);
+  }
+}
+
+/**
+ * SSDP response headers, lower-cased
+ */
+function parseHeaders(response) {
+  const headers = {};
+
+  response.split('\r\n').slice(1).forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim().toLowerCase()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return headers;
+}
+
+/**
+ * Text of the first element with this tag, ignoring namespaces on the response side
+ */
+function xmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<(?:\\w+:)?${tag.replace(/^\w+:/, '')}\\b[^>]*>([\\s\\S]*?)</(?:\\w+:)?${tag.replace(/^\w+:/, '')}>`));
+  return match ? match[1].trim() : '';
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function unescapeXml(value) {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
+
+module.exports = { SonosClient, SSDP_ADDRESS, SSDP_PORT };
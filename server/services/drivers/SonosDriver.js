@@ -0,0 +1,246 @@
+const DeviceDriver = require('./DeviceDriver');
+const { SonosClient } = require('./SonosClient');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+
+// Sonos pushes changes through UPnP event subscriptions, which need a callback server; polling is enough here
+const SONOS_POLL_INTERVAL = 15 * 1000;
+
+/**
+ * Sonos driver (local UPnP control)
+ * Players are discovered over SSDP. Music settings are { volume 0-100, playlist, stream }:
+ * a playlist is the title of a saved Sonos playlist, a stream any URI the player can play.
+ * Speaker state is { playing, volume, group }, with group the id of the player's group coordinator
+ */
+class SonosDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('sonos', host, options);
+    this.client = null;
+  }
+
+  async initialize() {
+    if (process.env.SONOS_DISCOVERY === 'false') {
+      console.log('Sonos discovery disabled, skipping...');
+      return;
+    }
+
+    this.client = new SonosClient({ ssdpAddress: process.env.SONOS_SSDP_ADDRESS });
+    this.connected = true;
+
+    console.log('Sonos initialized successfully');
+  }
+
+  async discover() {
+    const players = await this.client.discover();
+
+    const devices = await Promise.all(players.map(async (player) => {
+      const device = {
+        id: `sonos_${player.uuid}`,
+        platform: this.name,
+        platformId: player.uuid,
+        name: player.roomName,
+        type: 'entertainment',
+        subtype: 'speaker',
+        capabilities: {
+          volume: true,
+          playback: true,
+          grouping: true
+        },
+        state: {},
+        metadata: {
+          manufacturer: 'Sonos',
+          model: player.modelName || player.displayName,
+          version: player.softwareVersion,
+          room: player.roomName,
+          address: player.address,
+          port: player.port
+        },
+        status: 'online',
+        lastUpdated: new Date().toISOString()
+      };
+
+      try {
+        device.state = await this.getState(device);
+      } catch (error) {
+        device.status = 'offline';
+      }
+
+      return device;
+    }));
+
+    console.log(`Discovered ${devices.length} Sonos players`);
+    return devices;
+  }
+
+  /**
+   * Every Sonos room is a room here too; bonded players (stereo pairs, surrounds) share one
+   */
+  async discoverRooms() {
+    const rooms = new Map();
+
+    this.devices().filter(device => device.metadata?.room).forEach(device => {
+      const id = `sonos_room_${device.metadata.room.toLowerCase().replace(/\W+/g, '_')}`;
+      if (!rooms.has(id)) {
+        rooms.set(id, { id, name: device.metadata.room, kind: 'room', source: this.name, deviceIds: [] });
+      }
+      rooms.get(id).deviceIds.push(device.id);
+    });
+
+    return Array.from(rooms.values());
+  }
+
+  /**
+   * Control one player: its group, volume, then a playlist or stream, or just play and pause
+   * A group is the id of the coordinator to join, or the player's own id to stand alone
+   */
+  async control(device, config) {
+    if (device.type !== 'entertainment') {
+      throw new UnsupportedDeviceError(device);
+    }
+
+    const player = this.player(device);
+
+    if (config.group !== undefined) {
+      await this.moveToGroup(device, config.group);
+    }
+
+    if (config.volume !== undefined) {
+      await this.client.setVolume(player, Math.round(config.volume));
+      this.host.updateDeviceState(device.id, { volume: Math.round(config.volume) });
+    }
+
+    if (config.playlist || config.stream) {
+      await this.playMedia(device, config);
+    } else if (config.playing === false) {
+      await this.client.pause(player);
+      this.host.updateDeviceState(device.id, { playing: false });
+    } else if (config.playing === true) {
+      await this.client.play(player);
+      this.host.updateDeviceState(device.id, { playing: true });
+    }
+  }
+
+  /**
+   * Play mood music on a set of players as one group
+   * Every player gets the volume; the group coordinator starts the playlist or stream for all of them
+   */
+  async playMusic(devices, settings) {
+    const coordinator = await this.group(devices);
+
+    if (settings.volume !== undefined) {
+      await Promise.all(devices.map(async (device) => {
+        await this.client.setVolume(this.player(device), Math.round(settings.volume));
+        this.host.updateDeviceState(device.id, { volume: Math.round(settings.volume) });
+      }));
+    }
+
+    if (settings.playlist || settings.stream) {
+      await this.playMedia(coordinator, settings);
+    }
+  }
+
+  /**
+   * Start a stream, or a saved playlist found by title, on a player and mark its group as playing
+   * A playlist that doesn't exist leaves playback alone
+   */
+  async playMedia(device, { playlist, stream }) {
+    const player = this.player(device);
+
+    if (stream) {
+      await this.client.playURI(player, stream);
+    } else {
+      const playlists = await this.client.getPlaylists(player);
+      const match = playlists.find(candidate => candidate.title.toLowerCase() === playlist.toLowerCase());
+      if (!match) {
+        console.warn(`Sonos playlist "${playlist}" not found, leaving ${device.name} as it is`);
+        return;
+      }
+      await this.client.playPlaylist(player, match);
+    }
+
+    this.devices()
+      .filter(member => member.id === device.id || member.state?.group === device.id)
+      .forEach(member => this.host.updateDeviceState(member.id, { playing: true }));
+  }
+
+  /**
+   * Group players under the first of them and resolve to that coordinator
+   * Players already in the coordinator's group that weren't asked for are taken out of it
+   */
+  async group(devices) {
+    const [coordinator, ...members] = devices;
+    const requested = new Set(devices.map(device => device.id));
+
+    if (coordinator.state?.group && coordinator.state.group !== coordinator.id) {
+      await this.client.leaveGroup(this.player(coordinator));
+    }
+    this.host.updateDeviceState(coordinator.id, { group: coordinator.id });
+
+    const outsiders = this.devices()
+      .filter(device => !requested.has(device.id) && device.state?.group === coordinator.id);
+
+    await Promise.all([
+      ...members.filter(device => device.state?.group !== coordinator.id).map(async (device) => {
+        await this.client.joinGroup(this.player(device), coordinator.platformId);
+        this.host.updateDeviceState(device.id, { group: coordinator.id });
+      }),
+      ...outsiders.map(device => this.leave(device))
+    ]);
+
+    return coordinator;
+  }
+
+  /**
+   * Make every player standalone, members and coordinators alike
+   */
+  async ungroup(devices) {
+    const ids = new Set(devices.map(device => device.id));
+    // Members of a coordinator that's being ungrouped leave too, rather than inherit the group
+    const leaving = this.devices().filter(device => device.state?.group && device.state.group !== device.id &&
+      (ids.has(device.id) || ids.has(device.state.group)));
+
+    await Promise.all(leaving.map(device => this.leave(device)));
+  }
+
+  async moveToGroup(device, group) {
+    if (device.state?.group === group) return;
+
+    if (group === device.id) {
+      await this.leave(device);
+      return;
+    }
+
+    const coordinator = this.host.devices.get(group);
+    if (!coordinator) {
+      console.warn(`Sonos group coordinator ${group} is gone, leaving ${device.name} where it is`);
+      return;
+    }
+    await this.client.joinGroup(this.player(device), coordinator.platformId);
+    this.host.updateDeviceState(device.id, { group: group });
+  }
+
+  async leave(device) {
+    await this.client.leaveGroup(this.player(device));
+    this.host.updateDeviceState(device.id, { group: device.id, playing: false });
+  }
+
+  async getState(device) {
+    const player = this.player(device);
+    const [volume, playing, coordinator] = await Promise.all([
+      this.client.getVolume(player),
+      this.client.isPlaying(player),
+      this.client.getCoordinator(player)
+    ]);
+
+    return { playing, volume, group: `sonos_${coordinator}` };
+  }
+
+  async subscribe() {
+    this.poll(SONOS_POLL_INTERVAL);
+  }
+
+  player(device) {
+    return { uuid: device.platformId, address: device.metadata.address, port: device.metadata.port };
+  }
+}
+
+module.exports = SonosDriver;
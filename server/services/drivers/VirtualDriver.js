@@ -0,0 +1,280 @@
+const DeviceDriver = require('./DeviceDriver');
+const { UnsupportedDeviceError } = require('../../utils/errors');
+const { hexToRgb, rgbToHex } = require('../../utils/color');
+
+// Transitions move simulated lights on in steps this far apart
+const TRANSITION_STEP = 500;
+
+// How often thermostats drift toward their setpoint and sensors take a new reading
+const SIMULATION_INTERVAL = 5 * 1000;
+
+/**
+ * The simulated home, by room: colour and white bulbs, a colour-only strip, a thermostat,
+ * a speaker and sensors, with the state a real home might be found in
+ */
+const VIRTUAL_HOME = [
+  {
+    room: 'Living room',
+    devices: [
+      { key: 'living_ceiling', name: 'Ceiling light', type: 'lighting', subtype: 'bulb', model: 'color',
+        state: { on: true, brightness: 80, color: null, temperature: 2700 } },
+      { key: 'living_lamp', name: 'Floor lamp', type: 'lighting', subtype: 'bulb', model: 'color',
+        state: { on: false, brightness: 60, color: '#FFB347', temperature: 2700 } },
+      { key: 'living_strip', name: 'TV light strip', type: 'lighting', subtype: 'strip', model: 'strip',
+        state: { on: true, brightness: 40, color: '#4169E1' } },
+      { key: 'living_speaker', name: 'Living room speaker', type: 'entertainment', subtype: 'speaker', model: 'speaker',
+        state: { playing: false, volume: 30, genre: null } },
+      { key: 'living_motion', name: 'Living room motion', type: 'sensors', subtype: 'motion', model: 'motion',
+        state: { motion: false } }
+    ]
+  },
+  {
+    room: 'Bedroom',
+    devices: [
+      { key: 'bedroom_bulb', name: 'Bedside lamp', type: 'lighting', subtype: 'bulb', model: 'white',
+        state: { on: false, brightness: 50, color: null, temperature: 2700 } },
+      { key: 'bedroom_strip', name: 'Headboard strip', type: 'lighting', subtype: 'strip', model: 'strip',
+        state: { on: false, brightness: 30, color: '#DC143C' } },
+      { key: 'bedroom_climate', name: 'Bedroom thermostat', type: 'climate', subtype: 'thermostat', model: 'thermostat',
+        state: { mode: 'heat', setpoint: 20, temperature: 19.5, fan: 'off', unit: 'C' } }
+    ]
+  },
+  {
+    room: 'Office',
+    devices: [
+      { key: 'office_desk', name: 'Desk lamp', type: 'lighting', subtype: 'bulb', model: 'white',
+        state: { on: true, brightness: 90, color: null, temperature: 4000 } },
+      { key: 'office_climate', name: 'Office thermostat', type: 'climate', subtype: 'thermostat', model: 'thermostat',
+        state: { mode: 'cool', setpoint: 21, temperature: 21.5, fan: 'low', unit: 'C' } },
+      { key: 'office_sensor', name: 'Office climate sensor', type: 'sensors', subtype: 'temperature', model: 'climateSensor',
+        state: { temperature: 21.5, humidity: 45 } }
+    ]
+  }
+];
+
+const VIRTUAL_MODELS = {
+  color: { brightness: true, color: true, temperature: true, temperatureRange: { min: 2000, max: 6500 }, power: true },
+  white: { brightness: true, color: false, temperature: true, temperatureRange: { min: 2200, max: 4000 }, power: true },
+  strip: { brightness: true, color: true, temperature: false, power: true },
+  thermostat: { temperature: true, hvac: true, fan: true },
+  speaker: { volume: true },
+  motion: { motion: true },
+  climateSensor: { temperature: true, humidity: true }
+};
+
+/**
+ * Simulated devices for demos, onboarding and testing without hardware
+ *
+ * Lights fade over their transition and thermostats drift toward their setpoint, all reported
+ * through host.updateDeviceState like a real platform's events. VIRTUAL_LATENCY and
+ * VIRTUAL_FAILURE_RATE delay commands and make a share of them fail.
+ */
+class VirtualDriver extends DeviceDriver {
+  constructor(host, options) {
+    super('virtual', host, options);
+    this.reportsState = true;
+    // device id -> running transition timer
+    this.transitions = new Map();
+    this.simulationTimer = null;
+  }
+
+  async initialize() {
+    if (process.env.VIRTUAL_DEVICES !== 'true') {
+      console.log('Virtual devices not enabled, skipping...');
+      return;
+    }
+
+    this.latency = parseInt(process.env.VIRTUAL_LATENCY) || 0;
+    this.failureRate = Math.min(1, Math.max(0, parseFloat(process.env.VIRTUAL_FAILURE_RATE) || 0));
+    this.connected = true;
+
+    console.log('Virtual devices initialized successfully');
+  }
+
+  async discover() {
+    // Rediscovery keeps whatever state the simulation has reached
+    const devices = VIRTUAL_HOME.flatMap(({ room, devices: roomDevices }) => roomDevices.map(definition => ({
+      id: `virtual_${definition.key}`,
+      platform: this.name,
+      platformId: definition.key,
+      name: definition.name,
+      type: definition.type,
+      subtype: definition.subtype,
+      capabilities: VIRTUAL_MODELS[definition.model],
+      state: this.host.devices.get(`virtual_${definition.key}`)?.state || { ...definition.state },
+      metadata: {
+        manufacturer: 'MoodSync',
+        model: `Virtual ${definition.model}`,
+        room: room
+      },
+      status: 'online',
+      lastUpdated: new Date().toISOString()
+    })));
+
+    console.log(`Discovered ${devices.length} virtual devices`);
+    return devices;
+  }
+
+  async discoverRooms() {
+    return VIRTUAL_HOME.map(({ room, devices }) => ({
+      id: `virtual_room_${room.toLowerCase().replace(/\W+/g, '_')}`,
+      name: room,
+      kind: 'room',
+      source: this.name,
+      deviceIds: devices.map(definition => `virtual_${definition.key}`)
+    }));
+  }
+
+  async control(device, config, options = {}) {
+    await this.simulateRequest(device);
+
+    switch (device.type) {
+      case 'lighting':
+        this.transition(device, { ...device.state, ...this.host.lightStateFromSettings(config) }, options.transition);
+        return;
+      case 'climate':
+        this.host.updateDeviceState(device.id, {
+          ...(config.temperature !== undefined && { setpoint: config.temperature }),
+          ...(config.fan !== undefined && { fan: config.fan })
+        });
+        return;
+      case 'entertainment':
+        this.host.updateDeviceState(device.id, {
+          playing: config.playing ?? true,
+          ...(config.volume !== undefined && { volume: Math.min(100, Math.max(0, Math.round(config.volume))) }),
+          ...(config.genre !== undefined && { genre: config.genre })
+        });
+        return;
+      default:
+        throw new UnsupportedDeviceError(device);
+    }
+  }
+
+  /**
+   * Wait out the configured latency, with some jitter, then fail the configured share of requests
+   */
+  async simulateRequest(device) {
+    if (this.latency > 0) {
+      await new Promise(resolve => setTimeout(resolve, this.latency * (0.5 + Math.random())));
+    }
+    if (Math.random() < this.failureRate) {
+      throw new Error(`Simulated failure controlling ${device.name}`);
+    }
+  }
+
+  /**
+   * Move a light to its target state, in steps over the transition when there is one
+   * Switching off doesn't fade; the light keeps its brightness and colour for next time
+   */
+  transition(device, target, seconds) {
+    clearInterval(this.transitions.get(device.id));
+    this.transitions.delete(device.id);
+
+    const from = { ...device.state };
+    const steps = Math.ceil(((seconds || 0) * 1000) / TRANSITION_STEP);
+    if (steps <= 1 || target.on === false || from.on === false) {
+      // A light that was off comes on at its target
+      this.host.updateDeviceState(device.id, target);
+      return;
+    }
+
+    let step = 0;
+    const timer = setInterval(() => {
+      step += 1;
+      const progress = step / steps;
+
+      if (step >= steps) {
+        clearInterval(timer);
+        this.transitions.delete(device.id);
+        this.host.updateDeviceState(device.id, target);
+        return;
+      }
+
+      this.host.updateDeviceState(device.id, interpolateLightState(from, target, progress));
+    }, TRANSITION_STEP);
+    timer.unref();
+
+    this.transitions.set(device.id, timer);
+  }
+
+  async getState(device) {
+    return device.state;
+  }
+
+  /**
+   * Start the simulation: thermostats close on their setpoint and sensors report new readings
+   */
+  async subscribe() {
+    this.simulationTimer = setInterval(() => this.simulate(), SIMULATION_INTERVAL);
+    this.simulationTimer.unref();
+  }
+
+  simulate() {
+    this.devices().forEach(device => {
+      const state = device.state;
+
+      if (device.type === 'climate') {
+        const gap = state.setpoint - state.temperature;
+        // A heating thermostat can only warm the room and a cooling one only cool it
+        const working = (gap > 0 && ['heat', 'heatcool'].includes(state.mode)) ||
+          (gap < 0 && ['cool', 'heatcool'].includes(state.mode));
+        if (working && Math.abs(gap) >= 0.1) {
+          // A tenth of a degree per reading, toward the setpoint
+          this.host.updateDeviceState(device.id, {
+            temperature: Math.round((state.temperature + Math.sign(gap) * 0.1) * 10) / 10
+          });
+        }
+      }
+
+      if (device.subtype === 'motion' && Math.random() < 0.2) {
+        this.host.updateDeviceState(device.id, { motion: !state.motion });
+      }
+
+      if (device.subtype === 'temperature') {
+        this.host.updateDeviceState(device.id, {
+          temperature: Math.round((state.temperature + (Math.random() - 0.5) * 0.2) * 10) / 10,
+          humidity: Math.min(70, Math.max(30, state.humidity + Math.round((Math.random() - 0.5) * 2)))
+        });
+      }
+    });
+  }
+
+  dispose() {
+    super.dispose();
+    clearInterval(this.simulationTimer);
+    this.transitions.forEach(timer => clearInterval(timer));
+    this.transitions.clear();
+  }
+}
+
+/**
+ * A light's state part way through a transition
+ * Brightness, white temperature and colour move linearly; colours are blended in RGB
+ */
+function interpolateLightState(from, to, progress) {
+  const between = (a, b) => a + (b - a) * progress;
+  const state = { on: true };
+
+  if (typeof from.brightness === 'number' && typeof to.brightness === 'number') {
+    state.brightness = Math.round(between(from.brightness, to.brightness));
+  }
+
+  if (to.color) {
+    if (from.color) {
+      const start = hexToRgb(from.color);
+      state.color = rgbToHex(hexToRgb(to.color).map((channel, index) => Math.round(between(start[index], channel))));
+    } else {
+      // Coming from white there's nothing to blend from
+      state.color = to.color;
+    }
+  } else if (typeof to.temperature === 'number') {
+    state.color = null;
+    state.temperature = typeof from.temperature === 'number' && !from.color
+      ? Math.round(between(from.temperature, to.temperature))
+      : to.temperature;
+  }
+
+  return state;
+}
+
+module.exports = VirtualDriver;
@@ -0,0 +1,34 @@
+jest.mock('axios', () => ({ get: jest.fn(), put: jest.fn() }));
+
+const axios = require('axios');
+const LifxDriver = require('../LifxDriver');
+
+describe('LifxDriver cloud', () => {
+  const device = { id: 'lifx_d073d5000001', platformId: 'd073d5000001', type: 'lighting', metadata: {} };
+  let driver;
+
+  beforeEach(() => {
+    driver = new LifxDriver({ devices: new Map() }, {});
+    driver.cloud = { baseURL: 'https://api.lifx.com/v1', headers: { Authorization: 'Bearer token' } };
+  });
+
+  afterEach(() => jest.resetAllMocks());
+
+  it('selects the light by id when setting and reading state', async () => {
+    axios.put.mockResolvedValue({ data: {} });
+    axios.get.mockResolvedValue({
+      data: [{ power: 'on', brightness: 0.5, color: { hue: 0, saturation: 0, kelvin: 2700 } }]
+    });
+
+    await driver.controlCloud(device, { on: true, brightness: 50, temperature: 2700 }, { transition: 2 });
+    const state = await driver.getState(device);
+
+    expect(axios.put).toHaveBeenCalledWith(
+      'https://api.lifx.com/v1/lights/id:d073d5000001/state',
+      { power: 'on', brightness: 0.5, color: 'kelvin:2700', duration: 2 },
+      { headers: driver.cloud.headers }
+    );
+    expect(axios.get).toHaveBeenCalledWith('https://api.lifx.com/v1/lights/id:d073d5000001', { headers: driver.cloud.headers });
+    expect(state).toEqual({ on: true, brightness: 50, color: null, temperature: 2700 });
+  });
+});
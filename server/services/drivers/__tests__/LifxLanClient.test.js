@@ -0,0 +1,220 @@
+const EventEmitter = require('events');
+
+jest.mock('dgram', () => ({ createSocket: jest.fn() }));
+
+const dgram = require('dgram');
+const { LifxLanClient, MESSAGE_TYPES } = require('../LifxLanClient');
+
+const BULB_A = { serial: 'd073d5000001', address: '192.168.1.31', port: 56700 };
+const BULB_B = { serial: 'd073d5000002', address: '192.168.1.32', port: 56700 };
+
+// Stands in for the UDP socket: records what was sent and lets tests deliver replies
+class FakeSocket extends EventEmitter {
+  constructor() {
+    super();
+    this.sent = [];
+  }
+
+  bind(port, callback) {
+    setImmediate(callback);
+  }
+
+  setBroadcast() {}
+
+  send(message, port, address) {
+    this.sent.push({ message, port, address });
+    this.emit('sent', this.sent[this.sent.length - 1]);
+  }
+
+  close() {}
+}
+
+function header(message) {
+  return {
+    size: message.readUInt16LE(0),
+    protocol: message.readUInt16LE(2),
+    source: message.readUInt32LE(4),
+    serial: message.subarray(8, 14).toString('hex'),
+    flags: message.readUInt8(22),
+    sequence: message.readUInt8(23),
+    type: message.readUInt16LE(32)
+  };
+}
+
+function reply(client, { serial, sequence, type, payload = Buffer.alloc(0), source = client.source }) {
+  const message = Buffer.alloc(36 + payload.length);
+  message.writeUInt16LE(message.length, 0);
+  message.writeUInt16LE(1024 | (1 << 12), 2);
+  message.writeUInt32LE(source, 4);
+  Buffer.from(serial, 'hex').copy(message, 8);
+  message.writeUInt8(sequence, 23);
+  message.writeUInt16LE(type, 32);
+  payload.copy(message, 36);
+  return message;
+}
+
+function lightState({ hue = 0, saturation = 0, brightness = 65535, kelvin = 3500, power = true, label = '' }) {
+  const payload = Buffer.alloc(52);
+  payload.writeUInt16LE(hue, 0);
+  payload.writeUInt16LE(saturation, 2);
+  payload.writeUInt16LE(brightness, 4);
+  payload.writeUInt16LE(kelvin, 6);
+  payload.writeUInt16LE(power ? 65535 : 0, 10);
+  payload.write(label, 12, 'utf8');
+  return payload;
+}
+
+describe('LifxLanClient', () => {
+  let socket;
+  let client;
+
+  beforeEach(async () => {
+    socket = new FakeSocket();
+    dgram.createSocket.mockReturnValue(socket);
+    client = new LifxLanClient({ timeout: 50, retries: 1 });
+    await client.start();
+  });
+
+  afterEach(() => client.close());
+
+  it('writes the header and a little-endian SetColor payload', async () => {
+    socket.on('sent', ({ message }) => {
+      const { serial, sequence } = header(message);
+      socket.emit('message', reply(client, { serial, sequence, type: MESSAGE_TYPES.Acknowledgement }), BULB_A);
+    });
+
+    await client.setColor(BULB_A, { hue: 21845, saturation: 65535, brightness: 32768, kelvin: 3500 }, 2000);
+
+    const { message, port, address } = socket.sent[0];
+    expect(address).toBe(BULB_A.address);
+    expect(port).toBe(56700);
+    expect(header(message)).toEqual({
+      size: 49,
+      protocol: 1024 | (1 << 12),
+      source: client.source,
+      serial: BULB_A.serial,
+      flags: 2,
+      sequence: 1,
+      type: MESSAGE_TYPES.LightSetColor
+    });
+    expect(message.readUInt8(36)).toBe(0);
+    expect(message.readUInt16LE(37)).toBe(21845);
+    expect(message.readUInt16LE(39)).toBe(65535);
+    expect(message.readUInt16LE(41)).toBe(32768);
+    expect(message.readUInt16LE(43)).toBe(3500);
+    expect(message.readUInt32LE(45)).toBe(2000);
+  });
+
+  it('asks reads for a response and parses LightState', async () => {
+    socket.on('sent', ({ message }) => {
+      const { serial, sequence } = header(message);
+      socket.emit('message', reply(client, {
+        serial,
+        sequence,
+        type: MESSAGE_TYPES.LightState,
+        payload: lightState({ hue: 100, saturation: 200, brightness: 300, kelvin: 2700, label: 'Desk' })
+      }), BULB_A);
+    });
+
+    const state = await client.getState(BULB_A);
+
+    expect(header(socket.sent[0].message).flags).toBe(1);
+    expect(state).toEqual({
+      color: { hue: 100, saturation: 200, brightness: 300, kelvin: 2700 },
+      power: true,
+      label: 'Desk'
+    });
+  });
+
+  it('matches replies by bulb as well as sequence number', async () => {
+    client.sequence = 254;
+    const first = client.getState(BULB_A);
+    // Wraps around to A's sequence number, so only the serial tells the replies apart
+    client.sequence = 254;
+    const second = client.getState(BULB_B);
+    const [toA, toB] = socket.sent.map(({ message }) => header(message));
+    expect(toA.sequence).toBe(toB.sequence);
+
+    socket.emit('message', reply(client, {
+      serial: BULB_B.serial,
+      sequence: toB.sequence,
+      type: MESSAGE_TYPES.LightState,
+      payload: lightState({ label: 'B' })
+    }), BULB_B);
+    socket.emit('message', reply(client, {
+      serial: BULB_A.serial,
+      sequence: toA.sequence,
+      type: MESSAGE_TYPES.LightState,
+      payload: lightState({ label: 'A' })
+    }), BULB_A);
+
+    expect((await first).label).toBe('A');
+    expect((await second).label).toBe('B');
+  });
+
+  it('ignores replies meant for another client or of the wrong type', async () => {
+    socket.once('sent', ({ message }) => {
+      const { serial, sequence } = header(message);
+      socket.emit('message', reply(client, { serial, sequence, type: MESSAGE_TYPES.LightState, source: client.source + 1 }), BULB_A);
+      socket.emit('message', reply(client, { serial, sequence, type: MESSAGE_TYPES.StateGroup }), BULB_A);
+    });
+
+    await expect(client.request(BULB_A, MESSAGE_TYPES.LightGet, null, MESSAGE_TYPES.LightState))
+      .rejects.toThrow(`LIFX bulb ${BULB_A.serial} at ${BULB_A.address} did not respond`);
+    // One resend after the first timeout
+    expect(socket.sent).toHaveLength(2);
+  });
+
+  it('resends when a reply is lost', async () => {
+    let attempts = 0;
+    socket.on('sent', ({ message }) => {
+      if (++attempts === 1) return;
+      const { serial, sequence } = header(message);
+      socket.emit('message', reply(client, { serial, sequence, type: MESSAGE_TYPES.Acknowledgement }), BULB_A);
+    });
+
+    await client.setPower(BULB_A, false, 500);
+
+    const payload = socket.sent[1].message.subarray(36);
+    expect(payload.readUInt16LE(0)).toBe(0);
+    expect(payload.readUInt32LE(2)).toBe(500);
+  });
+
+  it('discovers bulbs by broadcast and reads each one back', async () => {
+    socket.on('sent', ({ message, address }) => {
+      const { serial, sequence, type } = header(message);
+
+      if (type === MESSAGE_TYPES.GetService) {
+        [BULB_A, BULB_B].forEach(bulb => {
+          const payload = Buffer.alloc(5);
+          payload.writeUInt8(1, 0);
+          payload.writeUInt32LE(56700, 1);
+          socket.emit('message', reply(client, { serial: bulb.serial, sequence, type: MESSAGE_TYPES.StateService, payload }), bulb);
+        });
+      } else if (type === MESSAGE_TYPES.LightGet) {
+        socket.emit('message', reply(client, {
+          serial,
+          sequence,
+          type: MESSAGE_TYPES.LightState,
+          payload: lightState({ label: serial.slice(-1) === '1' ? 'Lamp' : 'Strip' })
+        }), { address });
+      } else if (type === MESSAGE_TYPES.GetGroup) {
+        const payload = Buffer.alloc(56);
+        payload.fill(0xab, 0, 16);
+        payload.write('Lounge', 16, 'utf8');
+        socket.emit('message', reply(client, { serial, sequence, type: MESSAGE_TYPES.StateGroup, payload }), { address });
+      }
+    });
+
+    const lights = await client.discover(20);
+
+    const broadcast = socket.sent[0];
+    expect(broadcast.address).toBe('255.255.255.255');
+    expect(header(broadcast.message).protocol).toBe(1024 | (1 << 12) | (1 << 13));
+    expect(lights.map(light => [light.serial, light.address, light.label, light.group.label])).toEqual([
+      [BULB_A.serial, BULB_A.address, 'Lamp', 'Lounge'],
+      [BULB_B.serial, BULB_B.address, 'Strip', 'Lounge']
+    ]);
+    expect(lights[0].group.id).toBe('ab'.repeat(16));
+  });
+});
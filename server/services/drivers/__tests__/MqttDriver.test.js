@@ -0,0 +1,62 @@
+const MqttDriver = require('../MqttDriver');
+
+function light(config, state = {}) {
+  return { id: 'mqtt_light', name: 'Lamp', type: 'lighting', state, metadata: { config } };
+}
+
+describe('MqttDriver.stateChanges', () => {
+  const driver = new MqttDriver({ devices: new Map() }, {});
+  const changes = (device, attribute, payload) => driver.stateChanges(device, attribute, Buffer.from(payload));
+
+  it('reads on/off with the configured payloads', () => {
+    expect(changes(light({}), 'on', 'ON')).toEqual({ on: true });
+    expect(changes(light({ payload_on: '1' }), 'on', '0')).toEqual({ on: false });
+    expect(changes(light({ state_value_template: '{{ value_json.POWER }}' }), 'on', '{"POWER":"ON"}')).toEqual({ on: true });
+  });
+
+  it('scales brightness to 0-100', () => {
+    expect(changes(light({}), 'brightness', '128')).toEqual({ brightness: 50 });
+    expect(changes(light({ brightness_scale: 100 }), 'brightness', '30')).toEqual({ brightness: 30 });
+    expect(changes(light({}), 'brightness', 'bright')).toBeNull();
+  });
+
+  it('reads rgb colours as hex', () => {
+    expect(changes(light({}), 'rgb', '255,128,0')).toEqual({ color: '#FF8000' });
+    expect(changes(light({ rgb_value_template: '{{ value_json.rgb }}' }), 'rgb', '{"rgb":[0,0,255]}')).toEqual({ color: '#0000FF' });
+  });
+
+  it('ignores rgb payloads it cannot read instead of reporting NaN', () => {
+    const templated = light({ rgb_value_template: '{{ value_json.rgb }}' });
+
+    expect(changes(templated, 'rgb', '{"other":1}')).toBeNull();
+    expect(changes(templated, 'rgb', 'not json')).toBeNull();
+    expect(changes(light({}), 'rgb', '255,128')).toBeNull();
+    expect(changes(light({}), 'rgb', 'red')).toBeNull();
+  });
+
+  it('converts mireds to Kelvin and clears the colour', () => {
+    expect(changes(light({}), 'color_temp', '370')).toEqual({ color: null, temperature: 2703 });
+  });
+
+  it('reads the JSON schema state in one go', () => {
+    expect(changes(light({}), 'json', JSON.stringify({ state: 'ON', brightness: 255, color_mode: 'rgb', color: { r: 0, g: 255, b: 0 } })))
+      .toEqual({ on: true, brightness: 100, color: '#00FF00' });
+    expect(changes(light({}), 'json', JSON.stringify({ state: 'OFF', color_mode: 'color_temp', color_temp: 250 })))
+      .toEqual({ on: false, color: null, temperature: 4000 });
+  });
+
+  it('converts Fahrenheit thermostats and maps HVAC modes', () => {
+    const thermostat = { id: 'mqtt_t', type: 'climate', state: {}, metadata: { config: { temperature_unit: 'F' } } };
+
+    expect(changes(thermostat, 'setpoint', '68')).toEqual({ setpoint: 20, unit: 'F' });
+    expect(changes(thermostat, 'mode', 'heat_cool')).toEqual({ mode: 'heatcool' });
+    expect(changes(thermostat, 'mode', 'turbo')).toBeNull();
+    expect(changes(thermostat, 'fan', 'auto')).toEqual({ fan: 'off' });
+  });
+
+  it('reports sensors under their device class', () => {
+    const motion = { id: 'mqtt_m', type: 'sensors', subtype: 'binary_sensor', state: {}, metadata: { config: { device_class: 'occupancy' } } };
+
+    expect(changes(motion, 'reading', 'ON')).toEqual({ motion: true });
+  });
+});
@@ -0,0 +1,294 @@
+const dgram = require('dgram');
+const http = require('http');
+const { SonosClient } = require('../SonosClient');
+const SonosDriver = require('../SonosDriver');
+
+const ZONE_PLAYER = 'urn:schemas-upnp-org:device:ZonePlayer:1';
+
+/**
+ * A stand-in player: serves its device description and answers SOAP actions from canned
+ * response bodies, or with a UPnP fault for { fault: code }, recording every action it gets
+ */
+function startPlayer(uuid, responses = {}) {
+  const calls = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      res.setHeader('Content-Type', 'text/xml');
+
+      if (req.method === 'GET') {
+        res.end(`<?xml version="1.0"?><root><device><UDN>uuid:${uuid}</UDN><roomName>Room ${uuid}</roomName>` +
+          '<modelName>Sonos One</modelName><displayName>One</displayName><softwareVersion>70.3</softwareVersion></device></root>');
+        return;
+      }
+
+      const action = req.headers.soapaction.replace(/^".*#(\w+)"$/, '$1');
+      calls.push({ action, path: req.url, soapAction: req.headers.soapaction, body });
+
+      const response = responses[action];
+      if (response && response.fault) {
+        res.statusCode = 500;
+        res.end('<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body><s:Fault>' +
+          '<faultcode>s:Client</faultcode><faultstring>UPnPError</faultstring><detail>' +
+          `<UPnPError xmlns="urn:schemas-upnp-org:control-1-0"><errorCode>${response.fault}</errorCode></UPnPError>` +
+          '</detail></s:Fault></s:Body></s:Envelope>');
+        return;
+      }
+
+      res.end('<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+        `<u:${action}Response xmlns:u="urn:schemas-upnp-org:service">${response || ''}</u:${action}Response>` +
+        '</s:Body></s:Envelope>');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+    const { port } = server.address();
+    resolve({
+      uuid,
+      calls,
+      player: { uuid, address: '127.0.0.1', port },
+      location: `http://127.0.0.1:${port}/xml/device_description.xml`,
+      close: () => new Promise(done => server.close(done))
+    });
+  }));
+}
+
+/**
+ * Answers every M-SEARCH with the given SSDP responses
+ */
+function startResponder(answers) {
+  const socket = dgram.createSocket('udp4');
+  const searches = [];
+
+  socket.on('message', (message, remote) => {
+    searches.push(message.toString());
+    answers.forEach(({ location, usn, st = ZONE_PLAYER }) => {
+      const lines = ['HTTP/1.1 200 OK', `LOCATION: ${location}`, `ST: ${st}`];
+      if (usn) lines.push(`USN: ${usn}::${st}`);
+      socket.send(Buffer.from(lines.concat('', '').join('\r\n')), remote.port, remote.address);
+    });
+  });
+
+  return new Promise(resolve => socket.bind(0, '127.0.0.1', () => resolve({
+    port: socket.address().port,
+    searches,
+    close: () => new Promise(done => socket.close(done))
+  })));
+}
+
+describe('SonosClient', () => {
+  let players;
+  let responder;
+  let client;
+
+  beforeEach(() => {
+    players = [];
+    responder = null;
+  });
+
+  afterEach(async () => {
+    await Promise.all(players.map(player => player.close()));
+    if (responder) await responder.close();
+  });
+
+  async function start(uuid, responses) {
+    const player = await startPlayer(uuid, responses);
+    players.push(player);
+    return player;
+  }
+
+  describe('discovery', () => {
+    it('answers once per player however many addresses it answers from', async () => {
+      responder = await startResponder([
+        { location: 'http://10.0.0.5:1400/xml/device_description.xml', usn: 'uuid:RINCON_A' },
+        { location: 'http://192.168.1.5:1400/xml/device_description.xml', usn: 'uuid:RINCON_A' },
+        { location: 'http://192.168.1.6:1400/xml/device_description.xml', usn: 'uuid:RINCON_B' },
+        { location: 'http://192.168.1.7:1400/xml/device_description.xml', usn: 'uuid:BRIDGE', st: 'upnp:rootdevice' }
+      ]);
+      client = new SonosClient({ ssdpAddress: '127.0.0.1', ssdpPort: responder.port });
+
+      const locations = await client.search(200);
+
+      expect(responder.searches[0]).toMatch(/^M-SEARCH \* HTTP\/1\.1\r\n/);
+      expect(responder.searches[0]).toContain(`ST: ${ZONE_PLAYER}`);
+      expect(locations).toEqual([
+        'http://10.0.0.5:1400/xml/device_description.xml',
+        'http://192.168.1.6:1400/xml/device_description.xml'
+      ]);
+    });
+
+    it('describes each player found and drops duplicates that came without a USN', async () => {
+      const living = await start('RINCON_A');
+      responder = await startResponder([
+        { location: living.location },
+        { location: `${living.location}?again` }
+      ]);
+      client = new SonosClient({ ssdpAddress: '127.0.0.1', ssdpPort: responder.port });
+
+      const found = await client.discover(200);
+
+      expect(found).toEqual([{
+        uuid: 'RINCON_A',
+        address: '127.0.0.1',
+        port: living.player.port,
+        roomName: 'Room RINCON_A',
+        modelName: 'Sonos One',
+        displayName: 'One',
+        softwareVersion: '70.3'
+      }]);
+    });
+  });
+
+  describe('soap', () => {
+    it('posts an envelope for the action with its arguments escaped', async () => {
+      const living = await start('RINCON_A');
+      client = new SonosClient();
+
+      await client.setTransportURI(living.player, 'http://radio.example/stream?a=1&b=2', '<DIDL-Lite/>');
+
+      const [call] = living.calls;
+      expect(call.path).toBe('/MediaRenderer/AVTransport/Control');
+      expect(call.soapAction).toBe('"urn:schemas-upnp-org:service:AVTransport:1#SetAVTransportURI"');
+      expect(call.body).toContain('<u:SetAVTransportURI xmlns:u="urn:schemas-upnp-org:service:AVTransport:1">');
+      expect(call.body).toContain('<InstanceID>0</InstanceID>');
+      expect(call.body).toContain('<CurrentURI>http://radio.example/stream?a=1&amp;b=2</CurrentURI>');
+      expect(call.body).toContain('<CurrentURIMetaData>&lt;DIDL-Lite/&gt;</CurrentURIMetaData>');
+    });
+
+    it('sends volume to the rendering control service', async () => {
+      const living = await start('RINCON_A', { GetVolume: '<CurrentVolume>35</CurrentVolume>' });
+      client = new SonosClient();
+
+      await client.setVolume(living.player, 20);
+
+      expect(await client.getVolume(living.player)).toBe(35);
+      expect(living.calls.map(call => call.path)).toEqual([
+        '/MediaRenderer/RenderingControl/Control',
+        '/MediaRenderer/RenderingControl/Control'
+      ]);
+      expect(living.calls[0].body).toContain('<Channel>Master</Channel><DesiredVolume>20</DesiredVolume>');
+    });
+
+    it('throws UPnP faults with the player\'s error code', async () => {
+      const living = await start('RINCON_A', { Play: { fault: 701 } });
+      client = new SonosClient();
+
+      await expect(client.play(living.player)).rejects.toThrow('Sonos Play failed with UPnP error 701');
+    });
+
+    it('reads transport state and the group coordinator', async () => {
+      const member = await start('RINCON_B', {
+        GetTransportInfo: '<CurrentTransportState>PLAYING</CurrentTransportState>',
+        GetMediaInfo: '<CurrentURI>x-rincon:RINCON_A</CurrentURI>'
+      });
+      const standalone = await start('RINCON_C', {
+        GetTransportInfo: '<CurrentTransportState>PAUSED_PLAYBACK</CurrentTransportState>',
+        GetMediaInfo: '<CurrentURI>x-rincon-queue:RINCON_C#0</CurrentURI>'
+      });
+      client = new SonosClient();
+
+      expect(await client.isPlaying(member.player)).toBe(true);
+      expect(await client.getCoordinator(member.player)).toBe('RINCON_A');
+      expect(await client.isPlaying(standalone.player)).toBe(false);
+      expect(await client.getCoordinator(standalone.player)).toBe('RINCON_C');
+    });
+  });
+
+  describe('getPlaylists', () => {
+    it('reads saved playlists out of the escaped DIDL result', async () => {
+      const didl = '<DIDL-Lite xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns="urn:schemas-upnp-org:metadata-1-0/DIDL-Lite/">' +
+        '<container id="SQ:1" parentID="SQ:" restricted="true"><dc:title>Rainy Day</dc:title>' +
+        '<res protocolInfo="file:*:audio/mpegurl:*">file:///jffs/settings/savedqueues.rsq#1</res></container>' +
+        '<container id="SQ:2" parentID="SQ:" restricted="true"><dc:title>Rock &amp; Roll</dc:title>' +
+        '<res protocolInfo="file:*:audio/mpegurl:*">file:///jffs/settings/savedqueues.rsq#2&amp;v=1</res></container>' +
+        '</DIDL-Lite>';
+      const escaped = didl.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+      const living = await start('RINCON_A', { Browse: `<Result>${escaped}</Result><NumberReturned>2</NumberReturned>` });
+      client = new SonosClient();
+
+      const playlists = await client.getPlaylists(living.player);
+
+      expect(living.calls[0].path).toBe('/MediaServer/ContentDirectory/Control');
+      expect(living.calls[0].body).toContain('<ObjectID>SQ:</ObjectID>');
+      expect(playlists).toEqual([
+        { id: 'SQ:1', title: 'Rainy Day', uri: 'file:///jffs/settings/savedqueues.rsq#1' },
+        { id: 'SQ:2', title: 'Rock & Roll', uri: 'file:///jffs/settings/savedqueues.rsq#2&v=1' }
+      ]);
+    });
+
+    it('resolves to no playlists when there are none', async () => {
+      const living = await start('RINCON_A', { Browse: '<Result></Result><NumberReturned>0</NumberReturned>' });
+      client = new SonosClient();
+
+      expect(await client.getPlaylists(living.player)).toEqual([]);
+    });
+  });
+
+  describe('grouping through SonosDriver', () => {
+    let host;
+    let driver;
+
+    function device(stub, group) {
+      return {
+        id: `sonos_${stub.uuid}`,
+        name: stub.uuid,
+        platform: 'sonos',
+        platformId: stub.uuid,
+        type: 'entertainment',
+        state: { group: group },
+        metadata: { address: '127.0.0.1', port: stub.player.port }
+      };
+    }
+
+    beforeEach(async () => {
+      host = {
+        devices: new Map(),
+        updateDeviceState: jest.fn((deviceId, changes) => {
+          const target = host.devices.get(deviceId);
+          target.state = { ...target.state, ...changes };
+        })
+      };
+      driver = new SonosDriver(host, {});
+      driver.client = new SonosClient();
+    });
+
+    it('joins members to the coordinator and takes unrequested members out', async () => {
+      const [a, b, c] = await Promise.all(['RINCON_A', 'RINCON_B', 'RINCON_C'].map(uuid => start(uuid)));
+      [device(a, 'sonos_RINCON_A'), device(b, 'sonos_RINCON_B'), device(c, 'sonos_RINCON_A')]
+        .forEach(entry => host.devices.set(entry.id, entry));
+
+      await driver.group([host.devices.get('sonos_RINCON_A'), host.devices.get('sonos_RINCON_B')]);
+
+      expect(a.calls).toEqual([]);
+      expect(b.calls.map(call => call.action)).toEqual(['SetAVTransportURI']);
+      expect(b.calls[0].body).toContain('<CurrentURI>x-rincon:RINCON_A</CurrentURI>');
+      expect(c.calls.map(call => call.action)).toEqual(['BecomeCoordinatorOfStandaloneGroup']);
+      expect(host.devices.get('sonos_RINCON_B').state.group).toBe('sonos_RINCON_A');
+      expect(host.devices.get('sonos_RINCON_C').state).toMatchObject({ group: 'sonos_RINCON_C', playing: false });
+    });
+
+    it('ungroups a coordinator by sending its members off on their own', async () => {
+      const [a, b] = await Promise.all(['RINCON_A', 'RINCON_B'].map(uuid => start(uuid)));
+      [device(a, 'sonos_RINCON_A'), device(b, 'sonos_RINCON_A')].forEach(entry => host.devices.set(entry.id, entry));
+
+      await driver.ungroup([host.devices.get('sonos_RINCON_A')]);
+
+      expect(a.calls).toEqual([]);
+      expect(b.calls.map(call => call.path)).toEqual(['/MediaRenderer/AVTransport/Control']);
+      expect(b.calls[0].soapAction).toBe('"urn:schemas-upnp-org:service:AVTransport:1#BecomeCoordinatorOfStandaloneGroup"');
+      expect(host.devices.get('sonos_RINCON_B').state.group).toBe('sonos_RINCON_B');
+    });
+
+    it('leaves the group state alone when the player refuses to join', async () => {
+      const a = await start('RINCON_A');
+      const b = await start('RINCON_B', { SetAVTransportURI: { fault: 800 } });
+      [device(a, 'sonos_RINCON_A'), device(b, 'sonos_RINCON_B')].forEach(entry => host.devices.set(entry.id, entry));
+
+      await expect(driver.group([host.devices.get('sonos_RINCON_A'), host.devices.get('sonos_RINCON_B')]))
+        .rejects.toThrow('Sonos SetAVTransportURI failed with UPnP error 800');
+      expect(host.devices.get('sonos_RINCON_B').state.group).toBe('sonos_RINCON_B');
+    });
+  });
+});
@@ -0,0 +1,57 @@
+const SonosDriver = require('../SonosDriver');
+
+function player(key, group) {
+  return {
+    id: `sonos_${key}`,
+    name: key,
+    platform: 'sonos',
+    platformId: `RINCON_${key}`,
+    type: 'entertainment',
+    state: { volume: 50, playing: true, group: group },
+    metadata: { address: '192.168.1.20', port: 1400 }
+  };
+}
+
+describe('SonosDriver.control', () => {
+  let host;
+  let driver;
+
+  beforeEach(() => {
+    host = {
+      devices: new Map(),
+      updateDeviceState: jest.fn((deviceId, changes) => {
+        const device = host.devices.get(deviceId);
+        device.state = { ...device.state, ...changes };
+      })
+    };
+    driver = new SonosDriver(host, {});
+    driver.client = {
+      joinGroup: jest.fn().mockResolvedValue(),
+      leaveGroup: jest.fn().mockResolvedValue(),
+      setVolume: jest.fn().mockResolvedValue(),
+      pause: jest.fn().mockResolvedValue(),
+      play: jest.fn().mockResolvedValue()
+    };
+    ['a', 'b'].forEach(key => host.devices.set(`sonos_${key}`, player(key, 'sonos_b')));
+  });
+
+  it('moves a player back into its old group before restoring volume', async () => {
+    await driver.control(host.devices.get('sonos_b'), { group: 'sonos_b' });
+    await driver.control(host.devices.get('sonos_a'), { group: 'sonos_a', volume: 20, playing: false });
+
+    expect(driver.client.leaveGroup).toHaveBeenCalledWith(expect.objectContaining({ uuid: 'RINCON_a' }));
+    expect(driver.client.leaveGroup).toHaveBeenCalledTimes(1);
+    expect(driver.client.setVolume).toHaveBeenCalledWith(expect.objectContaining({ uuid: 'RINCON_a' }), 20);
+    expect(driver.client.pause).toHaveBeenCalled();
+    expect(host.devices.get('sonos_a').state).toMatchObject({ group: 'sonos_a', volume: 20, playing: false });
+  });
+
+  it('joins a coordinator by its player id', async () => {
+    host.devices.get('sonos_a').state.group = 'sonos_a';
+
+    await driver.control(host.devices.get('sonos_a'), { group: 'sonos_b' });
+
+    expect(driver.client.joinGroup).toHaveBeenCalledWith(expect.objectContaining({ uuid: 'RINCON_a' }), 'RINCON_b');
+    expect(host.devices.get('sonos_a').state.group).toBe('sonos_b');
+  });
+});
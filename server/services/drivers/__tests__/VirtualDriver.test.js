@@ -0,0 +1,101 @@
+const VirtualDriver = require('../VirtualDriver');
+const SmartHomeService = require('../../SmartHomeService');
+
+describe('VirtualDriver', () => {
+  let host;
+  let driver;
+  let changes;
+
+  async function start(env = {}) {
+    Object.assign(process.env, { VIRTUAL_DEVICES: 'true', ...env });
+    driver = new VirtualDriver(host);
+    await driver.initialize();
+    (await driver.discover()).forEach(device => host.devices.set(device.id, device));
+  }
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    host = new SmartHomeService();
+    changes = [];
+    host.on('deviceStateChanged', ({ deviceId, changes: changed }) => changes.push({ deviceId, ...changed }));
+  });
+
+  afterEach(() => {
+    driver.dispose();
+    delete process.env.VIRTUAL_DEVICES;
+    delete process.env.VIRTUAL_LATENCY;
+    delete process.env.VIRTUAL_FAILURE_RATE;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('stays disconnected unless VIRTUAL_DEVICES is set', async () => {
+    driver = new VirtualDriver(host);
+    await driver.initialize();
+
+    expect(driver.connected).toBe(false);
+  });
+
+  it('reports commands as deviceStateChanged events', async () => {
+    await start();
+    const lamp = host.devices.get('virtual_living_lamp');
+
+    await driver.control(lamp, { on: true, brightness: 70 });
+
+    expect(changes).toEqual([{ deviceId: 'virtual_living_lamp', on: true, brightness: 70 }]);
+    expect(lamp.state).toMatchObject({ on: true, brightness: 70, color: '#FFB347' });
+  });
+
+  it('fades lights on over their transition in half-second steps', async () => {
+    jest.useFakeTimers();
+    await start();
+    const ceiling = host.devices.get('virtual_living_ceiling');
+
+    await driver.control(ceiling, { brightness: 20 }, { transition: 2 });
+    expect(changes).toEqual([]);
+
+    jest.advanceTimersByTime(2000);
+
+    expect(changes.map(change => change.brightness)).toEqual([65, 50, 35, 20]);
+    expect(driver.transitions.size).toBe(0);
+  });
+
+  it('delays commands by the configured latency', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    await start({ VIRTUAL_LATENCY: '200' });
+    const speaker = host.devices.get('virtual_living_speaker');
+
+    let done = false;
+    const control = driver.control(speaker, { volume: 55 }).then(() => { done = true; });
+
+    await jest.advanceTimersByTimeAsync(199);
+    expect(done).toBe(false);
+    await jest.advanceTimersByTimeAsync(1);
+    await control;
+    expect(changes).toEqual([{ deviceId: 'virtual_living_speaker', playing: true, volume: 55 }]);
+  });
+
+  it('fails the configured share of commands without changing the device', async () => {
+    await start({ VIRTUAL_FAILURE_RATE: '1' });
+    const thermostat = host.devices.get('virtual_bedroom_climate');
+
+    await expect(driver.control(thermostat, { temperature: 23 }))
+      .rejects.toThrow('Simulated failure controlling Bedroom thermostat');
+    expect(thermostat.state.setpoint).toBe(20);
+    expect(changes).toEqual([]);
+  });
+
+  it('moves rooms a tenth of a degree toward their setpoint when the thermostat can', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0.5);
+    await start();
+    host.updateDeviceState('virtual_office_climate', { mode: 'heat' });
+    changes = [];
+
+    driver.simulate();
+
+    expect(changes).toContainEqual({ deviceId: 'virtual_bedroom_climate', temperature: 19.6 });
+    // Heating can't cool the office down to its setpoint
+    expect(changes.find(change => change.deviceId === 'virtual_office_climate')).toBeUndefined();
+  });
+});
@@ -0,0 +1,79 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DeviceDriver, createDrivers } = require('..');
+
+class KasaDriver extends DeviceDriver {
+  constructor(host) {
+    super('kasa', host);
+  }
+}
+
+describe('createDrivers', () => {
+  const host = { devices: new Map() };
+  let directory;
+
+  // Writes a driver module to disk, as SMART_HOME_DRIVERS would name it
+  function driverModule(name, source) {
+    const file = path.join(directory, `${name}.js`);
+    fs.writeFileSync(file, source);
+    return file;
+  }
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'moodsync-drivers-'));
+    delete process.env.SMART_HOME_DRIVERS;
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    delete process.env.SMART_HOME_DRIVERS;
+    jest.restoreAllMocks();
+  });
+
+  it('keys the built-in drivers by the platform name devices carry', () => {
+    const drivers = createDrivers(host);
+
+    expect(Array.from(drivers.keys())).toEqual(['philipsHue', 'lifx', 'nest', 'smartThings', 'ifttt', 'mqtt', 'sonos', 'virtual']);
+    drivers.forEach(driver => {
+      expect(driver).toBeInstanceOf(DeviceDriver);
+      expect(driver.host).toBe(host);
+    });
+  });
+
+  it('adds DeviceDriver subclasses passed in options', () => {
+    const drivers = createDrivers(host, { drivers: [KasaDriver] });
+
+    expect(drivers.get('kasa')).toBeInstanceOf(KasaDriver);
+    expect(drivers.size).toBe(9);
+  });
+
+  it('loads modules named in SMART_HOME_DRIVERS, letting them replace a built-in driver', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const file = driverModule('hue', `
+      const DeviceDriver = require(${JSON.stringify(require.resolve('../DeviceDriver'))});
+      module.exports = class CustomHueDriver extends DeviceDriver {
+        constructor(host) { super('philipsHue', host); }
+      };
+    `);
+    process.env.SMART_HOME_DRIVERS = ` ${file} ,`;
+
+    const drivers = createDrivers(host);
+
+    expect(drivers.get('philipsHue').constructor.name).toBe('CustomHueDriver');
+    expect(drivers.size).toBe(8);
+    expect(warn).toHaveBeenCalledWith('Smart home driver CustomHueDriver replaces the philipsHue driver');
+  });
+
+  it('skips drivers that fail to load or are not DeviceDriver subclasses', () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const notADriver = driverModule('plain', 'module.exports = class PlainClass {};');
+
+    const drivers = createDrivers(host, { drivers: ['moodsync-driver-that-does-not-exist', notADriver, KasaDriver] });
+
+    expect(drivers.size).toBe(9);
+    expect(drivers.has('kasa')).toBe(true);
+    expect(error).toHaveBeenCalledTimes(2);
+    expect(error.mock.calls[1][1].message).toBe(`Smart home driver ${notADriver} does not export a DeviceDriver subclass`);
+  });
+});
@@ -0,0 +1,63 @@
+const path = require('path');
+const DeviceDriver = require('./DeviceDriver');
+const HueDriver = require('./HueDriver');
+const LifxDriver = require('./LifxDriver');
+const NestDriver = require('./NestDriver');
+const SmartThingsDriver = require('./SmartThingsDriver');
+const IftttDriver = require('./IftttDriver');
+const MqttDriver = require('./MqttDriver');
+const SonosDriver = require('./SonosDriver');
+const VirtualDriver = require('./VirtualDriver');
+
+const BUILT_IN_DRIVERS = [HueDriver, LifxDriver, NestDriver, SmartThingsDriver, IftttDriver, MqttDriver, SonosDriver, VirtualDriver];
+
+/**
+ * Resolve a third-party driver module, by package name or by path relative to the working directory
+ */
+function requireDriver(name) {
+  const isPath = name.startsWith('.') || path.isAbsolute(name);
+  const exported = require(isPath ? path.resolve(process.cwd(), name) : name);
+  const DriverClass = exported.default || exported;
+
+  if (typeof DriverClass !== 'function' || !(DriverClass.prototype instanceof DeviceDriver)) {
+    throw new Error(`Smart home driver ${name} does not export a DeviceDriver subclass`);
+  }
+
+  return DriverClass;
+}
+
+/**
+ * Create the built-in drivers plus any third-party ones, keyed by platform name
+ * Third-party drivers come from options.drivers (module names or DeviceDriver subclasses)
+ * or the comma-separated SMART_HOME_DRIVERS; one that fails to load is skipped
+ */
+function createDrivers(host, options = {}) {
+  const extra = options.drivers
+    || (process.env.SMART_HOME_DRIVERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  const classes = [...BUILT_IN_DRIVERS];
+  extra.forEach(driver => {
+    try {
+      classes.push(typeof driver === 'string' ? requireDriver(driver) : driver);
+    } catch (error) {
+      console.error(`Failed to load smart home driver ${driver}:`, error);
+    }
+  });
+
+  const drivers = new Map();
+  classes.forEach(DriverClass => {
+    const driver = new DriverClass(host);
+    if (drivers.has(driver.name)) {
+      console.warn(`Smart home driver ${DriverClass.name} replaces the ${driver.name} driver`);
+    }
+    drivers.set(driver.name, driver);
+  });
+
+  return drivers;
+}
+
+module.exports = {
+  DeviceDriver,
+  BUILT_IN_DRIVERS,
+  createDrivers
+};
@@ -0,0 +1,92 @@
+const {
+  SETPOINT_MODES,
+  MIN_HEATCOOL_RANGE,
+  DEFAULT_COMFORT,
+  toCelsius,
+  fromCelsius,
+  heatCoolRange,
+  effectiveSetpoint
+} = require('../climate');
+
+describe('toCelsius', () => {
+  it('converts Fahrenheit to tenths of a degree Celsius', () => {
+    expect(toCelsius(72, 'F')).toBe(22.2);
+    expect(toCelsius(32, 'F')).toBe(0);
+    expect(toCelsius(-40, 'F')).toBe(-40);
+  });
+
+  it('passes Celsius and non-numbers through', () => {
+    expect(toCelsius(21.5, 'C')).toBe(21.5);
+    expect(toCelsius(21.5)).toBe(21.5);
+    expect(toCelsius(null, 'F')).toBeNull();
+    expect(toCelsius(undefined, 'F')).toBeUndefined();
+  });
+});
+
+describe('fromCelsius', () => {
+  it('converts to whole degrees Fahrenheit', () => {
+    expect(fromCelsius(22.2, 'F')).toBe(72);
+    expect(fromCelsius(20, 'F')).toBe(68);
+    expect(fromCelsius(0, 'F')).toBe(32);
+  });
+
+  it('leaves Celsius as it is', () => {
+    expect(fromCelsius(21.5, 'C')).toBe(21.5);
+  });
+
+  it('round-trips Fahrenheit setpoints', () => {
+    [60, 65, 68, 71, 72, 75, 80].forEach(value => {
+      expect(fromCelsius(toCelsius(value, 'F'), 'F')).toBe(value);
+    });
+  });
+});
+
+describe('heatCoolRange', () => {
+  it('centres the thermostat\'s current gap on the target', () => {
+    expect(heatCoolRange({ heatSetpoint: 20, coolSetpoint: 24 }, 21)).toEqual({ heat: 19, cool: 23 });
+  });
+
+  it('widens a gap narrower than the minimum', () => {
+    expect(heatCoolRange({ heatSetpoint: 21, coolSetpoint: 22 }, 22)).toEqual({ heat: 21, cool: 23 });
+  });
+
+  it('uses the minimum gap when a setpoint is missing', () => {
+    expect(heatCoolRange({ heatSetpoint: 20 }, 22)).toEqual({
+      heat: 22 - MIN_HEATCOOL_RANGE / 2,
+      cool: 22 + MIN_HEATCOOL_RANGE / 2
+    });
+    expect(heatCoolRange({}, 22)).toEqual({ heat: 21, cool: 23 });
+  });
+
+  it('rounds setpoints to half degrees', () => {
+    expect(heatCoolRange({}, 21.3)).toEqual({ heat: 20.5, cool: 22.5 });
+  });
+});
+
+describe('effectiveSetpoint', () => {
+  it('reports the middle of the range in heatcool', () => {
+    expect(effectiveSetpoint({ mode: 'heatcool', heatSetpoint: 20, coolSetpoint: 23 })).toBe(21.5);
+  });
+
+  it('reports the setpoint for the mode', () => {
+    expect(effectiveSetpoint({ mode: 'heat', heatSetpoint: 20, coolSetpoint: 24 })).toBe(20);
+    expect(effectiveSetpoint({ mode: 'cool', heatSetpoint: 20, coolSetpoint: 24 })).toBe(24);
+  });
+
+  it('falls back to whichever setpoint the thermostat has', () => {
+    expect(effectiveSetpoint({ mode: 'heat', coolSetpoint: 24 })).toBe(24);
+    expect(effectiveSetpoint({ mode: 'cool', heatSetpoint: 20 })).toBe(20);
+    expect(effectiveSetpoint({ mode: 'heatcool', heatSetpoint: 20 })).toBe(20);
+    expect(effectiveSetpoint({ mode: 'off' })).toBeUndefined();
+  });
+});
+
+describe('constants', () => {
+  it('holds setpoints only in heating and cooling modes', () => {
+    expect(SETPOINT_MODES).toEqual(['heat', 'cool', 'heatcool']);
+  });
+
+  it('keeps the default comfort range in Celsius around room temperature', () => {
+    expect(DEFAULT_COMFORT).toEqual({ unit: 'C', min: 16, max: 28 });
+  });
+});
@@ -0,0 +1,110 @@
+const {
+  GAMUTS,
+  gamutForModel,
+  rgbToHex,
+  hexToXy,
+  kelvinToXy,
+  xyToHex,
+  clampToGamut,
+  kelvinToHex,
+  nearestColorTemperature,
+  hexToHsv,
+  hsvToHex,
+  hueSatToHex
+} = require('../color');
+
+describe('hexToXy', () => {
+  it('converts sRGB primaries and white to their CIE xy points', () => {
+    expect(hexToXy('#FF0000')).toEqual([0.6401, 0.33]);
+    expect(hexToXy('#FFFFFF')).toEqual([0.3127, 0.329]);
+  });
+
+  it('falls back to the white point for black', () => {
+    expect(hexToXy('#000000')).toEqual([0.3127, 0.329]);
+  });
+
+  it('clamps colours outside a gamut to its nearest edge', () => {
+    expect(hexToXy('#00FF00')).toEqual([0.3, 0.6]);
+    // sRGB green lies outside gamut B, past its green corner
+    expect(hexToXy('#00FF00', GAMUTS.B)).toEqual([0.409, 0.518]);
+  });
+});
+
+describe('clampToGamut', () => {
+  it('leaves points inside the gamut alone', () => {
+    expect(clampToGamut([0.4, 0.4], GAMUTS.C)).toEqual([0.4, 0.4]);
+  });
+
+  it('projects points outside onto the closest edge', () => {
+    const [x, y] = clampToGamut([0.5, 0.1], GAMUTS.C);
+    const { red, blue } = GAMUTS.C;
+    // On the red-blue edge
+    const cross = (blue[0] - red[0]) * (y - red[1]) - (blue[1] - red[1]) * (x - red[0]);
+    expect(Math.abs(cross)).toBeLessThan(1e-9);
+  });
+});
+
+describe('gamutForModel', () => {
+  it('knows the older gamut A and B bulbs and defaults to C', () => {
+    expect(gamutForModel('LLC001')).toBe(GAMUTS.A);
+    expect(gamutForModel('LCT001')).toBe(GAMUTS.B);
+    expect(gamutForModel('LCA001')).toBe(GAMUTS.C);
+  });
+});
+
+describe('colour temperatures', () => {
+  it('follows the blackbody curve', () => {
+    expect(kelvinToXy(6500)).toEqual([0.3135, 0.3237]);
+    expect(kelvinToXy(2700)).toEqual([0.4593, 0.4107]);
+  });
+
+  it('clamps temperatures to the range the curve fit covers', () => {
+    expect(kelvinToXy(100000)).toEqual(kelvinToXy(25000));
+    expect(kelvinToXy(1000)).toEqual(kelvinToXy(1667));
+  });
+
+  it('finds the white nearest a colour within a bulb range', () => {
+    expect(nearestColorTemperature(kelvinToHex(2700), { min: 2000, max: 6500 })).toBe(2700);
+    expect(nearestColorTemperature('#FF0000', { min: 2000, max: 6500 })).toBe(2000);
+    expect(nearestColorTemperature('#0000FF', { min: 2200, max: 6500 })).toBe(6500);
+  });
+});
+
+describe('xyToHex', () => {
+  it('round-trips saturated colours at full brightness', () => {
+    expect(xyToHex(hexToXy('#FF0000'))).toBe('#FF0000');
+
+    const dim = hexToHsv('#123456');
+    const reported = hexToHsv(xyToHex(hexToXy('#123456')));
+    expect(reported.value).toBe(1);
+    expect(reported.hue).toBeCloseTo(dim.hue, 0);
+  });
+
+  it('reports white when y is zero', () => {
+    expect(xyToHex([0.3, 0])).toBe('#FFFFFF');
+  });
+});
+
+describe('HSV', () => {
+  it('converts hex to hue, saturation and value', () => {
+    expect(hexToHsv('#00FF00')).toEqual({ hue: 120, saturation: 1, value: 1 });
+    expect(hexToHsv('#FF00FF')).toEqual({ hue: 300, saturation: 1, value: 1 });
+    expect(hexToHsv('#000000')).toEqual({ hue: 0, saturation: 0, value: 0 });
+  });
+
+  it('converts hue and saturation back to hex', () => {
+    expect(hsvToHex(240, 1)).toBe('#0000FF');
+    expect(hsvToHex(0, 0, 0.5)).toBe('#808080');
+  });
+
+  it('reads Hue bridge hue and sat units', () => {
+    expect(hueSatToHex(0, 254)).toBe('#FF0000');
+    expect(hueSatToHex(21845, 254)).toBe('#00FF00');
+  });
+});
+
+describe('rgbToHex', () => {
+  it('clamps and rounds channels', () => {
+    expect(rgbToHex([300, -5, 127.6])).toBe('#FF0080');
+  });
+});
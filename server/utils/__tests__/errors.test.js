@@ -0,0 +1,37 @@
+const {
+  ApiError,
+  DeviceNotFoundError,
+  MoodSyncError,
+  PlatformRequestError,
+  toApiError
+} = require('../errors');
+
+describe('toApiError', () => {
+  it('maps service errors to their HTTP status and keeps code and details', () => {
+    const apiError = toApiError(new DeviceNotFoundError('hue_1'));
+
+    expect(apiError).toBeInstanceOf(ApiError);
+    expect(apiError.status).toBe(404);
+    expect(apiError.code).toBe('DEVICE_NOT_FOUND');
+    expect(apiError.details).toEqual({ deviceId: 'hue_1' });
+  });
+
+  it('reports upstream failures as bad gateway with the upstream status', () => {
+    const cause = Object.assign(new Error('Request failed'), { response: { status: 429 } });
+    const apiError = toApiError(new PlatformRequestError('lifx', 'setState', cause));
+
+    expect(apiError.status).toBe(502);
+    expect(apiError.details).toMatchObject({ platform: 'lifx', status: 429, reason: 'Request failed' });
+  });
+
+  it('falls back to 500 for unmapped codes', () => {
+    expect(toApiError(new MoodSyncError('SOMETHING_NEW', 'New failure')).status).toBe(500);
+  });
+
+  it('passes ApiErrors through and ignores unexpected errors', () => {
+    const apiError = new ApiError(400, 'VALIDATION_ERROR', 'Invalid body');
+
+    expect(toApiError(apiError)).toBe(apiError);
+    expect(toApiError(new TypeError('boom'))).toBeNull();
+  });
+});
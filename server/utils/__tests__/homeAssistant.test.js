@@ -0,0 +1,92 @@
+const { parseDiscoveryTopic, expandDiscoveryConfig, renderValue } = require('../homeAssistant');
+
+describe('parseDiscoveryTopic', () => {
+  it('reads the component, optional node id and object id', () => {
+    expect(parseDiscoveryTopic('homeassistant/light/kitchen/config', 'homeassistant'))
+      .toEqual({ component: 'light', nodeId: null, objectId: 'kitchen' });
+    expect(parseDiscoveryTopic('homeassistant/sensor/0x00158d/temperature/config', 'homeassistant'))
+      .toEqual({ component: 'sensor', nodeId: '0x00158d', objectId: 'temperature' });
+  });
+
+  it('ignores other topics', () => {
+    expect(parseDiscoveryTopic('homeassistant/light/kitchen/state', 'homeassistant')).toBeNull();
+    expect(parseDiscoveryTopic('zigbee2mqtt/light/kitchen/config', 'homeassistant')).toBeNull();
+    expect(parseDiscoveryTopic('homeassistant/light/config', 'homeassistant')).toBeNull();
+  });
+});
+
+describe('expandDiscoveryConfig', () => {
+  it('expands abbreviated keys, including the device block', () => {
+    const config = expandDiscoveryConfig({
+      name: 'Kitchen',
+      stat_t: 'kitchen/state',
+      cmd_t: 'kitchen/set',
+      bri_scl: 100,
+      uniq_id: 'kitchen_1',
+      dev: { ids: ['abc'], mf: 'Tasmota', mdl: 'Sonoff', sa: 'Kitchen' }
+    });
+
+    expect(config).toEqual({
+      name: 'Kitchen',
+      state_topic: 'kitchen/state',
+      command_topic: 'kitchen/set',
+      brightness_scale: 100,
+      unique_id: 'kitchen_1',
+      device: { identifiers: ['abc'], manufacturer: 'Tasmota', model: 'Sonoff', suggested_area: 'Kitchen' }
+    });
+  });
+
+  it('keeps keys it has no abbreviation for', () => {
+    expect(expandDiscoveryConfig({ schema: 'json', effect_list: ['rainbow'] }))
+      .toEqual({ schema: 'json', effect_list: ['rainbow'] });
+  });
+
+  it('substitutes the ~ base topic at the start or end of topics', () => {
+    const config = expandDiscoveryConfig({
+      '~': 'tasmota/kitchen',
+      stat_t: '~/state',
+      cmd_t: 'cmnd/~',
+      avty_t: 'other/availability',
+      name: '~ light'
+    });
+
+    expect(config.state_topic).toBe('tasmota/kitchen/state');
+    expect(config.command_topic).toBe('cmnd/tasmota/kitchen');
+    expect(config.availability_topic).toBe('other/availability');
+    // Only topics are expanded
+    expect(config.name).toBe('~ light');
+  });
+
+  it('follows the first entry of the availability list form', () => {
+    expect(expandDiscoveryConfig({ availability: [{ topic: 'bridge/state' }, { topic: 'device/availability' }] }).availability_topic)
+      .toBe('bridge/state');
+    expect(expandDiscoveryConfig({ availability: [{ t: 'bridge/state' }] }).availability_topic).toBe('bridge/state');
+    expect(expandDiscoveryConfig({ avty_t: 'own/state', availability: [{ topic: 'bridge/state' }] }).availability_topic)
+      .toBe('own/state');
+  });
+});
+
+describe('renderValue', () => {
+  it('reads the raw payload without a template, as a number when it is one', () => {
+    expect(renderValue(Buffer.from('ON'), undefined)).toBe('ON');
+    expect(renderValue(Buffer.from('21.5'), '{{ value }}')).toBe(21.5);
+    expect(renderValue(Buffer.from(' '), undefined)).toBe(' ');
+  });
+
+  it('follows value_json paths in dot and bracket form', () => {
+    const payload = Buffer.from(JSON.stringify({ state: 'ON', color: { r: 255 }, temp: '19' }));
+
+    expect(renderValue(payload, '{{ value_json.state }}')).toBe('ON');
+    expect(renderValue(payload, '{{value_json.color.r}}')).toBe(255);
+    expect(renderValue(payload, "{{ value_json['temp'] }}")).toBe(19);
+    expect(renderValue(payload, '{{ value_json.missing.deeper }}')).toBeUndefined();
+  });
+
+  it('gives up on payloads that are not JSON', () => {
+    expect(renderValue(Buffer.from('ON'), '{{ value_json.state }}')).toBeUndefined();
+  });
+
+  it('reads the raw payload for templates it does not understand', () => {
+    expect(renderValue(Buffer.from('42'), "{{ value | float * 10 }}")).toBe(42);
+  });
+});
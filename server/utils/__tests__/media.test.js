@@ -0,0 +1,96 @@
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { decodeImage, decodeAudio } = require('../media');
+const { UnsupportedMediaError } = require('../errors');
+
+function pngOf(width, height, rgba) {
+  const png = new PNG({ width, height });
+  for (let i = 0; i < width * height; i++) {
+    png.data.set(rgba, i * 4);
+  }
+  return PNG.sync.write(png);
+}
+
+function wavOf(samples, { channels = 1, sampleRate = 16000, bitsPerSample = 16, format = 1 } = {}) {
+  const bytesPerSample = bitsPerSample / 8;
+  const data = Buffer.alloc(samples.length * bytesPerSample);
+  samples.forEach((sample, i) => {
+    if (format === 3) data.writeFloatLE(sample, i * 4);
+    else data.writeInt16LE(Math.round(sample * 32767), i * 2);
+  });
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8);
+  header.write('fmt ', 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(format, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * bytesPerSample, 28);
+  header.writeUInt16LE(channels * bytesPerSample, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36);
+  header.writeUInt32LE(data.length, 40);
+
+  return Buffer.concat([header, data]);
+}
+
+describe('decodeImage', () => {
+  it('decodes PNGs to RGBA pixels', () => {
+    const image = decodeImage({ buffer: pngOf(3, 2, [255, 0, 0, 255]), mimetype: 'image/png' });
+
+    expect(image).toMatchObject({ width: 3, height: 2 });
+    expect(Array.from(image.data.slice(0, 4))).toEqual([255, 0, 0, 255]);
+    expect(image.data).toHaveLength(3 * 2 * 4);
+  });
+
+  it('decodes JPEGs whatever mimetype the client declared', () => {
+    const data = Buffer.alloc(4 * 4 * 4, 128);
+    const { data: buffer } = jpeg.encode({ width: 4, height: 4, data }, 90);
+
+    const image = decodeImage({ buffer, mimetype: 'application/octet-stream' });
+
+    expect(image).toMatchObject({ width: 4, height: 4 });
+    expect(Math.abs(image.data[0] - 128)).toBeLessThan(4);
+  });
+
+  it('rejects other formats and corrupt images', () => {
+    expect(() => decodeImage({ buffer: Buffer.from('GIF89a......'), mimetype: 'image/gif' }))
+      .toThrow(UnsupportedMediaError);
+
+    const truncated = pngOf(3, 2, [0, 0, 0, 255]).subarray(0, 40);
+    expect(() => decodeImage({ buffer: truncated, mimetype: 'image/png' })).toThrow(/Unsupported image format/);
+  });
+});
+
+describe('decodeAudio', () => {
+  it('decodes 16-bit PCM to samples in [-1, 1]', () => {
+    const audio = decodeAudio({ buffer: wavOf([0, 0.5, -0.5, 1]), mimetype: 'audio/wav' });
+
+    expect(audio.sampleRate).toBe(16000);
+    expect(Array.from(audio.samples).map(sample => Math.round(sample * 100) / 100)).toEqual([0, 0.5, -0.5, 1]);
+  });
+
+  it('averages channels and reads float data', () => {
+    const audio = decodeAudio({ buffer: wavOf([0.5, -0.5, 1, 0], { channels: 2, bitsPerSample: 32, format: 3 }) });
+
+    expect(Array.from(audio.samples)).toEqual([0, 0.5]);
+  });
+
+  it('skips chunks it does not know', () => {
+    const wav = wavOf([0.25]);
+    const list = Buffer.from('LIST\u0003\u0000\u0000\u0000abc\u0000', 'binary');
+    const buffer = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+    expect(Array.from(decodeAudio({ buffer }).samples)).toHaveLength(1);
+  });
+
+  it('rejects files that are not PCM or float WAV', () => {
+    expect(() => decodeAudio({ buffer: Buffer.from('ID3\u0004\u0000...'), mimetype: 'audio/mpeg' }))
+      .toThrow(UnsupportedMediaError);
+    expect(() => decodeAudio({ buffer: wavOf([0], { format: 2 }), mimetype: 'audio/wav' }))
+      .toThrow(expect.objectContaining({ code: 'UNSUPPORTED_MEDIA', details: expect.objectContaining({ modality: 'audio' }) }));
+  });
+});
@@ -0,0 +1,117 @@
+const {
+  buildDailyPattern,
+  buildWeeklyPattern,
+  buildTimeline,
+  generateInsights
+} = require('../moodTrends');
+
+const bucket = (key, value, mood, count) => ({ _id: { [key]: value, mood }, count });
+
+describe('buildDailyPattern', () => {
+  it('merges moods per hour and orders hours', () => {
+    const pattern = buildDailyPattern([
+      bucket('hour', 21, 'calm', 2),
+      bucket('hour', 9, 'happy', 3),
+      bucket('hour', 9, 'sad', 1)
+    ]);
+
+    expect(pattern.map(entry => entry.hour)).toEqual([9, 21]);
+    expect(pattern[0]).toMatchObject({ averageMood: 'happy', frequency: 4 });
+    expect(pattern[0].averageValence).toBeCloseTo((0.9 * 3 + 0.15) / 4, 2);
+  });
+});
+
+describe('buildWeeklyPattern', () => {
+  it('names $dayOfWeek buckets and starts the week on Monday', () => {
+    const pattern = buildWeeklyPattern([
+      bucket('dayOfWeek', 1, 'calm', 1),
+      bucket('dayOfWeek', 7, 'happy', 1),
+      bucket('dayOfWeek', 2, 'sad', 1)
+    ]);
+
+    expect(pattern.map(entry => entry.dayOfWeek)).toEqual(['monday', 'saturday', 'sunday']);
+  });
+});
+
+describe('buildTimeline', () => {
+  it('orders periods chronologically', () => {
+    const timeline = buildTimeline([
+      bucket('date', '2023-12-02', 'happy', 1),
+      bucket('date', '2023-12-01', 'sad', 2)
+    ]);
+
+    expect(timeline).toEqual([
+      expect.objectContaining({ period: '2023-12-01', averageMood: 'sad', frequency: 2 }),
+      expect.objectContaining({ period: '2023-12-02', averageMood: 'happy', frequency: 1 })
+    ]);
+  });
+});
+
+describe('generateInsights', () => {
+  it('needs enough detections before reporting anything', () => {
+    expect(generateInsights({
+      hourlyBuckets: [bucket('hour', 9, 'excited', 2), bucket('hour', 15, 'sad', 2)],
+      weeklyBuckets: [bucket('dayOfWeek', 2, 'happy', 4)]
+    })).toEqual([]);
+  });
+
+  it('finds energy peaks and mood dips by time of day', () => {
+    const insights = generateInsights({
+      hourlyBuckets: [
+        bucket('hour', 8, 'content', 6),
+        bucket('hour', 9, 'excited', 6),
+        bucket('hour', 10, 'energetic', 4),
+        bucket('hour', 14, 'content', 6),
+        bucket('hour', 21, 'calm', 6),
+        bucket('hour', 22, 'sad', 6),
+        bucket('hour', 23, 'sad', 2)
+      ]
+    });
+
+    expect(insights).toEqual(expect.arrayContaining([
+      expect.objectContaining({ title: 'Morning Energy Peak', description: expect.stringContaining('9-11 AM') }),
+      expect.objectContaining({ title: 'Late-Night Mood Dip', description: expect.stringContaining('10 PM-12 AM') })
+    ]));
+  });
+
+  it('reports the best and toughest weekdays and a weekend lift', () => {
+    const insights = generateInsights({
+      weeklyBuckets: [
+        bucket('dayOfWeek', 1, 'happy', 6),
+        bucket('dayOfWeek', 7, 'excited', 6),
+        bucket('dayOfWeek', 2, 'sad', 6),
+        bucket('dayOfWeek', 4, 'neutral', 6)
+      ]
+    });
+    const titles = insights.map(insight => insight.title);
+
+    expect(titles).toEqual(expect.arrayContaining(['Upbeat Sundays', 'Tough Mondays', 'Weekend Lift']));
+    insights.forEach(insight => {
+      expect(insight.confidence).toBeGreaterThan(0);
+      expect(insight.confidence).toBeLessThan(1);
+    });
+  });
+
+  it('reports a trend when the later half of the timeline differs', () => {
+    const timeline = buildTimeline([
+      bucket('date', '2023-12-01', 'sad', 6),
+      bucket('date', '2023-12-02', 'neutral', 6),
+      bucket('date', '2023-12-03', 'happy', 6)
+    ]);
+
+    const [insight] = generateInsights({ timeline });
+
+    expect(insight).toMatchObject({ type: 'trend', title: 'Mood Improving' });
+    expect(insight.description).toBe('Your average mood has improved by 75% over this period');
+  });
+
+  it('sorts insights by confidence', () => {
+    const insights = generateInsights({
+      hourlyBuckets: [bucket('hour', 9, 'excited', 20), bucket('hour', 22, 'sad', 6), bucket('hour', 14, 'calm', 6)],
+      weeklyBuckets: [bucket('dayOfWeek', 1, 'happy', 6), bucket('dayOfWeek', 3, 'sad', 30)]
+    });
+    const confidences = insights.map(insight => insight.confidence);
+
+    expect(confidences).toEqual([...confidences].sort((a, b) => b - a));
+  });
+});
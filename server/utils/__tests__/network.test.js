@@ -0,0 +1,88 @@
+const dns = require('dns');
+const { isPrivateAddress, publicLookup, assertPublicHost } = require('../network');
+
+describe('isPrivateAddress', () => {
+  it.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.16.0.1',
+    '172.31.255.255',
+    '192.168.1.100',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fd00::1',
+    'fe80::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ])('treats %s as private', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['8.8.8.8', '172.32.0.1', '93.184.216.34', '2606:4700::1111'])('treats %s as public', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+
+  it('ignores host names', () => {
+    expect(isPrivateAddress('localhost')).toBe(false);
+  });
+});
+
+describe('publicLookup', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('passes public addresses through in both result shapes', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, options.all ? [{ address: '93.184.216.34', family: 4 }] : '93.184.216.34', 4);
+    });
+
+    publicLookup('example.com', {}, (error, address, family) => {
+      expect(error).toBeNull();
+      expect(address).toBe('93.184.216.34');
+      expect(family).toBe(4);
+
+      publicLookup('example.com', { all: true }, (allError, addresses) => {
+        expect(allError).toBeNull();
+        expect(addresses).toEqual([{ address: '93.184.216.34', family: 4 }]);
+        done();
+      });
+    });
+  });
+
+  it('fails when any resolved address is private', (done) => {
+    jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.8', family: 4 }]);
+    });
+
+    publicLookup('rebind.example', { all: true }, (error) => {
+      expect(error.code).toBe('EPRIVATEADDRESS');
+      done();
+    });
+  });
+});
+
+describe('assertPublicHost', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('rejects private address literals without resolving them', async () => {
+    const lookup = jest.spyOn(dns.promises, 'lookup');
+
+    await expect(assertPublicHost('169.254.169.254')).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    await expect(assertPublicHost('[::1]')).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it('rejects names that resolve to a private address', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+    await expect(assertPublicHost('localtest.me')).rejects.toMatchObject({ code: 'EPRIVATEADDRESS' });
+  });
+
+  it('accepts names that resolve to public addresses', async () => {
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '93.184.216.34', family: 4 }]);
+
+    await expect(assertPublicHost('example.com')).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,74 @@
+const { OpenApiRegistry } = require('../openapi');
+
+// Records what the registry mounts instead of building a real Express router
+function fakeRouter() {
+  const mounted = [];
+  const router = {};
+  ['get', 'post', 'put', 'patch', 'delete'].forEach(method => {
+    router[method] = (path, ...handlers) => mounted.push({ method, path, handlers });
+  });
+  return { router, mounted };
+}
+
+describe('OpenApiRegistry', () => {
+  it('documents routes under their scope prefix with Express params in OpenAPI form', () => {
+    const registry = new OpenApiRegistry({ validateResponses: false });
+    const { router } = fakeRouter();
+    const route = registry.scope('/smarthome', { tag: 'Smart Home', description: 'Devices', secured: true }).routes(router);
+
+    route.post('/scenes/:id/activate', {
+      summary: 'Activate a scene',
+      params: { type: 'object', properties: { id: { type: 'string', description: 'Scene id' } } },
+      query: { type: 'object', required: ['fade'], properties: { fade: { type: 'integer' } } },
+      body: { schema: { type: 'object' } },
+      responses: { 200: { description: 'Activated', data: { type: 'object' } } }
+    }, () => {});
+
+    const document = registry.document();
+    const operation = document.paths['/smarthome/scenes/{id}/activate'].post;
+
+    expect(document.tags).toEqual([{ name: 'Smart Home', description: 'Devices' }]);
+    expect(operation.tags).toEqual(['Smart Home']);
+    expect(operation.security).toEqual([{ bearerAuth: [] }]);
+    expect(operation.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, description: 'Scene id', schema: { type: 'string' } },
+      { name: 'fade', in: 'query', required: true, schema: { type: 'integer' } }
+    ]);
+    expect(operation.requestBody).toEqual({
+      required: true,
+      content: { 'application/json': { schema: { type: 'object' } } }
+    });
+    expect(operation.responses[200].content['application/json'].schema).toMatchObject({
+      required: ['success', 'data'],
+      properties: { data: { type: 'object' } }
+    });
+    expect(operation.responses.default.content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+  });
+
+  it('lets a route opt out of its scope security and maps "/" to the prefix', () => {
+    const registry = new OpenApiRegistry({ validateResponses: false });
+    const route = registry.scope('/auth', { secured: true }).routes(fakeRouter().router);
+
+    route.get('/', { summary: 'Status', secured: false }, () => {});
+
+    const operation = registry.document().paths['/auth'].get;
+    expect(operation.security).toEqual([]);
+    expect(operation.parameters).toBeUndefined();
+  });
+
+  it('mounts request validation right before the handler and response checks first', () => {
+    const registry = new OpenApiRegistry({ validateResponses: true });
+    const { router, mounted } = fakeRouter();
+    const route = registry.scope('/mood').routes(router);
+    const authenticate = jest.fn();
+    const handler = jest.fn();
+
+    route.get('/history', { responses: { 200: { data: { type: 'object' } } } }, authenticate, handler);
+
+    const { path, handlers } = mounted[0];
+    expect(path).toBe('/history');
+    expect(handlers).toHaveLength(4);
+    expect(handlers[1]).toBe(authenticate);
+    expect(handlers[3]).toBe(handler);
+  });
+});
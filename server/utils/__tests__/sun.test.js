@@ -0,0 +1,66 @@
+const { sunTimes, isSunCondition } = require('../sun');
+
+const LONDON = { latitude: 51.5072, longitude: -0.1276 };
+const NEW_YORK = { latitude: 40.7128, longitude: -74.006 };
+const SVALBARD = { latitude: 78.2232, longitude: 15.6267 };
+
+// Published times are to the minute
+function expectNear(actual, expected) {
+  expect(Math.abs(actual.getTime() - new Date(expected).getTime())).toBeLessThan(2 * 60000);
+}
+
+describe('sunTimes', () => {
+  it('matches published sunrise and sunset times', () => {
+    const london = sunTimes(new Date('2024-06-21T12:00:00Z'), LONDON.latitude, LONDON.longitude);
+    expectNear(london.sunrise, '2024-06-21T03:43:00Z');
+    expectNear(london.sunset, '2024-06-21T20:21:00Z');
+
+    const newYork = sunTimes(new Date('2024-12-21T17:00:00Z'), NEW_YORK.latitude, NEW_YORK.longitude);
+    expectNear(newYork.sunrise, '2024-12-21T12:16:00Z');
+    expectNear(newYork.sunset, '2024-12-21T21:32:00Z');
+  });
+
+  it('uses the local day, not the UTC one', () => {
+    // 21:00 on 20 December in New York
+    const { sunset } = sunTimes(new Date('2024-12-21T02:00:00Z'), NEW_YORK.latitude, NEW_YORK.longitude);
+    expectNear(sunset, '2024-12-20T21:31:00Z');
+  });
+
+  it('reports days without a sunrise or sunset near the poles', () => {
+    expect(sunTimes(new Date('2024-06-21T12:00:00Z'), SVALBARD.latitude, SVALBARD.longitude))
+      .toEqual({ sunrise: null, sunset: null, polar: 'day' });
+    expect(sunTimes(new Date('2024-12-21T12:00:00Z'), SVALBARD.latitude, SVALBARD.longitude))
+      .toEqual({ sunrise: null, sunset: null, polar: 'night' });
+  });
+});
+
+describe('isSunCondition', () => {
+  const afterSunset = { operator: 'after', value: 'sunset', ...LONDON };
+  const beforeSunrise = { operator: 'before', value: 'sunrise', ...LONDON };
+
+  it('holds after sunset until midnight and before sunrise from then on', () => {
+    expect(isSunCondition(new Date('2024-06-21T19:00:00Z'), afterSunset)).toBe(false);
+    expect(isSunCondition(new Date('2024-06-21T21:00:00Z'), afterSunset)).toBe(true);
+    expect(isSunCondition(new Date('2024-06-21T21:00:00Z'), beforeSunrise)).toBe(false);
+    expect(isSunCondition(new Date('2024-06-22T02:00:00Z'), beforeSunrise)).toBe(true);
+    expect(isSunCondition(new Date('2024-06-22T02:00:00Z'), afterSunset)).toBe(false);
+  });
+
+  it('shifts the event by the offset', () => {
+    const date = new Date('2024-06-21T20:00:00Z');
+
+    expect(isSunCondition(date, afterSunset)).toBe(false);
+    expect(isSunCondition(date, { ...afterSunset, offset: -30 })).toBe(true);
+  });
+
+  it('treats polar night as dark all day and midnight sun as light all day', () => {
+    const night = new Date('2024-12-21T12:00:00Z');
+    const day = new Date('2024-06-21T00:00:00Z');
+
+    expect(isSunCondition(night, { operator: 'after', value: 'sunset', ...SVALBARD })).toBe(true);
+    expect(isSunCondition(night, { operator: 'before', value: 'sunrise', ...SVALBARD })).toBe(true);
+    expect(isSunCondition(night, { operator: 'after', value: 'sunrise', ...SVALBARD })).toBe(false);
+    expect(isSunCondition(day, { operator: 'after', value: 'sunset', ...SVALBARD })).toBe(false);
+    expect(isSunCondition(day, { operator: 'before', value: 'sunset', ...SVALBARD })).toBe(true);
+  });
+});
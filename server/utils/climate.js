@@ -0,0 +1,60 @@
+/**
+ * Thermostat helpers shared by the climate drivers
+ * Settings and state are always °C, the HVAC mode one of heat, cool, heatcool, fan, eco or off
+ * and the fan off, on or a speed; Fahrenheit and platform names only exist at a driver's edge
+ */
+
+// Modes in which a thermostat holds a setpoint; in the others a temperature has nothing to set
+const SETPOINT_MODES = ['heat', 'cool', 'heatcool'];
+
+// Narrowest gap between the heat and cool setpoints of a thermostat in heatcool mode, in °C
+const MIN_HEATCOOL_RANGE = 2;
+
+// Safety bounds for mood setpoints when a user hasn't set their own comfort range
+const DEFAULT_COMFORT = { unit: 'C', min: 16, max: 28 };
+
+function toCelsius(value, unit) {
+  if (typeof value !== 'number' || unit !== 'F') return value;
+  return Math.round(((value - 32) * 5 / 9) * 10) / 10;
+}
+
+/**
+ * Fahrenheit thermostats take whole degrees
+ */
+function fromCelsius(value, unit) {
+  return unit === 'F' ? Math.round((value * 9) / 5 + 32) : value;
+}
+
+/**
+ * Heat and cool setpoints centred on a target, keeping the thermostat's current gap between them
+ */
+function heatCoolRange(state, target) {
+  const gap = typeof state.heatSetpoint === 'number' && typeof state.coolSetpoint === 'number'
+    ? Math.max(MIN_HEATCOOL_RANGE, state.coolSetpoint - state.heatSetpoint)
+    : MIN_HEATCOOL_RANGE;
+
+  return {
+    heat: Math.round((target - gap / 2) * 2) / 2,
+    cool: Math.round((target + gap / 2) * 2) / 2
+  };
+}
+
+/**
+ * The setpoint a thermostat reports in its mode; in heatcool that's the middle of its range
+ */
+function effectiveSetpoint({ mode, heatSetpoint, coolSetpoint }) {
+  if (mode === 'heatcool' && typeof heatSetpoint === 'number' && typeof coolSetpoint === 'number') {
+    return Math.round(((heatSetpoint + coolSetpoint) / 2) * 10) / 10;
+  }
+  return mode === 'cool' ? coolSetpoint ?? heatSetpoint : heatSetpoint ?? coolSetpoint;
+}
+
+module.exports = {
+  SETPOINT_MODES,
+  MIN_HEATCOOL_RANGE,
+  DEFAULT_COMFORT,
+  toCelsius,
+  fromCelsius,
+  heatCoolRange,
+  effectiveSetpoint
+};
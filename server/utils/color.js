@@ -0,0 +1,235 @@
+/**
+ * Colour conversions for smart lights: hex, RGB and Kelvin to CIE xy
+ * clamped to a Hue bulb's gamut, plus the whites and hex colours we report back.
+ * Brightness is never folded into a colour; lights take it separately
+ */
+
+// Corners of each Hue colour gamut in CIE 1931 xy
+const GAMUTS = {
+  A: { red: [0.704, 0.296], green: [0.2151, 0.7106], blue: [0.138, 0.08] },
+  B: { red: [0.675, 0.322], green: [0.409, 0.518], blue: [0.167, 0.04] },
+  C: { red: [0.6915, 0.3083], green: [0.17, 0.7], blue: [0.1532, 0.0475] }
+};
+
+// Older Hue models by gamut; everything since the 2015 bulbs is gamut C
+const MODEL_GAMUTS = {
+  A: ['LLC001', 'LLC005', 'LLC006', 'LLC007', 'LLC010', 'LLC011', 'LLC012', 'LLC013', 'LLC014', 'LST001'],
+  B: ['LCT001', 'LCT002', 'LCT003', 'LCT007', 'LLM001']
+};
+
+// D65, what an all-zero colour falls back to
+const WHITE_POINT = [0.3127, 0.329];
+
+function gamutForModel(modelId) {
+  const gamut = Object.keys(MODEL_GAMUTS).find(key => MODEL_GAMUTS[key].includes(modelId));
+  return GAMUTS[gamut || 'C'];
+}
+
+function hexToRgb(hex) {
+  return [1, 3, 5].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+function rgbToHex(rgb) {
+  return '#' + rgb
+    .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+    .join('')
+    .toUpperCase();
+}
+
+/**
+ * sRGB (0-255 per channel) to CIE xy, clamped to the gamut when one is given
+ */
+function rgbToXy(rgb, gamut = null) {
+  const [r, g, b] = rgb.map(channel => {
+    const value = channel / 255;
+    return value > 0.04045 ? Math.pow((value + 0.055) / 1.055, 2.4) : value / 12.92;
+  });
+
+  const X = r * 0.4124 + g * 0.3576 + b * 0.1805;
+  const Y = r * 0.2126 + g * 0.7152 + b * 0.0722;
+  const Z = r * 0.0193 + g * 0.1192 + b * 0.9505;
+  const sum = X + Y + Z;
+
+  const xy = sum === 0 ? WHITE_POINT : [X / sum, Y / sum];
+  return roundXy(gamut ? clampToGamut(xy, gamut) : xy);
+}
+
+function hexToXy(hex, gamut = null) {
+  return rgbToXy(hexToRgb(hex), gamut);
+}
+
+/**
+ * Point on the blackbody curve for a colour temperature (Kim et al. cubic fit, 1667K-25000K)
+ */
+function kelvinToXy(kelvin, gamut = null) {
+  const t = Math.min(25000, Math.max(1667, kelvin));
+
+  const x = t <= 4000
+    ? -0.2661239e9 / t ** 3 - 0.2343589e6 / t ** 2 + 0.8776956e3 / t + 0.17991
+    : -3.0258469e9 / t ** 3 + 2.1070379e6 / t ** 2 + 0.2226347e3 / t + 0.24039;
+  let y;
+  if (t <= 2222) {
+    y = -1.1063814 * x ** 3 - 1.3481102 * x ** 2 + 2.18555832 * x - 0.20219683;
+  } else if (t <= 4000) {
+    y = -0.9549476 * x ** 3 - 1.37418593 * x ** 2 + 2.09137015 * x - 0.16748867;
+  } else {
+    y = 3.081758 * x ** 3 - 5.8733867 * x ** 2 + 3.75112997 * x - 0.37001483;
+  }
+
+  return roundXy(gamut ? clampToGamut([x, y], gamut) : [x, y]);
+}
+
+/**
+ * Full-brightness hex colour for an xy point, for reporting a light's state
+ */
+function xyToHex(xy) {
+  const [x, y] = xy;
+  if (!y) {
+    return '#FFFFFF';
+  }
+
+  const X = x / y;
+  const Z = (1 - x - y) / y;
+  const linear = [
+    X * 3.2406 - 1.5372 - Z * 0.4986,
+    -X * 0.9689 + 1.8758 + Z * 0.0415,
+    X * 0.0557 - 0.204 + Z * 1.057
+  ].map(channel => Math.max(0, channel));
+
+  const max = Math.max(...linear) || 1;
+  return rgbToHex(linear.map(channel => {
+    const value = channel / max;
+    return 255 * (value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055);
+  }));
+}
+
+/**
+ * Move a point outside the gamut triangle to the nearest point on its edge
+ */
+function clampToGamut(xy, gamut) {
+  const { red, green, blue } = gamut;
+  if (insideTriangle(xy, red, green, blue)) {
+    return xy;
+  }
+
+  const candidates = [
+    closestPointOnSegment(xy, red, green),
+    closestPointOnSegment(xy, green, blue),
+    closestPointOnSegment(xy, blue, red)
+  ];
+
+  return candidates.reduce((best, point) =>
+    distance(xy, point) < distance(xy, best) ? point : best
+  );
+}
+
+function insideTriangle(point, a, b, c) {
+  const side = (p, q, r) => (p[0] - r[0]) * (q[1] - r[1]) - (q[0] - r[0]) * (p[1] - r[1]);
+  const d1 = side(point, a, b);
+  const d2 = side(point, b, c);
+  const d3 = side(point, c, a);
+  const hasNegative = d1 < 0 || d2 < 0 || d3 < 0;
+  const hasPositive = d1 > 0 || d2 > 0 || d3 > 0;
+  return !(hasNegative && hasPositive);
+}
+
+function closestPointOnSegment(point, a, b) {
+  const ab = [b[0] - a[0], b[1] - a[1]];
+  const t = ((point[0] - a[0]) * ab[0] + (point[1] - a[1]) * ab[1]) / (ab[0] ** 2 + ab[1] ** 2);
+  const clamped = Math.min(1, Math.max(0, t));
+  return [a[0] + ab[0] * clamped, a[1] + ab[1] * clamped];
+}
+
+function distance(p, q) {
+  return Math.hypot(p[0] - q[0], p[1] - q[1]);
+}
+
+function roundXy(xy) {
+  return xy.map(value => Math.round(value * 10000) / 10000);
+}
+
+function kelvinToHex(kelvin) {
+  return xyToHex(kelvinToXy(kelvin));
+}
+
+/**
+ * Nearest white to a hex colour within a Kelvin range, in 50K steps
+ * Compared in xy so the colour's brightness doesn't skew it
+ */
+function nearestColorTemperature(hex, range) {
+  const target = hexToXy(hex);
+
+  let nearest = range.min;
+  let nearestDistance = Infinity;
+  for (let kelvin = Math.ceil(range.min / 50) * 50; kelvin <= range.max; kelvin += 50) {
+    const candidateDistance = distance(target, kelvinToXy(kelvin));
+    if (candidateDistance < nearestDistance) {
+      nearest = kelvin;
+      nearestDistance = candidateDistance;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Hex colour to hue (0-360), saturation and value (0-1)
+ */
+function hexToHsv(hex) {
+  const [r, g, b] = hexToRgb(hex).map(channel => channel / 255);
+  const max = Math.max(r, g, b);
+  const diff = max - Math.min(r, g, b);
+
+  let hue = 0;
+  if (diff !== 0) {
+    if (max === r) hue = ((g - b) / diff) % 6;
+    else if (max === g) hue = (b - r) / diff + 2;
+    else hue = (r - g) / diff + 4;
+  }
+
+  return {
+    hue: (hue * 60 + 360) % 360,
+    saturation: max === 0 ? 0 : diff / max,
+    value: max
+  };
+}
+
+function hsvToHex(hue, saturation, value = 1) {
+  const chroma = value * saturation;
+  const x = chroma * (1 - Math.abs(((hue / 60) % 2) - 1));
+  const m = value - chroma;
+
+  const sector = Math.floor(hue / 60) % 6;
+  const [r, g, b] = [
+    [chroma, x, 0],
+    [x, chroma, 0],
+    [0, chroma, x],
+    [0, x, chroma],
+    [x, 0, chroma],
+    [chroma, 0, x]
+  ][sector];
+
+  return rgbToHex([r, g, b].map(channel => (channel + m) * 255));
+}
+
+function hueSatToHex(hue, sat) {
+  // Hue bridge units: hue 0-65535, sat 0-254
+  return hsvToHex((hue / 65535) * 360, sat / 254);
+}
+
+module.exports = {
+  GAMUTS,
+  gamutForModel,
+  hexToRgb,
+  rgbToHex,
+  rgbToXy,
+  hexToXy,
+  kelvinToXy,
+  xyToHex,
+  clampToGamut,
+  kelvinToHex,
+  nearestColorTemperature,
+  hexToHsv,
+  hsvToHex,
+  hueSatToHex
+};
@@ -0,0 +1,236 @@
+/**
+ * Typed errors shared by the mood, music and smart home services, and the API errors they map to
+ * Every service error carries a stable code that clients can branch on; ERROR_STATUS gives each
+ * code its HTTP status. The app keeps its own copy in src/utils/errors.js
+ */
+class MoodSyncError extends Error {
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * An emotion model was used before it finished loading
+ */
+class ModelNotLoadedError extends MoodSyncError {
+  constructor(model) {
+    super('MODEL_NOT_LOADED', `${model.charAt(0).toUpperCase() + model.slice(1)} model not loaded`, { model });
+  }
+}
+
+/**
+ * An emotion model could not be downloaded or warmed up
+ */
+class ModelLoadError extends MoodSyncError {
+  constructor(model, cause) {
+    super('MODEL_LOAD_FAILED', `Failed to load ${model} model`, { model, reason: cause?.message });
+    this.cause = cause;
+  }
+}
+
+/**
+ * An uploaded image or recording isn't in a format the emotion models can read
+ */
+class UnsupportedMediaError extends MoodSyncError {
+  constructor(modality, mimetype, reason) {
+    super('UNSUPPORTED_MEDIA', `Unsupported ${modality} format: ${mimetype || 'unknown'}`, { modality, mimetype, reason });
+  }
+}
+
+class UnknownMoodError extends MoodSyncError {
+  constructor(mood) {
+    super('UNKNOWN_MOOD', `Unknown mood: ${mood}`, { mood });
+  }
+}
+
+/**
+ * A platform doesn't exist or doesn't support the requested operation
+ */
+class UnsupportedPlatformError extends MoodSyncError {
+  constructor(platform, operation) {
+    super('UNSUPPORTED_PLATFORM', `${operation} not supported for platform: ${platform}`, { platform, operation });
+  }
+}
+
+class NoRecommendationsError extends MoodSyncError {
+  constructor(platforms, mood = undefined) {
+    super('NO_RECOMMENDATIONS', mood ? `No recommendations found for ${mood} mood` : 'No playable tracks found', {
+      platforms,
+      mood
+    });
+  }
+}
+
+/**
+ * The streaming account has no device to play on
+ */
+class NoActiveDeviceError extends MoodSyncError {
+  constructor(platform, deviceId = null) {
+    super('NO_ACTIVE_DEVICE', deviceId ? `Playback device not found: ${deviceId}` : 'No active playback device', {
+      platform,
+      deviceId
+    });
+  }
+}
+
+class PremiumRequiredError extends MoodSyncError {
+  constructor(platform) {
+    super('PREMIUM_REQUIRED', 'This feature requires a premium account', { platform });
+  }
+}
+
+/**
+ * A third-party API call failed
+ */
+class PlatformRequestError extends MoodSyncError {
+  constructor(platform, operation, cause) {
+    super('PLATFORM_REQUEST_FAILED', `${platform} request failed: ${operation}`, {
+      platform,
+      operation,
+      status: cause?.statusCode || cause?.response?.status,
+      reason: cause?.body?.error?.message || cause?.message
+    });
+    this.cause = cause;
+  }
+}
+
+class ServiceNotInitializedError extends MoodSyncError {
+  constructor(service) {
+    super('SERVICE_NOT_INITIALIZED', `${service} not initialized`, { service });
+  }
+}
+
+class DeviceNotFoundError extends MoodSyncError {
+  constructor(deviceId) {
+    super('DEVICE_NOT_FOUND', `Device not found: ${deviceId}`, { deviceId });
+  }
+}
+
+class SceneNotFoundError extends MoodSyncError {
+  constructor(sceneId) {
+    super('SCENE_NOT_FOUND', `Scene not found: ${sceneId}`, { sceneId });
+  }
+}
+
+/**
+ * The latest environment change can't be undone (none yet, already reverted, or not the one asked for)
+ */
+class NothingToRevertError extends MoodSyncError {
+  constructor(reason, environmentId = null) {
+    super('NOTHING_TO_REVERT', reason, { environmentId });
+  }
+}
+
+class RoomNotFoundError extends MoodSyncError {
+  constructor(roomId) {
+    super('ROOM_NOT_FOUND', `Room or zone not found: ${roomId}`, { roomId });
+  }
+}
+
+class AutomationNotFoundError extends MoodSyncError {
+  constructor(automationId) {
+    super('AUTOMATION_NOT_FOUND', `Automation not found: ${automationId}`, { automationId });
+  }
+}
+
+/**
+ * A device exists but can't be driven the way we asked
+ */
+class UnsupportedDeviceError extends MoodSyncError {
+  constructor(device) {
+    super('UNSUPPORTED_DEVICE', `Unsupported ${device.type} device on platform: ${device.platform}`, {
+      deviceId: device.id,
+      type: device.type,
+      platform: device.platform
+    });
+  }
+}
+
+/**
+ * A device command was rejected or the device couldn't be reached
+ */
+class DeviceControlError extends MoodSyncError {
+  constructor(device, cause) {
+    super('DEVICE_CONTROL_FAILED', `Failed to control ${device.name || device.id}`, {
+      deviceId: device.id,
+      platform: device.platform,
+      status: cause?.response?.status,
+      reason: cause?.message
+    });
+    this.cause = cause;
+  }
+}
+
+/**
+ * API error carrying an HTTP status and a stable error code
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details = undefined) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// HTTP statuses for the service-level error codes
+const ERROR_STATUS = {
+  UNKNOWN_MOOD: 400,
+  UNSUPPORTED_PLATFORM: 400,
+  UNSUPPORTED_DEVICE: 400,
+  PREMIUM_REQUIRED: 403,
+  UNSUPPORTED_MEDIA: 415,
+  DEVICE_NOT_FOUND: 404,
+  SCENE_NOT_FOUND: 404,
+  ROOM_NOT_FOUND: 404,
+  AUTOMATION_NOT_FOUND: 404,
+  NO_ACTIVE_DEVICE: 409,
+  NOTHING_TO_REVERT: 409,
+  NO_RECOMMENDATIONS: 422,
+  PLATFORM_REQUEST_FAILED: 502,
+  DEVICE_CONTROL_FAILED: 502,
+  MODEL_NOT_LOADED: 503,
+  MODEL_LOAD_FAILED: 503,
+  SERVICE_NOT_INITIALIZED: 503
+};
+
+/**
+ * Convert a service error into an ApiError, or return null for unexpected errors
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) return error;
+
+  if (error instanceof MoodSyncError) {
+    return new ApiError(ERROR_STATUS[error.code] || 500, error.code, error.message, error.details);
+  }
+
+  return null;
+}
+
+module.exports = {
+  MoodSyncError,
+  ModelNotLoadedError,
+  ModelLoadError,
+  UnsupportedMediaError,
+  UnknownMoodError,
+  UnsupportedPlatformError,
+  NoRecommendationsError,
+  NoActiveDeviceError,
+  PremiumRequiredError,
+  PlatformRequestError,
+  ServiceNotInitializedError,
+  DeviceNotFoundError,
+  SceneNotFoundError,
+  NothingToRevertError,
+  RoomNotFoundError,
+  AutomationNotFoundError,
+  UnsupportedDeviceError,
+  DeviceControlError,
+  ApiError,
+  ERROR_STATUS,
+  toApiError
+};
@@ -0,0 +1,144 @@
+/**
+ * Home Assistant MQTT discovery helpers
+ * Discovery configs arrive on <prefix>/<component>/[<node_id>/]<object_id>/config,
+ * may use abbreviated keys and a "~" base topic, and read values through Jinja templates
+ */
+
+// Abbreviated discovery keys we read, as published by Tasmota, ESPHome and others
+const ABBREVIATIONS = {
+  avty_t: 'availability_topic',
+  bri_cmd_t: 'brightness_command_topic',
+  bri_scl: 'brightness_scale',
+  bri_stat_t: 'brightness_state_topic',
+  bri_val_tpl: 'brightness_value_template',
+  clr_temp_cmd_t: 'color_temp_command_topic',
+  clr_temp_stat_t: 'color_temp_state_topic',
+  clr_temp_val_tpl: 'color_temp_value_template',
+  cmd_t: 'command_topic',
+  curr_temp_t: 'current_temperature_topic',
+  curr_temp_tpl: 'current_temperature_template',
+  dev: 'device',
+  dev_cla: 'device_class',
+  fan_mode_cmd_t: 'fan_mode_command_topic',
+  fan_mode_stat_t: 'fan_mode_state_topic',
+  fan_mode_stat_tpl: 'fan_mode_state_template',
+  fan_modes: 'fan_modes',
+  max_mirs: 'max_mireds',
+  min_mirs: 'min_mireds',
+  mode_cmd_t: 'mode_command_topic',
+  mode_stat_t: 'mode_state_topic',
+  mode_stat_tpl: 'mode_state_template',
+  obj_id: 'object_id',
+  pl_avail: 'payload_available',
+  pl_not_avail: 'payload_not_available',
+  pl_off: 'payload_off',
+  pl_on: 'payload_on',
+  rgb_cmd_t: 'rgb_command_topic',
+  rgb_stat_t: 'rgb_state_topic',
+  rgb_val_tpl: 'rgb_value_template',
+  stat_t: 'state_topic',
+  stat_val_tpl: 'state_value_template',
+  sup_clrm: 'supported_color_modes',
+  temp_cmd_t: 'temperature_command_topic',
+  temp_hi_cmd_t: 'temperature_high_command_topic',
+  temp_hi_stat_t: 'temperature_high_state_topic',
+  temp_hi_stat_tpl: 'temperature_high_state_template',
+  temp_lo_cmd_t: 'temperature_low_command_topic',
+  temp_lo_stat_t: 'temperature_low_state_topic',
+  temp_lo_stat_tpl: 'temperature_low_state_template',
+  temp_stat_t: 'temperature_state_topic',
+  temp_stat_tpl: 'temperature_state_template',
+  temp_unit: 'temperature_unit',
+  uniq_id: 'unique_id',
+  unit_of_meas: 'unit_of_measurement',
+  val_tpl: 'value_template'
+};
+
+const DEVICE_ABBREVIATIONS = {
+  ids: 'identifiers',
+  mf: 'manufacturer',
+  mdl: 'model',
+  sa: 'suggested_area',
+  sw: 'sw_version'
+};
+
+/**
+ * Split a discovery topic into its component and object id, or null for anything else
+ */
+function parseDiscoveryTopic(topic, prefix) {
+  const parts = topic.split('/');
+  if (parts[0] !== prefix || parts[parts.length - 1] !== 'config' || (parts.length !== 4 && parts.length !== 5)) {
+    return null;
+  }
+
+  return {
+    component: parts[1],
+    nodeId: parts.length === 5 ? parts[2] : null,
+    objectId: parts[parts.length - 2]
+  };
+}
+
+/**
+ * Expand abbreviated keys and the "~" base topic of a discovery config
+ */
+function expandDiscoveryConfig(raw) {
+  const config = {};
+  Object.entries(raw).forEach(([key, value]) => {
+    config[ABBREVIATIONS[key] || key] = value;
+  });
+
+  const base = config['~'];
+  if (base) {
+    Object.keys(config).forEach(key => {
+      const value = config[key];
+      if (key.endsWith('_topic') && typeof value === 'string') {
+        config[key] = value.startsWith('~') ? base + value.slice(1) : value.endsWith('~') ? value.slice(0, -1) + base : value;
+      }
+    });
+  }
+
+  if (config.device) {
+    const device = {};
+    Object.entries(config.device).forEach(([key, value]) => {
+      device[DEVICE_ABBREVIATIONS[key] || key] = value;
+    });
+    config.device = device;
+  }
+
+  // The availability list form carries one topic per entry; we follow the first
+  if (!config.availability_topic && Array.isArray(config.availability) && config.availability.length > 0) {
+    config.availability_topic = config.availability[0].topic || config.availability[0].t;
+  }
+
+  return config;
+}
+
+/**
+ * Read a value out of a state payload
+ * Only the {{ value }} and {{ value_json.path }} templates are understood; others read the raw payload
+ */
+function renderValue(payload, template) {
+  const text = payload.toString();
+  const match = template && template.match(/^\{\{\s*value_json((?:\.\w+|\[['"]?\w+['"]?\])+)\s*\}\}$/);
+
+  let value = text;
+  if (match) {
+    try {
+      const path = match[1].match(/\w+/g);
+      value = path.reduce((current, key) => (current == null ? undefined : current[key]), JSON.parse(text));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+module.exports = {
+  parseDiscoveryTopic,
+  expandDiscoveryConfig,
+  renderValue
+};
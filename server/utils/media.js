@@ -0,0 +1,132 @@
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const { UnsupportedMediaError } = require('./errors');
+
+/**
+ * Decoders for mood detection uploads
+ * Formats are recognised by their leading bytes, since clients often send
+ * application/octet-stream; the declared mimetype only ends up in errors
+ */
+
+// Refuse images that would decode to more than this many pixels (about 64MB of RGBA)
+const MAX_IMAGE_PIXELS = 16 * 1024 * 1024;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+function isPng(buffer) {
+  return buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a;
+}
+
+function isJpeg(buffer) {
+  return buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff;
+}
+
+function isWav(buffer) {
+  return buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WAVE';
+}
+
+/**
+ * Decode a JPEG or PNG upload to RGBA pixels
+ */
+function decodeImage({ buffer, mimetype }) {
+  let decode;
+  if (isPng(buffer)) {
+    decode = () => PNG.sync.read(buffer);
+  } else if (isJpeg(buffer)) {
+    decode = () => jpeg.decode(buffer, { useTArray: true, maxResolutionInMP: MAX_IMAGE_PIXELS / (1024 * 1024) });
+  } else {
+    throw new UnsupportedMediaError('image', mimetype, 'Expected a JPEG or PNG image');
+  }
+
+  try {
+    const { width, height, data } = decode();
+    if (width * height > MAX_IMAGE_PIXELS) {
+      throw new Error(`Image is ${width}x${height}, larger than ${MAX_IMAGE_PIXELS} pixels`);
+    }
+    return { width, height, data: new Uint8Array(data.buffer, data.byteOffset, data.length) };
+  } catch (error) {
+    if (error instanceof UnsupportedMediaError) throw error;
+    throw new UnsupportedMediaError('image', mimetype, error.message);
+  }
+}
+
+/**
+ * Read one sample as a float in [-1, 1]
+ */
+function readSample(buffer, offset, format, bitsPerSample) {
+  if (format === WAVE_FORMAT_FLOAT) {
+    return bitsPerSample === 64 ? buffer.readDoubleLE(offset) : buffer.readFloatLE(offset);
+  }
+
+  switch (bitsPerSample) {
+    case 8:
+      return (buffer.readUInt8(offset) - 128) / 128;
+    case 16:
+      return buffer.readInt16LE(offset) / 32768;
+    case 24:
+      return buffer.readIntLE(offset, 3) / 8388608;
+    default:
+      return buffer.readInt32LE(offset) / 2147483648;
+  }
+}
+
+/**
+ * Decode a WAV upload to mono samples in [-1, 1]
+ * Takes PCM (8, 16, 24 or 32 bit) and IEEE float data; channels are averaged
+ */
+function decodeAudio({ buffer, mimetype }) {
+  if (!isWav(buffer)) {
+    throw new UnsupportedMediaError('audio', mimetype, 'Expected a WAV recording');
+  }
+
+  let fmt = null;
+  let data = null;
+
+  // Chunks are word-aligned; odd-sized ones carry a pad byte
+  for (let offset = 12; offset + 8 <= buffer.length;) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+
+    if (id === 'fmt ' && size >= 16) {
+      const tag = buffer.readUInt16LE(start);
+      fmt = {
+        // Extensible files keep the real format in the first two bytes of the sub-format GUID
+        format: tag === WAVE_FORMAT_EXTENSIBLE && size >= 26 ? buffer.readUInt16LE(start + 24) : tag,
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        bitsPerSample: buffer.readUInt16LE(start + 14)
+      };
+    } else if (id === 'data') {
+      data = buffer.subarray(start, Math.min(start + size, buffer.length));
+    }
+
+    offset = start + size + (size % 2);
+  }
+
+  const supported = fmt && fmt.channels > 0 && (
+    (fmt.format === WAVE_FORMAT_PCM && [8, 16, 24, 32].includes(fmt.bitsPerSample)) ||
+    (fmt.format === WAVE_FORMAT_FLOAT && [32, 64].includes(fmt.bitsPerSample))
+  );
+  if (!supported || !data) {
+    throw new UnsupportedMediaError('audio', mimetype, 'Expected PCM or float WAV data');
+  }
+
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameSize = bytesPerSample * fmt.channels;
+  const samples = new Float32Array(Math.floor(data.length / frameSize));
+
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < fmt.channels; channel++) {
+      sum += readSample(data, i * frameSize + channel * bytesPerSample, fmt.format, fmt.bitsPerSample);
+    }
+    samples[i] = sum / fmt.channels;
+  }
+
+  return { sampleRate: fmt.sampleRate, samples };
+}
+
+module.exports = { decodeImage, decodeAudio };
@@ -0,0 +1,117 @@
+/**
+ * Mood analytics helpers shared by the history and trends endpoints
+ */
+
+// Valence (0 = most negative, 1 = most positive) for every emotion we store
+const EMOTION_VALENCE = {
+  happy: 0.9,
+  excited: 0.85,
+  content: 0.8,
+  energetic: 0.8,
+  confident: 0.75,
+  romantic: 0.75,
+  calm: 0.7,
+  surprised: 0.6,
+  focused: 0.6,
+  neutral: 0.5,
+  melancholic: 0.35,
+  anxious: 0.3,
+  frustrated: 0.25,
+  fearful: 0.2,
+  disgusted: 0.2,
+  sad: 0.15,
+  angry: 0.1
+};
+
+// Arousal (0 = lowest energy, 1 = highest energy) for every emotion we store
+const EMOTION_AROUSAL = {
+  excited: 0.9,
+  energetic: 0.9,
+  angry: 0.85,
+  surprised: 0.8,
+  fearful: 0.75,
+  anxious: 0.75,
+  happy: 0.7,
+  frustrated: 0.7,
+  confident: 0.6,
+  disgusted: 0.55,
+  focused: 0.5,
+  romantic: 0.45,
+  neutral: 0.4,
+  content: 0.35,
+  melancholic: 0.25,
+  sad: 0.25,
+  calm: 0.15
+};
+
+function getValence(emotion) {
+  return EMOTION_VALENCE[emotion] ?? EMOTION_VALENCE.neutral;
+}
+
+function getArousal(emotion) {
+  return EMOTION_AROUSAL[emotion] ?? EMOTION_AROUSAL.neutral;
+}
+
+/**
+ * Summarize emotion counts ({ emotion: count }) into valence statistics
+ */
+function summarizeEmotionCounts(counts) {
+  const entries = Object.entries(counts).filter(([, count]) => count > 0);
+  const total = entries.reduce((sum, [, count]) => sum + count, 0);
+
+  if (total === 0) {
+    return {
+      total: 0,
+      averageValence: null,
+      averageArousal: null,
+      averageMood: null,
+      moodStability: null,
+      dominantEmotions: []
+    };
+  }
+
+  const averageValence = entries.reduce((sum, [emotion, count]) => sum + getValence(emotion) * count, 0) / total;
+  const averageArousal = entries.reduce((sum, [emotion, count]) => sum + getArousal(emotion) * count, 0) / total;
+  const variance = entries.reduce(
+    (sum, [emotion, count]) => sum + Math.pow(getValence(emotion) - averageValence, 2) * count,
+    0
+  ) / total;
+
+  const dominantEmotions = entries
+    .sort((a, b) => b[1] - a[1])
+    .map(([emotion]) => emotion);
+
+  return {
+    total: total,
+    averageValence: round(averageValence),
+    averageArousal: round(averageArousal),
+    averageMood: nearestMood(averageValence, dominantEmotions),
+    moodStability: round(1 - Math.sqrt(variance)), // Higher stability = lower variance
+    dominantEmotions: dominantEmotions
+  };
+}
+
+/**
+ * Pick the observed emotion whose valence is closest to the given value
+ */
+function nearestMood(valence, emotions) {
+  return emotions.reduce((best, emotion) => {
+    if (best === null) return emotion;
+    return Math.abs(getValence(emotion) - valence) < Math.abs(getValence(best) - valence) ? emotion : best;
+  }, null);
+}
+
+function round(value, digits = 2) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+module.exports = {
+  EMOTION_VALENCE,
+  EMOTION_AROUSAL,
+  getValence,
+  getArousal,
+  summarizeEmotionCounts,
+  nearestMood,
+  round
+};
@@ -0,0 +1,278 @@
+const { summarizeEmotionCounts, round } = require('./moodMetrics');
+
+/**
+ * Turns raw mood aggregation buckets into the documented trend patterns
+ * and natural-language pattern insights
+ */
+
+const DAYS_OF_WEEK = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Minimum detections in a bucket before we draw conclusions from it
+const MIN_SAMPLES = 5;
+
+// Minimum valence/arousal difference from the overall average worth reporting
+const MIN_EFFECT = 0.05;
+
+/**
+ * Collect aggregation buckets ({ _id: { <key>, mood }, count }) into per-key emotion counts
+ */
+function groupCounts(buckets, key) {
+  const grouped = new Map();
+
+  buckets.forEach(bucket => {
+    const value = bucket._id[key];
+    if (!grouped.has(value)) {
+      grouped.set(value, {});
+    }
+    const counts = grouped.get(value);
+    counts[bucket._id.mood] = (counts[bucket._id.mood] || 0) + bucket.count;
+  });
+
+  return grouped;
+}
+
+function mergeCounts(...countMaps) {
+  const merged = {};
+  countMaps.filter(Boolean).forEach(counts => {
+    Object.entries(counts).forEach(([emotion, count]) => {
+      merged[emotion] = (merged[emotion] || 0) + count;
+    });
+  });
+  return merged;
+}
+
+function toPatternEntry(counts) {
+  const summary = summarizeEmotionCounts(counts);
+  return {
+    averageMood: summary.averageMood,
+    averageValence: summary.averageValence,
+    frequency: summary.total
+  };
+}
+
+/**
+ * Build the hourly pattern from getDailyMoodPattern buckets
+ */
+function buildDailyPattern(buckets) {
+  const byHour = groupCounts(buckets, 'hour');
+
+  return Array.from(byHour.keys())
+    .sort((a, b) => a - b)
+    .map(hour => ({ hour: hour, ...toPatternEntry(byHour.get(hour)) }));
+}
+
+/**
+ * Build the day-of-week pattern from getWeeklyMoodPattern buckets, Monday first
+ */
+function buildWeeklyPattern(buckets) {
+  const byDay = groupCounts(buckets, 'dayOfWeek');
+
+  return Array.from(byDay.keys())
+    .sort((a, b) => ((a + 5) % 7) - ((b + 5) % 7))
+    .map(day => ({ dayOfWeek: DAYS_OF_WEEK[day - 1], ...toPatternEntry(byDay.get(day)) }));
+}
+
+/**
+ * Build the period-by-period timeline from getMoodTrends buckets
+ */
+function buildTimeline(buckets) {
+  const byPeriod = groupCounts(buckets, 'date');
+
+  return Array.from(byPeriod.keys())
+    .sort()
+    .map(period => ({ period: period, ...toPatternEntry(byPeriod.get(period)) }));
+}
+
+/**
+ * Generate pattern and trend insights from the raw buckets
+ */
+function generateInsights({ hourlyBuckets = [], weeklyBuckets = [], timeline = [] }) {
+  const insights = [
+    ...findHourlyInsights(groupCounts(hourlyBuckets, 'hour')),
+    ...findWeeklyInsights(groupCounts(weeklyBuckets, 'dayOfWeek')),
+    ...findTrendInsights(timeline)
+  ];
+
+  return insights.sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Find the most energetic and lowest-mood two-hour windows
+ */
+function findHourlyInsights(byHour) {
+  const overall = summarizeEmotionCounts(mergeCounts(...byHour.values()));
+  if (overall.total < MIN_SAMPLES) return [];
+
+  const windows = [];
+  for (let hour = 0; hour < 24; hour++) {
+    const summary = summarizeEmotionCounts(mergeCounts(byHour.get(hour), byHour.get((hour + 1) % 24)));
+    if (summary.total >= MIN_SAMPLES) {
+      windows.push({ hour, ...summary });
+    }
+  }
+
+  if (windows.length < 2) return [];
+
+  const insights = [];
+
+  const peak = windows.reduce((best, w) => (w.averageArousal > best.averageArousal ? w : best));
+  const energyEffect = peak.averageArousal - overall.averageArousal;
+  if (energyEffect >= MIN_EFFECT) {
+    insights.push({
+      type: 'pattern',
+      title: `${getPartOfDay(peak.hour)} Energy Peak`,
+      description: `You tend to be most energetic between ${formatHourRange(peak.hour)}`,
+      confidence: insightConfidence(peak.total, energyEffect)
+    });
+  }
+
+  const dip = windows.reduce((worst, w) => (w.averageValence < worst.averageValence ? w : worst));
+  const dipEffect = overall.averageValence - dip.averageValence;
+  if (dipEffect >= MIN_EFFECT) {
+    insights.push({
+      type: 'pattern',
+      title: `${getPartOfDay(dip.hour)} Mood Dip`,
+      description: `Your mood tends to dip between ${formatHourRange(dip.hour)}`,
+      confidence: insightConfidence(dip.total, dipEffect)
+    });
+  }
+
+  return insights;
+}
+
+/**
+ * Find the best and hardest days of the week, and any weekend effect
+ */
+function findWeeklyInsights(byDay) {
+  const overall = summarizeEmotionCounts(mergeCounts(...byDay.values()));
+  if (overall.total < MIN_SAMPLES) return [];
+
+  const days = Array.from(byDay.entries())
+    .map(([day, counts]) => ({ day, ...summarizeEmotionCounts(counts) }))
+    .filter(day => day.total >= MIN_SAMPLES);
+
+  const insights = [];
+
+  if (days.length >= 2) {
+    const best = days.reduce((a, b) => (b.averageValence > a.averageValence ? b : a));
+    const bestEffect = best.averageValence - overall.averageValence;
+    if (bestEffect >= MIN_EFFECT) {
+      insights.push({
+        type: 'pattern',
+        title: `Upbeat ${capitalize(DAYS_OF_WEEK[best.day - 1])}s`,
+        description: `Your mood is most positive on ${capitalize(DAYS_OF_WEEK[best.day - 1])}s`,
+        confidence: insightConfidence(best.total, bestEffect)
+      });
+    }
+
+    const worst = days.reduce((a, b) => (b.averageValence < a.averageValence ? b : a));
+    const worstEffect = overall.averageValence - worst.averageValence;
+    if (worst !== best && worstEffect >= MIN_EFFECT) {
+      insights.push({
+        type: 'pattern',
+        title: `Tough ${capitalize(DAYS_OF_WEEK[worst.day - 1])}s`,
+        description: `Your mood tends to be lowest on ${capitalize(DAYS_OF_WEEK[worst.day - 1])}s`,
+        confidence: insightConfidence(worst.total, worstEffect)
+      });
+    }
+  }
+
+  // $dayOfWeek: 1 = Sunday, 7 = Saturday
+  const weekend = summarizeEmotionCounts(mergeCounts(byDay.get(1), byDay.get(7)));
+  const weekday = summarizeEmotionCounts(mergeCounts(...[2, 3, 4, 5, 6].map(day => byDay.get(day))));
+
+  if (weekend.total >= MIN_SAMPLES && weekday.total >= MIN_SAMPLES) {
+    const difference = weekend.averageValence - weekday.averageValence;
+    if (Math.abs(difference) >= MIN_EFFECT) {
+      const weekendBetter = difference > 0;
+      insights.push({
+        type: 'pattern',
+        title: weekendBetter ? 'Weekend Lift' : 'Weekday Lift',
+        description: weekendBetter
+          ? 'Your mood is noticeably more positive on weekends than on weekdays'
+          : 'Your mood is noticeably more positive on weekdays than on weekends',
+        confidence: insightConfidence(Math.min(weekend.total, weekday.total), Math.abs(difference))
+      });
+    }
+  }
+
+  return insights;
+}
+
+/**
+ * Compare the first and second half of the timeline
+ */
+function findTrendInsights(timeline) {
+  if (timeline.length < 3) return [];
+
+  const middle = Math.floor(timeline.length / 2);
+  const average = entries => {
+    const total = entries.reduce((sum, entry) => sum + entry.frequency, 0);
+    return {
+      total: total,
+      valence: entries.reduce((sum, entry) => sum + entry.averageValence * entry.frequency, 0) / total
+    };
+  };
+
+  const earlier = average(timeline.slice(0, middle));
+  const later = average(timeline.slice(timeline.length - middle));
+  const change = later.valence - earlier.valence;
+
+  if (Math.abs(change) < MIN_EFFECT || earlier.total < MIN_SAMPLES || later.total < MIN_SAMPLES) {
+    return [];
+  }
+
+  // Valence is on a 0-1 scale, so the change reads directly as a percentage
+  const percent = Math.round(Math.abs(change) * 100);
+
+  return [{
+    type: 'trend',
+    title: change > 0 ? 'Mood Improving' : 'Mood Declining',
+    description: change > 0
+      ? `Your average mood has improved by ${percent}% over this period`
+      : `Your average mood has dropped by ${percent}% over this period`,
+    confidence: insightConfidence(Math.min(earlier.total, later.total), Math.abs(change))
+  }];
+}
+
+/**
+ * Confidence grows with the sample size and the size of the effect
+ */
+function insightConfidence(sampleSize, effect) {
+  const sampleFactor = sampleSize / (sampleSize + 10);
+  const effectFactor = Math.min(1, 0.5 + effect * 2.5);
+  return round(Math.min(0.99, sampleFactor * effectFactor));
+}
+
+function getPartOfDay(hour) {
+  if (hour >= 5 && hour < 12) return 'Morning';
+  if (hour >= 12 && hour < 17) return 'Afternoon';
+  if (hour >= 17 && hour < 21) return 'Evening';
+  return 'Late-Night';
+}
+
+/**
+ * Format a two-hour window starting at the given hour, e.g. "9-11 AM"
+ */
+function formatHourRange(startHour) {
+  const endHour = (startHour + 2) % 24;
+  const meridiem = hour => (hour < 12 ? 'AM' : 'PM');
+  const hour12 = hour => (hour % 12 === 0 ? 12 : hour % 12);
+
+  if (meridiem(startHour) === meridiem(endHour) && endHour > startHour) {
+    return `${hour12(startHour)}-${hour12(endHour)} ${meridiem(endHour)}`;
+  }
+  return `${hour12(startHour)} ${meridiem(startHour)}-${hour12(endHour)} ${meridiem(endHour)}`;
+}
+
+function capitalize(value) {
+  return value.charAt(0).toUpperCase() + value.slice(1);
+}
+
+module.exports = {
+  DAYS_OF_WEEK,
+  buildDailyPattern,
+  buildWeeklyPattern,
+  buildTimeline,
+  generateInsights
+};
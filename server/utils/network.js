@@ -0,0 +1,89 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Guards for outbound requests to user-supplied URLs
+ * Keeps webhooks from reaching the server's own network: loopback, private,
+ * link-local (including cloud metadata at 169.254.169.254) and other reserved ranges
+ */
+
+// One list per family; a single BlockList also matches IPv4 addresses against IPv6 rules
+const PRIVATE_RANGES = { ipv4: new net.BlockList(), ipv6: new net.BlockList() };
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.ipv4.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  // IPv4-mapped and NAT64 addresses could smuggle any of the ranges above
+  ['::ffff:0:0', 96],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.ipv6.addSubnet(network, prefix, 'ipv6'));
+
+function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) return false;
+
+  const type = family === 6 ? 'ipv6' : 'ipv4';
+  return PRIVATE_RANGES[type].check(address, type);
+}
+
+function privateAddressError(hostname, address) {
+  const error = new Error(`${hostname} resolves to a private address (${address})`);
+  error.code = 'EPRIVATEADDRESS';
+  return error;
+}
+
+/**
+ * Drop-in for dns.lookup that fails for hosts resolving to a private address
+ * Used as the connection lookup, so the address checked is the address connected to
+ */
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) return callback(privateAddressError(hostname, blocked.address));
+
+    callback(null, address, family);
+  });
+}
+
+/**
+ * Resolve a URL's host and reject it if it is, or resolves to, a private address
+ */
+async function assertPublicHost(hostname) {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host)) {
+    if (isPrivateAddress(host)) throw privateAddressError(host, host);
+    return;
+  }
+
+  const addresses = await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+  if (blocked) throw privateAddressError(host, blocked.address);
+}
+
+module.exports = { isPrivateAddress, publicLookup, assertPublicHost };
@@ -0,0 +1,196 @@
+const { validateRequest, validateResponse } = require('../middleware/validate');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+const ERROR_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['success', 'error'],
+  properties: {
+    success: { type: 'boolean', enum: [false] },
+    error: {
+      type: 'object',
+      required: ['code', 'message'],
+      properties: {
+        code: { type: 'string', example: 'VALIDATION_ERROR' },
+        message: { type: 'string' },
+        details: { type: 'object' },
+        timestamp: { type: 'string', format: 'date-time' },
+        requestId: { type: 'string' }
+      }
+    }
+  }
+};
+
+/**
+ * Wrap a response data schema in the { success: true, data } envelope
+ */
+function successEnvelope(dataSchema) {
+  return {
+    type: 'object',
+    required: ['success', 'data'],
+    properties: {
+      success: { type: 'boolean', enum: [true] },
+      data: dataSchema
+    }
+  };
+}
+
+/**
+ * Convert an Express path ("/scenes/:id/activate") to OpenAPI form ("/scenes/{id}/activate")
+ */
+function toOpenApiPath(path) {
+  return path.replace(/:(\w+)/g, '{$1}');
+}
+
+/**
+ * Expand an object schema into OpenAPI parameter objects
+ */
+function toParameters(location, schema) {
+  if (!schema) return [];
+
+  const required = schema.required || [];
+
+  return Object.entries(schema.properties).map(([name, propertySchema]) => {
+    const { description, ...rest } = propertySchema;
+    return {
+      name: name,
+      in: location,
+      required: location === 'path' || required.includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+/**
+ * Collects route definitions as routers are built and renders them as an OpenAPI 3 document
+ */
+class OpenApiRegistry {
+  constructor(options = {}) {
+    this.info = options.info || { title: 'MoodSync API', version: '1.0.0' };
+    this.basePath = options.basePath || '';
+    this.validateResponses = options.validateResponses ?? process.env.NODE_ENV !== 'production';
+    this.routes = [];
+    this.tags = new Map();
+  }
+
+  /**
+   * Routes registered through the returned scope are documented under prefix
+   */
+  scope(prefix, { tag, description, secured = false } = {}) {
+    if (tag && !this.tags.has(tag)) {
+      this.tags.set(tag, description);
+    }
+
+    return {
+      /**
+       * Wrap an Express router so route.get(path, definition, ...handlers) both documents
+       * and validates the route; validation runs right before the final handler
+       */
+      routes: (router) => {
+        const route = {};
+
+        HTTP_METHODS.forEach(method => {
+          route[method] = (path, definition, ...handlers) => {
+            const entry = {
+              method: method,
+              path: path === '/' ? prefix : prefix + path,
+              tag: tag,
+              secured: definition.secured ?? secured,
+              ...definition
+            };
+            this.routes.push(entry);
+
+            const handler = handlers.pop();
+            const middleware = [...handlers, validateRequest(entry)];
+
+            if (this.validateResponses && definition.responses) {
+              const responseSchemas = {};
+              Object.entries(definition.responses).forEach(([status, response]) => {
+                if (response.data) {
+                  responseSchemas[status] = successEnvelope(response.data);
+                }
+              });
+              middleware.unshift(validateResponse(entry, responseSchemas));
+            }
+
+            router[method](path, ...middleware, handler);
+          };
+        });
+
+        return route;
+      }
+    };
+  }
+
+  /**
+   * Render the OpenAPI 3 document
+   */
+  document() {
+    const paths = {};
+
+    this.routes.forEach(route => {
+      const path = toOpenApiPath(route.path);
+      paths[path] = paths[path] || {};
+
+      const operation = {
+        tags: route.tag ? [route.tag] : undefined,
+        summary: route.summary,
+        description: route.description,
+        security: route.secured ? [{ bearerAuth: [] }] : [],
+        parameters: [
+          ...toParameters('path', route.params),
+          ...toParameters('query', route.query)
+        ],
+        responses: {}
+      };
+
+      if (route.body) {
+        operation.requestBody = {
+          required: route.body.required ?? true,
+          content: {
+            [route.body.contentType || 'application/json']: { schema: route.body.schema }
+          }
+        };
+      }
+
+      Object.entries(route.responses || {}).forEach(([status, response]) => {
+        operation.responses[status] = {
+          description: response.description,
+          ...(response.data ? {
+            content: { 'application/json': { schema: successEnvelope(response.data) } }
+          } : {})
+        };
+      });
+
+      operation.responses.default = {
+        description: 'Error',
+        content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+      };
+
+      if (operation.parameters.length === 0) {
+        delete operation.parameters;
+      }
+
+      paths[path][route.method] = JSON.parse(JSON.stringify(operation));
+    });
+
+    return {
+      openapi: '3.0.3',
+      info: this.info,
+      servers: [{ url: this.basePath }],
+      tags: Array.from(this.tags, ([name, description]) => ({ name, description })),
+      paths: paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+        },
+        schemas: {
+          Error: ERROR_RESPONSE_SCHEMA
+        }
+      }
+    };
+  }
+}
+
+module.exports = { OpenApiRegistry };
@@ -0,0 +1,68 @@
+/**
+ * Sunrise and sunset for automation conditions
+ * Uses the sunrise equation, which is good to a minute or two away from the poles
+ */
+
+const J1970 = 2440587.5;
+const J2000 = 2451545;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Sun's centre this far below the horizon counts as rising or setting (refraction plus its radius)
+const HORIZON = -0.833;
+const OBLIQUITY = 23.4397;
+
+const radians = degrees => degrees * Math.PI / 180;
+const degrees = value => value * 180 / Math.PI;
+
+const toJulian = date => date.getTime() / DAY_MS + J1970;
+const fromJulian = julian => new Date(Math.round((julian - J1970) * DAY_MS));
+
+/**
+ * Sunrise and sunset on the local solar day containing date, at a latitude and longitude (east positive)
+ * Where the sun doesn't cross the horizon that day, sunrise and sunset are null and polar is
+ * 'day' (midnight sun) or 'night'
+ */
+function sunTimes(date, latitude, longitude) {
+  // Days since J2000 to the solar noon nearest date at this longitude
+  const day = Math.round(toJulian(date) - J2000 + longitude / 360);
+  const meanNoon = day - longitude / 360;
+
+  const anomaly = radians((357.5291 + 0.98560028 * meanNoon) % 360);
+  const center = 1.9148 * Math.sin(anomaly) + 0.02 * Math.sin(2 * anomaly) + 0.0003 * Math.sin(3 * anomaly);
+  const eclipticLongitude = radians((degrees(anomaly) + center + 180 + 102.9372) % 360);
+  const transit = J2000 + meanNoon + 0.0053 * Math.sin(anomaly) - 0.0069 * Math.sin(2 * eclipticLongitude);
+
+  const declination = Math.asin(Math.sin(eclipticLongitude) * Math.sin(radians(OBLIQUITY)));
+  const phi = radians(latitude);
+  const cosHourAngle = (Math.sin(radians(HORIZON)) - Math.sin(phi) * Math.sin(declination)) /
+    (Math.cos(phi) * Math.cos(declination));
+
+  if (cosHourAngle < -1) return { sunrise: null, sunset: null, polar: 'day' };
+  if (cosHourAngle > 1) return { sunrise: null, sunset: null, polar: 'night' };
+
+  const hourAngle = degrees(Math.acos(cosHourAngle));
+  return {
+    sunrise: fromJulian(transit - hourAngle / 360),
+    sunset: fromJulian(transit + hourAngle / 360),
+    polar: null
+  };
+}
+
+/**
+ * Whether date is before or after sunrise or sunset, shifted by offset minutes
+ * Each event is compared within its own solar day, so "after sunset" lasts until around local midnight
+ * and "before sunrise" starts there; combine them in an any group for the whole night
+ */
+function isSunCondition(date, { operator, value, offset = 0, latitude, longitude }) {
+  const times = sunTimes(date, latitude, longitude);
+
+  if (times.polar) {
+    const dark = times.polar === 'night';
+    return (value === 'sunset') === (operator === 'after') ? dark : !dark;
+  }
+
+  const event = times[value].getTime() + offset * 60000;
+  return operator === 'after' ? date.getTime() >= event : date.getTime() < event;
+}
+
+module.exports = { sunTimes, isSunCondition };
@@ -2,6 +2,7 @@ import * as tf from '@tensorflow/tfjs';
 import '@tensorflow/tfjs-react-native';
 import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system';
+import { ModelLoadError, ModelNotLoadedError } from '../utils/errors';
 
 /**
  * Advanced Multi-Modal Emotion Detection Engine
@@ -89,7 +90,7 @@ class EmotionEngine {
       console.log('Facial emotion model loaded');
     } catch (error) {
       console.error('Failed to load facial model:', error);
-      throw error;
+      throw new ModelLoadError('facial', error);
     }
   }
 
@@ -105,7 +106,7 @@ class EmotionEngine {
       console.log('Voice emotion model loaded');
     } catch (error) {
       console.error('Failed to load voice model:', error);
-      throw error;
+      throw new ModelLoadError('voice', error);
     }
   }
 
@@ -121,7 +122,7 @@ class EmotionEngine {
       console.log('Text sentiment model loaded');
     } catch (error) {
       console.error('Failed to load text model:', error);
-      throw error;
+      throw new ModelLoadError('text', error);
     }
   }
 
@@ -137,7 +138,7 @@ class EmotionEngine {
       console.log('Fusion model loaded');
     } catch (error) {
       console.error('Failed to load fusion model:', error);
-      throw error;
+      throw new ModelLoadError('fusion', error);
     }
   }
 
@@ -203,7 +204,7 @@ class EmotionEngine {
   async processFacialEmotion(imageUri, context = {}) {
     try {
       if (!this.models.facial) {
-        throw new Error('Facial model not loaded');
+        throw new ModelNotLoadedError('facial');
       }
 
       // Load and preprocess image
@@ -246,7 +247,7 @@ class EmotionEngine {
   async processVoiceEmotion(audioUri, context = {}) {
     try {
       if (!this.models.voice) {
-        throw new Error('Voice model not loaded');
+        throw new ModelNotLoadedError('voice');
       }
 
       // Load and preprocess audio
@@ -285,7 +286,7 @@ class EmotionEngine {
   async processTextSentiment(text, context = {}) {
     try {
       if (!this.models.text) {
-        throw new Error('Text model not loaded');
+        throw new ModelNotLoadedError('text');
       }
 
       // Tokenize and encode text
@@ -325,7 +326,7 @@ class EmotionEngine {
   async fuseEmotions(modalityResults, context = {}) {
     try {
       if (!this.models.fusion) {
-        throw new Error('Fusion model not loaded');
+        throw new ModelNotLoadedError('fusion');
       }
 
       // Prepare fusion input
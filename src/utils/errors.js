@@ -0,0 +1,156 @@
+/**
+ * Typed errors shared by the mood, music and smart home services
+ * Every error carries a stable code that clients can branch on; the API maps
+ * codes to HTTP statuses in server/utils/errors.js, which keeps the server's own CommonJS copy
+ */
+export class MoodSyncError extends Error {
+  constructor(code, message, details = undefined) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * An emotion model was used before it finished loading
+ */
+export class ModelNotLoadedError extends MoodSyncError {
+  constructor(model) {
+    super('MODEL_NOT_LOADED', `${model.charAt(0).toUpperCase() + model.slice(1)} model not loaded`, { model });
+  }
+}
+
+/**
+ * An emotion model could not be downloaded or warmed up
+ */
+export class ModelLoadError extends MoodSyncError {
+  constructor(model, cause) {
+    super('MODEL_LOAD_FAILED', `Failed to load ${model} model`, { model, reason: cause?.message });
+    this.cause = cause;
+  }
+}
+
+export class UnknownMoodError extends MoodSyncError {
+  constructor(mood) {
+    super('UNKNOWN_MOOD', `Unknown mood: ${mood}`, { mood });
+  }
+}
+
+/**
+ * A platform doesn't exist or doesn't support the requested operation
+ */
+export class UnsupportedPlatformError extends MoodSyncError {
+  constructor(platform, operation) {
+    super('UNSUPPORTED_PLATFORM', `${operation} not supported for platform: ${platform}`, { platform, operation });
+  }
+}
+
+export class NoRecommendationsError extends MoodSyncError {
+  constructor(platforms, mood = undefined) {
+    super('NO_RECOMMENDATIONS', mood ? `No recommendations found for ${mood} mood` : 'No playable tracks found', {
+      platforms,
+      mood
+    });
+  }
+}
+
+/**
+ * The streaming account has no device to play on
+ */
+export class NoActiveDeviceError extends MoodSyncError {
+  constructor(platform, deviceId = null) {
+    super('NO_ACTIVE_DEVICE', deviceId ? `Playback device not found: ${deviceId}` : 'No active playback device', {
+      platform,
+      deviceId
+    });
+  }
+}
+
+export class PremiumRequiredError extends MoodSyncError {
+  constructor(platform) {
+    super('PREMIUM_REQUIRED', 'This feature requires a premium account', { platform });
+  }
+}
+
+/**
+ * A third-party API call failed
+ */
+export class PlatformRequestError extends MoodSyncError {
+  constructor(platform, operation, cause) {
+    super('PLATFORM_REQUEST_FAILED', `${platform} request failed: ${operation}`, {
+      platform,
+      operation,
+      status: cause?.statusCode || cause?.response?.status,
+      reason: cause?.body?.error?.message || cause?.message
+    });
+    this.cause = cause;
+  }
+}
+
+export class ServiceNotInitializedError extends MoodSyncError {
+  constructor(service) {
+    super('SERVICE_NOT_INITIALIZED', `${service} not initialized`, { service });
+  }
+}
+
+export class DeviceNotFoundError extends MoodSyncError {
+  constructor(deviceId) {
+    super('DEVICE_NOT_FOUND', `Device not found: ${deviceId}`, { deviceId });
+  }
+}
+
+export class SceneNotFoundError extends MoodSyncError {
+  constructor(sceneId) {
+    super('SCENE_NOT_FOUND', `Scene not found: ${sceneId}`, { sceneId });
+  }
+}
+
+/**
+ * The latest environment change can't be undone (none yet, already reverted, or not the one asked for)
+ */
+export class NothingToRevertError extends MoodSyncError {
+  constructor(reason, environmentId = null) {
+    super('NOTHING_TO_REVERT', reason, { environmentId });
+  }
+}
+
+export class RoomNotFoundError extends MoodSyncError {
+  constructor(roomId) {
+    super('ROOM_NOT_FOUND', `Room or zone not found: ${roomId}`, { roomId });
+  }
+}
+
+export class AutomationNotFoundError extends MoodSyncError {
+  constructor(automationId) {
+    super('AUTOMATION_NOT_FOUND', `Automation not found: ${automationId}`, { automationId });
+  }
+}
+
+/**
+ * A device exists but can't be driven the way we asked
+ */
+export class UnsupportedDeviceError extends MoodSyncError {
+  constructor(device) {
+    super('UNSUPPORTED_DEVICE', `Unsupported ${device.type} device on platform: ${device.platform}`, {
+      deviceId: device.id,
+      type: device.type,
+      platform: device.platform
+    });
+  }
+}
+
+/**
+ * A device command was rejected or the device couldn't be reached
+ */
+export class DeviceControlError extends MoodSyncError {
+  constructor(device, cause) {
+    super('DEVICE_CONTROL_FAILED', `Failed to control ${device.name || device.id}`, {
+      deviceId: device.id,
+      platform: device.platform,
+      status: cause?.response?.status,
+      reason: cause?.message
+    });
+    this.cause = cause;
+  }
+}